@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Environment
@@ -17,9 +18,16 @@ const config = {
     serviceAccountPath: process.env.GOOGLE_APPLICATION_CREDENTIALS,
   },
   
-  // Storage
+  // Storage: gcs (Cloud Storage bucket) or local (directory served by the API)
   storage: {
+    driver: process.env.STORAGE_DRIVER || 'gcs',
     bucket: process.env.STORAGE_BUCKET || `${process.env.PROJECT_ID || 'nubemdom'}-receipts`,
+    location: process.env.STORAGE_LOCATION || 'US-CENTRAL1',
+    localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'),
+    // Signs the expiring /api/receipts/:id/image links of local storage
+    signingSecret: process.env.STORAGE_SIGNING_SECRET,
+    // Signed links are short-lived; afterwards the image is read through the authenticated route
+    signedUrlTtlMs: parseInt(process.env.STORAGE_SIGNED_URL_TTL_MS, 10) || 60 * 60 * 1000,
   },
   
   // CORS
@@ -51,13 +59,50 @@ const config = {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024, // 10MB
     allowedTypes: process.env.ALLOWED_FILE_TYPES ? 
       process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim()) :
-      ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'],
+      ['image/jpeg', 'image/png', 'image/jpg', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'],
+    batch: {
+      maxFiles: parseInt(process.env.UPLOAD_BATCH_MAX_FILES, 10) || 100,
+      maxArchiveSize: parseInt(process.env.UPLOAD_BATCH_MAX_ARCHIVE_SIZE, 10) || 50 * 1024 * 1024, // 50MB
+      // Bytes the archives of a batch may inflate to in all
+      maxInflatedSize: parseInt(process.env.UPLOAD_BATCH_MAX_INFLATED_SIZE, 10) || 200 * 1024 * 1024, // 200MB
+      concurrency: parseInt(process.env.UPLOAD_BATCH_CONCURRENCY, 10) || 3,
+    },
   },
   
   // OCR Configuration
   ocr: {
     confidenceThreshold: parseFloat(process.env.OCR_CONFIDENCE_THRESHOLD) || 0.8,
     autoCategorization: process.env.AUTO_CATEGORIZATION === 'true',
+    maxPdfPages: parseInt(process.env.OCR_MAX_PDF_PAGES, 10) || 10,
+    // vision (Google Cloud Vision), tesseract (local) or fixtures (recorded results)
+    provider: process.env.OCR_PROVIDER || 'vision',
+    tesseract: {
+      lang: process.env.OCR_TESSERACT_LANG || 'spa+eng',
+      langPath: process.env.OCR_TESSERACT_LANG_PATH || null,
+    },
+    fixtures: {
+      dir: process.env.OCR_FIXTURES_DIR || path.join(__dirname, '..', 'tests', 'fixtures', 'ocr'),
+      recordFrom: process.env.OCR_FIXTURES_RECORD_FROM || null,
+    },
+  },
+  
+  // Background jobs (receipt processing)
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+    backoffMs: parseInt(process.env.JOB_BACKOFF_MS, 10) || 2000,
+  },
+  
+  // Server-Sent Events (/api/events)
+  events: {
+    historySize: parseInt(process.env.EVENTS_HISTORY_SIZE, 10) || 100,
+    heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS, 10) || 25000,
+  },
+  
+  // Currencies
+  currency: {
+    base: process.env.BASE_CURRENCY || 'EUR',
+    ratesFile: process.env.EXCHANGE_RATES_FILE || path.join(__dirname, 'exchange-rates.json'),
   },
   
   // Database
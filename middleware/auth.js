@@ -22,6 +22,17 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Middleware to accept the ID token as a ?token= query parameter, for
+   * clients such as EventSource that cannot set an Authorization header
+   */
+  tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+  }
+
   /**
    * Middleware to verify Firebase ID token
    */
@@ -288,6 +299,7 @@ const authMiddleware = new AuthMiddleware();
 
 module.exports = {
   verifyToken: authMiddleware.verifyToken.bind(authMiddleware),
+  tokenFromQuery: authMiddleware.tokenFromQuery.bind(authMiddleware),
   optionalAuth: authMiddleware.optionalAuth.bind(authMiddleware),
   requireAdmin: authMiddleware.requireAdmin.bind(authMiddleware),
   requireEmailVerification: authMiddleware.requireEmailVerification.bind(authMiddleware),
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { indexesFile } = require('../services/queryPlanner');
+
+// Write firestore.indexes.json from the indexes the query planner and services use
+const file = path.join(__dirname, '..', 'firestore.indexes.json');
+const content = indexesFile();
+
+fs.writeFileSync(file, `${JSON.stringify(content, null, 2)}\n`);
+console.log(`✅ ${content.indexes.length} indexes written to firestore.indexes.json`);
@@ -12,6 +12,11 @@ async function initializeFirestore() {
     console.log('📁 Setting up categories...');
     const categories = await firestoreService.getCategories();
     console.log(`✅ Categories initialized: ${categories.length} categories`);
+
+    // Verify the composite indexes of firestore.indexes.json
+    console.log('🗂️  Checking indexes...');
+    const indexes = await firestoreService.initializeDatabase();
+    console.log(`✅ Indexes ready: ${indexes.ready.length}, building: ${indexes.building.length}`);
     
     // Create a test user profile to verify everything works
     console.log('👤 Creating test user profile...');
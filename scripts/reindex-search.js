@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+const FirestoreService = require('../services/firestore');
+
+// Usage: node scripts/reindex-search.js [userId]
+async function reindexSearch() {
+  const userId = process.argv[2] || null;
+  console.log(`🔎 Rebuilding receipt search terms${userId ? ` for ${userId}` : ''}...`);
+
+  try {
+    const firestoreService = new FirestoreService();
+    const indexed = await firestoreService.reindexSearchTerms(userId);
+
+    console.log(`✅ Search terms rebuilt: ${indexed} receipts`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Search reindex failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+reindexSearch();
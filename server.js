@@ -6,11 +6,30 @@ const multer = require('multer');
 const path = require('path');
 const winston = require('winston');
 require('dotenv').config();
+const config = require('./config');
 
 // Import services
 const VisionService = require('./services/vision');
 const FirestoreService = require('./services/firestore');
-const { verifyToken, optionalAuth, createUserRateLimit } = require('./middleware/auth');
+const AlertService = require('./services/alerts');
+const ReviewService = require('./services/review');
+const LearningService = require('./services/learning');
+const RulesService = require('./services/rules');
+const CategoryService = require('./services/categories');
+const { LogNotifier, WebhookNotifier, EventNotifier } = require('./services/notifiers');
+const { LocalRatesProvider, ExchangeRateService } = require('./services/exchangeRates');
+const { verifyToken, tokenFromQuery, optionalAuth, createUserRateLimit } = require('./middleware/auth');
+const { isCurrencyCode } = require('./services/parsers/currency');
+const { resolveLocale } = require('./services/parsers/locale');
+const { isAcceptedUpload, detectContentType } = require('./services/documents');
+const { expandUploads, mapWithConcurrency } = require('./services/uploads');
+const { ReceiptProcessor, describeProcessingError, isRetryableProcessingError } = require('./services/processing');
+const { MemoryJobBackend, JobQueue } = require('./services/jobs');
+const { EventBroker } = require('./services/events');
+const { DuplicateService } = require('./services/duplicates');
+const { verifyImageSignature } = require('./services/storage/signing');
+const { ExportService } = require('./services/exports');
+const { ReconciliationService } = require('./services/reconciliation');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -18,6 +37,8 @@ const PORT = process.env.PORT || 8080;
 // Initialize services
 const visionService = new VisionService();
 const firestoreService = new FirestoreService();
+// Receipts store the path of their image; expiring links are signed as they are read
+firestoreService.signImagesWith(receipt => visionService.getReceiptImageUrl(receipt));
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -35,6 +56,98 @@ const logger = winston.createLogger({
   ]
 });
 
+// Per-user events streamed to clients over /api/events
+const eventBroker = new EventBroker(config.events);
+firestoreService.onReceiptChange(({ type, userId, receipt, previous }) => {
+  if (type === 'saved') {
+    eventBroker.publish(userId, 'receipt.processed', receipt);
+  } else if (type === 'updated') {
+    eventBroker.publish(userId, 'receipt.updated', receipt);
+  } else if (type === 'deleted') {
+    eventBroker.publish(userId, 'receipt.deleted', { id: previous.id });
+  }
+});
+
+// Spending alerts, evaluated after every receipt change
+const alertNotifiers = [new LogNotifier(logger), new EventNotifier(eventBroker)];
+if (process.env.ALERT_WEBHOOK_URL) {
+  alertNotifiers.push(new WebhookNotifier(process.env.ALERT_WEBHOOK_URL));
+}
+const alertService = new AlertService(firestoreService, alertNotifiers, {
+  getUserSettings,
+  getCategoryParents: userId => categoryService.getParentMap(userId)
+});
+// Not awaited, so a slow webhook never holds up the receipt write
+firestoreService.onReceiptChange(change => {
+  alertService.evaluateReceiptChange(change).catch(error => {
+    logger.error('Alert evaluation error', {
+      userId: change.userId,
+      error: error.message
+    });
+  });
+});
+
+const reviewService = new ReviewService(firestoreService);
+
+// Vendor and category mappings learned from the user's own corrections
+const learningService = new LearningService(firestoreService);
+firestoreService.onReceiptChange(change => learningService.learnFromCorrection(change));
+
+const rulesService = new RulesService(firestoreService);
+const categoryService = new CategoryService(firestoreService);
+
+// Receipts photographed or uploaded twice
+const duplicateService = new DuplicateService(firestoreService, visionService);
+
+// Foreign receipts are converted into the user's base currency on upload
+const exchangeRateService = new ExchangeRateService(new LocalRatesProvider(config.currency.ratesFile));
+
+/**
+ * Reading and reporting settings of a user: base currency (their preference,
+ * else the configured default) and the locale their receipts are read in
+ */
+async function getUserSettings(userId) {
+  const profile = await firestoreService.getUserProfile(userId);
+  return {
+    baseCurrency: profile.preferences?.currency || config.currency.base,
+    locale: resolveLocale(profile.preferences)
+  };
+}
+
+const exportService = new ExportService(firestoreService);
+
+// Bank statements reconciled with receipts; charges of deleted receipts miss them again
+const reconciliationService = new ReconciliationService(firestoreService);
+firestoreService.onReceiptChange(change => reconciliationService.handleReceiptChange(change));
+
+// Uploads are processed in the background: pending -> processing -> processed | failed
+const receiptProcessor = new ReceiptProcessor({
+  visionService,
+  firestoreService,
+  categoryService,
+  learningService,
+  rulesService,
+  exchangeRateService,
+  duplicateService,
+  getUserSettings
+});
+const jobQueue = new JobQueue(new MemoryJobBackend(), config.jobs);
+jobQueue.register(
+  'process_receipt',
+  async (payload, job) => {
+    const receipt = await receiptProcessor.process(payload, job);
+    return { receiptId: receipt.id, status: receipt.status, possibleDuplicateOf: receipt.possibleDuplicateOf || null };
+  },
+  {
+    isRetryable: isRetryableProcessingError,
+    onFailed: async (payload, error) => {
+      const receipt = await receiptProcessor.fail(payload, error);
+      eventBroker.publish(payload.userId, 'receipt.failed', receipt);
+      return { receiptId: receipt.id, status: receipt.status, error: receipt.processingError };
+    }
+  }
+);
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -74,18 +187,38 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
-    if (allowedTypes.includes(file.mimetype)) {
+    // The real format is checked from the file contents once uploaded
+    if (config.upload.allowedTypes.includes(file.mimetype) || isAcceptedUpload(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG and WebP are allowed.'));
+      cb(new Error('Invalid file type. Only JPEG, PNG, WebP, HEIC and PDF are allowed.'));
     }
   }
 });
 
+// Batch uploads take zip archives as well; every file's format is checked
+// on its own so one bad file does not reject the batch
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.upload.batch.maxArchiveSize,
+    files: config.upload.batch.maxFiles
+  }
+});
+
+// Bank statements are text files; their format is detected from the contents
+const statementUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 // Rate limiting
 const apiRateLimit = createUserRateLimit(100, 15 * 60 * 1000); // 100 requests per 15 minutes
 const uploadRateLimit = createUserRateLimit(20, 15 * 60 * 1000); // 20 uploads per 15 minutes
+const batchUploadRateLimit = createUserRateLimit(5, 15 * 60 * 1000); // 5 batches per 15 minutes
+const exportRateLimit = createUserRateLimit(10, 15 * 60 * 1000); // 10 exports per 15 minutes
 
 // Routes
 app.get('/', (req, res) => {
@@ -97,8 +230,19 @@ app.get('/', (req, res) => {
       health: 'GET /health',
       upload: 'POST /api/receipts/upload',
       receipts: 'GET /api/receipts',
+      review: 'GET /api/receipts/review',
+      export: 'GET /api/export',
       analytics: 'GET /api/analytics',
-      categories: 'GET /api/categories'
+      vendors: 'GET /api/vendors',
+      categories: 'GET /api/categories',
+      budgets: 'GET /api/budgets',
+      budgetStatus: 'GET /api/budgets/status',
+      alerts: 'GET /api/alerts',
+      alertRules: 'GET /api/alert-rules',
+      mappings: 'GET /api/mappings',
+      rules: 'GET /api/rules',
+      statements: 'POST /api/statements',
+      bankTransactions: 'GET /api/bank-transactions'
     }
   });
 });
@@ -113,7 +257,23 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Upload receipt endpoint
+/**
+ * Create a pending receipt for an uploaded file and queue its processing
+ */
+async function queueReceiptUpload(file, userId) {
+  const receipt = await firestoreService.createPendingReceipt({
+    filename: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    uploadedAt: new Date().toISOString()
+  }, userId);
+
+  const job = await jobQueue.enqueue('process_receipt', { receiptId: receipt.id, userId, file }, { userId });
+
+  return { receipt, job };
+}
+
+// Upload receipt endpoint: the receipt is created pending and processed in the background
 app.post('/api/receipts/upload', verifyToken, uploadRateLimit, upload.single('receipt'), async (req, res) => {
   try {
     if (!req.file) {
@@ -123,94 +283,216 @@ app.post('/api/receipts/upload', verifyToken, uploadRateLimit, upload.single('re
       });
     }
 
-    logger.info('Processing receipt upload', {
+    // Reject files that are not receipts before queueing anything
+    if (!detectContentType(req.file.buffer)) {
+      return res.status(400).json({ 
+        error: 'Invalid document: unsupported file type',
+        code: 'INVALID_FILE'
+      });
+    }
+
+    const { receipt, job } = await queueReceiptUpload(req.file, req.user.uid);
+
+    logger.info('Receipt upload queued', {
       userId: req.user.uid,
       filename: req.file.originalname,
-      size: req.file.size
+      size: req.file.size,
+      receiptId: receipt.id,
+      jobId: job.id
     });
 
-    // Initialize storage bucket if needed
-    await visionService.initializeBucket();
+    res.status(202).json({
+      success: true,
+      receipt,
+      job
+    });
 
-    // Save image to Cloud Storage
-    const imageData = await visionService.saveReceiptImage(
-      req.file.buffer, 
-      req.file.originalname
-    );
+  } catch (error) {
+    logger.error('Receipt upload error', {
+      userId: req.user?.uid,
+      error: error.message,
+      stack: error.stack
+    });
 
-    // Extract text using Vision API
-    const textResult = await visionService.extractText(req.file.buffer);
-    
-    // Parse receipt data
-    const parsedData = visionService.parseReceiptData(textResult);
-    
-    // Add image metadata
-    const receiptData = {
-      ...parsedData,
-      filename: req.file.originalname,
-      imageUrl: imageData.url,
-      imagePath: imageData.fileName,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      uploadedAt: new Date().toISOString()
-    };
+    const { statusCode, code, message } = describeProcessingError(error);
+
+    res.status(statusCode).json({ 
+      error: message,
+      code
+    });
+  }
+});
+
+// Batch upload: many files and/or zip archives, each reported on its own
+app.post('/api/receipts/upload/batch', verifyToken, batchUploadRateLimit, batchUpload.array('receipts'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ 
+        error: 'No files uploaded',
+        code: 'NO_FILE'
+      });
+    }
 
-    // Save to Firestore
-    const savedReceipt = await firestoreService.saveReceipt(receiptData, req.user.uid);
+    const items = expandUploads(req.files, {
+      maxFiles: config.upload.batch.maxFiles,
+      maxFileSize: config.upload.maxFileSize,
+      maxInflatedSize: config.upload.batch.maxInflatedSize
+    });
 
-    logger.info('Receipt processed successfully', {
+    logger.info('Processing batch upload', {
       userId: req.user.uid,
-      receiptId: savedReceipt.id,
-      vendor: savedReceipt.vendor,
-      total: savedReceipt.total
+      files: req.files.length,
+      receipts: items.length
     });
 
-    res.json({
-      success: true,
-      receipt: savedReceipt
+    const results = await mapWithConcurrency(items, config.upload.batch.concurrency, async (item, index) => {
+      const result = { index, filename: item.filename, archive: item.archive };
+
+      if (item.error) {
+        return { ...result, status: 'failed', error: item.error };
+      }
+
+      if (!detectContentType(item.file.buffer)) {
+        return {
+          ...result,
+          status: 'failed',
+          error: { code: 'INVALID_FILE', message: 'Invalid document: unsupported file type' }
+        };
+      }
+
+      try {
+        const { receipt, job } = await queueReceiptUpload(item.file, req.user.uid);
+        return { ...result, status: 'queued', receiptId: receipt.id, jobId: job.id };
+      } catch (error) {
+        logger.error('Batch receipt error', {
+          userId: req.user.uid,
+          filename: item.filename,
+          error: error.message
+        });
+
+        const { code, message } = describeProcessingError(error);
+        return { ...result, status: 'failed', error: { code, message } };
+      }
+    });
+
+    const queued = results.filter(result => result.status === 'queued').length;
+
+    logger.info('Batch upload queued', {
+      userId: req.user.uid,
+      queued,
+      failed: results.length - queued
     });
 
+    res.status(202).json({
+      success: queued === results.length,
+      summary: {
+        total: results.length,
+        queued,
+        failed: results.length - queued
+      },
+      results
+    });
   } catch (error) {
-    logger.error('Receipt upload error', {
+    logger.error('Batch upload error', {
       userId: req.user?.uid,
-      error: error.message,
-      stack: error.stack
+      error: error.message
     });
 
-    let statusCode = 500;
-    let errorCode = 'PROCESSING_ERROR';
-    let message = 'Failed to process receipt';
+    if (error.message.startsWith('Invalid batch size')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
 
-    if (error.message.includes('Vision API')) {
-      errorCode = 'OCR_ERROR';
-      message = 'Failed to extract text from image';
-    } else if (error.message.includes('storage')) {
-      errorCode = 'STORAGE_ERROR';
-      message = 'Failed to save image';
-    } else if (error.message.includes('database')) {
-      errorCode = 'DATABASE_ERROR';
-      message = 'Failed to save receipt data';
+    if (error.message.startsWith('Invalid batch')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'TOO_MANY_FILES'
+      });
     }
 
-    res.status(statusCode).json({ 
-      error: message,
-      code: errorCode
+    res.status(500).json({ 
+      error: 'Failed to process batch upload',
+      code: 'PROCESSING_ERROR'
+    });
+  }
+});
+
+// Get the status of a background job
+app.get('/api/jobs/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id, req.user.uid);
+    res.json({ job });
+  } catch (error) {
+    logger.error('Get job error', {
+      userId: req.user.uid,
+      jobId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Job not found') {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to fetch job',
+      code: 'FETCH_ERROR'
     });
   }
 });
 
+// Stream the user's events (receipt processed/failed/updated/deleted, alerts).
+// EventSource cannot set headers, so the token may also come as ?token=
+app.get('/api/events', tokenFromQuery, verifyToken, apiRateLimit, (req, res) => {
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+  const unsubscribe = eventBroker.subscribe(req.user.uid, res, lastEventId);
+
+  logger.info('Event stream opened', {
+    userId: req.user.uid,
+    lastEventId,
+    connections: eventBroker.connectionCount(req.user.uid)
+  });
+
+  req.on('close', () => {
+    unsubscribe();
+    logger.info('Event stream closed', { userId: req.user.uid });
+  });
+});
+
+// Receipt listing filters and sort of a query string, shared by the listing and exports
+function receiptFilters(query) {
+  return {
+    sort: query.sort,
+    order: query.order,
+    category: query.category,
+    startDate: query.startDate,
+    endDate: query.endDate,
+    minAmount: query.minAmount ? parseFloat(query.minAmount) : undefined,
+    maxAmount: query.maxAmount ? parseFloat(query.maxAmount) : undefined,
+    vendorKey: query.vendorKey,
+    tag: query.tag,
+    search: query.search
+  };
+}
+
 // Get all receipts
 app.get('/api/receipts', verifyToken, apiRateLimit, async (req, res) => {
   try {
     const options = {
+      ...receiptFilters(req.query),
       limit: parseInt(req.query.limit) || 20,
-      offset: parseInt(req.query.offset) || 0,
-      category: req.query.category,
-      startDate: req.query.startDate,
-      endDate: req.query.endDate,
-      minAmount: req.query.minAmount ? parseFloat(req.query.minAmount) : undefined,
-      maxAmount: req.query.maxAmount ? parseFloat(req.query.maxAmount) : undefined,
-      search: req.query.search
+      cursor: req.query.cursor
     };
 
     const result = await firestoreService.getReceipts(req.user.uid, options);
@@ -221,6 +503,13 @@ app.get('/api/receipts', verifyToken, apiRateLimit, async (req, res) => {
       userId: req.user.uid,
       error: error.message
     });
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_QUERY'
+      });
+    }
     
     res.status(500).json({ 
       error: 'Failed to fetch receipts',
@@ -229,111 +518,167 @@ app.get('/api/receipts', verifyToken, apiRateLimit, async (req, res) => {
   }
 });
 
-// Get single receipt
-app.get('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
+// Export receipts as CSV (?rows=receipts|items, ?delimiter=, or ;), XLSX or JSON
+// with the filters of GET /api/receipts. Exports are streamed as they are read.
+app.get('/api/export', verifyToken, exportRateLimit, async (req, res) => {
+  const options = {
+    format: req.query.format,
+    rows: req.query.rows,
+    delimiter: req.query.delimiter
+  };
+
   try {
-    const receipt = await firestoreService.getReceipt(req.params.id, req.user.uid);
-    res.json({ receipt });
+    const { contentType, fileName } = exportService.describeExport(options);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const count = await exportService.exportReceipts(req.user.uid, receiptFilters(req.query), options, res);
+
+    logger.info('Receipts exported', {
+      userId: req.user.uid,
+      format: options.format || 'csv',
+      count
+    });
   } catch (error) {
-    logger.error('Get receipt error', {
+    logger.error('Export error', {
       userId: req.user.uid,
-      receiptId: req.params.id,
       error: error.message
     });
 
-    if (error.message === 'Receipt not found') {
-      return res.status(404).json({ 
-        error: 'Receipt not found',
-        code: 'NOT_FOUND'
-      });
+    // Part of the file was sent: cut the download short so it is not taken as complete
+    if (res.headersSent) {
+      return res.destroy(error);
     }
 
-    if (error.message === 'Access denied') {
-      return res.status(403).json({ 
-        error: 'Access denied',
-        code: 'ACCESS_DENIED'
+    // Nothing was sent: answer with JSON instead of the announced file
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_QUERY'
       });
     }
 
     res.status(500).json({ 
-      error: 'Failed to fetch receipt',
+      error: 'Failed to export receipts',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+// Receipts needing human review
+app.get('/api/receipts/review', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await reviewService.getReviewQueue(req.user.uid, {
+      limit: parseInt(req.query.limit) || 50,
+      reason: req.query.reason
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Review queue error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch review queue',
       code: 'FETCH_ERROR'
     });
   }
 });
 
-// Update receipt
-app.put('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
+// Confirm reviewed receipts, with optional corrections
+app.post('/api/receipts/review/confirm', verifyToken, apiRateLimit, async (req, res) => {
   try {
-    const { vendor, total, category, date, items, verified } = req.body;
-    
-    const updateData = {};
-    if (vendor !== undefined) updateData.vendor = vendor;
-    if (total !== undefined) updateData.total = parseFloat(total);
-    if (category !== undefined) updateData.category = category;
-    if (date !== undefined) updateData.date = date;
-    if (items !== undefined) updateData.items = items;
-    if (verified !== undefined) updateData.verified = verified;
+    const { receipts } = req.body;
 
-    const receipt = await firestoreService.updateReceipt(
-      req.params.id, 
-      updateData, 
-      req.user.uid
-    );
+    if (!Array.isArray(receipts) || receipts.length === 0 || receipts.some(item => !item || !item.id)) {
+      return res.status(400).json({ 
+        error: 'A non-empty receipts array with ids is required',
+        code: 'INVALID_REQUEST'
+      });
+    }
 
-    logger.info('Receipt updated', {
+    const results = await reviewService.confirmReceipts(req.user.uid, receipts);
+
+    logger.info('Receipts confirmed', {
       userId: req.user.uid,
-      receiptId: req.params.id,
-      updates: Object.keys(updateData)
+      confirmed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length
     });
 
-    res.json({ receipt });
+    res.json({ results });
   } catch (error) {
-    logger.error('Update receipt error', {
+    logger.error('Confirm receipts error', {
       userId: req.user.uid,
-      receiptId: req.params.id,
       error: error.message
     });
 
-    if (error.message === 'Receipt not found') {
-      return res.status(404).json({ 
-        error: 'Receipt not found',
-        code: 'NOT_FOUND'
-      });
-    }
-
-    if (error.message === 'Access denied') {
-      return res.status(403).json({ 
-        error: 'Access denied',
-        code: 'ACCESS_DENIED'
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_REQUEST'
       });
     }
 
     res.status(500).json({ 
-      error: 'Failed to update receipt',
+      error: 'Failed to confirm receipts',
       code: 'UPDATE_ERROR'
     });
   }
 });
 
-// Delete receipt
-app.delete('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
+// Scan the user's receipts for groups that look like the same ticket
+app.get('/api/receipts/duplicates', verifyToken, apiRateLimit, async (req, res) => {
   try {
-    await firestoreService.deleteReceipt(req.params.id, req.user.uid);
+    const result = await duplicateService.scanDuplicates(req.user.uid, {
+      limit: parseInt(req.query.limit) || undefined
+    });
 
-    logger.info('Receipt deleted', {
+    res.json(result);
+  } catch (error) {
+    logger.error('Duplicate scan error', {
       userId: req.user.uid,
-      receiptId: req.params.id
+      error: error.message
     });
 
-    res.json({ success: true });
+    res.status(500).json({ 
+      error: 'Failed to scan for duplicate receipts',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Resolve a possible duplicate: keep it, merge it into the original or discard it
+app.post('/api/receipts/:id/duplicate', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { action, duplicateOf } = req.body;
+    const result = await duplicateService.resolveDuplicate(req.user.uid, req.params.id, action, duplicateOf);
+
+    logger.info('Duplicate resolved', {
+      userId: req.user.uid,
+      receiptId: req.params.id,
+      action
+    });
+
+    res.json({ success: true, ...result });
   } catch (error) {
-    logger.error('Delete receipt error', {
+    logger.error('Resolve duplicate error', {
       userId: req.user.uid,
       receiptId: req.params.id,
       error: error.message
     });
 
+    if (error.message.startsWith('Invalid duplicate')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
     if (error.message === 'Receipt not found') {
       return res.status(404).json({ 
         error: 'Receipt not found',
@@ -349,68 +694,1532 @@ app.delete('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
     }
 
     res.status(500).json({ 
-      error: 'Failed to delete receipt',
-      code: 'DELETE_ERROR'
+      error: 'Failed to resolve duplicate',
+      code: 'UPDATE_ERROR'
     });
   }
 });
 
-// Get analytics
-app.get('/api/analytics', verifyToken, apiRateLimit, async (req, res) => {
+// Receipts without a bank charge in the imported statements
+app.get('/api/receipts/unmatched', verifyToken, apiRateLimit, async (req, res) => {
   try {
-    const options = {
-      period: req.query.period || 'month',
-      startDate: req.query.startDate,
-      endDate: req.query.endDate
-    };
+    const receipts = await reconciliationService.getUnmatchedReceipts(req.user.uid, {
+      limit: parseInt(req.query.limit) || 100
+    });
 
-    const analytics = await firestoreService.getAnalytics(req.user.uid, options);
-    res.json(analytics);
+    res.json({ receipts, count: receipts.length });
   } catch (error) {
-    logger.error('Analytics error', {
+    logger.error('Unmatched receipts error', {
       userId: req.user.uid,
       error: error.message
     });
-    
+
     res.status(500).json({ 
-      error: 'Failed to fetch analytics',
-      code: 'ANALYTICS_ERROR'
+      error: 'Failed to fetch unmatched receipts',
+      code: 'FETCH_ERROR'
     });
   }
 });
 
-// Get user profile
-app.get('/api/profile', verifyToken, apiRateLimit, async (req, res) => {
+// Get single receipt
+app.get('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
   try {
-    const profile = await firestoreService.getUserProfile(req.user.uid);
-    res.json({ profile });
+    const receipt = await firestoreService.getReceipt(req.params.id, req.user.uid);
+    res.json({ receipt });
   } catch (error) {
-    logger.error('Profile error', {
+    logger.error('Get receipt error', {
       userId: req.user.uid,
+      receiptId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Receipt not found') {
+      return res.status(404).json({ 
+        error: 'Receipt not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to fetch receipt',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Image links of local storage carry an expiring signature instead of a token
+function verifyImageAccess(req, res, next) {
+  if (req.query.signature === undefined) {
+    return verifyToken(req, res, next);
+  }
+
+  const result = verifyImageSignature(config.storage.signingSecret, { ...req.query, receiptId: req.params.id });
+  if (result !== 'valid') {
+    return res.status(403).json({ 
+      error: result === 'expired' ? 'Image link has expired' : 'Invalid image link',
+      code: result === 'expired' ? 'LINK_EXPIRED' : 'INVALID_SIGNATURE'
+    });
+  }
+
+  req.user = { uid: req.query.uid };
+  next();
+}
+
+// Get the stored image or PDF of a receipt
+app.get('/api/receipts/:id/image', verifyImageAccess, apiRateLimit, async (req, res) => {
+  try {
+    const receipt = await firestoreService.getReceipt(req.params.id, req.user.uid);
+
+    if (!receipt.imagePath) {
+      throw new Error('Receipt image not found');
+    }
+
+    const image = await visionService.getReceiptImage(receipt.imagePath);
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Content-Length': image.buffer.length,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(image.buffer);
+  } catch (error) {
+    logger.error('Get receipt image error', {
+      userId: req.user.uid,
+      receiptId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Receipt not found' || error.message === 'Receipt image not found') {
+      return res.status(404).json({ 
+        error: error.message,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to fetch receipt image',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Update receipt
+app.put('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { vendor, total, category, date, items, tags, currency, verified } = req.body;
+
+    if (currency !== undefined && !isCurrencyCode(currency)) {
+      return res.status(400).json({ 
+        error: 'Invalid currency',
+        code: 'INVALID_CURRENCY'
+      });
+    }
+    
+    let updateData = {};
+    if (vendor !== undefined) updateData.vendor = vendor;
+    if (total !== undefined) updateData.total = parseFloat(total);
+    if (category !== undefined) updateData.category = category;
+    if (date !== undefined) updateData.date = date;
+    if (items !== undefined) updateData.items = items;
+    if (tags !== undefined) updateData.tags = tags;
+    if (verified !== undefined) updateData.verified = verified;
+
+    // A corrected currency needs a new rate into the base currency
+    if (currency !== undefined) {
+      const existing = await firestoreService.getReceipt(req.params.id, req.user.uid);
+      const converted = await exchangeRateService.convertReceipt(
+        { ...existing, ...updateData, currency: currency.toUpperCase() },
+        existing.baseCurrency || (await getUserSettings(req.user.uid)).baseCurrency
+      );
+      const { baseCurrency, exchangeRate, exchangeRateDate, baseTotal } = converted;
+      updateData = { ...updateData, currency: converted.currency, baseCurrency, exchangeRate, exchangeRateDate, baseTotal };
+    }
+
+    const receipt = await firestoreService.updateReceipt(
+      req.params.id, 
+      updateData, 
+      req.user.uid,
+      { source: 'user' }
+    );
+
+    logger.info('Receipt updated', {
+      userId: req.user.uid,
+      receiptId: req.params.id,
+      updates: Object.keys(updateData)
+    });
+
+    res.json({ receipt });
+  } catch (error) {
+    logger.error('Update receipt error', {
+      userId: req.user.uid,
+      receiptId: req.params.id,
+      error: error.message
+    });
+
+    // Uploads are edited once processing settles them
+    if (error.message.startsWith('Invalid receipt status')) {
+      return res.status(409).json({ 
+        error: error.message,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    if (error.message === 'Receipt not found') {
+      return res.status(404).json({ 
+        error: 'Receipt not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update receipt',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete receipt
+app.delete('/api/receipts/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    await firestoreService.deleteReceipt(req.params.id, req.user.uid);
+
+    logger.info('Receipt deleted', {
+      userId: req.user.uid,
+      receiptId: req.params.id
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete receipt error', {
+      userId: req.user.uid,
+      receiptId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Receipt not found') {
+      return res.status(404).json({ 
+        error: 'Receipt not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to delete receipt',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// Get analytics
+app.get('/api/analytics', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const options = {
+      period: req.query.period || 'month',
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      baseCurrency: (await getUserSettings(req.user.uid)).baseCurrency
+    };
+
+    // ?rollup=parent folds subcategories into their parent category
+    if (req.query.rollup === 'parent') {
+      options.categoryParents = await categoryService.getParentMap(req.user.uid);
+    }
+
+    const analytics = await firestoreService.getAnalytics(req.user.uid, options);
+    res.json(analytics);
+  } catch (error) {
+    logger.error('Analytics error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch analytics',
+      code: 'ANALYTICS_ERROR'
+    });
+  }
+});
+
+// Get vendors grouped by tax ID or normalised name
+app.get('/api/vendors', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const vendors = await firestoreService.getVendors(req.user.uid);
+    res.json({ vendors });
+  } catch (error) {
+    logger.error('Vendors error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch vendors',
+      code: 'VENDORS_ERROR'
+    });
+  }
+});
+
+// Get user profile
+app.get('/api/profile', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const profile = await firestoreService.getUserProfile(req.user.uid);
+    res.json({ profile });
+  } catch (error) {
+    logger.error('Profile error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+    
+    res.status(500).json({ 
+      error: 'Failed to fetch profile',
+      code: 'PROFILE_ERROR'
+    });
+  }
+});
+
+// Update user preferences
+app.put('/api/profile', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { currency, language, locale, defaultCategory } = req.body.preferences || {};
+
+    const preferences = {};
+    if (currency !== undefined) preferences.currency = currency;
+    if (language !== undefined) preferences.language = language;
+    if (locale !== undefined) preferences.locale = locale;
+    if (defaultCategory !== undefined) preferences.defaultCategory = defaultCategory;
+
+    const { baseCurrency: previousBase } = await getUserSettings(req.user.uid);
+    const profile = await firestoreService.updatePreferences(req.user.uid, preferences);
+
+    // Amounts already saved move to the new base currency, so totals never mix currencies
+    let rebasedReceipts = 0;
+    if (currency !== undefined) {
+      rebasedReceipts = await firestoreService.rebaseReceipts(
+        req.user.uid,
+        profile.preferences.currency,
+        previousBase,
+        (receipt, baseCurrency) => exchangeRateService.convertReceipt(receipt, baseCurrency)
+      );
+    }
+
+    res.json({ profile, rebasedReceipts });
+  } catch (error) {
+    logger.error('Update profile error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid preference')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_PREFERENCES'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update profile',
+      code: 'PROFILE_ERROR'
+    });
+  }
+});
+
+// Get categories: the user's own when signed in, else the built-in taxonomy
+app.get('/api/categories', optionalAuth, async (req, res) => {
+  try {
+    const categories = req.user
+      ? await categoryService.getCategories(req.user.uid, { includeArchived: req.query.includeArchived === 'true' })
+      : await firestoreService.getCategories();
+
+    if (req.query.view === 'tree') {
+      return res.json({ categories: categoryService.buildTree(categories) });
+    }
+
+    res.json({ categories });
+  } catch (error) {
+    logger.error('Categories error', {
+      userId: req.user?.uid,
       error: error.message
     });
     
     res.status(500).json({ 
-      error: 'Failed to fetch profile',
-      code: 'PROFILE_ERROR'
+      error: 'Failed to fetch categories',
+      code: 'CATEGORIES_ERROR'
+    });
+  }
+});
+
+// Create custom category
+app.post('/api/categories', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { name, icon, color, parentId, keywords } = req.body;
+
+    const category = await categoryService.createCategory(
+      { name, icon, color, parentId, keywords },
+      req.user.uid
+    );
+
+    logger.info('Category created', {
+      userId: req.user.uid,
+      categoryId: category.id
+    });
+
+    res.status(201).json({ category });
+  } catch (error) {
+    logger.error('Create category error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid category')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_CATEGORY'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to create category',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update category (name, icon, colour, parent, keywords)
+app.put('/api/categories/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { name, icon, color, parentId, keywords } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (icon !== undefined) updateData.icon = icon;
+    if (color !== undefined) updateData.color = color;
+    if (parentId !== undefined) updateData.parentId = parentId || null;
+    if (keywords !== undefined) updateData.keywords = keywords;
+
+    const result = await categoryService.updateCategory(req.params.id, updateData, req.user.uid);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Update category error', {
+      userId: req.user.uid,
+      categoryId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid category')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_CATEGORY'
+      });
+    }
+
+    if (error.message === 'Category not found') {
+      return res.status(404).json({ 
+        error: 'Category not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update category',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Archive category and its subcategories, reassigning their receipts
+app.post('/api/categories/:id/archive', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await categoryService.archiveCategory(req.params.id, req.user.uid, req.body.reassignTo);
+
+    logger.info('Category archived', {
+      userId: req.user.uid,
+      categoryId: req.params.id,
+      receipts: result.reassigned.receipts
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Archive category error', {
+      userId: req.user.uid,
+      categoryId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid category')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_CATEGORY'
+      });
+    }
+
+    if (error.message === 'Category not found') {
+      return res.status(404).json({ 
+        error: 'Category not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to archive category',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Merge category into another
+app.post('/api/categories/:id/merge', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await categoryService.mergeCategories(req.params.id, req.body.targetId, req.user.uid);
+
+    logger.info('Category merged', {
+      userId: req.user.uid,
+      categoryId: req.params.id,
+      targetId: result.mergedInto,
+      receipts: result.reassigned.receipts
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Merge category error', {
+      userId: req.user.uid,
+      categoryId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid category')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_CATEGORY'
+      });
+    }
+
+    if (error.message === 'Category not found') {
+      return res.status(404).json({ 
+        error: 'Category not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to merge categories',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// List budgets
+app.get('/api/budgets', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const budgets = await firestoreService.getBudgets(req.user.uid);
+    res.json({ budgets });
+  } catch (error) {
+    logger.error('Get budgets error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch budgets',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create budget
+app.post('/api/budgets', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { name, category, period, amount } = req.body;
+
+    const budget = await firestoreService.createBudget(
+      { name, category, period, amount },
+      req.user.uid
+    );
+
+    logger.info('Budget created', {
+      userId: req.user.uid,
+      budgetId: budget.id,
+      category: budget.category,
+      period: budget.period
+    });
+
+    res.status(201).json({ budget });
+  } catch (error) {
+    logger.error('Create budget error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid budget')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_BUDGET'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to create budget',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Budget status for the current period
+app.get('/api/budgets/status', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const categoryParents = await categoryService.getParentMap(req.user.uid);
+    const budgets = await firestoreService.getBudgetStatus(req.user.uid, new Date(), categoryParents);
+    res.json({ budgets });
+  } catch (error) {
+    logger.error('Budget status error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to calculate budget status',
+      code: 'BUDGET_STATUS_ERROR'
+    });
+  }
+});
+
+// Get single budget
+app.get('/api/budgets/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const budget = await firestoreService.getBudget(req.params.id, req.user.uid);
+    res.json({ budget });
+  } catch (error) {
+    logger.error('Get budget error', {
+      userId: req.user.uid,
+      budgetId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ 
+        error: 'Budget not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to fetch budget',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Update budget
+app.put('/api/budgets/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { name, category, period, amount } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (category !== undefined) updateData.category = category;
+    if (period !== undefined) updateData.period = period;
+    if (amount !== undefined) updateData.amount = amount;
+
+    const budget = await firestoreService.updateBudget(
+      req.params.id,
+      updateData,
+      req.user.uid
+    );
+
+    logger.info('Budget updated', {
+      userId: req.user.uid,
+      budgetId: req.params.id,
+      updates: Object.keys(updateData)
+    });
+
+    res.json({ budget });
+  } catch (error) {
+    logger.error('Update budget error', {
+      userId: req.user.uid,
+      budgetId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid budget')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_BUDGET'
+      });
+    }
+
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ 
+        error: 'Budget not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update budget',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete budget
+app.delete('/api/budgets/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    await firestoreService.deleteBudget(req.params.id, req.user.uid);
+
+    logger.info('Budget deleted', {
+      userId: req.user.uid,
+      budgetId: req.params.id
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete budget error', {
+      userId: req.user.uid,
+      budgetId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ 
+        error: 'Budget not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to delete budget',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// List alerts
+app.get('/api/alerts', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const alerts = await alertService.getAlerts(req.user.uid, {
+      unreadOnly: req.query.unread === 'true',
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({ alerts });
+  } catch (error) {
+    logger.error('Get alerts error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch alerts',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Mark all alerts as read
+app.post('/api/alerts/read-all', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await alertService.markAllAlertsRead(req.user.uid);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Mark alerts read error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to update alerts',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Update alert read state
+app.put('/api/alerts/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const read = req.body.read !== undefined ? Boolean(req.body.read) : true;
+    const alert = await alertService.markAlertRead(req.params.id, req.user.uid, read);
+
+    res.json({ alert });
+  } catch (error) {
+    logger.error('Update alert error', {
+      userId: req.user.uid,
+      alertId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Alert not found') {
+      return res.status(404).json({ 
+        error: 'Alert not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update alert',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// List alert rules
+app.get('/api/alert-rules', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const rules = await alertService.getRules(req.user.uid);
+    res.json({ rules });
+  } catch (error) {
+    logger.error('Get alert rules error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch alert rules',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create alert rule
+app.post('/api/alert-rules', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { type, threshold, budgetId, category, enabled } = req.body;
+
+    const rule = await alertService.createRule(
+      { type, threshold, budgetId, category, enabled },
+      req.user.uid
+    );
+
+    logger.info('Alert rule created', {
+      userId: req.user.uid,
+      ruleId: rule.id,
+      type: rule.type
+    });
+
+    res.status(201).json({ rule });
+  } catch (error) {
+    logger.error('Create alert rule error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid alert rule')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_ALERT_RULE'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to create alert rule',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update alert rule
+app.put('/api/alert-rules/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { threshold, budgetId, category, enabled } = req.body;
+
+    const updateData = {};
+    if (threshold !== undefined) updateData.threshold = threshold;
+    if (budgetId !== undefined) updateData.budgetId = budgetId;
+    if (category !== undefined) updateData.category = category;
+    if (enabled !== undefined) updateData.enabled = Boolean(enabled);
+
+    const rule = await alertService.updateRule(req.params.id, updateData, req.user.uid);
+
+    res.json({ rule });
+  } catch (error) {
+    logger.error('Update alert rule error', {
+      userId: req.user.uid,
+      ruleId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid alert rule')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_ALERT_RULE'
+      });
+    }
+
+    if (error.message === 'Alert rule not found') {
+      return res.status(404).json({ 
+        error: 'Alert rule not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update alert rule',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete alert rule
+app.delete('/api/alert-rules/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    await alertService.deleteRule(req.params.id, req.user.uid);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete alert rule error', {
+      userId: req.user.uid,
+      ruleId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Alert rule not found') {
+      return res.status(404).json({ 
+        error: 'Alert rule not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to delete alert rule',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// Get learned vendor/category mappings
+app.get('/api/mappings', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const mappings = await learningService.getMappings(req.user.uid, req.query.type);
+    res.json({ mappings });
+  } catch (error) {
+    logger.error('Get mappings error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch mappings',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create mapping
+app.post('/api/mappings', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { type, match, value } = req.body;
+
+    const mapping = await learningService.createMapping({ type, match, value }, req.user.uid);
+
+    logger.info('Mapping created', {
+      userId: req.user.uid,
+      mappingId: mapping.id,
+      type: mapping.type
+    });
+
+    res.status(201).json({ mapping });
+  } catch (error) {
+    logger.error('Create mapping error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid mapping')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_MAPPING'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to create mapping',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update mapping
+app.put('/api/mappings/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const mapping = await learningService.updateMapping(
+      req.params.id,
+      { value: req.body.value },
+      req.user.uid
+    );
+
+    res.json({ mapping });
+  } catch (error) {
+    logger.error('Update mapping error', {
+      userId: req.user.uid,
+      mappingId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid mapping')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_MAPPING'
+      });
+    }
+
+    if (error.message === 'Mapping not found') {
+      return res.status(404).json({ 
+        error: 'Mapping not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update mapping',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete mapping
+app.delete('/api/mappings/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    await learningService.deleteMapping(req.params.id, req.user.uid);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete mapping error', {
+      userId: req.user.uid,
+      mappingId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Mapping not found') {
+      return res.status(404).json({ 
+        error: 'Mapping not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to delete mapping',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// Get categorisation rules in evaluation order
+app.get('/api/rules', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const rules = await rulesService.getRules(req.user.uid);
+    res.json({ rules });
+  } catch (error) {
+    logger.error('Get rules error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch rules',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create rule, optionally applying it to existing receipts
+app.post('/api/rules', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { name, priority, enabled, conditions, category, tags, applyRetroactively } = req.body;
+
+    const rule = await rulesService.createRule(
+      { name, priority, enabled, conditions, category, tags },
+      req.user.uid
+    );
+
+    const applied = applyRetroactively
+      ? await rulesService.applyRule(rule.id, req.user.uid)
+      : undefined;
+
+    logger.info('Rule created', {
+      userId: req.user.uid,
+      ruleId: rule.id,
+      applied: applied?.updated
+    });
+
+    res.status(201).json({ rule, applied });
+  } catch (error) {
+    logger.error('Create rule error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid rule')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_RULE'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to create rule',
+      code: 'CREATE_ERROR'
     });
   }
 });
 
-// Get categories
-app.get('/api/categories', optionalAuth, async (req, res) => {
+// Preview which existing receipts a rule (saved via ruleId, or unsaved) would change
+app.post('/api/rules/dry-run', verifyToken, apiRateLimit, async (req, res) => {
   try {
-    const categories = await firestoreService.getCategories();
-    res.json({ categories });
+    const { ruleId, conditions, category, tags } = req.body;
+
+    const rule = ruleId
+      ? await rulesService.getRule(ruleId, req.user.uid)
+      : { conditions, category, tags };
+
+    const result = await rulesService.dryRun(rule, req.user.uid);
+
+    res.json(result);
   } catch (error) {
-    logger.error('Categories error', {
-      userId: req.user?.uid,
+    logger.error('Rule dry run error', {
+      userId: req.user.uid,
       error: error.message
     });
-    
+
+    if (error.message.startsWith('Invalid rule')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_RULE'
+      });
+    }
+
+    if (error.message === 'Rule not found') {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
     res.status(500).json({ 
-      error: 'Failed to fetch categories',
-      code: 'CATEGORIES_ERROR'
+      error: 'Failed to evaluate rule',
+      code: 'DRY_RUN_ERROR'
+    });
+  }
+});
+
+// Apply a saved rule to existing receipts
+app.post('/api/rules/:id/apply', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await rulesService.applyRule(req.params.id, req.user.uid);
+
+    logger.info('Rule applied', {
+      userId: req.user.uid,
+      ruleId: req.params.id,
+      updated: result.updated
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Apply rule error', {
+      userId: req.user.uid,
+      ruleId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid rule')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_RULE'
+      });
+    }
+
+    if (error.message === 'Rule not found') {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to apply rule',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Update rule
+app.put('/api/rules/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const { name, priority, enabled, conditions, category, tags } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (priority !== undefined) updateData.priority = priority;
+    if (enabled !== undefined) updateData.enabled = Boolean(enabled);
+    if (conditions !== undefined) updateData.conditions = conditions;
+    if (category !== undefined) updateData.category = category;
+    if (tags !== undefined) updateData.tags = tags;
+
+    const rule = await rulesService.updateRule(req.params.id, updateData, req.user.uid);
+
+    res.json({ rule });
+  } catch (error) {
+    logger.error('Update rule error', {
+      userId: req.user.uid,
+      ruleId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid rule')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_RULE'
+      });
+    }
+
+    if (error.message === 'Rule not found') {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to update rule',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete rule
+app.delete('/api/rules/:id', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    await rulesService.deleteRule(req.params.id, req.user.uid);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete rule error', {
+      userId: req.user.uid,
+      ruleId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message === 'Rule not found') {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to delete rule',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// Import a bank or card statement (CSV, OFX, QIF or Norma 43) and reconcile it with receipts
+app.post('/api/statements', verifyToken, uploadRateLimit, statementUpload.single('statement'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No file uploaded',
+        code: 'NO_FILE'
+      });
+    }
+
+    const { baseCurrency } = await getUserSettings(req.user.uid);
+    const result = await reconciliationService.importStatement(req.user.uid, req.file, { baseCurrency });
+
+    logger.info('Statement imported', {
+      userId: req.user.uid,
+      statementId: result.statement.id,
+      format: result.statement.format,
+      ...result.summary
+    });
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Statement import error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid statement')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_STATEMENT'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to import statement',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
+
+// Imported statements
+app.get('/api/statements', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const statements = await reconciliationService.getStatements(req.user.uid, {
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({ statements, count: statements.length });
+  } catch (error) {
+    logger.error('Get statements error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to fetch statements',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Imported bank transactions, optionally of one status (matched, suggested, missing_receipt, credit)
+app.get('/api/bank-transactions', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const transactions = await reconciliationService.getTransactions(req.user.uid, {
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({ transactions, count: transactions.length });
+  } catch (error) {
+    logger.error('Get bank transactions error', {
+      userId: req.user.uid,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_QUERY'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to fetch bank transactions',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Confirm the suggested receipt of a bank charge, or match it to receiptId
+app.post('/api/bank-transactions/:id/confirm', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await reconciliationService.confirmMatch(req.user.uid, req.params.id, req.body.receiptId || null);
+
+    logger.info('Transaction match confirmed', {
+      userId: req.user.uid,
+      transactionId: req.params.id,
+      receiptId: result.receipt.id
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Confirm match error', {
+      userId: req.user.uid,
+      transactionId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid match')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    if (error.message === 'Transaction not found' || error.message === 'Receipt not found') {
+      return res.status(404).json({ 
+        error: error.message,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to confirm match',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Reject the receipt matched or suggested for a bank charge
+app.post('/api/bank-transactions/:id/reject', verifyToken, apiRateLimit, async (req, res) => {
+  try {
+    const result = await reconciliationService.rejectMatch(req.user.uid, req.params.id);
+
+    logger.info('Transaction match rejected', {
+      userId: req.user.uid,
+      transactionId: req.params.id
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Reject match error', {
+      userId: req.user.uid,
+      transactionId: req.params.id,
+      error: error.message
+    });
+
+    if (error.message.startsWith('Invalid match')) {
+      return res.status(400).json({ 
+        error: error.message,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    if (error.message === 'Transaction not found' || error.message === 'Receipt not found') {
+      return res.status(404).json({ 
+        error: error.message,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to reject match',
+      code: 'UPDATE_ERROR'
     });
   }
 });
@@ -421,6 +2230,9 @@ app.use((error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large' });
     }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: 'Too many files', code: 'TOO_MANY_FILES' });
+    }
   }
   res.status(500).json({ error: error.message || 'Internal server error' });
 });
@@ -430,8 +2242,12 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 NubemDom server running on port ${PORT}`);
-  console.log(`📊 Ready to process your receipts!`);
-});
\ No newline at end of file
+// Start server when run directly; tests import the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 NubemDom server running on port ${PORT}`);
+    console.log(`📊 Ready to process your receipts!`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,388 @@
+const config = require('../config');
+
+// Symbols written after amounts in alert messages; other currencies show their code
+const CURRENCY_SYMBOLS = {
+  EUR: '€',
+  GBP: '£',
+  USD: '$'
+};
+
+// Alerts listed per request at most
+const MAX_PAGE_SIZE = 100;
+
+// Alerts written per batch (Firestore allows 500 writes)
+const WRITE_BATCH_SIZE = 400;
+
+// Rule fields read by a single rule type
+const TYPE_FIELDS = {
+  budgetId: 'budget',
+  category: 'receipt_amount'
+};
+
+function formatAmount(amount, currency) {
+  return `${amount.toFixed(2)} ${CURRENCY_SYMBOLS[currency] || currency}`;
+}
+
+class AlertService {
+  constructor(firestoreService, notifiers = [], options = {}) {
+    this.firestoreService = firestoreService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+    this.notifiers = notifiers;
+    // Amounts are reported in the user's base currency
+    this.getUserSettings = options.getUserSettings || (async () => ({ baseCurrency: config.currency.base }));
+    // Subcategory to parent names, so parent budgets count their subcategories
+    this.getCategoryParents = options.getCategoryParents || (async () => null);
+
+    // Supported rule types:
+    //   budget          - threshold is a percentage of a budget (budgetId null = every budget)
+    //   receipt_amount  - threshold is an amount in the base currency for a single receipt (optionally per category)
+    this.ruleTypes = ['budget', 'receipt_amount'];
+  }
+
+  /**
+   * Validate alert rule fields, throwing on the first invalid one. type is
+   * the rule's type when an update does not carry it.
+   */
+  validateRule(ruleData, partial = false, type = ruleData.type) {
+    if (!partial || ruleData.type !== undefined) {
+      if (!this.ruleTypes.includes(ruleData.type)) {
+        throw new Error('Invalid alert rule type');
+      }
+    }
+
+    if (!partial || ruleData.threshold !== undefined) {
+      const threshold = Number(ruleData.threshold);
+      if (!Number.isFinite(threshold) || threshold <= 0) {
+        throw new Error('Invalid alert rule threshold');
+      }
+    }
+
+    for (const [field, fieldType] of Object.entries(TYPE_FIELDS)) {
+      const value = ruleData[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Invalid alert rule ${field}`);
+      }
+      if (type !== undefined && type !== fieldType) {
+        throw new Error(`Invalid alert rule ${field}: only ${fieldType} rules use it`);
+      }
+    }
+  }
+
+  /**
+   * Create an alert rule for a user
+   */
+  async createRule(ruleData, userId) {
+    this.validateRule(ruleData);
+
+    try {
+      const rule = {
+        userId,
+        type: ruleData.type,
+        threshold: Number(ruleData.threshold),
+        budgetId: ruleData.type === 'budget' ? (ruleData.budgetId || null) : null,
+        category: ruleData.type === 'receipt_amount' ? (ruleData.category || null) : null,
+        enabled: ruleData.enabled !== false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const docRef = await this.db.collection(this.collections.alertRules).add(rule);
+
+      return {
+        id: docRef.id,
+        ...rule
+      };
+    } catch (error) {
+      console.error('Create alert rule error:', error);
+      throw new Error('Failed to save alert rule to database');
+    }
+  }
+
+  /**
+   * Get all alert rules for a user
+   */
+  async getRules(userId) {
+    try {
+      const snapshot = await this.db.collection(this.collections.alertRules)
+        .where('userId', '==', userId)
+        .get();
+
+      const rules = [];
+      snapshot.forEach(doc => {
+        rules.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return rules;
+    } catch (error) {
+      console.error('Get alert rules error:', error);
+      throw new Error('Failed to fetch alert rules from database');
+    }
+  }
+
+  /**
+   * Update an alert rule
+   */
+  async updateRule(ruleId, updateData, userId) {
+    this.validateRule(updateData, true);
+
+    try {
+      const ruleRef = this.db.collection(this.collections.alertRules).doc(ruleId);
+      const doc = await ruleRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Alert rule not found');
+      }
+
+      const rule = doc.data();
+      if (rule.userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      // budgetId and category only where the rule's type reads them
+      this.validateRule(updateData, true, rule.type);
+
+      const updates = {
+        ...updateData,
+        updatedAt: new Date()
+      };
+      if (updates.threshold !== undefined) updates.threshold = Number(updates.threshold);
+
+      await ruleRef.update(updates);
+
+      return {
+        id: ruleId,
+        ...rule,
+        ...updates
+      };
+    } catch (error) {
+      console.error('Update alert rule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an alert rule
+   */
+  async deleteRule(ruleId, userId) {
+    try {
+      const ruleRef = this.db.collection(this.collections.alertRules).doc(ruleId);
+      const doc = await ruleRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Alert rule not found');
+      }
+
+      if (doc.data().userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      await ruleRef.delete();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete alert rule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate a user's rules after a receipt was saved, updated or deleted
+   */
+  async evaluateReceiptChange(change, now = new Date()) {
+    const { userId, receipt } = change;
+    const rules = (await this.getRules(userId)).filter(rule => rule.enabled !== false);
+    const created = [];
+
+    if (rules.length === 0) {
+      return created;
+    }
+
+    const { baseCurrency } = await this.getUserSettings(userId);
+
+    // Single receipt over a fixed amount
+    if (receipt) {
+      for (const rule of rules.filter(r => r.type === 'receipt_amount')) {
+        if (rule.category && rule.category !== receipt.category) continue;
+
+        // Thresholds are in the base currency
+        const amount = this.firestoreService.receiptAmount(receipt);
+        if (amount > rule.threshold) {
+          const alert = await this.createAlert(userId, `receipt_${rule.id}_${receipt.id}`, {
+            type: 'receipt_amount',
+            ruleId: rule.id,
+            receiptId: receipt.id,
+            category: receipt.category || null,
+            threshold: rule.threshold,
+            value: amount,
+            message: `Ticket de ${receipt.vendor || 'Comercio desconocido'} por ${formatAmount(amount, baseCurrency)} supera el límite de ${formatAmount(rule.threshold, baseCurrency)}`
+          });
+          if (alert) created.push(alert);
+        }
+      }
+    }
+
+    // Budget consumption thresholds, at most one alert per rule, budget and period
+    const budgetRules = rules.filter(r => r.type === 'budget');
+    if (budgetRules.length > 0) {
+      const categoryParents = await this.getCategoryParents(userId);
+      const statuses = await this.firestoreService.getBudgetStatus(userId, now, categoryParents);
+
+      for (const rule of budgetRules) {
+        for (const status of statuses) {
+          if (rule.budgetId && rule.budgetId !== status.id) continue;
+          if (status.percentUsed < rule.threshold) continue;
+
+          const alert = await this.createAlert(userId, `budget_${rule.id}_${status.id}_${status.periodStart}`, {
+            type: 'budget',
+            ruleId: rule.id,
+            budgetId: status.id,
+            receiptId: receipt ? receipt.id : null,
+            category: status.category,
+            threshold: rule.threshold,
+            value: status.percentUsed,
+            periodStart: status.periodStart,
+            periodEnd: status.periodEnd,
+            message: `Has alcanzado el ${status.percentUsed}% del presupuesto "${status.name}" (${formatAmount(status.spent, baseCurrency)} de ${formatAmount(status.amount, baseCurrency)})`
+          });
+          if (alert) created.push(alert);
+        }
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Persist an alert under a deterministic key and notify; returns null if it already exists
+   */
+  async createAlert(userId, key, alertData) {
+    const alertRef = this.db.collection(this.collections.alerts).doc(`${userId}_${key}`);
+    const existing = await alertRef.get();
+
+    if (existing.exists) {
+      return null;
+    }
+
+    const alert = {
+      userId,
+      ...alertData,
+      read: false,
+      createdAt: new Date()
+    };
+
+    await alertRef.set(alert);
+
+    const savedAlert = { id: alertRef.id, ...alert };
+
+    for (const notifier of this.notifiers) {
+      try {
+        await notifier.notify(savedAlert);
+      } catch (error) {
+        console.error('Alert notifier error:', error);
+      }
+    }
+
+    return savedAlert;
+  }
+
+  /**
+   * Get alerts for a user, newest first
+   */
+  async getAlerts(userId, options = {}) {
+    try {
+      const { unreadOnly = false, limit = 50 } = options;
+      const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+      let query = this.db.collection(this.collections.alerts)
+        .where('userId', '==', userId);
+
+      if (unreadOnly) {
+        query = query.where('read', '==', false);
+      }
+
+      const snapshot = await query.orderBy('createdAt', 'desc').limit(pageSize).get();
+
+      const alerts = [];
+      snapshot.forEach(doc => {
+        alerts.push({
+          id: doc.id,
+          ...doc.data(),
+          createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt
+        });
+      });
+
+      return alerts;
+    } catch (error) {
+      console.error('Get alerts error:', error);
+      throw new Error('Failed to fetch alerts from database');
+    }
+  }
+
+  /**
+   * Mark a single alert as read or unread
+   */
+  async markAlertRead(alertId, userId, read = true) {
+    try {
+      const alertRef = this.db.collection(this.collections.alerts).doc(alertId);
+      const doc = await alertRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Alert not found');
+      }
+
+      const alert = doc.data();
+      if (alert.userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      const updates = {
+        read,
+        readAt: read ? new Date() : null
+      };
+
+      await alertRef.update(updates);
+
+      return {
+        id: alertId,
+        ...alert,
+        ...updates
+      };
+    } catch (error) {
+      console.error('Mark alert read error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every unread alert of a user as read
+   */
+  async markAllAlertsRead(userId) {
+    try {
+      const snapshot = await this.db.collection(this.collections.alerts)
+        .where('userId', '==', userId)
+        .where('read', '==', false)
+        .get();
+
+      const readAt = new Date();
+      for (let start = 0; start < snapshot.docs.length; start += WRITE_BATCH_SIZE) {
+        const batch = this.db.batch();
+        snapshot.docs.slice(start, start + WRITE_BATCH_SIZE).forEach(doc => {
+          batch.update(doc.ref, { read: true, readAt });
+        });
+        await batch.commit();
+      }
+
+      return { updated: snapshot.size };
+    } catch (error) {
+      console.error('Mark all alerts read error:', error);
+      throw new Error('Failed to update alerts');
+    }
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,407 @@
+const {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORY,
+  normalizeCategoryName
+} = require('./parsers/categories');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_ICON_LENGTH = 16;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+// Documents reassigned per batch (Firestore allows 500 writes)
+const WRITE_BATCH_SIZE = 400;
+
+/**
+ * Per-user category taxonomy (two levels: category › subcategory).
+ *
+ * Each user starts with a copy of the built-in taxonomy and can add, edit,
+ * archive and merge categories. Receipts, budgets and rules reference
+ * categories by name, so renames, merges and archives reassign them.
+ */
+class CategoryService {
+  constructor(firestoreService) {
+    this.firestoreService = firestoreService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+  }
+
+  /**
+   * Copy the built-in taxonomy into a user's categories
+   */
+  async seedCategories(userId) {
+    const now = new Date();
+    const batch = this.db.batch();
+    const categories = [];
+
+    DEFAULT_CATEGORIES.forEach((category, index) => {
+      const id = `${userId}_${category.key}`;
+      const data = {
+        userId,
+        key: category.key,
+        name: category.name,
+        icon: category.icon,
+        color: category.color,
+        parentId: category.parent ? `${userId}_${category.parent}` : null,
+        keywords: category.keywords,
+        order: index,
+        archived: false,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      batch.set(this.db.collection(this.collections.categories).doc(id), data);
+      categories.push({ id, ...data });
+    });
+
+    await batch.commit();
+
+    return categories;
+  }
+
+  /**
+   * Get a user's categories in matching order, seeding them on first use
+   */
+  async getCategories(userId, options = {}) {
+    const { includeArchived = false } = options;
+
+    try {
+      const snapshot = await this.db.collection(this.collections.categories)
+        .where('userId', '==', userId)
+        .get();
+
+      let categories = [];
+      snapshot.forEach(doc => {
+        categories.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      if (categories.length === 0) {
+        categories = await this.seedCategories(userId);
+      }
+
+      return categories
+        .filter(category => includeArchived || !category.archived)
+        .sort((a, b) => a.order - b.order);
+    } catch (error) {
+      console.error('Get categories error:', error);
+      throw new Error('Failed to fetch categories');
+    }
+  }
+
+  /**
+   * Get a single category
+   */
+  async getCategory(categoryId, userId) {
+    const doc = await this.db.collection(this.collections.categories).doc(categoryId).get();
+
+    if (!doc.exists) {
+      throw new Error('Category not found');
+    }
+
+    const category = doc.data();
+    if (category.userId !== userId) {
+      throw new Error('Access denied');
+    }
+
+    return {
+      id: doc.id,
+      ...category
+    };
+  }
+
+  /**
+   * Nest subcategories under their parents
+   */
+  buildTree(categories) {
+    return categories
+      .filter(category => !category.parentId)
+      .map(parent => ({
+        ...parent,
+        children: categories.filter(category => category.parentId === parent.id)
+      }));
+  }
+
+  /**
+   * Map of subcategory name to parent name, for analytics rollups
+   */
+  async getParentMap(userId) {
+    const categories = await this.getCategories(userId, { includeArchived: true });
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const parents = {};
+
+    for (const category of categories) {
+      const parent = category.parentId && byId.get(category.parentId);
+      if (parent) {
+        parents[category.name] = parent.name;
+      }
+    }
+
+    return parents;
+  }
+
+  /**
+   * Validate category fields against the user's other categories
+   */
+  validateCategory(categoryData, categories, current = null) {
+    if (!current || categoryData.name !== undefined) {
+      const name = typeof categoryData.name === 'string' ? categoryData.name.trim() : '';
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new Error('Invalid category name');
+      }
+
+      const taken = categories.some(category =>
+        category.id !== current?.id && normalizeCategoryName(category.name) === normalizeCategoryName(name)
+      );
+      if (taken) {
+        throw new Error('Invalid category name: already in use');
+      }
+    }
+
+    if (categoryData.icon !== undefined &&
+        (typeof categoryData.icon !== 'string' || !categoryData.icon.trim() || categoryData.icon.length > MAX_ICON_LENGTH)) {
+      throw new Error('Invalid category icon');
+    }
+
+    if (categoryData.color !== undefined && !COLOR_PATTERN.test(categoryData.color)) {
+      throw new Error('Invalid category color');
+    }
+
+    if (categoryData.keywords !== undefined &&
+        (!Array.isArray(categoryData.keywords) ||
+          categoryData.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+      throw new Error('Invalid category keywords');
+    }
+
+    if (categoryData.parentId) {
+      const parent = categories.find(category => category.id === categoryData.parentId);
+
+      // Only two levels: the parent must be an active top-level category
+      if (!parent || parent.archived || parent.parentId || parent.id === current?.id) {
+        throw new Error('Invalid category parent');
+      }
+
+      if (current && categories.some(category => category.parentId === current.id && !category.archived)) {
+        throw new Error('Invalid category parent: category has subcategories');
+      }
+    }
+  }
+
+  /**
+   * Create a custom category, optionally as a subcategory
+   */
+  async createCategory(categoryData, userId) {
+    const categories = await this.getCategories(userId, { includeArchived: true });
+    this.validateCategory(categoryData, categories);
+
+    try {
+      const category = {
+        userId,
+        key: null,
+        name: categoryData.name.trim(),
+        icon: categoryData.icon || '🏷️',
+        color: categoryData.color || '#6B7280',
+        parentId: categoryData.parentId || null,
+        keywords: (categoryData.keywords || []).map(keyword => keyword.trim().toLowerCase()),
+        order: categories.reduce((max, existing) => Math.max(max, existing.order), -1) + 1,
+        archived: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const docRef = await this.db.collection(this.collections.categories).add(category);
+
+      return {
+        id: docRef.id,
+        ...category
+      };
+    } catch (error) {
+      console.error('Create category error:', error);
+      throw new Error('Failed to save category to database');
+    }
+  }
+
+  /**
+   * Update a category; renaming it reassigns everything using the old name
+   */
+  async updateCategory(categoryId, updateData, userId) {
+    const categories = await this.getCategories(userId, { includeArchived: true });
+    const current = await this.getCategory(categoryId, userId);
+    this.validateCategory(updateData, categories, current);
+
+    if (current.name === FALLBACK_CATEGORY && updateData.name !== undefined && updateData.name.trim() !== FALLBACK_CATEGORY) {
+      throw new Error('Invalid category: the fallback category cannot be renamed');
+    }
+
+    try {
+      const updates = {
+        ...updateData,
+        updatedAt: new Date()
+      };
+      if (updates.name !== undefined) updates.name = updates.name.trim();
+      if (updates.keywords !== undefined) updates.keywords = updates.keywords.map(keyword => keyword.trim().toLowerCase());
+
+      // References move before the category is renamed, so retrying a failed rename finishes it
+      let reassigned = null;
+      if (updates.name !== undefined && updates.name !== current.name) {
+        reassigned = await this.reassignCategory(userId, current.name, updates.name);
+      }
+
+      await this.db.collection(this.collections.categories).doc(categoryId).update(updates);
+
+      return {
+        category: { ...current, ...updates },
+        reassigned
+      };
+    } catch (error) {
+      console.error('Update category error:', error);
+      throw new Error('Failed to update category');
+    }
+  }
+
+  /**
+   * Move receipts, budgets, rules and learned mappings from one category name
+   * to another, in batches. Only documents still under fromName are read, so
+   * running it again after a failure finishes the move.
+   */
+  async reassignCategory(userId, fromName, toName) {
+    const references = [
+      ['receipts', this.collections.receipts, 'category'],
+      ['budgets', this.collections.budgets, 'category'],
+      ['rules', this.collections.categoryRules, 'category'],
+      ['alertRules', this.collections.alertRules, 'category'],
+      ['mappings', this.collections.vendorMappings, 'value']
+    ];
+    const counts = {};
+
+    for (const [name, collection, field] of references) {
+      const query = this.db.collection(collection)
+        .where('userId', '==', userId)
+        .where(field, '==', fromName)
+        .orderBy('__name__')
+        .limit(WRITE_BATCH_SIZE);
+
+      counts[name] = 0;
+      let lastId = null;
+
+      for (;;) {
+        const snapshot = await (lastId ? query.startAfter(lastId) : query).get();
+        if (snapshot.empty) break;
+
+        // Vendor mappings also map to vendor names; only category mappings are renamed
+        const docs = snapshot.docs.filter(doc => name !== 'mappings' || doc.data().type === 'category');
+        if (docs.length > 0) {
+          const batch = this.db.batch();
+          docs.forEach(doc => {
+            batch.update(doc.ref, { [field]: toName, updatedAt: new Date() });
+          });
+          await batch.commit();
+        }
+
+        counts[name] += docs.length;
+        if (snapshot.size < WRITE_BATCH_SIZE) break;
+        lastId = snapshot.docs[snapshot.size - 1].id;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Archive a category and its subcategories, reassigning their receipts.
+   * Without reassignToId, receipts move to the parent category, else to the fallback.
+   */
+  async archiveCategory(categoryId, userId, reassignToId = null) {
+    const categories = await this.getCategories(userId, { includeArchived: true });
+    const category = await this.getCategory(categoryId, userId);
+
+    if (category.name === FALLBACK_CATEGORY) {
+      throw new Error('Invalid category: the fallback category cannot be archived');
+    }
+
+    const archived = [category, ...categories.filter(existing => existing.parentId === category.id)];
+    const targetId = reassignToId || category.parentId;
+    const target = targetId
+      ? categories.find(existing => existing.id === targetId)
+      : categories.find(existing => existing.name === FALLBACK_CATEGORY);
+
+    if (!target || target.archived || archived.some(existing => existing.id === target.id)) {
+      throw new Error('Invalid category reassignment target');
+    }
+
+    try {
+      const reassigned = { receipts: 0, budgets: 0, rules: 0, alertRules: 0, mappings: 0 };
+
+      // Each category is archived once its references have moved; retrying a failed archive finishes it
+      for (const existing of archived) {
+        const counts = await this.reassignCategory(userId, existing.name, target.name);
+        for (const [name, count] of Object.entries(counts)) {
+          reassigned[name] += count;
+        }
+
+        await this.db.collection(this.collections.categories).doc(existing.id).update({
+          archived: true,
+          archivedAt: new Date(),
+          updatedAt: new Date()
+        });
+      }
+
+      return {
+        archived: archived.map(existing => existing.id),
+        reassignedTo: target.id,
+        reassigned
+      };
+    } catch (error) {
+      console.error('Archive category error:', error);
+      throw new Error('Failed to archive category');
+    }
+  }
+
+  /**
+   * Merge a category into another: reassign everything, move its
+   * subcategories under the target and delete it
+   */
+  async mergeCategories(sourceId, targetId, userId) {
+    if (!targetId) {
+      throw new Error('Invalid category merge target');
+    }
+
+    const source = await this.getCategory(sourceId, userId);
+    const target = await this.getCategory(targetId, userId);
+
+    if (source.id === target.id || target.archived || target.parentId === source.id) {
+      throw new Error('Invalid category merge target');
+    }
+
+    if (source.name === FALLBACK_CATEGORY) {
+      throw new Error('Invalid category: the fallback category cannot be merged');
+    }
+
+    try {
+      const reassigned = await this.reassignCategory(userId, source.name, target.name);
+
+      const children = await this.db.collection(this.collections.categories)
+        .where('userId', '==', userId)
+        .where('parentId', '==', source.id)
+        .get();
+
+      const newParentId = target.parentId || target.id;
+      for (const doc of children.docs) {
+        await doc.ref.update({ parentId: newParentId, updatedAt: new Date() });
+      }
+
+      await this.db.collection(this.collections.categories).doc(source.id).delete();
+
+      return {
+        mergedInto: target.id,
+        movedSubcategories: children.size,
+        reassigned
+      };
+    } catch (error) {
+      console.error('Merge categories error:', error);
+      throw new Error('Failed to merge categories');
+    }
+  }
+}
+
+module.exports = CategoryService;
@@ -0,0 +1,37 @@
+/**
+ * Opaque page cursors: the position of a document in a sorted listing (the
+ * sort field value and the document id) encoded as base64url JSON.
+ */
+function encodeCursor({ sort, order, direction, value, id }) {
+  const payload = { s: sort, o: order, d: direction, v: value instanceof Date ? value.toISOString() : value, id };
+  if (value instanceof Date) payload.t = 1;
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Position ({ sort, order, direction, value, id }) of a cursor token, throwing on tampered tokens
+ */
+function decodeCursor(token) {
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || typeof payload.id !== 'string' || !['next', 'prev'].includes(payload.d)) {
+    throw new Error('Invalid cursor');
+  }
+
+  const value = payload.t ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && isNaN(value.getTime())) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { sort: payload.s, order: payload.o, direction: payload.d, value, id: payload.id };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
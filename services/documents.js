@@ -0,0 +1,114 @@
+const path = require('path');
+const heicConvert = require('heic-convert');
+const { PDFParse } = require('pdf-parse');
+
+// Content types accepted for receipts, keyed by the type they are stored as
+const CONTENT_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'image/heic': ['.heic', '.heif'],
+  'application/pdf': ['.pdf']
+};
+
+// Declared types that are aliases of the types above
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/heif': 'image/heic',
+  'image/heic-sequence': 'image/heic',
+  'image/heif-sequence': 'image/heic'
+};
+
+// ISO-BMFF brands used by HEIC/HEIF photos (iPhone photos are "heic")
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Pages with less embedded text than this are scanned and need OCR
+const MIN_EMBEDDED_TEXT = 20;
+
+/**
+ * Normalise a declared content type ("image/jpg" -> "image/jpeg"), null if unsupported
+ */
+function normalizeContentType(mimeType) {
+  const type = String(mimeType || '').toLowerCase();
+  const normalized = TYPE_ALIASES[type] || type;
+  return CONTENT_TYPES[normalized] ? normalized : null;
+}
+
+/**
+ * Whether an upload may be a receipt, from its declared type or file extension.
+ * Some clients send HEIC photos as application/octet-stream.
+ */
+function isAcceptedUpload(mimeType, fileName) {
+  if (normalizeContentType(mimeType)) return true;
+
+  const extension = path.extname(fileName || '').toLowerCase();
+  return mimeType === 'application/octet-stream' &&
+    Object.values(CONTENT_TYPES).some(extensions => extensions.includes(extension));
+}
+
+/**
+ * Content type of a file from its first bytes, null if it is not a supported receipt format
+ */
+function detectContentType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp' &&
+      HEIC_BRANDS.includes(buffer.subarray(8, 12).toString('latin1'))) {
+    return 'image/heic';
+  }
+
+  return null;
+}
+
+/**
+ * Convert a HEIC photo to JPEG, which Cloud Vision and browsers can read
+ */
+async function convertHeic(buffer) {
+  try {
+    const output = await heicConvert({ buffer, format: 'JPEG', quality: 0.92 });
+    return Buffer.from(output);
+  } catch (error) {
+    console.error('HEIC conversion error:', error);
+    throw new Error('Invalid document: unreadable HEIC image');
+  }
+}
+
+/**
+ * Embedded text of each PDF page ([{ page, text, hasText }]), at most maxPages pages
+ */
+async function readPdfPages(buffer, maxPages) {
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const result = await parser.getText(maxPages ? { first: maxPages } : {});
+
+    return result.pages.map(page => {
+      const text = page.text.split('\n').map(line => line.trim()).filter(line => line.length > 0).join('\n');
+      return {
+        page: page.num,
+        text,
+        hasText: text.replace(/\s/g, '').length >= MIN_EMBEDDED_TEXT
+      };
+    });
+  } catch (error) {
+    console.error('PDF parse error:', error);
+    throw new Error('Invalid document: unreadable PDF');
+  } finally {
+    await parser.destroy();
+  }
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  normalizeContentType,
+  isAcceptedUpload,
+  detectContentType,
+  convertHeic,
+  readPdfPages
+};
@@ -0,0 +1,343 @@
+const { hammingDistance } = require('./fingerprints');
+const { normalizeVendorName } = require('./parsers/vendor');
+
+// Receipts scoring at least this against another are flagged as possible duplicates
+const DUPLICATE_THRESHOLD = 0.8;
+
+// Perceptual hashes at most this many bits apart (of 64) are photos of the same image
+const MAX_IMAGE_DISTANCE = 8;
+
+// Totals within this amount are the same total
+const TOTAL_TOLERANCE = 0.01;
+
+// Share of item names two receipts must have in common to be the same purchase
+const MIN_ITEM_OVERLAP = 0.5;
+
+// Upper bound of receipts compared in a scan
+const MAX_SCAN = 500;
+
+// Fields copied from a merged duplicate into the receipt it duplicates, when missing there
+const MERGEABLE_FIELDS = [
+  'vendorTaxId', 'vendorTaxIdType', 'vendorAddress', 'subtotal', 'taxes',
+  'taxValidation', 'items', 'category', 'notes', 'tags'
+];
+
+const DUPLICATE_ACTIONS = ['keep', 'merge', 'discard'];
+
+// Receipts whose upload has not produced data to compare
+const UNCOMPARABLE_STATUSES = ['pending', 'processing', 'failed'];
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Comparable view of a receipt, computed once per receipt
+function signature(receipt) {
+  return {
+    id: receipt.id,
+    contentHash: receipt.contentHash || null,
+    perceptualHash: receipt.perceptualHash || null,
+    vendor: receipt.vendorKey || normalizeVendorName(receipt.vendor) || null,
+    date: receipt.date || null,
+    total: typeof receipt.total === 'number' ? receipt.total : null,
+    currency: receipt.currency || null,
+    items: new Set((receipt.items || []).map(item => normalizeText(item.name)).filter(Boolean))
+  };
+}
+
+function itemOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return null;
+
+  let shared = 0;
+  a.forEach(name => {
+    if (b.has(name)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * How likely two receipts are the same ticket ({ score, reasons }), null when
+ * nothing matches. Reasons: same_file (byte-identical upload), similar_image
+ * (perceptual hashes close), same_data (vendor, date and total), same_items.
+ */
+function compareReceipts(a, b) {
+  const left = a.items instanceof Set ? a : signature(a);
+  const right = b.items instanceof Set ? b : signature(b);
+
+  if (left.contentHash && left.contentHash === right.contentHash) {
+    return { score: 1, reasons: ['same_file'] };
+  }
+
+  const distance = hammingDistance(left.perceptualHash, right.perceptualHash);
+  const similarImage = distance !== null && distance <= MAX_IMAGE_DISTANCE;
+  const sameTotal = left.total !== null && right.total !== null &&
+    left.currency === right.currency &&
+    Math.abs(left.total - right.total) <= TOTAL_TOLERANCE;
+  const sameData = sameTotal && left.vendor !== null && left.vendor === right.vendor &&
+    left.date !== null && left.date === right.date;
+  const overlap = itemOverlap(left.items, right.items);
+
+  // Different items mean a different purchase, whatever else matches
+  if (overlap !== null && overlap < MIN_ITEM_OVERLAP) {
+    return null;
+  }
+
+  const reasons = [];
+  let score = 0;
+
+  if (sameData) {
+    reasons.push('same_data');
+    score = 0.8;
+  }
+  if (similarImage) {
+    reasons.push('similar_image');
+    // Blank receipt photos look alike; an image match alone only counts with the same total
+    score = sameData ? score + 0.1 : (sameTotal ? 0.8 : Math.max(score, 0.5));
+  }
+  if (overlap !== null && reasons.length > 0) {
+    reasons.push('same_items');
+    score += 0.05;
+  }
+
+  if (reasons.length === 0) return null;
+
+  return { score: Math.min(0.99, Math.round(score * 100) / 100), reasons };
+}
+
+/**
+ * Finds receipts that were uploaded twice, at upload time and across a user's
+ * existing receipts, and resolves them: keep both, merge into the original, or
+ * discard the copy.
+ *
+ * An upload matching an earlier receipt is saved with possibleDuplicateOf
+ * ({ receiptId, score, reasons }) and is not counted in spending until kept.
+ */
+class DuplicateService {
+  constructor(firestoreService, visionService = null) {
+    this.firestoreService = firestoreService;
+    this.visionService = visionService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+  }
+
+  async queryReceipts(userId, field, value) {
+    const snapshot = await this.db.collection(this.collections.receipts)
+      .where('userId', '==', userId)
+      .where(field, '==', value)
+      .get();
+
+    const receipts = [];
+    snapshot.forEach(doc => receipts.push({ id: doc.id, ...doc.data() }));
+    return receipts;
+  }
+
+  /**
+   * Best earlier receipt a new one duplicates ({ receiptId, score, reasons }), null if none
+   */
+  async findDuplicate(userId, receipt) {
+    try {
+      // Candidates share the file, the date or the total; images only match alongside the total
+      const lookups = [
+        receipt.contentHash && ['contentHash', receipt.contentHash],
+        receipt.date && ['date', receipt.date],
+        typeof receipt.total === 'number' && ['total', receipt.total]
+      ].filter(Boolean);
+
+      const candidates = new Map();
+      for (const [field, value] of lookups) {
+        for (const candidate of await this.queryReceipts(userId, field, value)) {
+          candidates.set(candidate.id, candidate);
+        }
+      }
+
+      const incoming = signature(receipt);
+      let best = null;
+
+      for (const candidate of candidates.values()) {
+        // Never point at another unresolved copy, so chains all lead to the original
+        if (candidate.id === receipt.id || candidate.possibleDuplicateOf ||
+            UNCOMPARABLE_STATUSES.includes(candidate.status)) continue;
+
+        const match = compareReceipts(incoming, signature(candidate));
+        if (match && match.score >= DUPLICATE_THRESHOLD && (!best || match.score > best.score)) {
+          best = { receiptId: candidate.id, ...match };
+        }
+      }
+
+      return best;
+    } catch (error) {
+      console.error('Duplicate detection error:', error);
+      throw new Error('Failed to check for duplicate receipts');
+    }
+  }
+
+  /**
+   * Group a user's most recent receipts that look like the same ticket.
+   * Returns { groups: [{ receipts, score, reasons }], scanned }, highest score first.
+   */
+  async scanDuplicates(userId, options = {}) {
+    try {
+      const { limit = MAX_SCAN } = options;
+
+      const snapshot = await this.db.collection(this.collections.receipts)
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .limit(Math.min(limit, MAX_SCAN))
+        .get();
+
+      const receipts = [];
+      snapshot.forEach(doc => {
+        const receipt = { id: doc.id, ...doc.data() };
+        if (!UNCOMPARABLE_STATUSES.includes(receipt.status)) {
+          receipts.push(receipt);
+        }
+      });
+
+      // Union-find over every matching pair, so A~B and B~C form one group
+      const signatures = receipts.map(signature);
+      const parent = receipts.map((receipt, index) => index);
+      const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+      const matches = [];
+
+      for (let i = 0; i < signatures.length; i++) {
+        for (let j = i + 1; j < signatures.length; j++) {
+          const match = compareReceipts(signatures[i], signatures[j]);
+          if (match && match.score >= DUPLICATE_THRESHOLD) {
+            parent[find(j)] = find(i);
+            matches.push({ i, ...match });
+          }
+        }
+      }
+
+      const groups = new Map();
+      for (const { i, score, reasons } of matches) {
+        const root = find(i);
+        const group = groups.get(root) || { members: new Set(), score: 0, reasons: new Set() };
+        group.score = Math.max(group.score, score);
+        reasons.forEach(reason => group.reasons.add(reason));
+        groups.set(root, group);
+      }
+      receipts.forEach((receipt, index) => {
+        const group = groups.get(find(index));
+        if (group) group.members.add(index);
+      });
+
+      // Receipts as listed in a group, with a fresh link to their image
+      const summarize = async receipt => ({
+        id: receipt.id,
+        vendor: receipt.vendor || null,
+        date: receipt.date || null,
+        total: receipt.total ?? null,
+        currency: receipt.currency || null,
+        imageUrl: (await this.firestoreService.withImageUrl(receipt)).imageUrl,
+        createdAt: receipt.createdAt?.toDate?.() || receipt.createdAt,
+        possibleDuplicateOf: receipt.possibleDuplicateOf || null
+      });
+
+      const listed = await Promise.all(Array.from(groups.values()).map(async group => ({
+        // Oldest first: the first receipt is the likely original
+        receipts: await Promise.all(Array.from(group.members)
+          .map(index => receipts[index])
+          .sort((a, b) => new Date(a.createdAt?.toDate?.() || a.createdAt) - new Date(b.createdAt?.toDate?.() || b.createdAt))
+          .map(summarize)),
+        score: group.score,
+        reasons: Array.from(group.reasons)
+      })));
+
+      return {
+        groups: listed.sort((a, b) => b.score - a.score),
+        scanned: receipts.length
+      };
+    } catch (error) {
+      console.error('Duplicate scan error:', error);
+      throw new Error('Failed to scan for duplicate receipts');
+    }
+  }
+
+  /**
+   * Resolve a possible duplicate: 'keep' counts it as a receipt of its own,
+   * 'merge' folds it into the receipt it duplicates and 'discard' deletes it.
+   * duplicateOf defaults to the receipt it was flagged against.
+   */
+  async resolveDuplicate(userId, receiptId, action, duplicateOf = null) {
+    if (!DUPLICATE_ACTIONS.includes(action)) {
+      throw new Error(`Invalid duplicate action: use ${DUPLICATE_ACTIONS.join(', ')}`);
+    }
+
+    const receipt = await this.firestoreService.getReceipt(receiptId, userId);
+
+    if (action === 'keep') {
+      const kept = await this.firestoreService.updateReceipt(receiptId, {
+        possibleDuplicateOf: null,
+        duplicateResolution: 'kept'
+      }, userId, { source: 'user' });
+
+      // Flagged uploads were left out of the statistics until now
+      if (receipt.possibleDuplicateOf) {
+        await this.firestoreService.updateUserStats(userId, this.firestoreService.receiptAmount(kept), 1, kept.category);
+      }
+
+      return { action, receipt: await this.firestoreService.withImageUrl(kept) };
+    }
+
+    if (action === 'discard') {
+      await this.firestoreService.deleteReceipt(receiptId, userId);
+      await this.deleteImage(receipt.imagePath);
+      return { action, deletedId: receiptId };
+    }
+
+    const targetId = duplicateOf || receipt.possibleDuplicateOf?.receiptId;
+    if (!targetId || targetId === receiptId) {
+      throw new Error('Invalid duplicate target: give the receipt to merge into');
+    }
+
+    const target = await this.firestoreService.getReceipt(targetId, userId);
+    const updates = {};
+
+    for (const field of MERGEABLE_FIELDS) {
+      if (isEmpty(target[field]) && !isEmpty(receipt[field])) {
+        updates[field] = receipt[field];
+      }
+    }
+
+    // The copy's photo stays available on the original
+    if (receipt.imagePath && receipt.imagePath !== target.imagePath) {
+      updates.additionalImages = [
+        ...(target.additionalImages || []),
+        { imagePath: receipt.imagePath, mimeType: receipt.mimeType || null }
+      ];
+    }
+    updates.mergedFrom = [...(target.mergedFrom || []), receiptId];
+
+    const merged = await this.firestoreService.updateReceipt(targetId, updates, userId, { source: 'user' });
+    await this.firestoreService.deleteReceipt(receiptId, userId);
+
+    return { action, receipt: await this.firestoreService.withImageUrl(merged), deletedId: receiptId };
+  }
+
+  async deleteImage(imagePath) {
+    if (!imagePath || !this.visionService) return;
+
+    try {
+      await this.visionService.deleteReceiptImage(imagePath);
+    } catch (error) {
+      console.error('Receipt image cleanup error:', error);
+    }
+  }
+}
+
+module.exports = {
+  DuplicateService,
+  compareReceipts,
+  DUPLICATE_THRESHOLD
+};
@@ -0,0 +1,145 @@
+/**
+ * Per-user event stream for Server-Sent Events clients.
+ *
+ * Events get increasing ids and the most recent ones are kept per user, so a
+ * client reconnecting with Last-Event-ID receives what it missed. When the
+ * requested id is older than what is kept (or from before a restart), the
+ * client gets a `resync` event and should refetch its data instead.
+ */
+class EventBroker {
+  constructor(options = {}) {
+    this.historySize = options.historySize || 100;
+    this.heartbeatMs = options.heartbeatMs || 25000;
+    this.retryMs = options.retryMs || 5000;
+    this.lastId = 0;
+    this.history = new Map();
+    // Newest event id dropped from each user's history
+    this.evicted = new Map();
+    this.clients = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Publish an event to a user's connected clients ({ id, type, data, createdAt })
+   */
+  publish(userId, type, data) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      data,
+      createdAt: new Date().toISOString()
+    };
+
+    const history = this.history.get(userId) || [];
+    history.push(event);
+    if (history.length > this.historySize) {
+      const dropped = history.splice(0, history.length - this.historySize);
+      this.evicted.set(userId, dropped[dropped.length - 1].id);
+    }
+    this.history.set(userId, history);
+
+    for (const res of this.clients.get(userId) || []) {
+      this.send(res, event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Stream a user's events over an HTTP response, replaying what was missed
+   * since lastEventId. Returns a function that closes the subscription.
+   */
+  subscribe(userId, res, lastEventId = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop proxies (nginx, Cloud Run front ends) from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    this.write(res, `retry: ${this.retryMs}\n\n`);
+
+    if (lastEventId !== null) {
+      this.replay(userId, res, lastEventId);
+    }
+
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new Set());
+    }
+    this.clients.get(userId).add(res);
+    this.startHeartbeat();
+
+    return () => {
+      const clients = this.clients.get(userId);
+      if (!clients) return;
+
+      clients.delete(res);
+      if (clients.size === 0) {
+        this.clients.delete(userId);
+      }
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  replay(userId, res, lastEventId) {
+    const lastId = parseInt(lastEventId, 10);
+    if (isNaN(lastId)) return;
+
+    // Events after lastId were dropped from history, or ids restarted with the server
+    if (lastId < (this.evicted.get(userId) || 0) || lastId > this.lastId) {
+      this.send(res, { id: this.lastId, type: 'resync', data: { reason: 'history_expired' } });
+      return;
+    }
+
+    for (const event of this.history.get(userId) || []) {
+      if (event.id > lastId) {
+        this.send(res, event);
+      }
+    }
+  }
+
+  /**
+   * Number of open connections, for all users or one
+   */
+  connectionCount(userId = null) {
+    if (userId) {
+      return this.clients.get(userId)?.size || 0;
+    }
+    return Array.from(this.clients.values()).reduce((sum, clients) => sum + clients.size, 0);
+  }
+
+  send(res, event) {
+    this.write(res, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  write(res, chunk) {
+    res.write(chunk);
+    // compression() buffers responses; flush so events go out immediately
+    if (typeof res.flush === 'function') res.flush();
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    // Comment lines keep idle connections open through proxies and load balancers
+    this.heartbeat = setInterval(() => {
+      for (const clients of this.clients.values()) {
+        for (const res of clients) {
+          this.write(res, ': heartbeat\n\n');
+        }
+      }
+    }, this.heartbeatMs);
+    if (this.heartbeat.unref) this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+module.exports = {
+  EventBroker
+};
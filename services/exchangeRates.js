@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { roundAmount } = require('./parsers/amounts');
+
+/**
+ * Exchange rate providers implement:
+ *
+ *   async getRate(from, to, date) -> { rate, date } | null
+ *
+ * where rate converts one unit of `from` into `to` as of `date` (YYYY-MM-DD),
+ * and the returned date is the day the rate was published.
+ */
+
+/**
+ * Rates from a local table, for offline use. The table is either an object or
+ * the path of a JSON file shaped as:
+ *
+ *   { "base": "EUR", "rates": { "2024-01-02": { "USD": 1.0956, "GBP": 0.8672 } } }
+ *
+ * The most recent table on or before the requested date is used (the oldest
+ * one for earlier dates); cross rates go through the base currency.
+ */
+class LocalRatesProvider {
+  constructor(source) {
+    this.source = source;
+    this.table = typeof source === 'object' ? source : null;
+    this.name = 'local';
+  }
+
+  async loadTable() {
+    if (!this.table) {
+      const content = await fs.promises.readFile(this.source, 'utf8');
+      this.table = JSON.parse(content);
+    }
+    return this.table;
+  }
+
+  async getRate(from, to, date) {
+    const { base, rates } = await this.loadTable();
+    const dates = Object.keys(rates || {}).sort();
+    if (dates.length === 0) return null;
+
+    const rateDate = [...dates].reverse().find(candidate => !date || candidate <= date) || dates[0];
+    const day = { ...rates[rateDate], [base]: 1 };
+
+    if (!day[from] || !day[to]) return null;
+
+    return {
+      rate: day[to] / day[from],
+      date: rateDate
+    };
+  }
+}
+
+/**
+ * Converts receipt totals into a user's base currency through a provider
+ */
+class ExchangeRateService {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Rate from one currency into another; null when the provider has none
+   */
+  async getRate(from, to, date) {
+    if (from === to) {
+      return { rate: 1, date: date || null, provider: 'identity' };
+    }
+
+    try {
+      const result = await this.provider.getRate(from, to, date);
+      return result ? { ...result, provider: this.provider.name || null } : null;
+    } catch (error) {
+      console.error('Exchange rate error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add base-currency fields to receipt data, keeping the rate used.
+   * Receipts whose rate is unknown keep baseTotal null and go to review.
+   */
+  async convertReceipt(receiptData, baseCurrency) {
+    const currency = receiptData.currency || baseCurrency;
+    const rate = await this.getRate(currency, baseCurrency, receiptData.date);
+
+    if (!rate) {
+      return {
+        ...receiptData,
+        currency,
+        baseCurrency,
+        exchangeRate: null,
+        exchangeRateDate: null,
+        baseTotal: null,
+        needsReview: true
+      };
+    }
+
+    return {
+      ...receiptData,
+      currency,
+      baseCurrency,
+      exchangeRate: Math.round(rate.rate * 1e6) / 1e6,
+      exchangeRateDate: rate.date,
+      exchangeRateProvider: rate.provider,
+      baseTotal: roundAmount((receiptData.total || 0) * rate.rate)
+    };
+  }
+}
+
+module.exports = {
+  LocalRatesProvider,
+  ExchangeRateService
+};
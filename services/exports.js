@@ -0,0 +1,289 @@
+const ExcelJS = require('exceljs');
+const { roundAmount } = require('./parsers/amounts');
+const { FALLBACK_CATEGORY } = require('./parsers/categories');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// CSV rows: one per receipt or one per line item
+const CSV_ROWS = ['receipts', 'items'];
+
+const CSV_DELIMITERS = [',', ';'];
+
+// Receipts read per page while exporting
+const EXPORT_PAGE_SIZE = 100;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+function timestamp(value) {
+  const date = value?.toDate?.() || value;
+  return date instanceof Date ? date.toISOString() : (date || null);
+}
+
+// Columns of the receipt rows: header and value of a receipt
+const RECEIPT_COLUMNS = [
+  ['id', receipt => receipt.id],
+  ['date', receipt => receipt.date || null],
+  ['vendor', receipt => receipt.vendor || null],
+  ['vendorTaxId', receipt => receipt.vendorTaxId || null],
+  ['category', receipt => receipt.category || null],
+  ['subtotal', receipt => receipt.subtotal ?? null],
+  ['tax', receipt => (receipt.taxes?.length ? roundAmount(receipt.taxes.reduce((sum, tax) => sum + (tax.amount || 0), 0)) : null)],
+  ['total', receipt => receipt.total ?? null],
+  ['currency', receipt => receipt.currency || null],
+  ['baseTotal', receipt => receipt.baseTotal ?? null],
+  ['baseCurrency', receipt => receipt.baseCurrency || null],
+  ['items', receipt => (receipt.items || []).length],
+  ['tags', receipt => (receipt.tags || []).join('|')],
+  ['notes', receipt => receipt.notes || null],
+  ['status', receipt => receipt.status || null],
+  ['verified', receipt => Boolean(receipt.verified)],
+  ['possibleDuplicateOf', receipt => receipt.possibleDuplicateOf?.receiptId || null],
+  ['createdAt', receipt => timestamp(receipt.createdAt)]
+];
+
+// Columns of the line item rows: header and value of an item of a receipt
+const ITEM_COLUMNS = [
+  ['receiptId', (item, receipt) => receipt.id],
+  ['date', (item, receipt) => receipt.date || null],
+  ['vendor', (item, receipt) => receipt.vendor || null],
+  ['category', (item, receipt) => receipt.category || null],
+  ['name', item => item.name || null],
+  ['quantity', item => item.quantity ?? null],
+  ['unit', item => item.unit || null],
+  ['unitPrice', item => item.unitPrice ?? null],
+  ['lineTotal', item => item.lineTotal ?? item.price ?? null],
+  ['currency', (item, receipt) => receipt.currency || null]
+];
+
+/**
+ * Quote a CSV cell when needed. Text starting like a formula is prefixed with
+ * an apostrophe so spreadsheets do not evaluate it.
+ */
+function csvCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ * Rejects when the client went away, so the export stops reading receipts.
+ */
+function write(output, chunk) {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Export aborted: the connection was closed'));
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off('drain', onDrain);
+      reject(new Error('Export aborted: the connection was closed'));
+    };
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+/**
+ * Receipt exports (CSV, XLSX and JSON) streamed page by page, with the filters
+ * of the receipts listing
+ */
+class ExportService {
+  constructor(firestoreService) {
+    this.firestoreService = firestoreService;
+  }
+
+  /**
+   * Check the export options ({ format, rows, delimiter }), throwing on the first invalid one
+   */
+  validateOptions(options = {}) {
+    const { format = 'csv', rows = 'receipts', delimiter = ',' } = options;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid export format: use ${EXPORT_FORMATS.join(', ')}`);
+    }
+    if (format === 'csv' && !CSV_ROWS.includes(rows)) {
+      throw new Error(`Invalid export rows: use ${CSV_ROWS.join(', ')}`);
+    }
+    if (format === 'csv' && !CSV_DELIMITERS.includes(delimiter)) {
+      throw new Error(`Invalid export delimiter: use ${CSV_DELIMITERS.join(' or ')}`);
+    }
+
+    return { format, rows, delimiter };
+  }
+
+  /**
+   * Content type and file name of an export
+   */
+  describeExport(options = {}, now = new Date()) {
+    const { format, rows } = this.validateOptions(options);
+    const name = format === 'csv' && rows === 'items' ? 'items' : 'receipts';
+
+    return {
+      contentType: CONTENT_TYPES[format],
+      fileName: `nubemdom-${name}-${now.toISOString().split('T')[0]}.${format}`
+    };
+  }
+
+  /**
+   * Every receipt matching the listing filters, read a page at a time
+   */
+  async *receipts(userId, filters = {}) {
+    let cursor = null;
+
+    do {
+      const page = await this.firestoreService.getReceipts(userId, {
+        ...filters,
+        limit: EXPORT_PAGE_SIZE,
+        cursor
+      });
+      yield* page.receipts;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Stream a user's receipts matching the listing filters to output, in the
+   * format of options ({ format, rows, delimiter }). The first page is read
+   * before anything is written, so invalid filters fail while an error response
+   * can still be sent. Resolves with the number of receipts exported.
+   */
+  async exportReceipts(userId, filters, options, output) {
+    const { format, rows, delimiter } = this.validateOptions(options);
+
+    const source = this.receipts(userId, filters);
+    const first = await source.next();
+    const receipts = (async function* () {
+      if (first.done) return;
+      yield first.value;
+      yield* source;
+    })();
+
+    if (format === 'xlsx') {
+      return this.writeXlsx(receipts, output);
+    }
+    if (format === 'json') {
+      return this.writeJson(receipts, output, filters);
+    }
+    return this.writeCsv(receipts, output, { rows, delimiter });
+  }
+
+  /**
+   * CSV with a header row and one row per receipt or per line item, UTF-8 with
+   * a byte order mark so spreadsheets detect the encoding
+   */
+  async writeCsv(receipts, output, { rows = 'receipts', delimiter = ',' } = {}) {
+    const columns = rows === 'items' ? ITEM_COLUMNS : RECEIPT_COLUMNS;
+    const line = values => `${values.map(value => csvCell(value, delimiter)).join(delimiter)}\r\n`;
+
+    await write(output, `\uFEFF${line(columns.map(([header]) => header))}`);
+
+    let count = 0;
+    for await (const receipt of receipts) {
+      if (rows === 'items') {
+        for (const item of receipt.items || []) {
+          await write(output, line(columns.map(([, value]) => value(item, receipt))));
+        }
+      } else {
+        await write(output, line(columns.map(([, value]) => value(receipt))));
+      }
+      count++;
+    }
+
+    output.end();
+    return count;
+  }
+
+  /**
+   * JSON document { exportedAt, filters, receipts: [...] } with complete receipts,
+   * written one receipt at a time
+   */
+  async writeJson(receipts, output, filters = {}) {
+    const header = JSON.stringify({ exportedAt: new Date().toISOString(), filters });
+    await write(output, `${header.slice(0, -1)},"receipts":[`);
+
+    let count = 0;
+    for await (const receipt of receipts) {
+      await write(output, `${count > 0 ? ',' : ''}\n${JSON.stringify(receipt)}`);
+      count++;
+    }
+
+    await write(output, '\n]}\n');
+    output.end();
+    return count;
+  }
+
+  /**
+   * Workbook with a Receipts sheet, streamed row by row, and a Categories sheet
+   * summarising spending in the base currency (unresolved duplicates left out)
+   */
+  async writeXlsx(receipts, output) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const sheet = workbook.addWorksheet('Receipts');
+    sheet.columns = RECEIPT_COLUMNS.map(([header]) => ({ header, key: header, width: header === 'vendor' ? 30 : 14 }));
+    sheet.getRow(1).font = { bold: true };
+
+    const categories = new Map();
+    let count = 0;
+
+    for await (const receipt of receipts) {
+      if (output.destroyed) {
+        throw new Error('Export aborted: the connection was closed');
+      }
+      sheet.addRow(RECEIPT_COLUMNS.map(([, value]) => value(receipt))).commit();
+      count++;
+
+      if (!receipt.possibleDuplicateOf) {
+        const name = receipt.category || FALLBACK_CATEGORY;
+        const summary = categories.get(name) || { receipts: 0, total: 0 };
+        summary.receipts++;
+        summary.total = roundAmount(summary.total + this.firestoreService.receiptAmount(receipt));
+        categories.set(name, summary);
+      }
+    }
+    sheet.commit();
+
+    const summarySheet = workbook.addWorksheet('Categories');
+    summarySheet.columns = [
+      { header: 'category', key: 'category', width: 30 },
+      { header: 'receipts', key: 'receipts', width: 12 },
+      { header: 'total', key: 'total', width: 14 }
+    ];
+    summarySheet.getRow(1).font = { bold: true };
+
+    const summaries = Array.from(categories.entries()).sort((a, b) => b[1].total - a[1].total);
+    summaries.forEach(([category, summary]) => {
+      summarySheet.addRow({ category, ...summary }).commit();
+    });
+
+    const totals = summaries.reduce((sum, [, summary]) => ({
+      receipts: sum.receipts + summary.receipts,
+      total: roundAmount(sum.total + summary.total)
+    }), { receipts: 0, total: 0 });
+    const totalRow = summarySheet.addRow({ category: 'Total', ...totals });
+    totalRow.font = { bold: true };
+    totalRow.commit();
+    summarySheet.commit();
+
+    await workbook.commit();
+    return count;
+  }
+}
+
+module.exports = {
+  ExportService,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// Difference hash grid: 9x8 pixels give 8 comparisons per row, 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Phone photos are downscaled far below this; larger images are not worth decoding
+const MAX_DECODE_MP = 50;
+
+/**
+ * SHA-256 of a file, identical only for byte-identical uploads
+ */
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Width and height a PNG declares in its IHDR chunk, which follows the 8-byte signature
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Decoded RGBA pixels ({ width, height, data }) of a JPEG or PNG, null for other formats
+function decodeImage(buffer, contentType) {
+  if (contentType === 'image/jpeg') {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_MP });
+  }
+  if (contentType === 'image/png') {
+    // pngjs sizes its buffers from the declared dimensions, whatever the file holds
+    const size = pngSize(buffer);
+    if (!size || size.width * size.height > MAX_DECODE_MP * 1000000) return null;
+    return PNG.sync.read(buffer);
+  }
+  return null;
+}
+
+/**
+ * Perceptual (difference) hash of a JPEG or PNG image as 16 hex digits.
+ * Photos of the same receipt get hashes a few bits apart even when they were
+ * re-encoded or resized. Null for PDFs, WebP and unreadable images.
+ */
+function perceptualHash(buffer, contentType) {
+  let image;
+  try {
+    image = decodeImage(buffer, contentType);
+  } catch (error) {
+    console.error('Perceptual hash error:', error);
+    return null;
+  }
+  if (!image || !image.width || !image.height) return null;
+
+  // Average the grayscale value of each cell of a 9x8 grid
+  const { width, height, data } = image;
+  const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(HASH_HEIGHT - 1, Math.floor(y * HASH_HEIGHT / height));
+    for (let x = 0; x < width; x++) {
+      const cell = row * HASH_WIDTH + Math.min(HASH_WIDTH - 1, Math.floor(x * HASH_WIDTH / width));
+      const i = (y * width + x) * 4;
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell]++;
+    }
+  }
+  const cells = Array.from(sums, (sum, cell) => (counts[cell] ? sum / counts[cell] : 0));
+
+  // One bit per pair of horizontal neighbours: is the left one brighter?
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let nibble = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      nibble = (nibble << 1) | (cells[y * HASH_WIDTH + x] > cells[y * HASH_WIDTH + x + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length, null if either is missing
+ */
+function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return null;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+module.exports = {
+  contentHash,
+  perceptualHash,
+  hammingDistance
+};
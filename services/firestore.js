@@ -1,9 +1,36 @@
-const { Firestore } = require('@google-cloud/firestore');
+const { Firestore, v1 } = require('@google-cloud/firestore');
+const { buildVendorKey } = require('./parsers/vendor');
+const { roundAmount } = require('./parsers/amounts');
+const { isCurrencyCode } = require('./parsers/currency');
+const { isSupportedLocale } = require('./parsers/locale');
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } = require('./parsers/categories');
+const { encodeCursor, decodeCursor } = require('./cursors');
+const { SEARCHABLE_FIELDS, buildSearchTerms, parseSearchQuery, matchesSearch } = require('./search');
+const { RECEIPT_SORTS, planReceiptsQuery, matchesResidual, requiredIndexes, indexKey } = require('./queryPlanner');
+
+// Receipts of uploads still being processed
+const UNSETTLED_STATUSES = ['pending', 'processing'];
+
+const MAX_PAGE_SIZE = 100;
+
+// Receipts read per batch, and at most per page, when filters are checked in memory
+const SCAN_BATCH_SIZE = 100;
+const MAX_SCAN = 1000;
+
+// Receipts rewritten per batch when search terms are rebuilt or amounts re-based (Firestore allows 500 writes)
+const REINDEX_BATCH_SIZE = 400;
+
+// Receipt as returned to callers: search terms are only for the index
+function withoutSearchTerms(receipt) {
+  const { searchTerms, ...rest } = receipt;
+  return rest;
+}
 
 class FirestoreService {
   constructor() {
+    this.projectId = process.env.PROJECT_ID || 'nubemdom';
     this.db = new Firestore({
-      projectId: process.env.PROJECT_ID || 'nubemdom'
+      projectId: this.projectId
     });
     
     // Collection names
@@ -12,8 +39,66 @@ class FirestoreService {
       users: 'users',
       categories: 'categories',
       budgets: 'budgets',
-      analytics: 'analytics'
+      analytics: 'analytics',
+      alerts: 'alerts',
+      alertRules: 'alertRules',
+      categoryRules: 'categoryRules',
+      vendorMappings: 'vendorMappings',
+      statements: 'statements',
+      bankTransactions: 'bankTransactions'
     };
+
+    // Callbacks invoked after a receipt is saved, updated or deleted
+    this.receiptListeners = [];
+
+    // Signs links to receipt images as receipts are read (see signImagesWith)
+    this.imageSigner = null;
+  }
+
+  /**
+   * Sign image links of receipts as they are read, with signer(receipt) -> URL.
+   * Links expire, so receipts only store the path of their image.
+   */
+  signImagesWith(signer) {
+    this.imageSigner = signer;
+  }
+
+  /**
+   * A receipt with a fresh link to its image, or a null link. Links stored by
+   * earlier versions have expired and are replaced.
+   */
+  async withImageUrl(receipt) {
+    if (!receipt.imagePath || !this.imageSigner) {
+      return { ...receipt, imageUrl: null };
+    }
+
+    try {
+      return { ...receipt, imageUrl: await this.imageSigner(receipt) };
+    } catch (error) {
+      console.error('Image link error:', error);
+      return { ...receipt, imageUrl: null };
+    }
+  }
+
+  /**
+   * Register a listener for receipt changes ({ type, userId, receipt, previous, source }).
+   * source is 'user' for edits made by the receipt owner, 'system' otherwise.
+   */
+  onReceiptChange(listener) {
+    this.receiptListeners.push(listener);
+  }
+
+  /**
+   * Run receipt change listeners; listener failures never fail the write
+   */
+  async notifyReceiptChange(change) {
+    for (const listener of this.receiptListeners) {
+      try {
+        await listener(change);
+      } catch (error) {
+        console.error('Receipt listener error:', error);
+      }
+    }
   }
 
   /**
@@ -21,20 +106,74 @@ class FirestoreService {
    */
   async saveReceipt(receiptData, userId) {
     try {
+      const { needsReview, ...data } = receiptData;
+
       const receipt = {
-        ...receiptData,
+        ...data,
+        searchTerms: buildSearchTerms(data),
         userId,
         createdAt: new Date(),
         updatedAt: new Date(),
-        status: 'processed',
+        // Receipts parsed below the OCR confidence threshold wait for human review
+        status: needsReview ? 'needs_review' : 'processed',
         verified: false
       };
 
       const docRef = await this.db.collection(this.collections.receipts).add(receipt);
       
       // Update user statistics
-      await this.updateUserStats(userId, receiptData.total, receiptData.category);
-      
+      await this.updateUserStats(userId, this.receiptAmount(receiptData), 1, receiptData.category);
+
+      const savedReceipt = withoutSearchTerms({
+        id: docRef.id,
+        ...receipt
+      });
+
+      await this.notifyReceiptChange({ type: 'saved', userId, receipt: savedReceipt });
+
+      return savedReceipt;
+    } catch (error) {
+      console.error('Firestore save error:', error);
+      throw new Error('Failed to save receipt to database');
+    }
+  }
+
+  /**
+   * Get a receipt document owned by a user ({ ref, receipt })
+   */
+  async getOwnedReceipt(receiptId, userId) {
+    const ref = this.db.collection(this.collections.receipts).doc(receiptId);
+    const doc = await ref.get();
+
+    if (!doc.exists) {
+      throw new Error('Receipt not found');
+    }
+
+    const receipt = doc.data();
+    if (receipt.userId !== userId) {
+      throw new Error('Access denied');
+    }
+
+    return { ref, receipt };
+  }
+
+  /**
+   * Create the placeholder of an upload still being processed. Pending receipts
+   * are not counted in statistics and listeners only hear about them once complete.
+   */
+  async createPendingReceipt(receiptData, userId) {
+    try {
+      const receipt = {
+        ...receiptData,
+        userId,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        status: 'pending',
+        verified: false
+      };
+
+      const docRef = await this.db.collection(this.collections.receipts).add(receipt);
+
       return {
         id: docRef.id,
         ...receipt
@@ -46,73 +185,211 @@ class FirestoreService {
   }
 
   /**
-   * Get receipts for a user with pagination and filters
+   * Move a pending receipt to processing, recording fields such as its stored image
+   */
+  async setReceiptProcessing(receiptId, userId, fields = {}) {
+    const { ref, receipt } = await this.getOwnedReceipt(receiptId, userId);
+
+    if (!UNSETTLED_STATUSES.includes(receipt.status)) {
+      throw new Error('Invalid receipt status: already processed');
+    }
+
+    const updates = {
+      ...fields,
+      status: 'processing',
+      updatedAt: new Date()
+    };
+    await ref.update(updates);
+
+    return {
+      id: receiptId,
+      ...receipt,
+      ...updates
+    };
+  }
+
+  /**
+   * Fill a processing receipt with its parsed data; from then on it counts like a saved receipt
+   */
+  async completeReceipt(receiptId, receiptData, userId) {
+    const { ref, receipt } = await this.getOwnedReceipt(receiptId, userId);
+
+    try {
+      const { needsReview, ...data } = receiptData;
+      const updates = {
+        ...data,
+        searchTerms: buildSearchTerms({ ...receipt, ...data }),
+        status: needsReview ? 'needs_review' : 'processed',
+        processingError: null,
+        processedAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      await ref.update(updates);
+
+      // Update user statistics; possible duplicates count once the user keeps them
+      if (!data.possibleDuplicateOf) {
+        await this.updateUserStats(userId, this.receiptAmount(receiptData), 1, receiptData.category);
+      }
+
+      const savedReceipt = withoutSearchTerms({
+        id: receiptId,
+        ...receipt,
+        ...updates
+      });
+
+      await this.notifyReceiptChange({ type: 'saved', userId, receipt: savedReceipt });
+
+      return savedReceipt;
+    } catch (error) {
+      console.error('Firestore save error:', error);
+      throw new Error('Failed to save receipt to database');
+    }
+  }
+
+  /**
+   * Mark a receipt whose processing failed for good ({ code, message } error)
+   */
+  async failReceipt(receiptId, userId, processingError, fields = {}) {
+    const { ref, receipt } = await this.getOwnedReceipt(receiptId, userId);
+
+    const updates = {
+      ...fields,
+      status: 'failed',
+      processingError,
+      updatedAt: new Date()
+    };
+    await ref.update(updates);
+
+    return {
+      id: receiptId,
+      ...receipt,
+      ...updates
+    };
+  }
+
+  /**
+   * Get a page of a user's receipts with filters, sorted by date, total, vendor
+   * or createdAt with ties broken by id. Further pages are read with the
+   * nextCursor and prevCursor tokens of a result. search matches receipts
+   * containing every word (or word prefix) given in their vendor, items or OCR
+   * text. The query planner picks the filters Firestore can apply together;
+   * the others are checked on the receipts read. total counts every matching
+   * receipt, and is null when some filter is checked in memory.
    */
   async getReceipts(userId, options = {}) {
+    const {
+      limit = 20,
+      sort = 'createdAt',
+      order = 'desc',
+      cursor,
+      search
+    } = options;
+
+    if (!RECEIPT_SORTS.includes(sort)) {
+      throw new Error(`Invalid sort: use ${RECEIPT_SORTS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error('Invalid sort order: use asc or desc');
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (position && (position.sort !== sort || position.order !== order)) {
+      throw new Error('Invalid cursor: it belongs to a different sort');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+    const terms = search ? parseSearchQuery(search) : [];
+
     try {
-      const {
-        limit = 20,
-        offset = 0,
-        category,
-        startDate,
-        endDate,
-        minAmount,
-        maxAmount,
-        search
-      } = options;
+      const plan = planReceiptsQuery(options, terms, sort, order);
+      const inMemory = plan.residual.length > 0 || plan.checkedTerms.length > 0;
 
       let query = this.db.collection(this.collections.receipts)
-        .where('userId', '==', userId)
-        .orderBy('createdAt', 'desc');
+        .where('userId', '==', userId);
+      plan.where.forEach(([field, op, value]) => {
+        query = query.where(field, op, value);
+      });
 
-      // Apply filters
-      if (category) {
-        query = query.where('category', '==', category);
-      }
+      // Previous pages are read backwards from the first receipt shown
+      const backwards = position?.direction === 'prev';
+      const direction = backwards === (order === 'desc') ? 'asc' : 'desc';
+      const ordered = query.orderBy(sort, direction).orderBy('__name__', direction);
 
-      if (startDate) {
-        query = query.where('date', '>=', startDate);
-      }
+      // Filters checked in memory drop receipts, so batches are read until the page fills
+      const batchSize = inMemory ? SCAN_BATCH_SIZE : pageSize + 1;
+      const positionOf = receipt => ({ value: receipt[sort] ?? null, id: receipt.id });
 
-      if (endDate) {
-        query = query.where('date', '<=', endDate);
-      }
+      const receipts = [];
+      let after = position;
+      let more = false;
+      let truncated = false;
+      let scanned = 0;
 
-      if (minAmount) {
-        query = query.where('total', '>=', minAmount);
-      }
+      for (;;) {
+        let batch = ordered.limit(batchSize);
+        if (after) {
+          batch = batch.startAfter(after.value, after.id);
+        }
+
+        const snapshot = await batch.get();
+
+        for (const doc of snapshot.docs) {
+          const { searchTerms, ...data } = doc.data();
+          const receipt = {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt?.toDate?.() || data.createdAt,
+            updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
+          };
+          after = positionOf(receipt);
+          scanned++;
+
+          if (!matchesResidual(receipt, plan.residual) ||
+              !matchesSearch({ ...receipt, searchTerms }, plan.checkedTerms)) continue;
+          if (receipts.length === pageSize) {
+            more = true;
+            break;
+          }
+          receipts.push(receipt);
+        }
+
+        if (more || snapshot.size < batchSize) break;
 
-      if (maxAmount) {
-        query = query.where('total', '<=', maxAmount);
+        // Reading through many non-matching receipts stops here; the cursor resumes after them
+        if (scanned >= MAX_SCAN) {
+          more = true;
+          truncated = true;
+          break;
+        }
       }
 
-      // Execute query
-      const snapshot = await query.limit(limit).offset(offset).get();
-      const receipts = [];
+      const resumeFrom = truncated || receipts.length === 0 ? after : positionOf(receipts[receipts.length - 1]);
+      if (backwards) receipts.reverse();
 
-      snapshot.forEach(doc => {
-        receipts.push({
-          id: doc.id,
-          ...doc.data(),
-          createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt,
-          updatedAt: doc.data().updatedAt?.toDate?.() || doc.data().updatedAt
-        });
-      });
+      const first = receipts.length > 0 ? positionOf(receipts[0]) : position;
+      const last = receipts.length > 0 ? positionOf(receipts[receipts.length - 1]) : position;
+      const cursorAt = (at, cursorDirection) => encodeCursor({ sort, order, direction: cursorDirection, ...at });
 
-      // Apply text search if needed (client-side filtering)
-      let filteredReceipts = receipts;
-      if (search) {
-        const searchLower = search.toLowerCase();
-        filteredReceipts = receipts.filter(receipt => 
-          receipt.vendor?.toLowerCase().includes(searchLower) ||
-          receipt.items?.some(item => item.name?.toLowerCase().includes(searchLower))
-        );
+      let nextCursor = null;
+      let prevCursor = null;
+      if (backwards) {
+        prevCursor = more ? cursorAt(resumeFrom, 'prev') : null;
+        nextCursor = cursorAt(last, 'next');
+      } else {
+        nextCursor = more ? cursorAt(resumeFrom, 'next') : null;
+        prevCursor = position ? cursorAt(first, 'prev') : null;
       }
 
+      // Aggregate count: billed per 1000 matching index entries, not per document
+      const total = inMemory ? null : (await query.count().get()).data().count;
+
       return {
-        receipts: filteredReceipts,
-        total: filteredReceipts.length,
-        hasMore: snapshot.size === limit
+        receipts: await Promise.all(receipts.map(receipt => this.withImageUrl(receipt))),
+        total,
+        hasMore: nextCursor !== null,
+        nextCursor,
+        prevCursor
       };
     } catch (error) {
       console.error('Firestore get receipts error:', error);
@@ -120,6 +397,44 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Rebuild the search terms of every receipt, or of one user's receipts: for
+   * receipts saved before search existed or after the indexing rules change.
+   * Returns the number of receipts indexed.
+   */
+  async reindexSearchTerms(userId = null) {
+    try {
+      let query = this.db.collection(this.collections.receipts);
+      if (userId) {
+        query = query.where('userId', '==', userId);
+      }
+      query = query.orderBy('__name__').limit(REINDEX_BATCH_SIZE);
+
+      let indexed = 0;
+      let lastId = null;
+
+      for (;;) {
+        const snapshot = await (lastId ? query.startAfter(lastId) : query).get();
+        if (snapshot.empty) break;
+
+        const batch = this.db.batch();
+        snapshot.docs.forEach(doc => {
+          batch.update(doc.ref, { searchTerms: buildSearchTerms(doc.data()) });
+        });
+        await batch.commit();
+
+        indexed += snapshot.size;
+        if (snapshot.size < REINDEX_BATCH_SIZE) break;
+        lastId = snapshot.docs[snapshot.size - 1].id;
+      }
+
+      return indexed;
+    } catch (error) {
+      console.error('Firestore reindex error:', error);
+      throw new Error('Failed to rebuild receipt search terms');
+    }
+  }
+
   /**
    * Get single receipt by ID
    */
@@ -131,19 +446,19 @@ class FirestoreService {
         throw new Error('Receipt not found');
       }
 
-      const receipt = doc.data();
+      const { searchTerms, ...receipt } = doc.data();
       
       // Verify ownership
       if (receipt.userId !== userId) {
         throw new Error('Access denied');
       }
 
-      return {
+      return await this.withImageUrl({
         id: doc.id,
         ...receipt,
         createdAt: receipt.createdAt?.toDate?.() || receipt.createdAt,
         updatedAt: receipt.updatedAt?.toDate?.() || receipt.updatedAt
-      };
+      });
     } catch (error) {
       console.error('Firestore get receipt error:', error);
       throw error;
@@ -153,7 +468,7 @@ class FirestoreService {
   /**
    * Update receipt data
    */
-  async updateReceipt(receiptId, updateData, userId) {
+  async updateReceipt(receiptId, updateData, userId, options = {}) {
     try {
       const receiptRef = this.db.collection(this.collections.receipts).doc(receiptId);
       const doc = await receiptRef.get();
@@ -167,18 +482,53 @@ class FirestoreService {
         throw new Error('Access denied');
       }
 
+      // The processing job writes unsettled uploads; failed ones have nothing to edit
+      if (options.source === 'user' && (UNSETTLED_STATUSES.includes(receipt.status) || receipt.status === 'failed')) {
+        throw new Error(`Invalid receipt status: ${receipt.status} receipts cannot be edited`);
+      }
+
       const updates = {
         ...updateData,
         updatedAt: new Date()
       };
 
+      // Verifying a receipt clears its pending review
+      if (updateData.verified === true && receipt.status === 'needs_review' && updateData.status === undefined) {
+        updates.status = 'processed';
+      }
+
+      // Name-based vendor keys follow manual vendor corrections
+      if (updateData.vendor !== undefined && !receipt.vendorTaxId) {
+        updates.vendorKey = buildVendorKey(updateData.vendor);
+      }
+
+      // Corrected foreign totals are converted at the rate stored on the receipt
+      if (updateData.total !== undefined && updateData.baseTotal === undefined && typeof receipt.exchangeRate === 'number') {
+        updates.baseTotal = roundAmount(updateData.total * receipt.exchangeRate);
+      }
+
+      // Corrected vendor, items or text are searchable by their new words
+      if (SEARCHABLE_FIELDS.some(field => updateData[field] !== undefined)) {
+        updates.searchTerms = buildSearchTerms({ ...receipt, ...updates });
+      }
+
       await receiptRef.update(updates);
 
-      return {
+      const updatedReceipt = withoutSearchTerms({
         id: receiptId,
         ...receipt,
         ...updates
-      };
+      });
+
+      await this.notifyReceiptChange({
+        type: 'updated',
+        userId,
+        receipt: updatedReceipt,
+        previous: withoutSearchTerms({ id: receiptId, ...receipt }),
+        source: options.source || 'system'
+      });
+
+      return updatedReceipt;
     } catch (error) {
       console.error('Firestore update receipt error:', error);
       throw error;
@@ -204,8 +554,17 @@ class FirestoreService {
 
       await receiptRef.delete();
 
-      // Update user statistics
-      await this.updateUserStats(userId, -receipt.total, receipt.category);
+      // Update user statistics; unfinished uploads and unresolved duplicates were never counted
+      if (!UNSETTLED_STATUSES.includes(receipt.status) && receipt.status !== 'failed' && !receipt.possibleDuplicateOf) {
+        await this.updateUserStats(userId, -this.receiptAmount(receipt), -1, receipt.category);
+      }
+
+      await this.notifyReceiptChange({
+        type: 'deleted',
+        userId,
+        receipt: null,
+        previous: withoutSearchTerms({ id: receiptId, ...receipt })
+      });
 
       return { success: true };
     } catch (error) {
@@ -214,6 +573,52 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Group a user's receipts by vendor key
+   */
+  async getVendors(userId) {
+    try {
+      const snapshot = await this.db.collection(this.collections.receipts)
+        .where('userId', '==', userId)
+        .get();
+
+      const vendors = {};
+      snapshot.forEach(doc => {
+        const receipt = doc.data();
+        const key = receipt.vendorKey || buildVendorKey(receipt.vendor);
+        if (!key) return;
+
+        if (!vendors[key]) {
+          vendors[key] = {
+            vendorKey: key,
+            vendorTaxId: receipt.vendorTaxId || null,
+            names: [],
+            address: null,
+            receiptCount: 0,
+            totalSpent: 0,
+            lastDate: null
+          };
+        }
+
+        const vendor = vendors[key];
+        if (receipt.vendor && !vendor.names.includes(receipt.vendor)) {
+          vendor.names.push(receipt.vendor);
+        }
+        vendor.address = vendor.address || receipt.vendorAddress || null;
+        vendor.receiptCount += 1;
+        vendor.totalSpent = Math.round((vendor.totalSpent + this.receiptAmount(receipt)) * 100) / 100;
+        if (receipt.date && (!vendor.lastDate || receipt.date > vendor.lastDate)) {
+          vendor.lastDate = receipt.date;
+        }
+      });
+
+      return Object.values(vendors).sort((a, b) => b.totalSpent - a.totalSpent);
+    } catch (error) {
+      console.error('Firestore vendors error:', error);
+      throw new Error('Failed to fetch vendors');
+    }
+  }
+
   /**
    * Get analytics data for a user
    */
@@ -222,7 +627,9 @@ class FirestoreService {
       const {
         period = 'month',
         startDate,
-        endDate
+        endDate,
+        categoryParents = null,
+        baseCurrency = 'EUR'
       } = options;
 
       // Calculate date range
@@ -250,28 +657,16 @@ class FirestoreService {
       }
 
       // Get receipts in date range
-      const receiptsQuery = await this.db.collection(this.collections.receipts)
-        .where('userId', '==', userId)
-        .where('date', '>=', start.toISOString().split('T')[0])
-        .where('date', '<=', end.toISOString().split('T')[0])
-        .get();
-
-      const receipts = [];
-      receiptsQuery.forEach(doc => {
-        receipts.push(doc.data());
-      });
+      const receipts = await this.getReceiptsInDateRange(
+        userId,
+        start.toISOString().split('T')[0],
+        end.toISOString().split('T')[0]
+      );
 
       // Calculate analytics
-      const totalSpent = receipts.reduce((sum, receipt) => sum + (receipt.total || 0), 0);
+      const { totalSpent, categoryTotals, currencyTotals } = this.calculateSpending(receipts, categoryParents);
       const averageDaily = totalSpent / Math.max(1, Math.ceil((end - start) / (1000 * 60 * 60 * 24)));
 
-      // Group by categories
-      const categoryTotals = {};
-      receipts.forEach(receipt => {
-        const category = receipt.category || 'Otros';
-        categoryTotals[category] = (categoryTotals[category] || 0) + receipt.total;
-      });
-
       const topCategories = Object.entries(categoryTotals)
         .map(([name, amount]) => ({
           name,
@@ -291,7 +686,7 @@ class FirestoreService {
 
       let previousTotal = 0;
       prevQuery.forEach(doc => {
-        previousTotal += doc.data().total || 0;
+        previousTotal += this.receiptAmount(doc.data());
       });
 
       const trend = {
@@ -302,9 +697,14 @@ class FirestoreService {
 
       return {
         period,
+        baseCurrency,
         totalSpent,
         averageDaily,
+        currencies: Object.entries(currencyTotals)
+          .map(([currency, totals]) => ({ currency, ...totals }))
+          .sort((a, b) => b.baseTotal - a.baseTotal),
         topCategories,
+        groupBy: categoryParents ? 'parent' : 'category',
         trend,
         totalReceipts: receipts.length,
         dateRange: {
@@ -318,6 +718,331 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Get a user's receipts whose receipt date falls within [startDate, endDate]
+   */
+  async getReceiptsInDateRange(userId, startDate, endDate) {
+    const snapshot = await this.db.collection(this.collections.receipts)
+      .where('userId', '==', userId)
+      .where('date', '>=', startDate)
+      .where('date', '<=', endDate)
+      .get();
+
+    const receipts = [];
+    snapshot.forEach(doc => {
+      receipts.push(doc.data());
+    });
+
+    return receipts;
+  }
+
+  /**
+   * Amount of a receipt in the user's base currency. Receipts from before
+   * multi-currency support are in the base currency; foreign receipts without
+   * a known rate count as 0 until converted, and possible duplicates until kept.
+   */
+  receiptAmount(receipt) {
+    if (receipt.possibleDuplicateOf) {
+      return 0;
+    }
+
+    if (typeof receipt.baseTotal === 'number') {
+      return receipt.baseTotal;
+    }
+
+    if (receipt.currency && receipt.baseCurrency && receipt.currency !== receipt.baseCurrency) {
+      return 0;
+    }
+
+    return receipt.total || 0;
+  }
+
+  /**
+   * Sum receipt totals (in base currency) overall, per category and per original currency.
+   * With categoryParents ({ subcategory: parent }) subcategories roll up into their parent.
+   * Possible duplicates the user has not kept are left out.
+   */
+  calculateSpending(allReceipts, categoryParents = null) {
+    const receipts = allReceipts.filter(receipt => !receipt.possibleDuplicateOf);
+    const totalSpent = roundAmount(receipts.reduce((sum, receipt) => sum + this.receiptAmount(receipt), 0));
+
+    const categoryTotals = {};
+    const currencyTotals = {};
+    receipts.forEach(receipt => {
+      const amount = this.receiptAmount(receipt);
+      const name = receipt.category || FALLBACK_CATEGORY;
+      const category = categoryParents?.[name] || name;
+      categoryTotals[category] = roundAmount((categoryTotals[category] || 0) + amount);
+
+      const currency = receipt.currency || receipt.baseCurrency || 'EUR';
+      const totals = currencyTotals[currency] || (currencyTotals[currency] = { total: 0, baseTotal: 0, receipts: 0, unconverted: 0 });
+      totals.total = roundAmount(totals.total + (receipt.total || 0));
+      totals.baseTotal = roundAmount(totals.baseTotal + amount);
+      totals.receipts++;
+      if (receipt.baseTotal === null) totals.unconverted++;
+    });
+
+    return { totalSpent, categoryTotals, currencyTotals };
+  }
+
+  /**
+   * Validate budget fields, throwing on the first invalid one
+   */
+  validateBudget(budgetData, partial = false) {
+    const periods = ['week', 'month', 'year'];
+
+    if (!partial || budgetData.amount !== undefined) {
+      const amount = Number(budgetData.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error('Invalid budget amount');
+      }
+    }
+
+    if (!partial || budgetData.period !== undefined) {
+      if (!periods.includes(budgetData.period)) {
+        throw new Error('Invalid budget period');
+      }
+    }
+
+    if (budgetData.category !== undefined && budgetData.category !== null &&
+      (typeof budgetData.category !== 'string' || budgetData.category.trim() === '')) {
+      throw new Error('Invalid budget category');
+    }
+  }
+
+  /**
+   * Create a spending limit for a category (or overall when category is null)
+   */
+  async createBudget(budgetData, userId) {
+    this.validateBudget(budgetData);
+
+    try {
+      const budget = {
+        userId,
+        name: budgetData.name || budgetData.category || 'General',
+        category: budgetData.category || null,
+        period: budgetData.period,
+        amount: Number(budgetData.amount),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const docRef = await this.db.collection(this.collections.budgets).add(budget);
+
+      return {
+        id: docRef.id,
+        ...budget
+      };
+    } catch (error) {
+      console.error('Firestore create budget error:', error);
+      throw new Error('Failed to save budget to database');
+    }
+  }
+
+  /**
+   * Get all budgets for a user
+   */
+  async getBudgets(userId) {
+    try {
+      const snapshot = await this.db.collection(this.collections.budgets)
+        .where('userId', '==', userId)
+        .get();
+
+      const budgets = [];
+      snapshot.forEach(doc => {
+        budgets.push({
+          id: doc.id,
+          ...doc.data(),
+          createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt,
+          updatedAt: doc.data().updatedAt?.toDate?.() || doc.data().updatedAt
+        });
+      });
+
+      return budgets;
+    } catch (error) {
+      console.error('Firestore get budgets error:', error);
+      throw new Error('Failed to fetch budgets from database');
+    }
+  }
+
+  /**
+   * Get single budget by ID
+   */
+  async getBudget(budgetId, userId) {
+    try {
+      const doc = await this.db.collection(this.collections.budgets).doc(budgetId).get();
+
+      if (!doc.exists) {
+        throw new Error('Budget not found');
+      }
+
+      const budget = doc.data();
+
+      if (budget.userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      return {
+        id: doc.id,
+        ...budget,
+        createdAt: budget.createdAt?.toDate?.() || budget.createdAt,
+        updatedAt: budget.updatedAt?.toDate?.() || budget.updatedAt
+      };
+    } catch (error) {
+      console.error('Firestore get budget error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update budget data
+   */
+  async updateBudget(budgetId, updateData, userId) {
+    this.validateBudget(updateData, true);
+
+    try {
+      const budgetRef = this.db.collection(this.collections.budgets).doc(budgetId);
+      const doc = await budgetRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Budget not found');
+      }
+
+      const budget = doc.data();
+      if (budget.userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      const updates = {
+        ...updateData,
+        updatedAt: new Date()
+      };
+      if (updates.amount !== undefined) updates.amount = Number(updates.amount);
+
+      await budgetRef.update(updates);
+
+      return {
+        id: budgetId,
+        ...budget,
+        ...updates
+      };
+    } catch (error) {
+      console.error('Firestore update budget error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete budget
+   */
+  async deleteBudget(budgetId, userId) {
+    try {
+      const budgetRef = this.db.collection(this.collections.budgets).doc(budgetId);
+      const doc = await budgetRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Budget not found');
+      }
+
+      if (doc.data().userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      await budgetRef.delete();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Firestore delete budget error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the calendar period (week starting Monday, month or year) containing a date
+   */
+  getBudgetPeriod(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+    let start, end;
+
+    switch (period) {
+      case 'week': {
+        const weekday = (now.getUTCDay() + 6) % 7; // Monday = 0
+        start = new Date(Date.UTC(year, month, day - weekday));
+        end = new Date(Date.UTC(year, month, day - weekday + 6));
+        break;
+      }
+      case 'year':
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year, 11, 31));
+        break;
+      case 'month':
+      default:
+        start = new Date(Date.UTC(year, month, 1));
+        end = new Date(Date.UTC(year, month + 1, 0));
+    }
+
+    const dayMs = 1000 * 60 * 60 * 24;
+    const today = new Date(Date.UTC(year, month, day));
+
+    return {
+      start: start.toISOString().split('T')[0],
+      end: end.toISOString().split('T')[0],
+      daysInPeriod: Math.round((end - start) / dayMs) + 1,
+      daysElapsed: Math.round((today - start) / dayMs) + 1
+    };
+  }
+
+  /**
+   * Compare each budget against current-period spending. With categoryParents
+   * ({ subcategory: parent }) a parent category's budget also counts the
+   * spending of its subcategories.
+   */
+  async getBudgetStatus(userId, now = new Date(), categoryParents = null) {
+    try {
+      const budgets = await this.getBudgets(userId);
+      const spendingByPeriod = {};
+
+      const statuses = [];
+      for (const budget of budgets) {
+        const range = this.getBudgetPeriod(budget.period, now);
+        const key = `${range.start}_${range.end}`;
+
+        if (!spendingByPeriod[key]) {
+          // Only count receipts up to today; future-dated ones are not spent yet
+          const today = now.toISOString().split('T')[0];
+          const receipts = await this.getReceiptsInDateRange(userId, range.start, today < range.end ? today : range.end);
+          spendingByPeriod[key] = this.calculateSpending(receipts);
+        }
+
+        const { totalSpent, categoryTotals } = spendingByPeriod[key];
+        const spent = budget.category
+          ? Object.entries(categoryTotals)
+            .filter(([category]) => category === budget.category || categoryParents?.[category] === budget.category)
+            .reduce((sum, [, amount]) => sum + amount, 0)
+          : totalSpent;
+        const projected = spent / range.daysElapsed * range.daysInPeriod;
+
+        statuses.push({
+          ...budget,
+          periodStart: range.start,
+          periodEnd: range.end,
+          spent: Math.round(spent * 100) / 100,
+          remaining: Math.round((budget.amount - spent) * 100) / 100,
+          percentUsed: Math.round((spent / budget.amount) * 1000) / 10,
+          projected: Math.round(projected * 100) / 100,
+          projectedOverrun: projected > budget.amount
+        });
+      }
+
+      return statuses;
+    } catch (error) {
+      console.error('Firestore budget status error:', error);
+      throw new Error('Failed to calculate budget status');
+    }
+  }
+
   /**
    * Get or create user profile
    */
@@ -356,9 +1081,110 @@ class FirestoreService {
   }
 
   /**
-   * Update user statistics
+   * Update user preferences (currency, language, defaultCategory)
    */
-  async updateUserStats(userId, amountChange, category) {
+  async updatePreferences(userId, preferences) {
+    if (preferences.currency !== undefined && !isCurrencyCode(preferences.currency)) {
+      throw new Error('Invalid preference currency');
+    }
+
+    // Receipts are read in the locale these resolve to, so only supported ones are accepted
+    for (const field of ['language', 'locale']) {
+      if (preferences[field] !== undefined && !isSupportedLocale(preferences[field])) {
+        throw new Error(`Invalid preference ${field}`);
+      }
+    }
+
+    try {
+      const profile = await this.getUserProfile(userId);
+      const updated = {
+        ...(profile.preferences || {}),
+        ...preferences
+      };
+      if (updated.currency) updated.currency = updated.currency.toUpperCase();
+
+      await this.db.collection(this.collections.users).doc(userId).set({ preferences: updated }, { merge: true });
+
+      return {
+        ...profile,
+        preferences: updated
+      };
+    } catch (error) {
+      console.error('Firestore preferences error:', error);
+      throw new Error('Failed to update preferences');
+    }
+  }
+
+  /**
+   * Re-base a user's receipts on a new base currency after their preference
+   * changed. convert(receipt, baseCurrency) gives the new base-currency fields
+   * (ExchangeRateService.convertReceipt); receipts without a currency were in
+   * previousBase. Receipts already in the new base are left alone, so a run that
+   * stopped halfway is finished by repeating it. Returns the receipts converted.
+   */
+  async rebaseReceipts(userId, baseCurrency, previousBase, convert) {
+    try {
+      const query = this.db.collection(this.collections.receipts)
+        .where('userId', '==', userId)
+        .orderBy('__name__')
+        .limit(REINDEX_BATCH_SIZE);
+
+      let rebased = 0;
+      let lastId = null;
+
+      for (;;) {
+        const snapshot = await (lastId ? query.startAfter(lastId) : query).get();
+        if (snapshot.empty) break;
+
+        const batch = this.db.batch();
+        let converted = 0;
+        let spentChange = 0;
+
+        for (const doc of snapshot.docs) {
+          const receipt = doc.data();
+          if (UNSETTLED_STATUSES.includes(receipt.status) || receipt.status === 'failed' || receipt.baseCurrency === baseCurrency) {
+            continue;
+          }
+
+          const result = await convert({ ...receipt, currency: receipt.currency || receipt.baseCurrency || previousBase }, baseCurrency);
+          const updates = {
+            currency: result.currency,
+            baseCurrency,
+            exchangeRate: result.exchangeRate,
+            exchangeRateDate: result.exchangeRateDate,
+            exchangeRateProvider: result.exchangeRateProvider || null,
+            baseTotal: result.baseTotal,
+            updatedAt: new Date()
+          };
+          batch.update(doc.ref, updates);
+          converted++;
+          spentChange += this.receiptAmount({ ...receipt, ...updates }) - this.receiptAmount(receipt);
+        }
+
+        if (converted > 0) {
+          await batch.commit();
+          // Statistics follow each batch, so they stay right if a later one fails
+          if (spentChange !== 0) {
+            await this.updateUserStats(userId, roundAmount(spentChange), 0);
+          }
+        }
+
+        rebased += converted;
+        if (snapshot.size < REINDEX_BATCH_SIZE) break;
+        lastId = snapshot.docs[snapshot.size - 1].id;
+      }
+
+      return rebased;
+    } catch (error) {
+      console.error('Firestore rebase error:', error);
+      throw new Error('Failed to convert receipts to the new base currency');
+    }
+  }
+
+  /**
+   * Update user statistics by the spending and receipts added (+1) or removed (-1)
+   */
+  async updateUserStats(userId, amountChange, receiptChange, category) {
     try {
       const userRef = this.db.collection(this.collections.users).doc(userId);
       
@@ -369,7 +1195,7 @@ class FirestoreService {
           const currentData = doc.data();
           t.update(userRef, {
             totalSpent: (currentData.totalSpent || 0) + amountChange,
-            totalReceipts: Math.max(0, (currentData.totalReceipts || 0) + (amountChange > 0 ? 1 : -1)),
+            totalReceipts: Math.max(0, (currentData.totalReceipts || 0) + receiptChange),
             updatedAt: new Date()
           });
         }
@@ -381,64 +1207,70 @@ class FirestoreService {
   }
 
   /**
-   * Get default categories
+   * Get the built-in categories (users' own categories live in CategoryService)
    */
   async getCategories() {
-    try {
-      const categoriesRef = this.db.collection(this.collections.categories);
-      const snapshot = await categoriesRef.get();
-
-      if (snapshot.empty) {
-        // Initialize default categories
-        const defaultCategories = [
-          { id: '1', name: 'Alimentación', icon: '🛒', color: '#10B981' },
-          { id: '2', name: 'Transporte', icon: '🚗', color: '#3B82F6' },
-          { id: '3', name: 'Restaurantes', icon: '🍽️', color: '#F59E0B' },
-          { id: '4', name: 'Salud', icon: '🏥', color: '#EF4444' },
-          { id: '5', name: 'Entretenimiento', icon: '🎬', color: '#8B5CF6' },
-          { id: '6', name: 'Hogar', icon: '🏠', color: '#EC4899' },
-          { id: '7', name: 'Ropa', icon: '👕', color: '#06B6D4' },
-          { id: '8', name: 'Servicios', icon: '💡', color: '#84CC16' },
-          { id: '9', name: 'Otros', icon: '📦', color: '#6B7280' }
-        ];
-
-        // Add categories to Firestore
-        const batch = this.db.batch();
-        defaultCategories.forEach(category => {
-          const docRef = categoriesRef.doc(category.id);
-          batch.set(docRef, category);
-        });
-        await batch.commit();
-
-        return defaultCategories;
-      }
-
-      const categories = [];
-      snapshot.forEach(doc => {
-        categories.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-
-      return categories;
-    } catch (error) {
-      console.error('Firestore categories error:', error);
-      throw new Error('Failed to fetch categories');
-    }
+    return DEFAULT_CATEGORIES.map(category => ({
+      id: category.key,
+      name: category.name,
+      icon: category.icon,
+      color: category.color,
+      parentId: category.parent
+    }));
   }
 
   /**
-   * Initialize Firestore indexes and rules
+   * Verify that every composite index the queries need (firestore.indexes.json)
+   * exists and is built. Meant for deployment: returns { ready, building, missing }
+   * index descriptions and throws when any index is missing.
    */
-  async initializeDatabase() {
+  async initializeDatabase(adminClient = null) {
+    let existing;
     try {
-      // This method would typically be called during deployment
-      // to ensure required indexes are created
-      console.log('Firestore database initialized');
+      const client = adminClient || new v1.FirestoreAdminClient({ projectId: this.projectId });
+      const [indexes] = await client.listIndexes({
+        parent: `projects/${this.projectId}/databases/(default)/collectionGroups/-`
+      });
+
+      // The admin API may return enums as names or numbers
+      const enums = {
+        order: [null, 'ASCENDING', 'DESCENDING'],
+        arrayConfig: [null, 'CONTAINS'],
+        state: [null, 'CREATING', 'READY', 'NEEDS_REPAIR']
+      };
+      const name = (kind, value) => (typeof value === 'number' ? enums[kind][value] : value);
+
+      existing = new Map(indexes
+        .filter(index => [undefined, 'COLLECTION', 1].includes(index.queryScope))
+        .map(index => {
+          const collectionGroup = index.name.match(/collectionGroups\/([^/]+)/)[1];
+          const fields = index.fields.map(field => [
+            field.fieldPath,
+            name('arrayConfig', field.arrayConfig) || name('order', field.order)
+          ]);
+          return [indexKey({ collectionGroup, fields }), name('state', index.state)];
+        }));
     } catch (error) {
       console.error('Database initialization error:', error);
+      throw new Error('Failed to list Firestore indexes');
     }
+
+    const report = { ready: [], building: [], missing: [] };
+    requiredIndexes().forEach(index => {
+      const key = indexKey(index);
+      const state = existing.get(key);
+      report[state === 'READY' ? 'ready' : (state ? 'building' : 'missing')].push(key);
+    });
+
+    report.building.forEach(key => console.warn(`Firestore index not ready yet: ${key}`));
+    report.missing.forEach(key => console.error(`Missing Firestore index: ${key}`));
+
+    if (report.missing.length > 0) {
+      throw new Error(`Missing ${report.missing.length} Firestore indexes: deploy firestore.indexes.json`);
+    }
+
+    console.log(`Firestore database initialized: ${report.ready.length} indexes ready, ${report.building.length} building`);
+    return report;
   }
 }
 
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+
+// Job fields returned to clients; the payload (e.g. an uploaded file) stays internal
+const PUBLIC_FIELDS = [
+  'id', 'type', 'userId', 'status', 'attempts', 'maxAttempts', 'result', 'error',
+  'createdAt', 'updatedAt', 'startedAt', 'completedAt', 'runAt'
+];
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+function toPublicJob(job) {
+  return Object.fromEntries(PUBLIC_FIELDS.filter(field => job[field] !== undefined).map(field => [field, job[field]]));
+}
+
+/**
+ * In-process job storage. Jobs live in memory, so they are lost on restart
+ * and only visible to the instance that accepted them.
+ *
+ * A backend implements save, get, update, claimNext, nextRunAt and prune;
+ * a shared store (Firestore, Redis) can replace this one without changing the queue.
+ */
+class MemoryJobBackend {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async update(jobId, changes) {
+    const job = { ...this.jobs.get(jobId), ...changes };
+    this.jobs.set(jobId, job);
+    return { ...job };
+  }
+
+  /**
+   * Take the oldest queued job that is due, marking it running
+   */
+  async claimNext(now) {
+    let next = null;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued' && job.runAt <= now && (!next || job.runAt < next.runAt)) {
+        next = job;
+      }
+    }
+
+    if (!next) return null;
+
+    next.status = 'running';
+    return { ...next };
+  }
+
+  /**
+   * Earliest time a queued job becomes due, null when none is queued
+   */
+  async nextRunAt() {
+    let earliest = null;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued' && (earliest === null || job.runAt < earliest)) {
+        earliest = job.runAt;
+      }
+    }
+    return earliest;
+  }
+
+  /**
+   * Forget finished jobs last updated before the cutoff
+   */
+  async prune(before) {
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && job.updatedAt < before) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Background job queue with bounded concurrency and retries with exponential backoff.
+ *
+ * Job status: queued -> running -> completed | failed. A failed attempt goes
+ * back to queued until maxAttempts is reached or the error is not retryable.
+ */
+class JobQueue {
+  constructor(backend = new MemoryJobBackend(), options = {}) {
+    this.backend = backend;
+    this.handlers = new Map();
+    this.concurrency = options.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.backoffMs = options.backoffMs ?? 2000;
+    this.retentionMs = options.retentionMs ?? 24 * 60 * 60 * 1000;
+    this.running = 0;
+    this.timer = null;
+    this.pumping = false;
+    this.repump = false;
+    this.stopped = false;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Register the handler for a job type.
+   * options.isRetryable(error) decides whether a failure is retried (default: always);
+   * options.onFailed(payload, error, job) runs once the job has failed for good.
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      isRetryable: options.isRetryable || (() => true),
+      onFailed: options.onFailed || null
+    });
+  }
+
+  /**
+   * Queue a job and start processing it in the background
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Invalid job type: ${type}`);
+    }
+
+    const now = Date.now();
+    const job = await this.backend.save({
+      id: crypto.randomUUID(),
+      type,
+      userId: options.userId || null,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      payload,
+      result: null,
+      error: null,
+      runAt: now,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    });
+
+    this.pump();
+
+    return toPublicJob(job);
+  }
+
+  /**
+   * Get a job owned by a user
+   */
+  async getJob(jobId, userId) {
+    const job = await this.backend.get(jobId);
+
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (job.userId !== userId) {
+      throw new Error('Access denied');
+    }
+
+    return toPublicJob(job);
+  }
+
+  /**
+   * Start as many due jobs as concurrency allows, and wake up for the next delayed one
+   */
+  async pump() {
+    if (this.stopped) return;
+    if (this.pumping) {
+      // A slot freed up mid-pump; go round again once this pass is done
+      this.repump = true;
+      return;
+    }
+    this.pumping = true;
+    this.repump = false;
+
+    try {
+      while (this.running < this.concurrency) {
+        const job = await this.backend.claimNext(Date.now());
+        if (!job) break;
+
+        this.running++;
+        this.run(job)
+          .catch(error => console.error('Job queue error:', error))
+          .finally(() => {
+            this.running--;
+            this.pump();
+          });
+      }
+
+      clearTimeout(this.timer);
+      this.timer = null;
+
+      const nextRunAt = await this.backend.nextRunAt();
+      if (nextRunAt !== null && this.running < this.concurrency) {
+        this.timer = setTimeout(() => this.pump(), Math.max(0, nextRunAt - Date.now()));
+        // Waiting retries must not keep the process alive
+        if (this.timer.unref) this.timer.unref();
+      }
+
+      if (this.running === 0 && nextRunAt === null) {
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    } catch (error) {
+      console.error('Job queue error:', error);
+    } finally {
+      this.pumping = false;
+      if (this.repump) this.pump();
+    }
+  }
+
+  async run(job) {
+    const { handler, isRetryable, onFailed } = this.handlers.get(job.type);
+    const attempts = job.attempts + 1;
+
+    await this.backend.update(job.id, {
+      status: 'running',
+      attempts,
+      startedAt: job.startedAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    try {
+      const result = await handler(job.payload, { ...job, attempts });
+
+      await this.backend.update(job.id, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        error: null,
+        payload: null,
+        completedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      const retry = attempts < job.maxAttempts && isRetryable(error);
+
+      if (retry) {
+        // Exponential backoff: 1x, 2x, 4x... the base delay
+        await this.backend.update(job.id, {
+          status: 'queued',
+          error: { message: error.message, attempt: attempts },
+          runAt: Date.now() + this.backoffMs * 2 ** (attempts - 1),
+          updatedAt: new Date().toISOString()
+        });
+        return;
+      }
+
+      console.error(`Job ${job.type} failed:`, error);
+
+      let result = null;
+      if (onFailed) {
+        try {
+          result = await onFailed(job.payload, error, { ...job, attempts });
+        } catch (cleanupError) {
+          console.error(`Job ${job.type} cleanup error:`, cleanupError);
+        }
+      }
+
+      await this.backend.update(job.id, {
+        status: 'failed',
+        result: result === undefined ? null : result,
+        error: { message: error.message, attempt: attempts },
+        payload: null,
+        completedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    } finally {
+      await this.backend.prune(new Date(Date.now() - this.retentionMs).toISOString());
+    }
+  }
+
+  /**
+   * Resolve once no job is running or queued
+   */
+  onIdle() {
+    return new Promise(resolve => {
+      this.idleWaiters.push(resolve);
+      this.pump();
+    });
+  }
+
+  /**
+   * Stop starting new jobs; running jobs finish on their own
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  MemoryJobBackend,
+  JobQueue
+};
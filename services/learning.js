@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { buildVendorKey, validateTaxId } = require('./parsers/vendor');
+
+/**
+ * Per-user mappings learned from manual corrections.
+ *
+ *   vendor   - vendor key of an OCR reading -> canonical vendor name
+ *   category - vendor key of a canonical vendor -> category
+ *
+ * Vendor keys are the tax ID when one was printed, else the normalised name
+ * (see parsers/vendor). Mappings are applied to new uploads before the
+ * keyword categoriser's guess is accepted.
+ */
+class LearningService {
+  constructor(firestoreService) {
+    this.firestoreService = firestoreService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+    this.mappingTypes = ['vendor', 'category'];
+  }
+
+  // Matches are hashed: hand-made ones may hold '/' or other characters document ids cannot
+  mappingId(userId, type, match) {
+    const hash = crypto.createHash('sha256').update(match).digest('hex').slice(0, 40);
+    return `${userId}_${type}_${hash}`;
+  }
+
+  /**
+   * Create or reinforce a mapping; a different value replaces the old one
+   */
+  async learn(userId, type, match, value, details = {}) {
+    if (!match || !value) return null;
+
+    const mappingRef = this.db.collection(this.collections.vendorMappings).doc(this.mappingId(userId, type, match));
+    const doc = await mappingRef.get();
+    const now = new Date();
+
+    let mapping;
+    if (doc.exists && doc.data().value === value) {
+      mapping = {
+        ...doc.data(),
+        hits: (doc.data().hits || 0) + 1,
+        updatedAt: now,
+        ...details
+      };
+    } else {
+      mapping = {
+        userId,
+        type,
+        match,
+        value,
+        source: 'correction',
+        hits: 1,
+        createdAt: doc.exists ? doc.data().createdAt : now,
+        updatedAt: now,
+        ...details
+      };
+    }
+
+    await mappingRef.set(mapping);
+
+    return { id: mappingRef.id, ...mapping };
+  }
+
+  /**
+   * Learn from a receipt change made by its owner (receipt change listener)
+   */
+  async learnFromCorrection(change) {
+    const { type, userId, receipt, previous, source } = change;
+    if (type !== 'updated' || source !== 'user' || !receipt || !previous) {
+      return [];
+    }
+
+    const learned = [];
+
+    if (receipt.vendor && receipt.vendor !== previous.vendor) {
+      const match = previous.vendorKey || buildVendorKey(previous.vendor);
+      const mapping = await this.learn(userId, 'vendor', match, receipt.vendor, {
+        example: previous.vendor || null,
+        lastReceiptId: receipt.id
+      });
+      if (mapping) learned.push(mapping);
+    }
+
+    if (receipt.category && (receipt.category !== previous.category || receipt.vendor !== previous.vendor)) {
+      const match = receipt.vendorKey || buildVendorKey(receipt.vendor, receipt.vendorTaxId);
+      const mapping = await this.learn(userId, 'category', match, receipt.category, {
+        example: receipt.vendor || null,
+        lastReceiptId: receipt.id
+      });
+      if (mapping) learned.push(mapping);
+    }
+
+    return learned;
+  }
+
+  /**
+   * Apply a user's learned mappings to freshly parsed receipt data
+   */
+  async applyMappings(userId, receiptData) {
+    const mappings = await this.getMappings(userId);
+    if (mappings.length === 0) {
+      return receiptData;
+    }
+
+    const lookup = (type, match) => mappings.find(mapping => mapping.type === type && mapping.match === match);
+    const result = { ...receiptData, fieldConfidence: { ...(receiptData.fieldConfidence || {}) } };
+    const originalKey = receiptData.vendorKey || buildVendorKey(receiptData.vendor, receiptData.vendorTaxId);
+
+    const vendorMapping = lookup('vendor', originalKey);
+    if (vendorMapping) {
+      result.vendor = vendorMapping.value;
+      if (!result.vendorTaxId) {
+        result.vendorKey = buildVendorKey(vendorMapping.value);
+      }
+      result.fieldConfidence.vendor = { score: 0.95, source: 'learned' };
+    }
+
+    const categoryMapping = lookup('category', result.vendorKey) || lookup('category', originalKey);
+    if (categoryMapping) {
+      result.category = categoryMapping.value;
+      result.fieldConfidence.category = { score: 0.95, source: 'learned' };
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate mapping fields, throwing on the first invalid one
+   */
+  validateMapping(mappingData, partial = false) {
+    if (!partial && !this.mappingTypes.includes(mappingData.type)) {
+      throw new Error('Invalid mapping type');
+    }
+
+    if (!partial && (typeof mappingData.match !== 'string' || mappingData.match.trim() === '')) {
+      throw new Error('Invalid mapping match');
+    }
+
+    if (typeof mappingData.value !== 'string' || mappingData.value.trim() === '') {
+      throw new Error('Invalid mapping value');
+    }
+  }
+
+  /**
+   * Create a mapping by hand; match may be a vendor name, tax ID or vendor key
+   */
+  async createMapping(mappingData, userId) {
+    this.validateMapping(mappingData);
+
+    const rawMatch = mappingData.match.trim();
+    let match = rawMatch;
+    if (!/^(taxid|name):/.test(rawMatch)) {
+      match = validateTaxId(rawMatch).valid ? buildVendorKey(null, rawMatch) : buildVendorKey(rawMatch);
+    }
+
+    // Names made only of legal suffixes or punctuation have no vendor key
+    if (!match || /^(taxid|name):$/.test(match)) {
+      throw new Error('Invalid mapping match: no vendor name or tax ID');
+    }
+
+    try {
+      return await this.learn(userId, mappingData.type, match, mappingData.value.trim(), { source: 'manual' });
+    } catch (error) {
+      console.error('Create mapping error:', error);
+      throw new Error('Failed to save mapping to database');
+    }
+  }
+
+  /**
+   * Get a user's mappings, optionally of one type
+   */
+  async getMappings(userId, type) {
+    try {
+      let query = this.db.collection(this.collections.vendorMappings)
+        .where('userId', '==', userId);
+
+      if (type) {
+        query = query.where('type', '==', type);
+      }
+
+      const snapshot = await query.get();
+
+      const mappings = [];
+      snapshot.forEach(doc => {
+        mappings.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return mappings;
+    } catch (error) {
+      console.error('Get mappings error:', error);
+      throw new Error('Failed to fetch mappings from database');
+    }
+  }
+
+  /**
+   * Change the value a mapping resolves to
+   */
+  async updateMapping(mappingId, updateData, userId) {
+    this.validateMapping(updateData, true);
+
+    try {
+      const mappingRef = this.db.collection(this.collections.vendorMappings).doc(mappingId);
+      const doc = await mappingRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Mapping not found');
+      }
+
+      const mapping = doc.data();
+      if (mapping.userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      const updates = {
+        value: updateData.value.trim(),
+        source: 'manual',
+        updatedAt: new Date()
+      };
+
+      await mappingRef.update(updates);
+
+      return {
+        id: mappingId,
+        ...mapping,
+        ...updates
+      };
+    } catch (error) {
+      console.error('Update mapping error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a mapping
+   */
+  async deleteMapping(mappingId, userId) {
+    try {
+      const mappingRef = this.db.collection(this.collections.vendorMappings).doc(mappingId);
+      const doc = await mappingRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Mapping not found');
+      }
+
+      if (doc.data().userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      await mappingRef.delete();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete mapping error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LearningService;
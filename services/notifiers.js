@@ -0,0 +1,75 @@
+/**
+ * Alert notifiers.
+ *
+ * A notifier is any object exposing `async notify(alert)`. AlertService calls
+ * every configured notifier for each new alert; a failing notifier is logged
+ * and does not affect the others.
+ */
+
+class LogNotifier {
+  constructor(logger = console) {
+    this.logger = logger;
+  }
+
+  /**
+   * Write the alert to the application log
+   */
+  async notify(alert) {
+    this.logger.info('Spending alert', {
+      userId: alert.userId,
+      alertId: alert.id,
+      type: alert.type,
+      message: alert.message
+    });
+  }
+}
+
+class WebhookNotifier {
+  constructor(url, options = {}) {
+    if (!url) {
+      throw new Error('Webhook URL is required');
+    }
+
+    this.url = url;
+    this.timeout = options.timeout || 5000;
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * POST the alert as JSON to the configured URL
+   */
+  async notify(alert) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.headers
+      },
+      body: JSON.stringify({ event: 'alert.created', alert }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+  }
+}
+
+class EventNotifier {
+  constructor(broker) {
+    this.broker = broker;
+  }
+
+  /**
+   * Push the alert to the user's open event streams
+   */
+  async notify(alert) {
+    this.broker.publish(alert.userId, 'alert.created', alert);
+  }
+}
+
+module.exports = {
+  LogNotifier,
+  WebhookNotifier,
+  EventNotifier
+};
@@ -0,0 +1,80 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { contentHash } = require('../fingerprints');
+
+/**
+ * Replays recorded OCR results, for tests and offline development.
+ *
+ * Fixtures are JSON files named after the SHA-256 of the document: an image
+ * fixture holds { fullText, blocks, confidence, wordConfidences }, a PDF
+ * fixture { pages: { [page]: { text, confidence, words } } }. With a
+ * recordFrom provider, missing fixtures are read with it and saved.
+ */
+class FixtureOcrProvider {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('OCR fixtures directory is required');
+    }
+
+    this.name = 'fixtures';
+    this.dir = options.dir;
+    this.recordFrom = options.recordFrom || null;
+  }
+
+  fixturePath(buffer) {
+    return path.join(this.dir, `${contentHash(buffer)}.json`);
+  }
+
+  async load(buffer, record) {
+    const file = this.fixturePath(buffer);
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.recordFrom) {
+      throw new Error(`No OCR fixture ${path.basename(file)}`);
+    }
+
+    const fixture = await record();
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    return fixture;
+  }
+
+  /**
+   * Recorded result of an image ({ fullText, blocks, confidence, wordConfidences })
+   */
+  async recognizeImage(imageBuffer) {
+    const fixture = await this.load(imageBuffer, () => this.recordFrom.recognizeImage(imageBuffer));
+
+    return {
+      fullText: fixture.fullText || '',
+      blocks: fixture.blocks || [],
+      confidence: fixture.confidence ?? null,
+      wordConfidences: fixture.wordConfidences || {}
+    };
+  }
+
+  /**
+   * Recorded results of PDF pages ({ [page]: { text, confidence, words } })
+   */
+  async recognizePdfPages(pdfBuffer, pageNumbers) {
+    const fixture = await this.load(pdfBuffer, async () => ({
+      pages: await this.recordFrom.recognizePdfPages(pdfBuffer, pageNumbers)
+    }));
+
+    const results = {};
+    for (const page of pageNumbers) {
+      if (!fixture.pages?.[page]) {
+        throw new Error(`No OCR fixture for page ${page} of ${path.basename(this.fixturePath(pdfBuffer))}`);
+      }
+      results[page] = fixture.pages[page];
+    }
+    return results;
+  }
+}
+
+module.exports = FixtureOcrProvider;
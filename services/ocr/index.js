@@ -0,0 +1,51 @@
+/**
+ * OCR providers.
+ *
+ * A provider exposes `name` and two methods:
+ *   recognizeImage(buffer) -> { fullText, blocks, confidence, wordConfidences }
+ *   recognizePdfPages(buffer, pageNumbers) -> { [page]: { text, confidence, words } }
+ *
+ * blocks are word boxes shaped like Vision text annotations
+ * ({ description, boundingPoly: { vertices } }), confidences are 0-1 and
+ * null when the engine does not report them. The receipt parsers only see
+ * this shape, whichever provider ran.
+ */
+
+const PROVIDERS = ['vision', 'tesseract', 'fixtures'];
+
+/**
+ * Create the configured provider (config.ocr: provider, tesseract, fixtures).
+ * Provider modules are loaded on demand, so unused OCR SDKs are never initialised.
+ */
+function createOcrProvider(options = {}) {
+  const provider = options.provider || 'vision';
+
+  switch (provider) {
+    case 'vision': {
+      const VisionOcrProvider = require('./visionProvider');
+      return new VisionOcrProvider();
+    }
+    case 'tesseract': {
+      const TesseractOcrProvider = require('./tesseractProvider');
+      return new TesseractOcrProvider(options.tesseract);
+    }
+    case 'fixtures': {
+      const FixtureOcrProvider = require('./fixtureProvider');
+      const { recordFrom, ...fixtures } = options.fixtures || {};
+      if (recordFrom === 'fixtures') {
+        throw new Error('Invalid OCR provider: fixtures cannot record from fixtures');
+      }
+      return new FixtureOcrProvider({
+        ...fixtures,
+        recordFrom: recordFrom ? createOcrProvider({ ...options, provider: recordFrom }) : null
+      });
+    }
+    default:
+      throw new Error(`Invalid OCR provider: ${provider} (use ${PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createOcrProvider
+};
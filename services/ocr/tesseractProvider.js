@@ -0,0 +1,93 @@
+const { createWorker } = require('tesseract.js');
+const { roundScore } = require('../parsers/confidence');
+
+/**
+ * Local OCR with Tesseract (tesseract.js), for development and offline use.
+ *
+ * Language data is downloaded on first use unless langPath points at local
+ * .traineddata files. Tesseract cannot render PDFs, so scanned PDF pages are
+ * rejected; PDFs with embedded text do not need OCR.
+ */
+class TesseractOcrProvider {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.lang = options.lang || 'spa+eng';
+    this.langPath = options.langPath || null;
+    this.worker = null;
+  }
+
+  // One worker, created on first use; it runs recognitions one at a time
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Promise((resolve, reject) => {
+        createWorker(this.lang.split('+'), undefined, {
+          ...(this.langPath && { langPath: this.langPath }),
+          // tesseract.js rethrows worker errors outside its promises unless given a
+          // handler, and never settles createWorker when language data fails to load
+          errorHandler: error => reject(new Error(`Tesseract error: ${error}`))
+        }).then(resolve, reject);
+      }).catch(error => {
+        this.worker = null;
+        throw error;
+      });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Read an image ({ fullText, blocks, confidence, wordConfidences }).
+   * Word boxes use the same shape as Vision annotations.
+   */
+  async recognizeImage(imageBuffer) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+
+    const blocks = [];
+    const wordConfidences = {};
+
+    for (const block of data.blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const line of paragraph.lines || []) {
+          for (const word of line.words || []) {
+            const text = word.text.trim();
+            if (!text) continue;
+
+            const { x0, y0, x1, y1 } = word.bbox;
+            blocks.push({
+              description: text,
+              boundingPoly: { vertices: [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }] }
+            });
+
+            // Tesseract reports 0-100; keep the least confident reading of repeated words
+            const confidence = roundScore(word.confidence / 100);
+            wordConfidences[text] = wordConfidences[text] === undefined ? confidence : Math.min(wordConfidences[text], confidence);
+          }
+        }
+      }
+    }
+
+    return {
+      fullText: (data.text || '').trim(),
+      blocks,
+      confidence: typeof data.confidence === 'number' ? roundScore(data.confidence / 100) : null,
+      wordConfidences
+    };
+  }
+
+  async recognizePdfPages() {
+    throw new Error('Tesseract cannot read scanned PDF pages');
+  }
+
+  /**
+   * Stop the worker
+   */
+  async terminate() {
+    if (!this.worker) return;
+
+    const worker = await this.worker;
+    this.worker = null;
+    await worker.terminate();
+  }
+}
+
+module.exports = TesseractOcrProvider;
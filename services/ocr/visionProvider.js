@@ -0,0 +1,67 @@
+const vision = require('@google-cloud/vision');
+const { readOcrConfidence } = require('../parsers/confidence');
+
+// Cloud Vision reads at most this many PDF pages per synchronous request
+const VISION_PDF_PAGE_LIMIT = 5;
+
+/**
+ * OCR with Google Cloud Vision. Word boxes are Vision's own text annotations.
+ */
+class VisionOcrProvider {
+  constructor(options = {}) {
+    this.name = 'vision';
+    this.client = options.client || new vision.ImageAnnotatorClient();
+  }
+
+  /**
+   * Read an image ({ fullText, blocks, confidence, wordConfidences })
+   */
+  async recognizeImage(imageBuffer) {
+    const [result] = await this.client.textDetection({
+      image: { content: imageBuffer }
+    });
+
+    const detections = result.textAnnotations || [];
+    const ocr = readOcrConfidence(result.fullTextAnnotation);
+
+    return {
+      fullText: detections.length > 0 ? detections[0].description : '',
+      blocks: detections.slice(1), // Individual words
+      confidence: ocr.confidence, // Mean symbol confidence, null when not reported
+      wordConfidences: ocr.words
+    };
+  }
+
+  /**
+   * Read the given PDF pages ({ [page]: { text, confidence, words } })
+   */
+  async recognizePdfPages(pdfBuffer, pageNumbers) {
+    const results = {};
+
+    for (let start = 0; start < pageNumbers.length; start += VISION_PDF_PAGE_LIMIT) {
+      const pages = pageNumbers.slice(start, start + VISION_PDF_PAGE_LIMIT);
+      const [result] = await this.client.batchAnnotateFiles({
+        requests: [{
+          inputConfig: { content: pdfBuffer, mimeType: 'application/pdf' },
+          features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+          pages
+        }]
+      });
+
+      const responses = result.responses?.[0]?.responses || [];
+      responses.forEach((response, index) => {
+        const page = response.context?.pageNumber || pages[index];
+        const ocr = readOcrConfidence(response.fullTextAnnotation);
+        results[page] = {
+          text: (response.fullTextAnnotation?.text || '').trim(),
+          confidence: ocr.confidence,
+          words: ocr.words
+        };
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = VisionOcrProvider;
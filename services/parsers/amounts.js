@@ -0,0 +1,88 @@
+/**
+ * Amount helpers shared by the receipt parsers.
+ */
+
+const { CURRENCY_SOURCE } = require('./currency');
+const { getLocale } = require('./locale');
+
+const CURRENCY_MARKERS = new RegExp(CURRENCY_SOURCE, 'gi');
+
+// A printed money amount: digits with exactly two decimals, optionally with
+// thousands separators ("2,70", "1.35", "-0,50", "1.234,56", "1,234.56")
+const AMOUNT_SOURCE = '-?(?:\\d{1,3}(?:[.,]\\d{3})+|\\d+)[.,]\\d{2}';
+
+// Any printed number, possibly with separators ("12", "4,5", "1.234,56")
+const NUMBER_SOURCE = '\\d+(?:[.,]\\d+)*';
+
+/**
+ * Parse a printed number for a locale, reporting whether the reading depended
+ * on it: "1.234" is 1234 in es-ES but 1.234 in en-GB ({ value, ambiguous }).
+ *
+ * The last separator is the decimal one when both appear or when it is not
+ * followed by exactly three digits; a repeated separator groups thousands.
+ */
+function parseNumber(text, locale) {
+  if (text === undefined || text === null) return { value: NaN, ambiguous: false };
+
+  let value = String(text).replace(CURRENCY_MARKERS, '').replace(/\s/g, '');
+  let negative = false;
+
+  if (value.endsWith('-')) {
+    negative = true;
+    value = value.slice(0, -1);
+  }
+  if (value.startsWith('-')) {
+    negative = true;
+    value = value.slice(1);
+  }
+
+  const separators = value.match(/[.,]/g) || [];
+  const last = separators[separators.length - 1];
+  let decimal = null;
+  let ambiguous = false;
+
+  if (separators.length > 0) {
+    const [integer, fraction] = [value.slice(0, value.lastIndexOf(last)), value.slice(value.lastIndexOf(last) + 1)];
+
+    if (separators.some(separator => separator !== last)) {
+      decimal = last;
+    } else if (separators.length > 1) {
+      decimal = null;
+    } else if (fraction.length !== 3 || /^0*$/.test(integer) || integer.length > 3) {
+      decimal = last;
+    } else {
+      // "1.234" / "1,234": thousands or three decimals, the locale decides
+      ambiguous = true;
+      decimal = getLocale(locale).thousands === last ? null : last;
+    }
+  }
+
+  const normalized = decimal
+    ? value.split(decimal).map(part => part.replace(/[.,]/g, '')).join('.')
+    : value.replace(/[.,]/g, '');
+
+  const amount = parseFloat(normalized);
+  return { value: negative ? -amount : amount, ambiguous };
+}
+
+/**
+ * Parse a printed amount into a number ("1,35" -> 1.35, "0,50-" -> -0.5, "1.234,56" -> 1234.56)
+ */
+function parseAmount(text, locale) {
+  return parseNumber(text, locale).value;
+}
+
+/**
+ * Round to cents
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  AMOUNT_SOURCE,
+  NUMBER_SOURCE,
+  parseNumber,
+  parseAmount,
+  roundAmount
+};
@@ -0,0 +1,81 @@
+/**
+ * Built-in category taxonomy, shared by the OCR categoriser and the
+ * categories API. Users get a copy they can edit; receipts reference
+ * categories by name.
+ *
+ * Order matters: the categoriser returns the first category whose keywords
+ * match, so more specific categories come before general ones.
+ */
+
+const DEFAULT_CATEGORIES = [
+  {
+    key: 'alimentacion', name: 'Alimentación', icon: '🛒', color: '#10B981', parent: null,
+    keywords: ['supermercado', 'mercado', 'carrefour', 'mercadona', 'lidl', 'aldi', 'dia', 'eroski', 'alcampo', 'hipercor', 'el corte inglés', 'panadería', 'charcutería', 'frutería']
+  },
+  {
+    key: 'transporte', name: 'Transporte', icon: '🚗', color: '#3B82F6', parent: null,
+    keywords: ['gasolinera', 'shell', 'repsol', 'cepsa', 'bp', 'galp', 'taxi', 'uber', 'cabify', 'metro', 'bus', 'tren', 'parking', 'aparcamiento']
+  },
+  {
+    key: 'restaurantes', name: 'Restaurantes', icon: '🍽️', color: '#F59E0B', parent: null,
+    keywords: ['restaurante', 'bar', 'café', 'cafetería', 'pizzería', 'hamburguesa', 'mcdonald', 'burger', 'kfc', 'telepizza', 'dominos']
+  },
+  {
+    key: 'salud', name: 'Salud', icon: '🏥', color: '#EF4444', parent: null,
+    keywords: ['clínica', 'dental', 'óptica']
+  },
+  {
+    key: 'farmacia', name: 'Farmacia', icon: '💊', color: '#F87171', parent: 'salud',
+    keywords: ['farmacia', 'parafarmacia', 'medicina', 'medicamento']
+  },
+  {
+    key: 'ropa', name: 'Ropa', icon: '👕', color: '#06B6D4', parent: null,
+    keywords: ['zara', 'h&m', 'mango', 'primark', 'decathlon', 'nike', 'adidas', 'el corte inglés', 'moda']
+  },
+  {
+    key: 'hogar', name: 'Hogar', icon: '🏠', color: '#EC4899', parent: null,
+    keywords: ['ikea', 'leroy merlin', 'bricomart', 'aki', 'ferretería', 'electrodomésticos', 'mediamarkt', 'carrefour']
+  },
+  {
+    key: 'suministros', name: 'Suministros', icon: '🔌', color: '#F472B6', parent: 'hogar',
+    keywords: ['electricidad', 'agua', 'gas', 'iberdrola', 'endesa', 'naturgy']
+  },
+  {
+    key: 'entretenimiento', name: 'Entretenimiento', icon: '🎬', color: '#8B5CF6', parent: null,
+    keywords: ['cine', 'teatro', 'concierto', 'spotify', 'netflix', 'amazon prime', 'juego']
+  },
+  {
+    key: 'servicios', name: 'Servicios', icon: '💡', color: '#84CC16', parent: null,
+    keywords: ['telefono', 'internet', 'seguro', 'banco']
+  },
+  {
+    key: 'otros', name: 'Otros', icon: '📦', color: '#6B7280', parent: null,
+    keywords: []
+  }
+];
+
+// Category assigned when nothing matches
+const FALLBACK_CATEGORY = 'Otros';
+
+/**
+ * Lowercase category name for case-insensitive comparison
+ */
+function normalizeCategoryName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * [name, keywords] pairs of the active categories, in matching order
+ */
+function buildKeywordTable(categories = DEFAULT_CATEGORIES) {
+  return categories
+    .filter(category => !category.archived && Array.isArray(category.keywords) && category.keywords.length > 0)
+    .map(category => [category.name, category.keywords.map(keyword => keyword.toLowerCase())]);
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORY,
+  normalizeCategoryName,
+  buildKeywordTable
+};
@@ -0,0 +1,138 @@
+/**
+ * Confidence scoring for parsed receipt fields.
+ *
+ * Each field gets a score from how it was found (labelled pattern, weaker
+ * pattern or fallback), scaled by the OCR confidence of the words on the line
+ * it came from. The overall score is a weighted average of the fields.
+ */
+
+const { roundAmount } = require('./amounts');
+
+const FIELD_WEIGHTS = {
+  total: 0.35,
+  date: 0.2,
+  vendor: 0.2,
+  items: 0.15,
+  category: 0.1
+};
+
+// Items summing to within this amount of the total are considered consistent
+const ITEMS_TOLERANCE = 0.05;
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function roundScore(value) {
+  return Math.round(clamp(value) * 100) / 100;
+}
+
+/**
+ * Collect document and per-word confidences from a Vision fullTextAnnotation
+ */
+function readOcrConfidence(fullTextAnnotation) {
+  const words = {};
+  const symbolConfidences = [];
+
+  for (const page of fullTextAnnotation?.pages || []) {
+    for (const block of page.blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const word of paragraph.words || []) {
+          const symbols = word.symbols || [];
+          const text = symbols.map(symbol => symbol.text).join('');
+          const confidences = symbols
+            .map(symbol => symbol.confidence)
+            .filter(value => typeof value === 'number');
+
+          symbolConfidences.push(...confidences);
+
+          const wordConfidence = typeof word.confidence === 'number'
+            ? word.confidence
+            : (confidences.length ? Math.min(...confidences) : undefined);
+
+          if (text && wordConfidence !== undefined) {
+            // Keep the least confident reading of repeated words
+            words[text] = words[text] === undefined ? wordConfidence : Math.min(words[text], wordConfidence);
+          }
+        }
+      }
+    }
+  }
+
+  if (symbolConfidences.length === 0) {
+    return { confidence: null, words: {} };
+  }
+
+  return {
+    confidence: roundScore(symbolConfidences.reduce((sum, value) => sum + value, 0) / symbolConfidences.length),
+    words
+  };
+}
+
+/**
+ * Average OCR confidence of the words on a line; fallback when unknown
+ */
+function lineOcrConfidence(line, wordConfidences = {}, fallback = 1) {
+  if (!line) return fallback;
+
+  const known = line.split(/\s+/)
+    .map(token => wordConfidences[token])
+    .filter(value => typeof value === 'number');
+
+  if (known.length === 0) return fallback;
+  return known.reduce((sum, value) => sum + value, 0) / known.length;
+}
+
+/**
+ * Score extracted items by how well they add up to the total
+ */
+function scoreItems(items, total) {
+  if (!items || items.length === 0) {
+    return { score: 0.2, source: 'none' };
+  }
+
+  const sum = roundAmount(items.reduce((acc, item) => acc + (item.lineTotal ?? item.price ?? 0), 0));
+
+  if (total > 0 && Math.abs(sum - total) <= ITEMS_TOLERANCE) {
+    return { score: 0.9, source: 'sum_matches_total' };
+  }
+
+  if (!(total > 0)) {
+    return { score: 0.4, source: 'no_total' };
+  }
+
+  const ratio = Math.min(sum, total) / Math.max(sum, total);
+  return { score: roundScore(0.2 + 0.4 * ratio), source: 'sum_mismatch' };
+}
+
+/**
+ * Weighted overall score from field scores, blended with OCR confidence
+ */
+function combineConfidence(fields, ocrConfidence = null) {
+  let weighted = 0;
+  let weights = 0;
+
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    if (fields[field]) {
+      weighted += fields[field].score * weight;
+      weights += weight;
+    }
+  }
+
+  const fieldScore = weights > 0 ? weighted / weights : 0;
+  const overall = typeof ocrConfidence === 'number'
+    ? fieldScore * 0.8 + ocrConfidence * 0.2
+    : fieldScore;
+
+  return roundScore(overall);
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  ITEMS_TOLERANCE,
+  roundScore,
+  readOcrConfidence,
+  lineOcrConfidence,
+  scoreItems,
+  combineConfidence
+};
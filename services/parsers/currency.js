@@ -0,0 +1,89 @@
+/**
+ * Currency detection for printed receipts: symbols ($, £, €), "CHF"/"Fr."
+ * and ISO 4217 codes next to amounts.
+ */
+
+const ISO_CODES = ['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'MXN'];
+
+const SYMBOLS = {
+  '€': 'EUR',
+  '£': 'GBP',
+  '$': 'USD',
+  'US$': 'USD',
+  'Fr.': 'CHF'
+};
+
+// A currency marker as printed next to an amount
+const CURRENCY_SOURCE = `(?:US\\$|[€£$]|Fr\\.|\\b(?:${ISO_CODES.join('|')})\\b)`;
+
+const CURRENCY_PATTERN = new RegExp(CURRENCY_SOURCE, 'g');
+
+/**
+ * ISO code for a printed marker ("£" -> "GBP", "chf" -> "CHF"), null if unknown
+ */
+function toCurrencyCode(marker) {
+  if (!marker) return null;
+
+  const trimmed = marker.trim();
+  if (SYMBOLS[trimmed]) return SYMBOLS[trimmed];
+
+  const code = trimmed.toUpperCase();
+  return ISO_CODES.includes(code) ? code : null;
+}
+
+/**
+ * Whether a value is a supported ISO currency code
+ */
+function isCurrencyCode(value) {
+  return typeof value === 'string' && ISO_CODES.includes(value.toUpperCase());
+}
+
+/**
+ * Detect the receipt currency ({ value, score, source, line }).
+ * A marker on the total line wins; otherwise the most frequent marker does.
+ * Returns null when no marker is printed.
+ */
+function detectCurrency(lines, totalLine = null) {
+  if (totalLine) {
+    const marker = totalLine.match(CURRENCY_PATTERN)?.map(toCurrencyCode).find(Boolean);
+    if (marker) {
+      return { value: marker, score: 0.95, source: 'total_line', line: totalLine };
+    }
+  }
+
+  const counts = {};
+  const firstLine = {};
+
+  for (const line of lines) {
+    for (const marker of line.match(CURRENCY_PATTERN) || []) {
+      const code = toCurrencyCode(marker);
+      if (!code) continue;
+
+      counts[code] = (counts[code] || 0) + 1;
+      if (!firstLine[code]) firstLine[code] = line;
+    }
+  }
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  const [code, count] = ranked[0];
+  const contested = ranked.length > 1 && ranked[1][1] === count;
+
+  return {
+    value: code,
+    score: contested ? 0.5 : 0.8,
+    source: 'marker',
+    line: firstLine[code]
+  };
+}
+
+module.exports = {
+  ISO_CODES,
+  CURRENCY_SOURCE,
+  toCurrencyCode,
+  isCurrencyCode,
+  detectCurrency
+};
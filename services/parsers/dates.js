@@ -0,0 +1,130 @@
+/**
+ * Receipt date extraction: year-first ISO dates, dates with month names
+ * ("15 ENE 2024", "15 de enero de 2024", "Jan 15, 2024") and numeric dates
+ * read in the locale's day/month order.
+ */
+
+const { getLocale, monthNumber } = require('./locale');
+const { roundScore } = require('./confidence');
+
+// Year-first numeric dates are unambiguous: 2024-01-15, 2024/01/15, 2024.01.15
+const YEAR_FIRST = /\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/;
+// 15 ENE 2024, 15-ene-24, 15 de enero de 2024, 15. März 2024
+const DAY_MONTH_NAME = /\b(\d{1,2})\.?(?:\s+de)?[\s./-]*(\p{L}{3,10})\.?(?:\s+de)?[\s./,-]*(\d{4}|\d{2})\b(?![.,]\d)/u;
+// Jan 15, 2024 / January 15 2024
+const MONTH_NAME_DAY = /\b(\p{L}{3,10})\.?\s+(\d{1,2}),?\s+(\d{4})\b/u;
+// 15/01/2024, 01-15-24, 15.01.2024
+const NUMERIC = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b(?![.,]\d)/;
+
+// Ambiguous dates (both readings valid) lose this share of their score
+const AMBIGUITY_PENALTY = 0.7;
+
+/**
+ * Four-digit year for a printed year; two-digit years are read within a
+ * century ending next year ("24" -> 2024, "99" -> 1999)
+ */
+function expandYear(year, now = new Date()) {
+  if (year.length === 4) return parseInt(year, 10);
+
+  const twoDigits = parseInt(year, 10);
+  const pivot = (now.getUTCFullYear() + 1) % 100;
+  return twoDigits <= pivot ? 2000 + twoDigits : 1900 + twoDigits;
+}
+
+/**
+ * ISO date for year, month and day, or null if no such calendar day exists
+ */
+function toIsoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return date.toISOString().split('T')[0];
+}
+
+function readNumeric(match, locale, now) {
+  const [, first, second, year] = match;
+  const fullYear = expandYear(year, now);
+  const a = parseInt(first, 10);
+  const b = parseInt(second, 10);
+
+  const dayFirst = toIsoDate(fullYear, b, a);
+  const monthFirst = toIsoDate(fullYear, a, b);
+  const preferred = getLocale(locale).dateOrder === 'MDY' ? monthFirst : dayFirst;
+  const other = preferred === dayFirst ? monthFirst : dayFirst;
+
+  if (!preferred && !other) return null;
+
+  return {
+    value: preferred || other,
+    twoDigitYear: year.length === 2,
+    // Both orders give a valid, different date ("03/04/2024")
+    ambiguous: Boolean(preferred && other && preferred !== other),
+    // Only the order opposite to the locale's convention is valid ("15/01/2024" in en-US)
+    reordered: !preferred
+  };
+}
+
+/**
+ * Find the receipt date ({ value, score, source, line, ambiguous }), or null
+ */
+function findDate(lines, locale, now = new Date()) {
+  for (const line of lines) {
+    const labelled = /fecha|date|datum|data/i.test(line);
+    const bonus = labelled ? 0.05 : 0;
+    const source = labelled ? 'label' : 'pattern';
+    let result = null;
+
+    const yearFirst = line.match(YEAR_FIRST);
+    if (yearFirst) {
+      const value = toIsoDate(parseInt(yearFirst[1], 10), parseInt(yearFirst[2], 10), parseInt(yearFirst[3], 10));
+      if (value) result = { value, twoDigitYear: false, ambiguous: false };
+    }
+
+    if (!result) {
+      const named = line.match(DAY_MONTH_NAME);
+      const month = named && monthNumber(named[2]);
+      if (month) {
+        const value = toIsoDate(expandYear(named[3], now), month, parseInt(named[1], 10));
+        if (value) result = { value, twoDigitYear: named[3].length === 2, ambiguous: false };
+      }
+    }
+
+    if (!result) {
+      const named = line.match(MONTH_NAME_DAY);
+      const month = named && monthNumber(named[1]);
+      if (month) {
+        const value = toIsoDate(parseInt(named[3], 10), month, parseInt(named[2], 10));
+        if (value) result = { value, twoDigitYear: false, ambiguous: false };
+      }
+    }
+
+    if (!result) {
+      const numeric = line.match(NUMERIC);
+      if (numeric) result = readNumeric(numeric, locale, now);
+    }
+
+    if (result) {
+      let score = (result.twoDigitYear ? 0.8 : 0.9) + bonus;
+      if (result.ambiguous) score *= AMBIGUITY_PENALTY;
+      if (result.reordered) score *= 0.9;
+
+      return {
+        value: result.value,
+        score: roundScore(score),
+        source,
+        line,
+        ambiguous: result.ambiguous
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  expandYear,
+  toIsoDate,
+  findDate
+};
@@ -0,0 +1,139 @@
+/**
+ * Rebuild receipt lines from Vision word annotations.
+ *
+ * Vision's fullText follows its own reading order, which on narrow thermal
+ * receipts often places the price column after all the descriptions. Using the
+ * bounding polygons instead, words are grouped into rows by vertical position
+ * (after correcting for the photo's skew) and ordered left to right, so each
+ * price stays on the same line as its description.
+ */
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Normalise a Vision annotation into a word box; null when it has no geometry
+ */
+function toWord(block) {
+  const vertices = block.boundingPoly?.vertices;
+  const text = (block.description || '').trim();
+
+  if (!text || !Array.isArray(vertices) || vertices.length < 4) {
+    return null;
+  }
+
+  // Vision omits zero coordinates
+  const points = vertices.map(vertex => ({ x: vertex.x || 0, y: vertex.y || 0 }));
+  const [topLeft, topRight, , bottomLeft] = points;
+
+  return {
+    text,
+    points,
+    angle: Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x),
+    height: Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)
+  };
+}
+
+function rotate(point, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: point.x * cos - point.y * sin,
+    y: point.x * sin + point.y * cos
+  };
+}
+
+/**
+ * Group word annotations into rows, top to bottom, words left to right
+ */
+function reconstructRows(blocks = []) {
+  const words = blocks.map(toWord).filter(Boolean);
+
+  if (words.length === 0) {
+    return [];
+  }
+
+  // Undo the dominant skew so rows become horizontal
+  const skew = median(words.map(word => word.angle));
+  const boxes = words.map(word => {
+    const points = word.points.map(point => rotate(point, -skew));
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const top = Math.min(...ys);
+    const bottom = Math.max(...ys);
+
+    return {
+      text: word.text,
+      left: Math.min(...xs),
+      right: Math.max(...xs),
+      top,
+      bottom,
+      centerY: (top + bottom) / 2,
+      height: Math.max(1, bottom - top)
+    };
+  });
+
+  const lineHeight = median(boxes.map(box => box.height));
+  const rows = [];
+
+  for (const box of [...boxes].sort((a, b) => a.centerY - b.centerY)) {
+    const row = rows.find(candidate => Math.abs(candidate.centerY - box.centerY) <= lineHeight * 0.5);
+
+    if (row) {
+      row.words.push(box);
+      row.centerY = row.words.reduce((sum, word) => sum + word.centerY, 0) / row.words.length;
+    } else {
+      rows.push({ centerY: box.centerY, words: [box] });
+    }
+  }
+
+  rows.sort((a, b) => a.centerY - b.centerY);
+
+  return rows.map(row => {
+    const ordered = row.words.sort((a, b) => a.left - b.left);
+    const charWidths = ordered.map(word => (word.right - word.left) / word.text.length);
+    const columnGap = median(charWidths) * 2;
+
+    // Wide horizontal gaps separate columns (description | unit price | total)
+    const cells = [];
+    for (const word of ordered) {
+      const current = cells[cells.length - 1];
+      if (current && word.left - current.right <= columnGap) {
+        current.text += ` ${word.text}`;
+        current.right = word.right;
+      } else {
+        cells.push({ text: word.text, left: word.left, right: word.right });
+      }
+    }
+
+    return {
+      text: cells.map(cell => cell.text).join('  '),
+      cells: cells.map(cell => cell.text),
+      y: row.centerY
+    };
+  });
+}
+
+/**
+ * Rebuild text lines from word annotations
+ */
+function reconstructLines(blocks = []) {
+  return reconstructRows(blocks).map(row => row.text);
+}
+
+/**
+ * Whether annotations carry the geometry needed for layout parsing
+ */
+function hasLayout(blocks = []) {
+  return Array.isArray(blocks) && blocks.some(block => toWord(block) !== null);
+}
+
+module.exports = {
+  reconstructRows,
+  reconstructLines,
+  hasLayout
+};
@@ -0,0 +1,183 @@
+const { AMOUNT_SOURCE, parseAmount, roundAmount } = require('./amounts');
+
+const CURRENCY = '\\s*(?:€|EUR)?';
+const TIMES = '\\s*[xX×*]\\s*';
+
+// Difference allowed between quantity × unit price and the printed line total
+const TOTAL_TOLERANCE = 0.02;
+
+const linePatterns = {
+  // "0,456 kg x 3,99 €/kg  1,82", "PLATANO 0,456 kg 3,99 €/kg 1,82", total optional
+  weighed: new RegExp(
+    `^(?<name>.*?)\\s*(?<quantity>\\d+(?:[.,]\\d{1,3})?)\\s*(?<unit>kg|g|l)\\b(?:${TIMES}|\\s+)` +
+    `(?<unitPrice>${AMOUNT_SOURCE})\\s*(?:€|EUR)?\\s*\\/\\s*(?:kg|l)(?:\\s+(?<total>${AMOUNT_SOURCE})${CURRENCY})?$`,
+    'i'
+  ),
+  // "2 x 1,35  2,70", "COCA COLA 2 x 1,35 2,70", total optional
+  multiplied: new RegExp(
+    `^(?<name>.*?)\\s*(?<quantity>\\d{1,3})${TIMES}(?<unitPrice>${AMOUNT_SOURCE})${CURRENCY}` +
+    `(?:\\s+(?<total>${AMOUNT_SOURCE})${CURRENCY})?$`
+  ),
+  // "2 LECHE ENTERA 0,89 1,78", "3 x AGUA 0,50 1,50", "1 PAN 0,95"
+  quantityPrefixed: new RegExp(
+    `^(?<quantity>\\d{1,3})\\s*(?:[xX×*]\\s*)?(?<name>[^\\d\\s].*?)\\s+` +
+    `(?:(?<unitPrice>${AMOUNT_SOURCE})${CURRENCY}\\s+)?(?<total>${AMOUNT_SOURCE})${CURRENCY}$`
+  ),
+  // "DTO 10% -0,50", "DESCUENTO 1,00-", "PROMOCION -0,30"
+  discount: new RegExp(
+    `^(?:DTO|DESC(?:UENTO|\\.)?|PROMO(?:CI[OÓ]N)?|AHORRO|REBAJA|OFERTA|CUP[OÓ]N)\\b.*?` +
+    `(?<total>${AMOUNT_SOURCE})-?${CURRENCY}$`,
+    'i'
+  ),
+  // "1,99" on its own line, the price of a wrapped item name
+  priceOnly: new RegExp(`^(?<total>${AMOUNT_SOURCE})${CURRENCY}$`),
+  // "Pan integral 2.50€", "Producto 1: 2.50€"
+  namePrice: new RegExp(`^(?<name>.*?[^\\d\\s.,:].*?):?\\s+(?<total>${AMOUNT_SOURCE})${CURRENCY}$`),
+  // "2,50 € PAN"
+  priceName: new RegExp(`^(?<total>${AMOUNT_SOURCE})${CURRENCY}\\s+(?<name>[^\\d\\s].*)$`)
+};
+
+function hasLetters(text) {
+  return /\p{L}/u.test(text);
+}
+
+function cleanName(name) {
+  return name.replace(/[\s:]+$/, '').replace(/\s{2,}/g, ' ').trim();
+}
+
+function createItem(name, quantity, unit, unitPrice, lineTotal) {
+  return {
+    name: cleanName(name),
+    quantity,
+    unit,
+    unitPrice: roundAmount(unitPrice),
+    lineTotal: roundAmount(lineTotal),
+    price: roundAmount(lineTotal)
+  };
+}
+
+/**
+ * Parse a quantity/unit detail match (weighed or multiplied line) into its numbers
+ */
+function readDetail(groups, weighed) {
+  // Quantities carry at most three decimals and never a thousands separator ("1.500 kg")
+  let quantity = parseFloat(groups.quantity.replace(',', '.'));
+  let unit = weighed ? groups.unit.toLowerCase() : 'unit';
+
+  // Weights printed in grams are priced per kilo
+  if (unit === 'g') {
+    quantity = quantity / 1000;
+    unit = 'kg';
+  }
+
+  const unitPrice = parseAmount(groups.unitPrice);
+  const lineTotal = groups.total !== undefined ? parseAmount(groups.total) : roundAmount(quantity * unitPrice);
+
+  return { quantity, unit, unitPrice, lineTotal };
+}
+
+/**
+ * Extract line items from receipt lines.
+ *
+ * Understands quantity-multiplier lines, weighed items, discount lines and
+ * item names whose price wraps onto the following line. Detail lines without
+ * a name ("2 x 1,35 2,70") belong to the name on the previous line, or refine
+ * the previous item when it already carried the same total.
+ */
+function parseLineItems(lines, options = {}) {
+  const { skipLine = () => false } = options;
+  const items = [];
+  let pendingName = null;
+
+  const lastItem = () => items[items.length - 1];
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (skipLine(line)) {
+      pendingName = null;
+      continue;
+    }
+
+    let match = line.match(linePatterns.discount);
+    if (match) {
+      const previous = lastItem();
+      if (previous) {
+        const discount = Math.abs(parseAmount(match.groups.total));
+        previous.discount = roundAmount((previous.discount || 0) + discount);
+        previous.lineTotal = roundAmount(previous.lineTotal - discount);
+        previous.price = previous.lineTotal;
+      }
+      pendingName = null;
+      continue;
+    }
+
+    const weighed = line.match(linePatterns.weighed);
+    const detailMatch = weighed || line.match(linePatterns.multiplied);
+    if (detailMatch) {
+      const detail = readDetail(detailMatch.groups, Boolean(weighed));
+      const name = hasLetters(detailMatch.groups.name) ? detailMatch.groups.name : pendingName;
+      const previous = lastItem();
+
+      if (name) {
+        items.push(createItem(name, detail.quantity, detail.unit, detail.unitPrice, detail.lineTotal));
+      } else if (previous && previous.quantity === 1 && previous.unit === 'unit' &&
+        Math.abs(previous.lineTotal - detail.lineTotal) <= TOTAL_TOLERANCE) {
+        // Detail printed under an item that already showed its total
+        previous.quantity = detail.quantity;
+        previous.unit = detail.unit;
+        previous.unitPrice = roundAmount(detail.unitPrice);
+      }
+
+      pendingName = null;
+      continue;
+    }
+
+    match = line.match(linePatterns.quantityPrefixed);
+    if (match && match.groups.unitPrice !== undefined) {
+      const quantity = parseInt(match.groups.quantity, 10);
+      const unitPrice = parseAmount(match.groups.unitPrice);
+      const lineTotal = parseAmount(match.groups.total);
+
+      if (quantity > 0 && Math.abs(quantity * unitPrice - lineTotal) <= TOTAL_TOLERANCE) {
+        items.push(createItem(match.groups.name, quantity, 'unit', unitPrice, lineTotal));
+        pendingName = null;
+        continue;
+      }
+    } else if (match && match.groups.quantity === '1') {
+      const lineTotal = parseAmount(match.groups.total);
+      items.push(createItem(match.groups.name, 1, 'unit', lineTotal, lineTotal));
+      pendingName = null;
+      continue;
+    }
+
+    match = line.match(linePatterns.priceOnly);
+    if (match) {
+      const lineTotal = parseAmount(match.groups.total);
+      if (pendingName && lineTotal > 0) {
+        items.push(createItem(pendingName, 1, 'unit', lineTotal, lineTotal));
+      }
+      pendingName = null;
+      continue;
+    }
+
+    match = line.match(linePatterns.namePrice) || line.match(linePatterns.priceName);
+    if (match && hasLetters(match.groups.name)) {
+      const lineTotal = parseAmount(match.groups.total);
+      if (lineTotal > 0 && cleanName(match.groups.name).length > 1) {
+        items.push(createItem(match.groups.name, 1, 'unit', lineTotal, lineTotal));
+      }
+      pendingName = null;
+      continue;
+    }
+
+    pendingName = hasLetters(line) ? line : null;
+  }
+
+  return items;
+}
+
+module.exports = {
+  parseLineItems
+};
@@ -0,0 +1,105 @@
+/**
+ * Locale conventions for reading receipts: decimal and thousands separators,
+ * numeric date order and month names.
+ */
+
+const LOCALES = {
+  'es-ES': { decimal: ',', thousands: '.', dateOrder: 'DMY' },
+  'en-GB': { decimal: '.', thousands: ',', dateOrder: 'DMY' },
+  'en-US': { decimal: '.', thousands: ',', dateOrder: 'MDY' },
+  'de-DE': { decimal: ',', thousands: '.', dateOrder: 'DMY' },
+  'pt-PT': { decimal: ',', thousands: '.', dateOrder: 'DMY' }
+};
+
+const DEFAULT_LOCALE = 'es-ES';
+
+// Bare languages ("es", the profile default) map to their main locale
+const LANGUAGE_LOCALES = {
+  es: 'es-ES',
+  en: 'en-GB',
+  de: 'de-DE',
+  pt: 'pt-PT'
+};
+
+// Month abbreviations of every supported locale; none collide across languages
+const MONTH_ABBREVIATIONS = {
+  ene: 1, jan: 1,
+  feb: 2, fev: 2,
+  mar: 3, maer: 3,
+  abr: 4, apr: 4,
+  may: 5, mai: 5,
+  jun: 6,
+  jul: 7,
+  ago: 8, aug: 8,
+  sep: 9, set: 9,
+  oct: 10, okt: 10, out: 10,
+  nov: 11,
+  dic: 12, dec: 12, dez: 12,
+  sept: 9
+};
+
+// Full month names (accent-free), so words like "MAYONESA" are not read as months
+const MONTH_NAMES = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'setiembre', 'octubre', 'noviembre', 'diciembre',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'januar', 'februar', 'maerz', 'mai', 'juni', 'juli', 'oktober', 'dezember',
+  'janeiro', 'fevereiro', 'marco', 'maio', 'junho', 'julho', 'setembro', 'outubro', 'novembro', 'dezembro'
+];
+
+/**
+ * Locale for a user's preferences (locale, else language) or a locale/language string
+ */
+function resolveLocale(preference) {
+  const value = typeof preference === 'object' && preference !== null
+    ? (preference.locale || preference.language)
+    : preference;
+
+  if (!value) return DEFAULT_LOCALE;
+
+  const normalized = String(value).replace('_', '-');
+  const exact = Object.keys(LOCALES).find(locale => locale.toLowerCase() === normalized.toLowerCase());
+  if (exact) return exact;
+
+  return LANGUAGE_LOCALES[normalized.slice(0, 2).toLowerCase()] || DEFAULT_LOCALE;
+}
+
+/**
+ * Whether a locale or language string resolves to a supported locale
+ */
+function isSupportedLocale(value) {
+  if (typeof value !== 'string') return false;
+
+  const normalized = value.replace('_', '-').toLowerCase();
+  return Object.keys(LOCALES).some(locale => locale.toLowerCase() === normalized) ||
+    Object.keys(LANGUAGE_LOCALES).includes(normalized);
+}
+
+function getLocale(locale) {
+  return LOCALES[resolveLocale(locale)];
+}
+
+/**
+ * Month number for a printed month name or abbreviation ("ENE", "March", "März"), else null
+ */
+function monthNumber(name) {
+  const folded = String(name || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z]/g, '');
+
+  if (MONTH_ABBREVIATIONS[folded]) return MONTH_ABBREVIATIONS[folded];
+  if (!MONTH_NAMES.includes(folded)) return null;
+
+  return MONTH_ABBREVIATIONS[folded.slice(0, 4)] || MONTH_ABBREVIATIONS[folded.slice(0, 3)];
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  isSupportedLocale,
+  getLocale,
+  monthNumber
+};
@@ -0,0 +1,157 @@
+const { AMOUNT_SOURCE, parseAmount, roundAmount } = require('./amounts');
+
+/**
+ * Spanish IVA summary extraction.
+ *
+ * Handles the tabular summary printed by supermarkets
+ *   "IVA  BASE IMP.  CUOTA" / "10%  20,00  2,00"
+ * inline rows such as "IVA 21% 5,00 1,05" or "B.I. 10%: 20,00 CUOTA: 2,00",
+ * and invoice style blocks with base and cuota on separate lines
+ *   "Base imponible 100,00 €" / "IVA (21%) 21,00 €".
+ */
+
+const RATE_PATTERN = /(\d{1,2}(?:[.,]\d{1,2})?)\s*%/;
+const AMOUNTS_PATTERN = new RegExp(AMOUNT_SOURCE, 'g');
+const BASE_PATTERN = /base\s*imp|b\.\s*i\.?|\bbase\b/i;
+const TAX_PATTERN = /\biva\b|cuota|i\.v\.a/i;
+const SUBTOTAL_PATTERN = /sub\s*-?\s*total/i;
+
+// Cuota may differ from base × rate by rounding
+const CUOTA_TOLERANCE = 0.02;
+// Allowed difference between base + cuota and the receipt total
+const TOTAL_TOLERANCE = 0.05;
+
+function readRate(line) {
+  const match = line.match(RATE_PATTERN);
+  if (!match) return null;
+
+  const rate = parseFloat(match[1].replace(',', '.'));
+  return rate <= 30 ? rate : null;
+}
+
+function readAmounts(line) {
+  // Ignore the rate itself ("21,00%") when collecting amounts
+  const withoutRate = line.replace(new RegExp(RATE_PATTERN.source, 'g'), ' ');
+  return (withoutRate.match(AMOUNTS_PATTERN) || []).map(amount => parseAmount(amount));
+}
+
+function cuotaMatches(rate, base, amount) {
+  return Math.abs(roundAmount(base * rate / 100) - amount) <= CUOTA_TOLERANCE;
+}
+
+/**
+ * Interpret the amounts of a row carrying a rate as base and cuota
+ */
+function readTaxRow(rate, amounts) {
+  if (amounts.length < 2) return null;
+
+  // Try consecutive pairs: [base, cuota] or [cuota, base], optionally followed by a total
+  for (let i = 0; i < amounts.length - 1; i++) {
+    const [first, second] = [amounts[i], amounts[i + 1]];
+
+    if (cuotaMatches(rate, first, second)) {
+      return { rate, base: first, amount: second };
+    }
+    if (cuotaMatches(rate, second, first)) {
+      return { rate, base: second, amount: first };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the IVA breakdown from receipt lines
+ */
+function parseTaxes(lines) {
+  const taxes = [];
+  const looseBases = [];
+  const looseCuotas = [];
+  let subtotal = null;
+
+  const addTax = tax => {
+    if (!taxes.some(existing => existing.rate === tax.rate)) {
+      taxes.push({
+        rate: tax.rate,
+        base: roundAmount(tax.base),
+        amount: roundAmount(tax.amount)
+      });
+    }
+  };
+
+  for (const line of lines) {
+    const amounts = readAmounts(line);
+    const rate = readRate(line);
+
+    if (SUBTOTAL_PATTERN.test(line) && amounts.length > 0) {
+      subtotal = amounts[amounts.length - 1];
+      continue;
+    }
+
+    if (rate !== null) {
+      const row = readTaxRow(rate, amounts);
+      if (row) {
+        addTax(row);
+        continue;
+      }
+
+      if (amounts.length === 1) {
+        if (BASE_PATTERN.test(line)) {
+          looseBases.push({ rate, base: amounts[0] });
+        } else if (TAX_PATTERN.test(line)) {
+          looseCuotas.push({ rate, amount: amounts[0] });
+        }
+      }
+    } else if (amounts.length === 1 && BASE_PATTERN.test(line) && !TAX_PATTERN.test(line)) {
+      looseBases.push({ rate: null, base: amounts[0] });
+    }
+  }
+
+  // Pair bases and cuotas printed on separate lines
+  for (const cuota of looseCuotas) {
+    const base = looseBases.find(candidate =>
+      (candidate.rate === null || candidate.rate === cuota.rate) &&
+      cuotaMatches(cuota.rate, candidate.base, cuota.amount)
+    );
+
+    if (base) {
+      looseBases.splice(looseBases.indexOf(base), 1);
+      addTax({ rate: cuota.rate, base: base.base, amount: cuota.amount });
+    }
+  }
+
+  taxes.sort((a, b) => a.rate - b.rate);
+
+  if (subtotal === null && taxes.length > 0) {
+    subtotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.base, 0));
+  }
+
+  return { taxes, subtotal };
+}
+
+/**
+ * Check that the taxable bases plus cuotas add up to the receipt total
+ */
+function validateTaxes(taxes, total) {
+  if (!taxes || taxes.length === 0) {
+    return null;
+  }
+
+  const baseTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.base, 0));
+  const taxTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  const expectedTotal = roundAmount(baseTotal + taxTotal);
+  const difference = roundAmount((total || 0) - expectedTotal);
+
+  return {
+    baseTotal,
+    taxTotal,
+    expectedTotal,
+    difference,
+    valid: Math.abs(difference) <= TOTAL_TOLERANCE
+  };
+}
+
+module.exports = {
+  parseTaxes,
+  validateTaxes
+};
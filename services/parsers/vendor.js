@@ -0,0 +1,177 @@
+/**
+ * Vendor identification: Spanish tax IDs (NIF/NIE/CIF), postal address and a
+ * stable key to group receipts from the same merchant.
+ */
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+const CIF_CONTROL_LETTERS = 'JABCDEFGHI';
+
+// CIF organisation types whose control character is always a letter / a digit
+const CIF_LETTER_CONTROL = 'NPQRSW';
+const CIF_DIGIT_CONTROL = 'ABEH';
+
+const TAX_ID_CANDIDATE = /\b(?:ES[\s-]?)?([A-HJNP-SUVW][\s.-]?\d{7}[\s.-]?[0-9A-J]|\d{8}[\s.-]?[A-Z]|[XYZ][\s.-]?\d{7}[\s.-]?[A-Z])\b/gi;
+const TAX_ID_LABEL = /\b(?:N\.?\s?I\.?\s?F|C\.?\s?I\.?\s?F|N\.?\s?I\.?\s?E|V\.?A\.?T)\b/i;
+
+const STREET_PATTERN = /^(?:C\/|CL?\.\s|CALLE|AVDA?\.?|AV\.|AVENIDA|PZA?\.|PLAZA|PASEO|P[ºo]\s|CTRA\.?|CARRETERA|CAMINO|RONDA|TRAVES[IÍ]A|GRAN V[IÍ]A|POL\.?\s?IND|POL[IÍ]GONO|C\.\s?C\.|CENTRO COMERCIAL)/i;
+const POSTCODE_PATTERN = /\b((?:0[1-9]|[1-4]\d|5[0-2])\d{3})\b\s*(?:[-,]\s*)?([A-ZÁÉÍÓÚÑÜ][A-ZÁÉÍÓÚÑÜa-záéíóúñü .'-]*)?/;
+
+const LEGAL_SUFFIX = /\b(?:LTDA|S\.?\s?A\.?\s?U|S\.?\s?L\.?\s?U|S\.?\s?L\.?\s?L|S\.?\s?COOP|S\.?\s?A|S\.?\s?L)\.?(?=[\s,]|$)/i;
+
+/**
+ * Normalise a tax ID: uppercase, no separators, no "ES" VAT prefix
+ */
+function normalizeTaxId(value) {
+  const compact = String(value || '').toUpperCase().replace(/[\s.-]/g, '');
+  return compact.length === 11 && compact.startsWith('ES') ? compact.slice(2) : compact;
+}
+
+function validateDni(value) {
+  const match = value.match(/^(\d{8})([A-Z])$/);
+  return Boolean(match) && DNI_LETTERS[parseInt(match[1], 10) % 23] === match[2];
+}
+
+function validateNie(value) {
+  const match = value.match(/^([XYZ])(\d{7})([A-Z])$/);
+  if (!match) return false;
+
+  const number = `${'XYZ'.indexOf(match[1])}${match[2]}`;
+  return DNI_LETTERS[parseInt(number, 10) % 23] === match[3];
+}
+
+function validateCif(value) {
+  const match = value.match(/^([A-HJNP-SUVW])(\d{7})([0-9A-J])$/);
+  if (!match) return false;
+
+  const [, type, digits, control] = match;
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    const digit = parseInt(digits[i], 10);
+    if (i % 2 === 0) {
+      // Odd positions are doubled and their digits added
+      const doubled = digit * 2;
+      sum += Math.floor(doubled / 10) + (doubled % 10);
+    } else {
+      sum += digit;
+    }
+  }
+
+  const controlDigit = (10 - (sum % 10)) % 10;
+  const controlLetter = CIF_CONTROL_LETTERS[controlDigit];
+
+  if (CIF_LETTER_CONTROL.includes(type)) return control === controlLetter;
+  if (CIF_DIGIT_CONTROL.includes(type)) return control === String(controlDigit);
+  return control === controlLetter || control === String(controlDigit);
+}
+
+/**
+ * Validate a NIF (DNI), NIE or CIF and report its type
+ */
+function validateTaxId(value) {
+  const taxId = normalizeTaxId(value);
+
+  if (validateDni(taxId)) return { taxId, type: 'NIF', valid: true };
+  if (validateNie(taxId)) return { taxId, type: 'NIE', valid: true };
+  if (validateCif(taxId)) return { taxId, type: 'CIF', valid: true };
+
+  return { taxId, type: null, valid: false };
+}
+
+/**
+ * Find the first valid tax ID printed on the receipt, preferring labelled lines
+ */
+function extractTaxId(lines) {
+  const labelled = [];
+  const unlabelled = [];
+
+  lines.forEach((line, index) => {
+    for (const match of line.matchAll(TAX_ID_CANDIDATE)) {
+      const result = validateTaxId(match[1]);
+      if (result.valid) {
+        (TAX_ID_LABEL.test(line) ? labelled : unlabelled).push({ ...result, line: index });
+      }
+    }
+  });
+
+  return labelled[0] || unlabelled[0] || null;
+}
+
+/**
+ * Extract street, postcode and city from the receipt header
+ */
+function extractAddress(lines, maxLines = 12) {
+  const header = lines.slice(0, maxLines);
+  let street = null;
+  let postcode = null;
+  let city = null;
+
+  for (const line of header) {
+    if (!street && STREET_PATTERN.test(line)) {
+      street = line.trim();
+    }
+
+    if (!postcode && !/\d+[.,]\d{2}/.test(line) && !/\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/.test(line)) {
+      const match = line.match(POSTCODE_PATTERN);
+      if (match && (match[2] || STREET_PATTERN.test(line))) {
+        postcode = match[1];
+        city = match[2] ? match[2].trim().replace(/[\s,.-]+$/, '') : null;
+      }
+    }
+  }
+
+  if (!street && !postcode) {
+    return null;
+  }
+
+  return { street, postcode, city };
+}
+
+/**
+ * Whether a header line is an address, tax ID, phone or similar rather than a name
+ */
+function isVendorNoise(line) {
+  return STREET_PATTERN.test(line) ||
+    /^\d{5}\b/.test(line) ||
+    TAX_ID_LABEL.test(line) ||
+    /\b(?:tel[eé]?f?\.?|tlf\.?|tfno\.?)\b/i.test(line) ||
+    /\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/.test(line) ||
+    /\d+[.,]\d{2}/.test(line) ||
+    /www\.|@|https?:/i.test(line);
+}
+
+/**
+ * Lowercase, accent-free vendor name without legal suffix or punctuation
+ */
+function normalizeVendorName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(LEGAL_SUFFIX, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Key grouping receipts from the same merchant: tax ID when known, else normalised name
+ */
+function buildVendorKey(vendor, taxId) {
+  if (taxId) {
+    return `taxid:${normalizeTaxId(taxId)}`;
+  }
+
+  const name = normalizeVendorName(vendor);
+  return name ? `name:${name.replace(/\s+/g, '-')}` : null;
+}
+
+module.exports = {
+  LEGAL_SUFFIX,
+  normalizeTaxId,
+  validateTaxId,
+  extractTaxId,
+  extractAddress,
+  isVendorNoise,
+  normalizeVendorName,
+  buildVendorKey
+};
@@ -0,0 +1,164 @@
+const { contentHash, perceptualHash } = require('./fingerprints');
+
+/**
+ * Error code and client message for a failed receipt upload.
+ * statusCode is what a synchronous request would answer with.
+ */
+function describeProcessingError(error) {
+  if (error.message.startsWith('Invalid document')) {
+    return { statusCode: 400, code: 'INVALID_FILE', message: error.message };
+  }
+  if (error.message.includes('Vision API') || error.message.includes('extract text')) {
+    return { statusCode: 500, code: 'OCR_ERROR', message: 'Failed to extract text from image' };
+  }
+  if (error.message.includes('storage') || error.message.includes('receipt image')) {
+    return { statusCode: 500, code: 'STORAGE_ERROR', message: 'Failed to save image' };
+  }
+  if (error.message.includes('duplicate')) {
+    return { statusCode: 500, code: 'DUPLICATE_CHECK_ERROR', message: 'Failed to check for duplicate receipts' };
+  }
+  if (error.message.includes('database')) {
+    return { statusCode: 500, code: 'DATABASE_ERROR', message: 'Failed to save receipt data' };
+  }
+
+  return { statusCode: 500, code: 'PROCESSING_ERROR', message: 'Failed to process receipt' };
+}
+
+/**
+ * Whether retrying a failed receipt could succeed: unreadable files and
+ * receipts deleted or finished meanwhile will fail the same way again
+ */
+function isRetryableProcessingError(error) {
+  return !error.message.startsWith('Invalid') &&
+    error.message !== 'Receipt not found' &&
+    error.message !== 'Access denied';
+}
+
+/**
+ * Turns an uploaded file into a parsed receipt: store, read, parse, enrich, save.
+ *
+ * Uploads create a pending receipt first; process() fills it in and moves it
+ * pending -> processing -> processed (or needs_review), fail() marks it failed
+ * and removes its stored image so no orphan is left behind. Uploads matching an
+ * earlier receipt are saved with possibleDuplicateOf for the user to resolve.
+ */
+class ReceiptProcessor {
+  constructor({
+    visionService,
+    firestoreService,
+    categoryService,
+    learningService,
+    rulesService,
+    exchangeRateService,
+    duplicateService = null,
+    getUserSettings
+  }) {
+    this.visionService = visionService;
+    this.firestoreService = firestoreService;
+    this.categoryService = categoryService;
+    this.learningService = learningService;
+    this.rulesService = rulesService;
+    this.exchangeRateService = exchangeRateService;
+    this.duplicateService = duplicateService;
+    this.getUserSettings = getUserSettings;
+  }
+
+  /**
+   * Everything needed to parse a user's uploads: their categories, base currency and locale
+   */
+  async getContext(userId) {
+    const categories = await this.categoryService.getCategories(userId);
+    const { baseCurrency, locale } = await this.getUserSettings(userId);
+    return { userId, categories, baseCurrency, locale };
+  }
+
+  /**
+   * Process the file of a pending receipt ({ receiptId, userId, file }), as part of a job
+   */
+  async process({ receiptId, userId, file }, job = {}) {
+    const pending = await this.firestoreService.setReceiptProcessing(receiptId, userId, job.id ? { jobId: job.id } : {});
+    const context = await this.getContext(userId);
+
+    // Check the real format; HEIC photos become JPEG
+    const document = await this.visionService.prepareDocument(
+      file.buffer,
+      file.mimetype,
+      file.originalname
+    );
+
+    // Save image or PDF to storage, once across retries, and link it
+    // to the receipt straight away so a later failure can clean it up
+    let imagePath = pending.imagePath || null;
+    if (!imagePath) {
+      await this.visionService.initializeBucket();
+      const imageData = await this.visionService.saveReceiptImage(
+        document.buffer,
+        document.fileName,
+        document.contentType
+      );
+      imagePath = imageData.fileName;
+      await this.firestoreService.setReceiptProcessing(receiptId, userId, { imagePath });
+    }
+
+    // Extract text: OCR for images, embedded text (or OCR per page) for PDFs
+    const textResult = await this.visionService.extractDocumentText(document);
+
+    // Parse receipt data, then let learned mappings and the user's own rules
+    // override the keyword guesses
+    const { categories, baseCurrency, locale } = context;
+    const learnedData = await this.learningService.applyMappings(
+      userId,
+      this.visionService.parseReceiptData(textResult, { categories, defaultCurrency: baseCurrency, locale })
+    );
+    const parsedData = await this.exchangeRateService.convertReceipt(
+      await this.rulesService.applyRules(userId, learnedData),
+      baseCurrency
+    );
+
+    // Add image metadata
+    const receiptData = {
+      ...parsedData,
+      imagePath,
+      mimeType: document.contentType,
+      originalMimeType: document.originalContentType,
+      ...(textResult.pages && { pageCount: textResult.pages.length }),
+      ocrProvider: textResult.provider || null,
+      // Hash of the file as uploaded, so re-uploads of the same photo match exactly
+      contentHash: contentHash(file.buffer),
+      perceptualHash: perceptualHash(document.buffer, document.contentType)
+    };
+
+    // Copies of an earlier receipt are kept out of spending until the user decides
+    if (this.duplicateService) {
+      receiptData.possibleDuplicateOf = await this.duplicateService.findDuplicate(userId, { id: receiptId, ...receiptData });
+    }
+
+    return this.firestoreService.completeReceipt(receiptId, receiptData, userId);
+  }
+
+  /**
+   * Mark a receipt failed for good, deleting the image stored for it
+   */
+  async fail({ receiptId, userId }, error) {
+    const { receipt } = await this.firestoreService.getOwnedReceipt(receiptId, userId);
+
+    let imageFields = {};
+    if (receipt.imagePath) {
+      try {
+        await this.visionService.deleteReceiptImage(receipt.imagePath);
+        imageFields = { imagePath: null, imageUrl: null };
+      } catch (cleanupError) {
+        console.error('Receipt image cleanup error:', cleanupError);
+      }
+    }
+
+    const { code, message } = describeProcessingError(error);
+    return this.firestoreService.failReceipt(receiptId, userId, { code, message }, imageFields);
+  }
+}
+
+module.exports = {
+  ReceiptProcessor,
+  describeProcessingError,
+  isRetryableProcessingError
+};
@@ -0,0 +1,173 @@
+/**
+ * Query planning for the receipts listing. Firestore only runs a query that
+ * an index serves: equality filters, at most one array-contains filter, and a
+ * single field that carries every range filter and is also the first sort.
+ * The planner decides which listing filters the query carries for each
+ * combination of filters and sort, leaves the rest to be checked in memory on
+ * the receipts read, and declares the composite indexes its plans use.
+ */
+
+// Fields the receipts listing can be sorted by
+const RECEIPT_SORTS = ['createdAt', 'date', 'total', 'vendor'];
+
+// Range filters: the field they bound and their lower and upper bound options
+const RANGE_FILTERS = {
+  date: ['startDate', 'endDate'],
+  total: ['minAmount', 'maxAmount']
+};
+
+// Equality filters, carried by the query unless it uses array-contains
+const EQUALITY_FILTERS = ['category', 'vendorKey'];
+
+// Indexes of the other services' queries, besides those of the listing plans
+const SERVICE_INDEXES = [
+  // ReviewService.getReviewQueue
+  { collectionGroup: 'receipts', fields: [['userId', 'ASCENDING'], ['verified', 'ASCENDING'], ['createdAt', 'DESCENDING']] },
+  // AlertService.getAlerts, optionally unread only
+  { collectionGroup: 'alerts', fields: [['userId', 'ASCENDING'], ['createdAt', 'DESCENDING']] },
+  { collectionGroup: 'alerts', fields: [['userId', 'ASCENDING'], ['read', 'ASCENDING'], ['createdAt', 'DESCENDING']] },
+  // RulesService.getRules
+  { collectionGroup: 'categoryRules', fields: [['userId', 'ASCENDING'], ['priority', 'ASCENDING']] },
+  // ReconciliationService: transactions of a statement period, listings and unmatched receipts
+  { collectionGroup: 'bankTransactions', fields: [['userId', 'ASCENDING'], ['date', 'ASCENDING']] },
+  { collectionGroup: 'bankTransactions', fields: [['userId', 'ASCENDING'], ['date', 'DESCENDING']] },
+  { collectionGroup: 'bankTransactions', fields: [['userId', 'ASCENDING'], ['status', 'ASCENDING'], ['date', 'DESCENDING']] },
+  { collectionGroup: 'statements', fields: [['userId', 'ASCENDING'], ['importedAt', 'DESCENDING']] },
+  { collectionGroup: 'receipts', fields: [['userId', 'ASCENDING'], ['reconciliationStatus', 'ASCENDING'], ['date', 'DESCENDING']] }
+];
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Plan a receipts listing for its filters ({ category, vendorKey, tag,
+ * startDate, endDate, minAmount, maxAmount }), search terms and sort field.
+ * Returns { where, residual, checkedTerms, index }: where lists the
+ * [field, op, value] filters the query carries after userId, residual those
+ * checked on each receipt read, checkedTerms the search terms checked the same
+ * way, and index the composite index the query runs on with the sort direction.
+ */
+function planReceiptsQuery(filters = {}, terms = [], sort = 'createdAt', order = 'desc') {
+  const where = [];
+  const residual = [];
+
+  // One array-contains per query: the most selective search term, else the tag
+  const contains = terms.length > 0
+    ? ['searchTerms', terms[0]]
+    : (isSet(filters.tag) ? ['tags', filters.tag] : null);
+
+  if (contains && contains[0] === 'searchTerms' && isSet(filters.tag)) {
+    residual.push(['tags', 'array-contains', filters.tag]);
+  }
+
+  // Array fields hold many values per receipt, so their indexes are not multiplied
+  // by the equality filters: with array-contains those are checked in memory
+  for (const field of EQUALITY_FILTERS) {
+    if (!isSet(filters[field])) continue;
+    (contains ? residual : where).push([field, '==', filters[field]]);
+  }
+
+  if (contains) {
+    where.push([contains[0], 'array-contains', contains[1]]);
+  }
+
+  // Only ranges on the sort field keep the order; others are checked in memory
+  for (const [field, [minOption, maxOption]] of Object.entries(RANGE_FILTERS)) {
+    const bounds = [];
+    if (isSet(filters[minOption])) bounds.push([field, '>=', filters[minOption]]);
+    if (isSet(filters[maxOption])) bounds.push([field, '<=', filters[maxOption]]);
+    (field === sort ? where : residual).push(...bounds);
+  }
+
+  const direction = order === 'asc' ? 'ASCENDING' : 'DESCENDING';
+  const indexFields = [['userId', 'ASCENDING']];
+  where.forEach(([field, op]) => {
+    if (op === '==') indexFields.push([field, 'ASCENDING']);
+    if (op === 'array-contains') indexFields.push([field, 'CONTAINS']);
+  });
+  indexFields.push([sort, direction]);
+
+  return {
+    where,
+    residual,
+    checkedTerms: terms.slice(1),
+    index: { collectionGroup: 'receipts', fields: indexFields }
+  };
+}
+
+const operators = {
+  '==': (value, expected) => value === expected,
+  '>=': (value, expected) => value !== undefined && value !== null && value >= expected,
+  '<=': (value, expected) => value !== undefined && value !== null && value <= expected,
+  'array-contains': (value, expected) => Array.isArray(value) && value.includes(expected)
+};
+
+/**
+ * Whether a receipt passes the residual filters of a plan
+ */
+function matchesResidual(receipt, residual) {
+  return residual.every(([field, op, value]) => operators[op](receipt[field], value));
+}
+
+// Identity of an index, ignoring the implicit __name__ field
+function indexKey({ collectionGroup, fields }) {
+  return `${collectionGroup}:${fields
+    .filter(([field]) => field !== '__name__')
+    .map(([field, mode]) => `${field}:${mode}`)
+    .join(',')}`;
+}
+
+/**
+ * Every composite index the planned listings and the other services' queries
+ * need, one per plan shape and sort direction (cursors read backwards too)
+ */
+function requiredIndexes() {
+  const equalitySets = [[]];
+  for (const field of EQUALITY_FILTERS) {
+    equalitySets.push(...equalitySets.map(set => [...set, field]));
+  }
+
+  const filterSets = [
+    ...equalitySets.map(fields => Object.fromEntries(fields.map(field => [field, field]))),
+    { tag: 'tag' }
+  ];
+
+  const indexes = new Map();
+  const add = index => indexes.set(indexKey(index), index);
+
+  for (const sort of RECEIPT_SORTS) {
+    for (const order of ['asc', 'desc']) {
+      filterSets.forEach(filters => add(planReceiptsQuery(filters, [], sort, order).index));
+      add(planReceiptsQuery({}, ['term'], sort, order).index);
+    }
+  }
+  SERVICE_INDEXES.forEach(add);
+
+  return Array.from(indexes.values());
+}
+
+/**
+ * Required indexes in the firestore.indexes.json format of the Firebase CLI
+ */
+function indexesFile() {
+  return {
+    indexes: requiredIndexes().map(({ collectionGroup, fields }) => ({
+      collectionGroup,
+      queryScope: 'COLLECTION',
+      fields: fields.map(([fieldPath, mode]) => (mode === 'CONTAINS'
+        ? { fieldPath, arrayConfig: 'CONTAINS' }
+        : { fieldPath, order: mode }))
+    })),
+    fieldOverrides: []
+  };
+}
+
+module.exports = {
+  RECEIPT_SORTS,
+  planReceiptsQuery,
+  matchesResidual,
+  requiredIndexes,
+  indexesFile,
+  indexKey
+};
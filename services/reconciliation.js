@@ -0,0 +1,590 @@
+const crypto = require('crypto');
+const { parseStatement } = require('./statements');
+const { normalizeVendorName } = require('./parsers/vendor');
+
+// Days a card charge may take to reach the statement after the purchase
+const MAX_POSTING_DELAY_DAYS = 4;
+
+// Days a charge may be dated before its receipt (pre-authorisations, receipts dated on delivery)
+const MAX_EARLY_DAYS = 1;
+
+// Totals within this amount are the charged amount
+const AMOUNT_TOLERANCE = 0.01;
+
+// Converted totals of foreign receipts may differ from the bank's rate by this share
+const FX_TOLERANCE = 0.03;
+
+// Charges scoring at least this against a receipt are matched outright; from
+// the suggestion threshold up they wait for the user to confirm
+const MATCH_THRESHOLD = 0.85;
+const SUGGESTION_THRESHOLD = 0.6;
+
+// Documents written per batch (Firestore allows 500 writes)
+const WRITE_BATCH_SIZE = 400;
+
+const MAX_LIST = 500;
+
+// matched: a receipt is linked; suggested: a receipt awaits confirmation;
+// missing_receipt: a charge without receipt; credit: money in, no receipt expected
+const TRANSACTION_STATUSES = ['matched', 'suggested', 'missing_receipt', 'credit'];
+
+// Receipts whose upload has not produced data to compare
+const UNCOMPARABLE_STATUSES = ['pending', 'processing', 'failed'];
+
+// Words of bank descriptions that tell how a charge was paid, not where
+const DESCRIPTION_NOISE = new Set([
+  'compra', 'compras', 'tarj', 'tarjeta', 'pago', 'pagos', 'cargo', 'adeudo', 'recibo',
+  'con', 'del', 'las', 'los', 'por', 'visa', 'mastercard', 'debito', 'credito',
+  'contactless', 'movil', 'comercio', 'tpv', 'internet', 'esp', 'spain'
+]);
+
+function addDays(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+// Merchant words of a vendor name or bank description
+function merchantWords(text) {
+  return normalizeVendorName(text)
+    .split(' ')
+    .filter(word => word.length >= 3 && !/\d/.test(word) && !DESCRIPTION_NOISE.has(word));
+}
+
+function bigrams(word) {
+  const pairs = [];
+  for (let i = 0; i < word.length - 1; i++) {
+    pairs.push(word.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Dice coefficient of the letter pairs of two words
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  // Bank descriptions cut long names short
+  if (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a))) return 1;
+
+  const left = bigrams(a);
+  const counts = new Map();
+  bigrams(b).forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+  let shared = 0;
+  left.forEach(pair => {
+    if (counts.get(pair) > 0) {
+      shared++;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+
+  const total = left.length + bigrams(b).length;
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * How alike a receipt's vendor and a bank description are, from 0 to 1: each
+ * word of the vendor against its closest word of the description. A vendor
+ * written whole inside the description ("MERCADONA VALENCIA") is the same.
+ */
+function vendorSimilarity(vendor, description) {
+  const vendorWords = merchantWords(vendor);
+  const descriptionWords = merchantWords(description);
+  if (vendorWords.length === 0 || descriptionWords.length === 0) return 0;
+
+  const joined = vendorWords.join('');
+  if (joined.length >= 5 && descriptionWords.join('').includes(joined)) return 1;
+
+  const total = vendorWords.reduce((sum, word) => (
+    sum + Math.max(...descriptionWords.map(other => wordSimilarity(word, other)))
+  ), 0);
+  return Math.round((total / vendorWords.length) * 100) / 100;
+}
+
+/**
+ * How likely a receipt is the purchase behind a bank charge ({ score, reasons }),
+ * null when the amount or the dates rule it out. Reasons: same_amount or
+ * converted_amount (foreign receipts, through their base total), same_day or
+ * close_date, similar_vendor.
+ */
+function scoreMatch(transaction, receipt, baseCurrency = null) {
+  if (!receipt.date || typeof receipt.total !== 'number') return null;
+
+  const delay = daysBetween(receipt.date, transaction.date);
+  if (delay < -MAX_EARLY_DAYS || delay > MAX_POSTING_DELAY_DAYS) return null;
+
+  const charged = Math.abs(transaction.amount);
+  const currency = transaction.currency || baseCurrency;
+  const reasons = [];
+  let score;
+
+  if (!receipt.currency || !currency || receipt.currency === currency) {
+    if (Math.abs(receipt.total - charged) > AMOUNT_TOLERANCE) return null;
+    reasons.push('same_amount');
+    score = 0.5;
+  } else if (typeof receipt.baseTotal === 'number' && receipt.baseCurrency === currency) {
+    if (Math.abs(receipt.baseTotal - charged) > charged * FX_TOLERANCE) return null;
+    reasons.push('converted_amount');
+    score = 0.4;
+  } else {
+    return null;
+  }
+
+  reasons.push(delay === 0 ? 'same_day' : 'close_date');
+  score += 0.2 * (1 - Math.abs(delay) / (MAX_POSTING_DELAY_DAYS + 1));
+
+  const similarity = vendorSimilarity(receipt.vendor, transaction.description);
+  if (similarity >= 0.5) reasons.push('similar_vendor');
+  score += 0.3 * similarity;
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Document IDs of a statement's transactions, the same on every import of
+ * them. Identical transactions of one day are told apart by their order.
+ */
+function transactionIds(userId, account, transactions) {
+  const seen = new Map();
+
+  return transactions.map(transaction => {
+    const key = [userId, account || '', transaction.date, transaction.amount, transaction.description, transaction.reference || ''].join('|');
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    return crypto.createHash('sha256').update(`${key}|${occurrence}`).digest('hex').slice(0, 40);
+  });
+}
+
+/**
+ * Bank statement import and reconciliation with receipts.
+ *
+ * Imported charges are matched to receipts by amount, date and vendor: sure
+ * matches are linked (the receipt gets bankTransactionId), likely ones are
+ * suggested for the user to confirm or reject, and charges without receipt
+ * are listed as missing receipts. Receipts in the statement period without a
+ * charge are flagged with reconciliationStatus 'unmatched'. Importing the
+ * same transactions again adds nothing.
+ */
+class ReconciliationService {
+  constructor(firestoreService) {
+    this.firestoreService = firestoreService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+  }
+
+  async queryTransactions(userId, field, value) {
+    const snapshot = await this.db.collection(this.collections.bankTransactions)
+      .where('userId', '==', userId)
+      .where(field, '==', value)
+      .get();
+
+    const transactions = [];
+    snapshot.forEach(doc => transactions.push({ id: doc.id, ...doc.data() }));
+    return transactions;
+  }
+
+  async queryPeriod(collection, userId, from, to) {
+    const snapshot = await this.db.collection(collection)
+      .where('userId', '==', userId)
+      .where('date', '>=', from)
+      .where('date', '<=', to)
+      .get();
+
+    const documents = [];
+    snapshot.forEach(doc => documents.push({ id: doc.id, ...doc.data() }));
+    return documents;
+  }
+
+  /**
+   * Import a statement file ({ buffer, originalname }) and reconcile its
+   * charges with the user's receipts. Returns { statement, summary }.
+   */
+  async importStatement(userId, file, options = {}) {
+    const statement = parseStatement(file.buffer);
+    const { baseCurrency = null } = options;
+
+    try {
+      const { transactions } = statement;
+      const periodStart = transactions[0].date;
+      const periodEnd = transactions[transactions.length - 1].date;
+      const ids = transactionIds(userId, statement.account, transactions);
+
+      const existing = await this.queryPeriod(this.collections.bankTransactions, userId, periodStart, periodEnd);
+      const known = new Set(existing.map(transaction => transaction.id));
+      // Receipts matched or suggested by an earlier import
+      const claimed = new Set(existing.filter(transaction => transaction.receiptId).map(transaction => transaction.receiptId));
+
+      const incoming = transactions
+        .map((transaction, index) => ({ id: ids[index], ...transaction }))
+        .filter(transaction => !known.has(transaction.id));
+
+      const receipts = (await this.queryPeriod(
+        this.collections.receipts, userId,
+        addDays(periodStart, -MAX_POSTING_DELAY_DAYS), addDays(periodEnd, MAX_EARLY_DAYS)
+      )).filter(receipt => !UNCOMPARABLE_STATUSES.includes(receipt.status) &&
+        !receipt.possibleDuplicateOf && !receipt.bankTransactionId && !claimed.has(receipt.id));
+
+      // Best pairs first, each charge and each receipt used once
+      const candidates = [];
+      for (const transaction of incoming.filter(item => item.amount < 0)) {
+        for (const receipt of receipts) {
+          const match = scoreMatch(transaction, receipt, baseCurrency);
+          if (match && match.score >= SUGGESTION_THRESHOLD) {
+            candidates.push({ transactionId: transaction.id, receiptId: receipt.id, ...match });
+          }
+        }
+      }
+      candidates.sort((a, b) => b.score - a.score);
+
+      const matches = new Map();
+      const usedReceipts = new Set();
+      for (const candidate of candidates) {
+        if (matches.has(candidate.transactionId) || usedReceipts.has(candidate.receiptId)) continue;
+        matches.set(candidate.transactionId, candidate);
+        usedReceipts.add(candidate.receiptId);
+      }
+
+      const statementRef = this.db.collection(this.collections.statements).doc();
+      const importedAt = new Date();
+
+      const records = incoming.map(transaction => {
+        const match = matches.get(transaction.id);
+        let status = transaction.amount > 0 ? 'credit' : 'missing_receipt';
+        if (match) {
+          status = match.score >= MATCH_THRESHOLD ? 'matched' : 'suggested';
+        }
+
+        return {
+          id: transaction.id,
+          userId,
+          statementId: statementRef.id,
+          account: statement.account,
+          date: transaction.date,
+          valueDate: transaction.valueDate || null,
+          amount: transaction.amount,
+          currency: transaction.currency || statement.currency || baseCurrency,
+          description: transaction.description,
+          reference: transaction.reference || null,
+          status,
+          receiptId: match ? match.receiptId : null,
+          matchScore: match ? match.score : null,
+          matchReasons: match ? match.reasons : [],
+          matchedBy: status === 'matched' ? 'auto' : null,
+          rejectedReceiptIds: [],
+          importedAt
+        };
+      });
+
+      const count = status => records.filter(record => record.status === status).length;
+
+      // Receipts whose charge should have posted within the statement period
+      const flagUntil = addDays(periodEnd, -MAX_POSTING_DELAY_DAYS);
+      const unmatched = receipts.filter(receipt => receipt.date >= periodStart && receipt.date <= flagUntil &&
+        !usedReceipts.has(receipt.id));
+
+      const summary = {
+        transactions: transactions.length,
+        alreadyImported: transactions.length - incoming.length,
+        matched: count('matched'),
+        suggested: count('suggested'),
+        missingReceipts: count('missing_receipt'),
+        credits: count('credit'),
+        unmatchedReceipts: unmatched.length
+      };
+
+      const statementData = {
+        userId,
+        fileName: file.originalname || null,
+        format: statement.format,
+        account: statement.account,
+        currency: statement.currency,
+        periodStart,
+        periodEnd,
+        summary,
+        importedAt
+      };
+
+      // A matched charge and the link on its receipt are written in the same
+      // batch: a failed batch leaves neither, and the next import redoes both
+      const writes = records.map(({ id, ...record }) => {
+        const operations = [batch => batch.set(this.db.collection(this.collections.bankTransactions).doc(id), record)];
+        if (record.status === 'matched') {
+          operations.push(batch => batch.update(this.db.collection(this.collections.receipts).doc(record.receiptId), {
+            bankTransactionId: id,
+            reconciliationStatus: 'matched',
+            updatedAt: importedAt
+          }));
+        }
+        return operations;
+      });
+      unmatched.filter(item => item.reconciliationStatus !== 'unmatched').forEach(receipt => {
+        writes.push([batch => batch.update(this.db.collection(this.collections.receipts).doc(receipt.id), {
+          reconciliationStatus: 'unmatched',
+          updatedAt: importedAt
+        })]);
+      });
+
+      let batch = this.db.batch();
+      let batchWrites = 0;
+      for (const operations of writes) {
+        if (batchWrites + operations.length > WRITE_BATCH_SIZE) {
+          await batch.commit();
+          batch = this.db.batch();
+          batchWrites = 0;
+        }
+        operations.forEach(operation => operation(batch));
+        batchWrites += operations.length;
+      }
+      if (batchWrites > 0) {
+        await batch.commit();
+      }
+      await statementRef.set(statementData);
+
+      return { statement: { id: statementRef.id, ...statementData }, summary };
+    } catch (error) {
+      console.error('Statement import error:', error);
+      throw new Error('Failed to import statement');
+    }
+  }
+
+  /**
+   * Imported statements of a user, most recent first
+   */
+  async getStatements(userId, options = {}) {
+    try {
+      const { limit = 50 } = options;
+
+      const snapshot = await this.db.collection(this.collections.statements)
+        .where('userId', '==', userId)
+        .orderBy('importedAt', 'desc')
+        .limit(Math.min(limit, MAX_LIST))
+        .get();
+
+      const statements = [];
+      snapshot.forEach(doc => {
+        statements.push({
+          id: doc.id,
+          ...doc.data(),
+          importedAt: doc.data().importedAt?.toDate?.() || doc.data().importedAt
+        });
+      });
+
+      return statements;
+    } catch (error) {
+      console.error('Get statements error:', error);
+      throw new Error('Failed to fetch statements from database');
+    }
+  }
+
+  /**
+   * Imported transactions of a user, most recent first, optionally of one status
+   */
+  async getTransactions(userId, options = {}) {
+    const { status = null, limit = 100 } = options;
+
+    if (status && !TRANSACTION_STATUSES.includes(status)) {
+      throw new Error(`Invalid transaction status: use ${TRANSACTION_STATUSES.join(', ')}`);
+    }
+
+    try {
+      let query = this.db.collection(this.collections.bankTransactions)
+        .where('userId', '==', userId);
+
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.orderBy('date', 'desc').limit(Math.min(limit, MAX_LIST)).get();
+
+      const transactions = [];
+      snapshot.forEach(doc => {
+        transactions.push({
+          id: doc.id,
+          ...doc.data(),
+          importedAt: doc.data().importedAt?.toDate?.() || doc.data().importedAt
+        });
+      });
+
+      return transactions;
+    } catch (error) {
+      console.error('Get transactions error:', error);
+      throw new Error('Failed to fetch transactions from database');
+    }
+  }
+
+  /**
+   * Receipts flagged without a bank charge, most recent first
+   */
+  async getUnmatchedReceipts(userId, options = {}) {
+    try {
+      const { limit = 100 } = options;
+
+      const snapshot = await this.db.collection(this.collections.receipts)
+        .where('userId', '==', userId)
+        .where('reconciliationStatus', '==', 'unmatched')
+        .orderBy('date', 'desc')
+        .limit(Math.min(limit, MAX_LIST))
+        .get();
+
+      const receipts = [];
+      snapshot.forEach(doc => {
+        const { searchTerms, ...receipt } = doc.data();
+        receipts.push({
+          id: doc.id,
+          ...receipt,
+          createdAt: receipt.createdAt?.toDate?.() || receipt.createdAt
+        });
+      });
+
+      return receipts;
+    } catch (error) {
+      console.error('Get unmatched receipts error:', error);
+      throw new Error('Failed to fetch unmatched receipts from database');
+    }
+  }
+
+  async getTransaction(userId, transactionId) {
+    const doc = await this.db.collection(this.collections.bankTransactions).doc(transactionId).get();
+
+    if (!doc.exists) {
+      throw new Error('Transaction not found');
+    }
+
+    const transaction = { id: doc.id, ...doc.data() };
+    if (transaction.userId !== userId) {
+      throw new Error('Access denied');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Confirm the receipt of a charge: its suggested receipt, or receiptId to
+   * match another one (a missing receipt uploaded later, a wrong match).
+   * Other suggestions of that receipt are withdrawn.
+   */
+  async confirmMatch(userId, transactionId, receiptId = null) {
+    const transaction = await this.getTransaction(userId, transactionId);
+
+    if (transaction.amount > 0) {
+      throw new Error('Invalid match: credits have no receipt');
+    }
+
+    const targetId = receiptId || transaction.receiptId;
+    if (!targetId) {
+      throw new Error('Invalid match: give the receipt of the transaction');
+    }
+
+    const receipt = await this.firestoreService.getReceipt(targetId, userId);
+    if (receipt.bankTransactionId && receipt.bankTransactionId !== transactionId) {
+      throw new Error('Invalid match: the receipt is matched to another transaction');
+    }
+
+    // A matched charge moving to another receipt frees the first one
+    if (transaction.status === 'matched' && transaction.receiptId && transaction.receiptId !== targetId) {
+      await this.releaseReceipt(userId, transaction.receiptId, transactionId);
+    }
+
+    for (const other of await this.queryTransactions(userId, 'receiptId', targetId)) {
+      if (other.id !== transactionId && other.status === 'suggested') {
+        await this.clearMatch(other.id);
+      }
+    }
+
+    const updates = {
+      status: 'matched',
+      receiptId: targetId,
+      matchedBy: 'user',
+      confirmedAt: new Date()
+    };
+    await this.db.collection(this.collections.bankTransactions).doc(transactionId).update(updates);
+
+    const matchedReceipt = await this.firestoreService.updateReceipt(targetId, {
+      bankTransactionId: transactionId,
+      reconciliationStatus: 'matched'
+    }, userId, { source: 'user' });
+
+    return { transaction: { ...transaction, ...updates }, receipt: matchedReceipt };
+  }
+
+  /**
+   * Reject the receipt matched or suggested for a charge. The charge goes back
+   * to missing its receipt, which is not suggested for it again.
+   */
+  async rejectMatch(userId, transactionId) {
+    const transaction = await this.getTransaction(userId, transactionId);
+
+    if (!transaction.receiptId || !['matched', 'suggested'].includes(transaction.status)) {
+      throw new Error('Invalid match: the transaction has no match to reject');
+    }
+
+    const updates = {
+      status: 'missing_receipt',
+      receiptId: null,
+      matchScore: null,
+      matchReasons: [],
+      matchedBy: null,
+      rejectedReceiptIds: [...(transaction.rejectedReceiptIds || []), transaction.receiptId]
+    };
+    await this.db.collection(this.collections.bankTransactions).doc(transactionId).update(updates);
+    await this.releaseReceipt(userId, transaction.receiptId, transactionId);
+
+    return { transaction: { ...transaction, ...updates } };
+  }
+
+  /**
+   * Flag a receipt unmatched once no charge of transactionId claims it; a
+   * receipt deleted meanwhile is left alone
+   */
+  async releaseReceipt(userId, receiptId, transactionId) {
+    try {
+      const receipt = await this.firestoreService.getReceipt(receiptId, userId);
+      if (receipt.bankTransactionId && receipt.bankTransactionId !== transactionId) return;
+
+      await this.firestoreService.updateReceipt(receiptId, {
+        bankTransactionId: null,
+        reconciliationStatus: 'unmatched'
+      }, userId, { source: 'user' });
+    } catch (error) {
+      if (error.message !== 'Receipt not found') throw error;
+    }
+  }
+
+  async clearMatch(transactionId) {
+    await this.db.collection(this.collections.bankTransactions).doc(transactionId).update({
+      status: 'missing_receipt',
+      receiptId: null,
+      matchScore: null,
+      matchReasons: [],
+      matchedBy: null
+    });
+  }
+
+  /**
+   * Receipt change listener: charges of a deleted receipt miss their receipt again
+   */
+  async handleReceiptChange(change) {
+    const { type, userId, previous } = change;
+    if (type !== 'deleted' || !previous) return;
+
+    try {
+      for (const transaction of await this.queryTransactions(userId, 'receiptId', previous.id)) {
+        if (['matched', 'suggested'].includes(transaction.status)) {
+          await this.clearMatch(transaction.id);
+        }
+      }
+    } catch (error) {
+      console.error('Reconciliation cleanup error:', error);
+    }
+  }
+}
+
+module.exports = {
+  ReconciliationService,
+  scoreMatch,
+  vendorSimilarity,
+  TRANSACTION_STATUSES
+};
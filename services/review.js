@@ -0,0 +1,209 @@
+const config = require('../config');
+const { toIsoDate } = require('./parsers/dates');
+
+// Fields a reviewer can correct when confirming a receipt
+const CORRECTABLE_FIELDS = ['vendor', 'date', 'total', 'category', 'items'];
+
+// Items summing to within this amount of the total are considered consistent
+const ITEMS_TOLERANCE = 0.05;
+
+// Upper bound of unverified receipts scanned per queue request; older ones
+// are left out and the queue reports itself truncated
+const MAX_SCAN = 500;
+
+// Receipts whose upload is still being read, or could not be read, have nothing to review
+const UNREVIEWABLE_STATUSES = ['pending', 'processing', 'failed'];
+
+class ReviewService {
+  constructor(firestoreService, options = {}) {
+    this.firestoreService = firestoreService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+    this.confidenceThreshold = options.confidenceThreshold ?? config.ocr.confidenceThreshold;
+  }
+
+  /**
+   * List the reasons a receipt needs human attention
+   */
+  getReviewReasons(receipt) {
+    const reasons = [];
+
+    if (!receipt.verified) {
+      reasons.push('unverified');
+    }
+
+    if (typeof receipt.confidence === 'number' && receipt.confidence < this.confidenceThreshold) {
+      reasons.push('low_confidence');
+    }
+
+    if (receipt.fieldConfidence?.date?.source === 'fallback') {
+      reasons.push('fallback_date');
+    }
+
+    if (!(receipt.total > 0)) {
+      reasons.push('zero_total');
+    }
+
+    if (Array.isArray(receipt.items) && receipt.items.length > 0 && receipt.total > 0) {
+      const itemsSum = receipt.items.reduce((sum, item) => sum + (item.lineTotal ?? item.price ?? 0), 0);
+      if (Math.abs(itemsSum - receipt.total) > ITEMS_TOLERANCE) {
+        reasons.push('items_mismatch');
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Get unverified receipts annotated with review reasons, most problematic first.
+   * truncated is set when more unverified receipts exist than were scanned.
+   */
+  async getReviewQueue(userId, options = {}) {
+    try {
+      const { limit = 50, reason } = options;
+
+      const snapshot = await this.db.collection(this.collections.receipts)
+        .where('userId', '==', userId)
+        .where('verified', '==', false)
+        .orderBy('createdAt', 'desc')
+        .limit(MAX_SCAN + 1)
+        .get();
+
+      const counts = {};
+      let queue = [];
+
+      snapshot.docs.slice(0, MAX_SCAN).forEach(doc => {
+        const { searchTerms, ...data } = doc.data();
+        if (UNREVIEWABLE_STATUSES.includes(data.status)) return;
+
+        const receipt = {
+          id: doc.id,
+          ...data,
+          createdAt: data.createdAt?.toDate?.() || data.createdAt,
+          updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
+        };
+        const reviewReasons = this.getReviewReasons(receipt);
+
+        reviewReasons.forEach(name => {
+          counts[name] = (counts[name] || 0) + 1;
+        });
+
+        queue.push({ ...receipt, reviewReasons });
+      });
+
+      if (reason) {
+        queue = queue.filter(receipt => receipt.reviewReasons.includes(reason));
+      }
+
+      // Receipts with more problems, then lower confidence, come first
+      queue.sort((a, b) =>
+        (b.reviewReasons.length - a.reviewReasons.length) ||
+        ((a.confidence ?? 1) - (b.confidence ?? 1))
+      );
+
+      return {
+        receipts: queue.slice(0, limit),
+        total: queue.length,
+        counts,
+        truncated: snapshot.size > MAX_SCAN
+      };
+    } catch (error) {
+      console.error('Review queue error:', error);
+      throw new Error('Failed to fetch review queue');
+    }
+  }
+
+  /**
+   * Validate the corrections of a confirmation, throwing on the first invalid field
+   */
+  validateCorrections(corrections) {
+    if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+      throw new Error('Invalid corrections: expected an object of fields');
+    }
+
+    if (corrections.total !== undefined) {
+      const total = typeof corrections.total === 'string' && corrections.total.trim() !== ''
+        ? Number(corrections.total)
+        : corrections.total;
+      if (typeof total !== 'number' || !Number.isFinite(total) || total < 0) {
+        throw new Error('Invalid corrections: total must be a non-negative number');
+      }
+    }
+
+    if (corrections.date !== undefined) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(corrections.date);
+      if (!match || !toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]))) {
+        throw new Error('Invalid corrections: date must be an ISO date (YYYY-MM-DD)');
+      }
+    }
+
+    for (const field of ['vendor', 'category']) {
+      if (corrections[field] !== undefined && (typeof corrections[field] !== 'string' || corrections[field].trim() === '')) {
+        throw new Error(`Invalid corrections: ${field} must be a non-empty string`);
+      }
+    }
+
+    if (corrections.items !== undefined && !Array.isArray(corrections.items)) {
+      throw new Error('Invalid corrections: items must be an array');
+    }
+  }
+
+  /**
+   * Mark receipts as verified, applying and recording any corrections.
+   * Each confirmation is { id, corrections }; one failure does not stop the others,
+   * but invalid corrections reject the whole request before anything is written.
+   */
+  async confirmReceipts(userId, confirmations) {
+    confirmations.forEach(({ corrections = {} }) => this.validateCorrections(corrections));
+
+    const results = [];
+
+    for (const { id, corrections = {} } of confirmations) {
+      try {
+        const receipt = await this.firestoreService.getReceipt(id, userId);
+        if (UNREVIEWABLE_STATUSES.includes(receipt.status)) {
+          throw new Error(`Invalid receipt status: ${receipt.status} receipts cannot be confirmed`);
+        }
+
+        const updates = {};
+        const changes = {};
+
+        for (const field of CORRECTABLE_FIELDS) {
+          if (corrections[field] === undefined) continue;
+
+          const value = field === 'total' ? Number(corrections[field]) : corrections[field];
+          if (JSON.stringify(value) !== JSON.stringify(receipt[field])) {
+            updates[field] = value;
+            changes[field] = { from: receipt[field] ?? null, to: value };
+          }
+        }
+
+        const correctedFields = Object.keys(changes);
+
+        await this.firestoreService.updateReceipt(id, {
+          ...updates,
+          verified: true,
+          verifiedAt: new Date(),
+          status: 'processed',
+          correctedFields: Array.from(new Set([...(receipt.correctedFields || []), ...correctedFields])),
+          corrections: { ...(receipt.corrections || {}), ...changes }
+        }, userId, { source: 'user' });
+
+        results.push({ id, success: true, correctedFields });
+      } catch (error) {
+        console.error('Confirm receipt error:', error);
+
+        let code = 'UPDATE_ERROR';
+        if (error.message === 'Receipt not found') code = 'NOT_FOUND';
+        if (error.message === 'Access denied') code = 'ACCESS_DENIED';
+        if (error.message.startsWith('Invalid receipt status')) code = 'INVALID_STATUS';
+
+        results.push({ id, success: false, code });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = ReviewService;
@@ -0,0 +1,441 @@
+const { RE2JS } = require('re2js');
+
+// Longest regex a rule may carry; user patterns run against every upload
+const MAX_PATTERN_LENGTH = 200;
+
+// Vendor names are cut to this length before a rule's regex runs on them
+const MAX_VENDOR_LENGTH = 200;
+
+// Receipts read per page by a dry run or retroactive apply, which cover them all
+const SCAN_BATCH_SIZE = 500;
+
+const CONDITION_FIELDS = ['vendorContains', 'vendorRegex', 'minAmount', 'maxAmount', 'itemKeyword', 'weekdays'];
+
+/**
+ * Compile a rule's vendor regex, case-insensitive, or null when it is not valid.
+ * Patterns run on RE2, whose matching time is linear in the vendor name for any
+ * pattern: JavaScript's backtracking engine takes exponential time on patterns
+ * such as "a*a*a*b" or "(.*a){12}x". RE2 has no backreferences or lookarounds.
+ */
+function compileVendorRegex(pattern) {
+  try {
+    return RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lowercase, accent-free text for case-insensitive matching
+ */
+function fold(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * User-defined categorisation rules.
+ *
+ * A rule has conditions that must all hold (vendor contains, vendor regex,
+ * amount range, item keyword, weekday of the receipt date) and sets a
+ * category and/or tags. Rules are evaluated by ascending priority: the first
+ * matching rule with a category decides it, and tags of every matching rule
+ * are added.
+ */
+class RulesService {
+  constructor(firestoreService) {
+    this.firestoreService = firestoreService;
+    this.db = firestoreService.db;
+    this.collections = firestoreService.collections;
+  }
+
+  /**
+   * Validate rule fields, throwing on the first invalid one
+   */
+  validateRule(ruleData) {
+    const conditions = ruleData.conditions;
+    if (!conditions || typeof conditions !== 'object' ||
+        !CONDITION_FIELDS.some(field => conditions[field] !== undefined && conditions[field] !== null)) {
+      throw new Error('Invalid rule conditions');
+    }
+
+    for (const field of ['vendorContains', 'itemKeyword']) {
+      if (conditions[field] != null && (typeof conditions[field] !== 'string' || conditions[field].trim() === '')) {
+        throw new Error(`Invalid rule ${field}`);
+      }
+    }
+
+    if (conditions.vendorRegex != null) {
+      if (typeof conditions.vendorRegex !== 'string' || conditions.vendorRegex.length > MAX_PATTERN_LENGTH ||
+          !compileVendorRegex(conditions.vendorRegex)) {
+        throw new Error('Invalid rule vendorRegex');
+      }
+    }
+
+    for (const field of ['minAmount', 'maxAmount']) {
+      if (conditions[field] != null && !Number.isFinite(Number(conditions[field]))) {
+        throw new Error(`Invalid rule ${field}`);
+      }
+    }
+
+    if (conditions.minAmount != null && conditions.maxAmount != null &&
+        Number(conditions.minAmount) > Number(conditions.maxAmount)) {
+      throw new Error('Invalid rule amount range');
+    }
+
+    if (conditions.weekdays != null) {
+      const valid = Array.isArray(conditions.weekdays) && conditions.weekdays.length > 0 &&
+        conditions.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!valid) {
+        throw new Error('Invalid rule weekdays');
+      }
+    }
+
+    const hasCategory = typeof ruleData.category === 'string' && ruleData.category.trim() !== '';
+    const hasTags = Array.isArray(ruleData.tags) && ruleData.tags.length > 0;
+
+    if (ruleData.category != null && !hasCategory) {
+      throw new Error('Invalid rule category');
+    }
+
+    if (ruleData.tags != null && (!Array.isArray(ruleData.tags) ||
+        ruleData.tags.some(tag => typeof tag !== 'string' || tag.trim() === ''))) {
+      throw new Error('Invalid rule tags');
+    }
+
+    if (!hasCategory && !hasTags) {
+      throw new Error('Invalid rule: category or tags required');
+    }
+
+    if (ruleData.priority != null && !Number.isFinite(Number(ruleData.priority))) {
+      throw new Error('Invalid rule priority');
+    }
+  }
+
+  /**
+   * Keep only known condition fields, with amounts as numbers
+   */
+  normalizeConditions(conditions) {
+    const normalized = {};
+
+    for (const field of CONDITION_FIELDS) {
+      if (conditions[field] == null) continue;
+
+      normalized[field] = ['minAmount', 'maxAmount'].includes(field)
+        ? Number(conditions[field])
+        : conditions[field];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Whether every condition of a rule holds for a receipt
+   */
+  matchesRule(rule, receipt) {
+    const { conditions = {} } = rule;
+    const vendor = fold(receipt.vendor);
+
+    if (conditions.vendorContains && !vendor.includes(fold(conditions.vendorContains))) {
+      return false;
+    }
+
+    if (conditions.vendorRegex) {
+      // Rules saved with a pattern RE2 cannot run match nothing
+      const regex = compileVendorRegex(conditions.vendorRegex);
+      if (!regex || !regex.matcher((receipt.vendor || '').slice(0, MAX_VENDOR_LENGTH)).find()) {
+        return false;
+      }
+    }
+
+    const total = Number(receipt.total) || 0;
+    if (conditions.minAmount != null && total < conditions.minAmount) return false;
+    if (conditions.maxAmount != null && total > conditions.maxAmount) return false;
+
+    if (conditions.itemKeyword) {
+      const keyword = fold(conditions.itemKeyword);
+      if (!(receipt.items || []).some(item => fold(item.name).includes(keyword))) {
+        return false;
+      }
+    }
+
+    if (conditions.weekdays) {
+      // Receipt dates are calendar dates (YYYY-MM-DD), parsed as UTC midnight
+      const date = new Date(receipt.date);
+      if (isNaN(date.getTime()) || !conditions.weekdays.includes(date.getUTCDay())) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate ordered rules against a receipt
+   */
+  evaluateRules(rules, receipt) {
+    let category = null;
+    let ruleId = null;
+    const tags = [];
+
+    for (const rule of rules) {
+      if (rule.enabled === false || !this.matchesRule(rule, receipt)) continue;
+
+      if (!category && rule.category) {
+        category = rule.category;
+        ruleId = rule.id || null;
+      }
+
+      for (const tag of rule.tags || []) {
+        if (!tags.includes(tag)) tags.push(tag);
+      }
+    }
+
+    return { category, ruleId, tags };
+  }
+
+  /**
+   * Apply a user's rules to freshly parsed receipt data
+   */
+  async applyRules(userId, receiptData) {
+    const rules = await this.getRules(userId);
+    const { category, ruleId, tags } = this.evaluateRules(rules, receiptData);
+
+    if (!category && tags.length === 0) {
+      return receiptData;
+    }
+
+    const result = { ...receiptData };
+
+    if (category) {
+      result.category = category;
+      result.categoryRuleId = ruleId;
+      result.fieldConfidence = {
+        ...(receiptData.fieldConfidence || {}),
+        category: { score: 1, source: 'rule' }
+      };
+    }
+
+    if (tags.length > 0) {
+      result.tags = Array.from(new Set([...(receiptData.tags || []), ...tags]));
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a categorisation rule; without a priority it goes last
+   */
+  async createRule(ruleData, userId) {
+    this.validateRule(ruleData);
+
+    try {
+      let priority = ruleData.priority;
+      if (priority == null) {
+        const rules = await this.getRules(userId);
+        priority = rules.length > 0 ? rules[rules.length - 1].priority + 1 : 0;
+      }
+
+      const rule = {
+        userId,
+        name: ruleData.name || null,
+        priority: Number(priority),
+        enabled: ruleData.enabled !== false,
+        conditions: this.normalizeConditions(ruleData.conditions),
+        category: ruleData.category ? ruleData.category.trim() : null,
+        tags: (ruleData.tags || []).map(tag => tag.trim()),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const docRef = await this.db.collection(this.collections.categoryRules).add(rule);
+
+      return {
+        id: docRef.id,
+        ...rule
+      };
+    } catch (error) {
+      console.error('Create rule error:', error);
+      throw new Error('Failed to save rule to database');
+    }
+  }
+
+  /**
+   * Get a user's rules in evaluation order
+   */
+  async getRules(userId) {
+    try {
+      const snapshot = await this.db.collection(this.collections.categoryRules)
+        .where('userId', '==', userId)
+        .orderBy('priority', 'asc')
+        .get();
+
+      const rules = [];
+      snapshot.forEach(doc => {
+        rules.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return rules;
+    } catch (error) {
+      console.error('Get rules error:', error);
+      throw new Error('Failed to fetch rules from database');
+    }
+  }
+
+  /**
+   * Get a single rule
+   */
+  async getRule(ruleId, userId) {
+    try {
+      const doc = await this.db.collection(this.collections.categoryRules).doc(ruleId).get();
+
+      if (!doc.exists) {
+        throw new Error('Rule not found');
+      }
+
+      const rule = doc.data();
+      if (rule.userId !== userId) {
+        throw new Error('Access denied');
+      }
+
+      return {
+        id: doc.id,
+        ...rule
+      };
+    } catch (error) {
+      console.error('Get rule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rule; the result is validated as a whole
+   */
+  async updateRule(ruleId, updateData, userId) {
+    const rule = await this.getRule(ruleId, userId);
+    const merged = { ...rule, ...updateData };
+
+    this.validateRule(merged);
+
+    try {
+      const updates = {
+        ...updateData,
+        updatedAt: new Date()
+      };
+      if (updates.conditions) updates.conditions = this.normalizeConditions(updates.conditions);
+      if (updates.priority !== undefined) updates.priority = Number(updates.priority);
+      if (updates.category) updates.category = updates.category.trim();
+      if (updates.tags) updates.tags = updates.tags.map(tag => tag.trim());
+
+      await this.db.collection(this.collections.categoryRules).doc(ruleId).update(updates);
+
+      return {
+        ...rule,
+        ...updates
+      };
+    } catch (error) {
+      console.error('Update rule error:', error);
+      throw new Error('Failed to update rule');
+    }
+  }
+
+  /**
+   * Delete a rule
+   */
+  async deleteRule(ruleId, userId) {
+    await this.getRule(ruleId, userId);
+
+    try {
+      await this.db.collection(this.collections.categoryRules).doc(ruleId).delete();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete rule error:', error);
+      throw new Error('Failed to delete rule');
+    }
+  }
+
+  /**
+   * List existing receipts a rule would reclassify or tag, without changing
+   * them. Every receipt of the user is checked, a page at a time.
+   */
+  async dryRun(ruleData, userId) {
+    this.validateRule(ruleData);
+
+    const rule = { ...ruleData, conditions: this.normalizeConditions(ruleData.conditions) };
+
+    try {
+      const query = this.db.collection(this.collections.receipts)
+        .where('userId', '==', userId)
+        .orderBy('__name__')
+        .limit(SCAN_BATCH_SIZE);
+
+      const changes = [];
+      let matched = 0;
+      let lastId = null;
+
+      for (;;) {
+        const snapshot = await (lastId ? query.startAfter(lastId) : query).get();
+
+        snapshot.forEach(doc => {
+          const receipt = { id: doc.id, ...doc.data() };
+          if (!this.matchesRule(rule, receipt)) return;
+
+          matched++;
+
+          const currentTags = receipt.tags || [];
+          const category = rule.category || receipt.category;
+          const tags = Array.from(new Set([...currentTags, ...(rule.tags || [])]));
+
+          if (category !== receipt.category || tags.length !== currentTags.length) {
+            changes.push({
+              id: receipt.id,
+              vendor: receipt.vendor,
+              date: receipt.date,
+              total: receipt.total,
+              from: { category: receipt.category ?? null, tags: currentTags },
+              to: { category, tags }
+            });
+          }
+        });
+
+        if (snapshot.size < SCAN_BATCH_SIZE) break;
+        lastId = snapshot.docs[snapshot.size - 1].id;
+      }
+
+      return { matched, changes };
+    } catch (error) {
+      console.error('Rule dry run error:', error);
+      throw new Error('Failed to evaluate rule');
+    }
+  }
+
+  /**
+   * Apply a saved rule to the user's existing receipts
+   */
+  async applyRule(ruleId, userId) {
+    const rule = await this.getRule(ruleId, userId);
+    const { changes } = await this.dryRun(rule, userId);
+
+    const updated = [];
+    for (const change of changes) {
+      const updates = { tags: change.to.tags };
+      if (change.to.category !== change.from.category) {
+        updates.category = change.to.category;
+        updates.categoryRuleId = ruleId;
+      }
+
+      await this.firestoreService.updateReceipt(change.id, updates, userId);
+      updated.push(change.id);
+    }
+
+    return { updated: updated.length, receiptIds: updated };
+  }
+}
+
+module.exports = RulesService;
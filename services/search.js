@@ -0,0 +1,91 @@
+/**
+ * Receipt full-text search: the vendor, item names and OCR text of each
+ * receipt are folded into terms (lowercase, no accents) stored on the receipt
+ * as searchTerms, together with their prefixes. Firestore indexes that array,
+ * so it works as an inverted index that is written with the receipt and goes
+ * away when the receipt is deleted.
+ */
+
+// Receipt fields whose text is searchable, most relevant first
+const SEARCHABLE_FIELDS = ['vendor', 'items', 'rawText'];
+
+// Shortest word indexed and searched; digit-only words need more to be worth it
+const MIN_TERM_LENGTH = 2;
+const MIN_NUMBER_LENGTH = 4;
+
+// Longer words are indexed up to this many characters, so long queries still match
+const MAX_TERM_LENGTH = 15;
+
+// Upper bound of terms stored per receipt, keeping documents and index entries small
+const MAX_SEARCH_TERMS = 1500;
+
+/**
+ * Split text into normalised words: lowercase, without accents or punctuation
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= (/^\d+$/.test(word) ? MIN_NUMBER_LENGTH : MIN_TERM_LENGTH))
+    .map(word => word.slice(0, MAX_TERM_LENGTH));
+}
+
+/**
+ * Search terms of a receipt: every word of its searchable fields and each of
+ * the word's prefixes, so "lec" finds "leche"
+ */
+function buildSearchTerms(receipt) {
+  const words = [
+    ...tokenize(receipt.vendor),
+    ...(receipt.items || []).flatMap(item => tokenize(item.name)),
+    ...tokenize(receipt.rawText)
+  ];
+
+  const terms = new Set();
+  for (const word of words) {
+    for (let length = MIN_TERM_LENGTH; length <= word.length; length++) {
+      if (terms.size >= MAX_SEARCH_TERMS) return Array.from(terms);
+      terms.add(word.slice(0, length));
+    }
+  }
+
+  return Array.from(terms);
+}
+
+/**
+ * Terms a receipt must all contain to match a search, most selective (longest)
+ * first. Throws when the search has no word long enough to look up.
+ */
+function parseSearchQuery(search) {
+  const words = Array.from(new Set(tokenize(search)));
+
+  if (words.length === 0) {
+    throw new Error(`Invalid search: use words of at least ${MIN_TERM_LENGTH} characters`);
+  }
+
+  // A word that is the prefix of another adds nothing
+  return words
+    .filter(word => !words.some(other => other !== word && other.startsWith(word)))
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Whether a receipt contains every search term; receipts saved before search
+ * terms existed are read from their fields
+ */
+function matchesSearch(receipt, terms) {
+  if (terms.length === 0) return true;
+
+  const searchTerms = new Set(receipt.searchTerms || buildSearchTerms(receipt));
+  return terms.every(term => searchTerms.has(term));
+}
+
+module.exports = {
+  SEARCHABLE_FIELDS,
+  tokenize,
+  buildSearchTerms,
+  parseSearchQuery,
+  matchesSearch
+};
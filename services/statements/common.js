@@ -0,0 +1,50 @@
+/**
+ * Helpers shared by the bank statement parsers.
+ */
+
+const { parseNumber, roundAmount } = require('../parsers/amounts');
+const { expandYear, toIsoDate } = require('../parsers/dates');
+
+/**
+ * Amount of a statement field ("-1.234,56", "12.50", "0,50-"), null when unreadable
+ */
+function readAmount(text, locale = 'es-ES') {
+  if (text === undefined || text === null || String(text).trim() === '') return null;
+
+  const { value } = parseNumber(String(text).replace(/^\+/, ''), locale);
+  return Number.isFinite(value) ? roundAmount(value) : null;
+}
+
+/**
+ * ISO date of a numeric statement date: year first (2024-01-15) or day and
+ * month in the given order (15/01/2024, 15-01-24, 01/15'24 with MDY). Anything
+ * after the date, such as a time, is ignored. Null when unreadable.
+ */
+function readDate(text, order = 'DMY') {
+  const value = String(text || '').trim();
+
+  const yearFirst = value.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/);
+  if (yearFirst) {
+    return toIsoDate(parseInt(yearFirst[1], 10), parseInt(yearFirst[2], 10), parseInt(yearFirst[3], 10));
+  }
+
+  const numeric = value.match(/^(\d{1,2})[/.-](\d{1,2})['/.-]\s*(\d{4}|\d{2})(?!\d)/);
+  if (!numeric) return null;
+
+  const [, first, second, year] = numeric;
+  const [day, month] = order === 'MDY' ? [second, first] : [first, second];
+  return toIsoDate(expandYear(year), parseInt(month, 10), parseInt(day, 10));
+}
+
+/**
+ * Collapse the whitespace of a description
+ */
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  readAmount,
+  readDate,
+  cleanText
+};
@@ -0,0 +1,179 @@
+/**
+ * CSV statements as exported by Spanish banks (Santander, BBVA, CaixaBank,
+ * Sabadell, ING...): semicolon, tab or comma separated, with account details
+ * above a header row. Columns are found by their header, the amount being a
+ * signed "Importe" or separate "Cargo" and "Abono" columns.
+ */
+
+const { roundAmount } = require('../parsers/amounts');
+const { toCurrencyCode } = require('../parsers/currency');
+const { readAmount, readDate, cleanText } = require('./common');
+
+// Tried in this order: Spanish exports use ";" because amounts carry decimal commas
+const DELIMITERS = [';', '\t', ','];
+
+// Rows read looking for the header, past the account details some banks print first
+const MAX_HEADER_ROW = 30;
+
+// Header names of each column, normalised, preferred first
+const COLUMN_NAMES = {
+  date: ['fecha operacion', 'fecha de operacion', 'f operacion', 'fecha', 'fecha contable', 'f contable', 'date', 'booking date'],
+  valueDate: ['fecha valor', 'f valor', 'value date'],
+  description: ['concepto', 'descripcion', 'detalle', 'comercio', 'movimiento', 'description', 'concept'],
+  amount: ['importe', 'cantidad', 'amount'],
+  debit: ['cargo', 'cargos', 'debe', 'debit'],
+  credit: ['abono', 'abonos', 'haber', 'credit'],
+  currency: ['divisa', 'moneda', 'currency'],
+  reference: ['referencia', 'reference']
+};
+
+function normalizeHeader(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Rows of CSV text, with quoted cells holding delimiters, quotes ("") or line breaks
+ */
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Column index of each field in a header row; exact names first, then
+ * headers starting with a name ("importe eur" for "importe")
+ */
+function mapColumns(headers) {
+  const names = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, candidates] of Object.entries(COLUMN_NAMES)) {
+    let index = -1;
+    for (const candidate of candidates) {
+      index = names.indexOf(candidate);
+      if (index !== -1) break;
+    }
+    if (index === -1) {
+      index = names.findIndex(name => candidates.some(candidate => name.startsWith(`${candidate} `)));
+    }
+    if (index !== -1) columns[field] = index;
+  }
+
+  return columns;
+}
+
+function isHeader(columns) {
+  return (columns.date !== undefined || columns.valueDate !== undefined) &&
+    columns.description !== undefined &&
+    (columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined);
+}
+
+/**
+ * Header row index and columns of rows, null when no row looks like a header
+ */
+function findHeader(rows) {
+  for (let index = 0; index < Math.min(rows.length, MAX_HEADER_ROW); index++) {
+    const columns = mapColumns(rows[index]);
+    if (isHeader(columns)) {
+      return { index, columns };
+    }
+  }
+  return null;
+}
+
+function rowAmount(row, columns) {
+  if (columns.amount !== undefined) {
+    return readAmount(row[columns.amount]);
+  }
+
+  // Charges and payments in columns of their own, usually both unsigned
+  const debit = columns.debit !== undefined ? readAmount(row[columns.debit]) : null;
+  const credit = columns.credit !== undefined ? readAmount(row[columns.credit]) : null;
+  if (debit === null && credit === null) return null;
+
+  return roundAmount(Math.abs(credit || 0) - Math.abs(debit || 0));
+}
+
+/**
+ * Parse a CSV statement into { account, currency, transactions }. Rows
+ * without a readable date or amount (balances, totals) are skipped.
+ */
+function parseCsv(text) {
+  for (const delimiter of DELIMITERS) {
+    const rows = parseRows(text, delimiter);
+    const header = findHeader(rows);
+    if (!header) continue;
+
+    const { columns } = header;
+    const transactions = [];
+
+    for (const row of rows.slice(header.index + 1)) {
+      const valueDate = columns.valueDate !== undefined ? readDate(row[columns.valueDate]) : null;
+      const date = (columns.date !== undefined ? readDate(row[columns.date]) : null) || valueDate;
+      const amount = rowAmount(row, columns);
+      if (!date || amount === null || amount === 0) continue;
+
+      transactions.push({
+        date,
+        valueDate,
+        amount,
+        currency: columns.currency !== undefined ? toCurrencyCode(row[columns.currency]) : null,
+        description: cleanText(row[columns.description]),
+        reference: columns.reference !== undefined ? cleanText(row[columns.reference]) || null : null
+      });
+    }
+
+    return { account: null, currency: null, transactions };
+  }
+
+  throw new Error('Invalid statement: no header with date, description and amount columns');
+}
+
+module.exports = {
+  parseCsv,
+  parseRows,
+  mapColumns
+};
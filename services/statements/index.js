@@ -0,0 +1,86 @@
+/**
+ * Bank and card statement import: detects the format of an uploaded file
+ * (CSV of Spanish banks, OFX, QIF or Norma 43) and reads its transactions.
+ *
+ * Every format yields { format, account, currency, transactions }, each
+ * transaction being { date, valueDate, amount, currency, description,
+ * reference } with ISO dates and negative amounts for charges.
+ */
+
+const { parseCsv } = require('./csv');
+const { parseOfx } = require('./ofx');
+const { parseQif } = require('./qif');
+const { isNorma43, parseNorma43 } = require('./norma43');
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'qif', 'norma43'];
+
+const PARSERS = {
+  csv: parseCsv,
+  ofx: parseOfx,
+  qif: parseQif,
+  norma43: parseNorma43
+};
+
+/**
+ * Text of a statement file: UTF-8 when valid, else Latin-1 (Windows-1252),
+ * which Spanish banks still export
+ */
+function decodeStatement(buffer) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    text = new TextDecoder('windows-1252').decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Format of a statement's text, from its contents
+ */
+function detectFormat(text) {
+  const start = text.trimStart();
+
+  if (/^OFXHEADER/i.test(start) || /^<\?xml[\s\S]{0,500}<\?OFX/i.test(start) || /<OFX>/i.test(start.slice(0, 2000))) {
+    return 'ofx';
+  }
+  if (/^!(Type|Account|Option)/i.test(start)) {
+    return 'qif';
+  }
+  if (isNorma43(text)) {
+    return 'norma43';
+  }
+  return 'csv';
+}
+
+/**
+ * Read the transactions of a statement file. Throws when the file is not a
+ * statement or holds no transactions.
+ */
+function parseStatement(buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Invalid statement: the file is empty');
+  }
+
+  const text = decodeStatement(buffer);
+  const format = detectFormat(text);
+  const { account, currency, transactions } = PARSERS[format](text);
+
+  if (transactions.length === 0) {
+    throw new Error('Invalid statement: no transactions found');
+  }
+
+  return {
+    format,
+    account,
+    currency,
+    transactions: transactions.sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  decodeStatement,
+  detectFormat,
+  parseStatement
+};
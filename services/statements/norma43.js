@@ -0,0 +1,106 @@
+/**
+ * Norma 43 (AEB/CSB cuaderno 43) statements of Spanish banks: fixed-width
+ * records of 80 characters, identified by their first two digits.
+ *
+ *   11  account header: bank, branch, account, period, currency
+ *   22  movement: dates, debit/credit key, amount, document and references
+ *   23  complementary concepts of the movement before it
+ *   24  currency equivalence (ignored), 33 account totals, 88 end of file
+ */
+
+const { toIsoDate } = require('../parsers/dates');
+const { cleanText } = require('./common');
+
+const RECORD_TYPES = ['11', '22', '23', '24', '33', '88'];
+
+// ISO 4217 numeric codes of the currencies accounts are kept in
+const CURRENCY_CODES = {
+  978: 'EUR',
+  840: 'USD',
+  826: 'GBP',
+  756: 'CHF'
+};
+
+// Debit/credit key: 1 is a charge to the account, 2 a payment into it
+const DEBIT = '1';
+
+// YYMMDD, always in this century
+function readN43Date(value) {
+  if (!/^\d{6}$/.test(value)) return null;
+  return toIsoDate(2000 + parseInt(value.slice(0, 2), 10), parseInt(value.slice(2, 4), 10), parseInt(value.slice(4, 6), 10));
+}
+
+// Amounts are 14 digits with two implied decimals
+function readN43Amount(value, key) {
+  if (!/^\d{14}$/.test(value)) return null;
+  const amount = parseInt(value, 10) / 100;
+  return key === DEBIT ? -amount : amount;
+}
+
+/**
+ * Whether text looks like a Norma 43 file: an account header, then records
+ * of known types
+ */
+function isNorma43(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  return lines.length > 1 &&
+    /^11\d{18}\d{12}/.test(lines[0]) &&
+    lines.every(line => RECORD_TYPES.includes(line.slice(0, 2)));
+}
+
+/**
+ * Parse a Norma 43 statement into { account, currency, transactions }. Files
+ * with several accounts give the first account and currency; each
+ * transaction keeps the currency of its own account.
+ */
+function parseNorma43(text) {
+  const transactions = [];
+  let account = null;
+  let currency = null;
+  let accountCurrency = null;
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const type = line.slice(0, 2);
+
+    if (type === '11') {
+      accountCurrency = CURRENCY_CODES[line.slice(47, 50)] || null;
+      account = account || `${line.slice(2, 6)}${line.slice(6, 10)}${line.slice(10, 20)}`;
+      currency = currency || accountCurrency;
+    } else if (type === '22') {
+      const date = readN43Date(line.slice(10, 16));
+      const amount = readN43Amount(line.slice(28, 42), line.charAt(27));
+      const documentNumber = cleanText(line.slice(42, 52));
+      current = null;
+      if (!date || amount === null || amount === 0) continue;
+
+      current = {
+        date,
+        valueDate: readN43Date(line.slice(16, 22)),
+        amount,
+        currency: accountCurrency,
+        description: cleanText(line.slice(64, 80)),
+        reference: cleanText(line.slice(52, 64)) || (/^0*$/.test(documentNumber) ? null : documentNumber),
+        concepts: []
+      };
+      transactions.push(current);
+    } else if (type === '23' && current) {
+      current.concepts.push(line.slice(4, 42), line.slice(42, 80));
+    }
+  }
+
+  return {
+    account,
+    currency,
+    // Complementary concepts carry the merchant; reference 2 is often just a code
+    transactions: transactions.map(({ concepts, ...transaction }) => ({
+      ...transaction,
+      description: cleanText(concepts.join(' ')) || transaction.description
+    }))
+  };
+}
+
+module.exports = {
+  isNorma43,
+  parseNorma43
+};
@@ -0,0 +1,65 @@
+/**
+ * OFX statements, both the SGML of OFX 1.x (elements without closing tags)
+ * and the XML of OFX 2.x: bank (STMTRS) and credit card (CCSTMTRS) statements.
+ */
+
+const { toCurrencyCode } = require('../parsers/currency');
+const { toIsoDate } = require('../parsers/dates');
+const { readAmount, cleanText } = require('./common');
+
+/**
+ * Value of the first element named tag in an OFX block, null when absent.
+ * Values end at the next tag or line break, closed or not.
+ */
+function element(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) || null : null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// OFX dates are YYYYMMDD followed by an optional time and zone
+function readOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? toIsoDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)) : null;
+}
+
+/**
+ * Parse an OFX statement into { account, currency, transactions }
+ */
+function parseOfx(text) {
+  const currency = toCurrencyCode(element(text, 'CURDEF'));
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  const transactions = [];
+
+  for (const block of blocks) {
+    const date = readOfxDate(element(block, 'DTPOSTED')) || readOfxDate(element(block, 'DTUSER'));
+    const amount = readAmount(element(block, 'TRNAMT'), 'en-GB');
+    if (!date || amount === null || amount === 0) continue;
+
+    const name = element(block, 'NAME');
+    const memo = element(block, 'MEMO');
+
+    transactions.push({
+      date,
+      valueDate: readOfxDate(element(block, 'DTAVAIL')),
+      amount,
+      currency,
+      description: cleanText([name, memo && memo !== name ? memo : null].filter(Boolean).join(' ')),
+      reference: element(block, 'FITID')
+    });
+  }
+
+  return { account: element(text, 'ACCTID'), currency, transactions };
+}
+
+module.exports = {
+  parseOfx
+};
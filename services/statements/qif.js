@@ -0,0 +1,74 @@
+/**
+ * QIF statements: one record per transaction, a field per line keyed by its
+ * first letter (D date, T/U amount, P payee, M memo, N number), records ending
+ * with "^". Dates carry no format, so the day/month order is read from the
+ * whole file and defaults to day first.
+ */
+
+const { readAmount, readDate, cleanText } = require('./common');
+
+// Splits a numeric QIF date ("15/01/2024", "1/15'24", "15.01.24") into its parts
+const NUMERIC_DATE = /^\s*(\d{1,2})[/.-]\s*(\d{1,2})['/.-]\s*(\d{2,4})/;
+
+/**
+ * Day/month order of the dates of a file: month first only when some date
+ * can only be read that way
+ */
+function dateOrder(dates) {
+  let monthFirst = false;
+
+  for (const date of dates) {
+    const match = date.match(NUMERIC_DATE);
+    if (!match) continue;
+    if (parseInt(match[1], 10) > 12) return 'DMY';
+    if (parseInt(match[2], 10) > 12) monthFirst = true;
+  }
+
+  return monthFirst ? 'MDY' : 'DMY';
+}
+
+/**
+ * Parse a QIF statement into { account, currency, transactions }
+ */
+function parseQif(text) {
+  const records = [];
+  let record = {};
+
+  for (const line of text.split(/\r?\n/)) {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+
+    if (code === '!') continue;
+    if (code === '^') {
+      if (Object.keys(record).length > 0) records.push(record);
+      record = {};
+    } else if (code && 'DTUPMN'.includes(code) && record[code] === undefined) {
+      record[code] = value;
+    }
+  }
+  if (Object.keys(record).length > 0) records.push(record);
+
+  const order = dateOrder(records.map(item => item.D || ''));
+  const transactions = [];
+
+  for (const item of records) {
+    const date = readDate(item.D, order);
+    const amount = readAmount(item.T ?? item.U);
+    if (!date || amount === null || amount === 0) continue;
+
+    transactions.push({
+      date,
+      valueDate: null,
+      amount,
+      currency: null,
+      description: cleanText([item.P, item.M && item.M !== item.P ? item.M : null].filter(Boolean).join(' ')),
+      reference: item.N || null
+    });
+  }
+
+  return { account: null, currency: null, transactions };
+}
+
+module.exports = {
+  parseQif
+};
@@ -0,0 +1,73 @@
+const { Storage } = require('@google-cloud/storage');
+
+/**
+ * Receipt files in a Google Cloud Storage bucket, created on first use
+ */
+class GcsStorageDriver {
+  constructor(options = {}) {
+    this.name = 'gcs';
+    this.client = options.client || new Storage();
+    this.bucketName = options.bucket;
+    this.location = options.location || 'US-CENTRAL1';
+  }
+
+  /**
+   * Create the bucket if it doesn't exist
+   */
+  async initialize() {
+    const bucket = this.client.bucket(this.bucketName);
+    const [exists] = await bucket.exists();
+
+    if (!exists) {
+      await bucket.create({
+        location: this.location,
+        storageClass: 'STANDARD'
+      });
+      console.log(`Bucket ${this.bucketName} created`);
+    }
+  }
+
+  async put(key, buffer, { contentType, cacheControl } = {}) {
+    const file = this.client.bucket(this.bucketName).file(key);
+
+    await file.save(buffer, {
+      metadata: {
+        contentType,
+        ...(cacheControl && { cacheControl })
+      }
+    });
+
+    return { key: file.name };
+  }
+
+  async get(key) {
+    const file = this.client.bucket(this.bucketName).file(key);
+
+    try {
+      const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+      return { buffer, contentType: metadata.contentType || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error('Stored file not found');
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.bucket(this.bucketName).file(key).delete({ ignoreNotFound: true });
+  }
+
+  /**
+   * Cloud Storage signed URL, readable by anyone holding it until expiresAt
+   */
+  async getSignedUrl(key, { expiresAt }) {
+    const [url] = await this.client.bucket(this.bucketName).file(key).getSignedUrl({
+      action: 'read',
+      expires: expiresAt
+    });
+    return url;
+  }
+}
+
+module.exports = GcsStorageDriver;
@@ -0,0 +1,37 @@
+/**
+ * Storage drivers for receipt files.
+ *
+ * A driver exposes `name` and:
+ *   initialize() - prepare the bucket or directory
+ *   put(key, buffer, { contentType, cacheControl }) -> { key }
+ *   get(key) -> { buffer, contentType }, throwing 'Stored file not found'
+ *   delete(key) - missing files are not an error
+ *   getSignedUrl(key, { receiptId, userId, expiresAt }) -> URL readable without credentials until expiresAt
+ */
+
+const DRIVERS = ['gcs', 'local'];
+
+/**
+ * Create the configured driver (config.storage). Driver modules are loaded on demand.
+ */
+function createStorageDriver(options = {}) {
+  const driver = options.driver || 'gcs';
+
+  switch (driver) {
+    case 'gcs': {
+      const GcsStorageDriver = require('./gcsDriver');
+      return new GcsStorageDriver(options);
+    }
+    case 'local': {
+      const LocalStorageDriver = require('./localDriver');
+      return new LocalStorageDriver({ ...options, dir: options.localDir });
+    }
+    default:
+      throw new Error(`Invalid storage driver: ${driver} (use ${DRIVERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  DRIVERS,
+  createStorageDriver
+};
@@ -0,0 +1,87 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { signImageUrl } = require('./signing');
+
+/**
+ * Receipt files on the local filesystem, for self-hosting and tests.
+ *
+ * Files are not served directly: their URLs point at the API's
+ * /api/receipts/:id/image route, signed with an expiring HMAC.
+ * Each file has a .meta.json sidecar holding its content type.
+ */
+class LocalStorageDriver {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('Local storage directory is required');
+    }
+    if (!options.signingSecret) {
+      throw new Error('Storage signing secret is required for local storage');
+    }
+
+    this.name = 'local';
+    this.dir = path.resolve(options.dir);
+    this.baseUrl = options.baseUrl || 'http://localhost:8080';
+    this.signingSecret = options.signingSecret;
+  }
+
+  // Absolute path of a key, refusing keys that escape the storage directory
+  resolve(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return file;
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const file = this.resolve(key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    await fs.writeFile(`${file}.meta.json`, JSON.stringify({ contentType: contentType || 'application/octet-stream' }));
+
+    return { key };
+  }
+
+  async get(key) {
+    const file = this.resolve(key);
+
+    try {
+      const [buffer, meta] = await Promise.all([
+        fs.readFile(file),
+        fs.readFile(`${file}.meta.json`, 'utf8').then(JSON.parse).catch(() => ({}))
+      ]);
+      return { buffer, contentType: meta.contentType || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('Stored file not found');
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const file = this.resolve(key);
+    await fs.rm(file, { force: true });
+    await fs.rm(`${file}.meta.json`, { force: true });
+  }
+
+  /**
+   * Signed /api/receipts/:id/image URL of a receipt's file (options: receiptId, userId, expiresAt)
+   */
+  async getSignedUrl(key, { receiptId, userId, expiresAt }) {
+    return signImageUrl({
+      baseUrl: this.baseUrl,
+      secret: this.signingSecret,
+      receiptId,
+      userId,
+      expiresAt
+    });
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+/**
+ * Expiring HMAC signatures for receipt image links, so an <img> tag can load
+ * /api/receipts/:id/image without an Authorization header.
+ * The signature covers the receipt, its owner and the expiry time.
+ */
+
+function sign(secret, receiptId, userId, expires) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${receiptId}\n${userId}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Signed URL of a receipt's image, valid until expiresAt (a Date or epoch milliseconds)
+ */
+function signImageUrl({ baseUrl, secret, receiptId, userId, expiresAt }) {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const params = new URLSearchParams({
+    uid: userId,
+    expires: String(expires),
+    signature: sign(secret, receiptId, userId, expires)
+  });
+
+  return `${baseUrl.replace(/\/$/, '')}/api/receipts/${encodeURIComponent(receiptId)}/image?${params}`;
+}
+
+/**
+ * Check a signed image link ({ receiptId, uid, expires, signature }):
+ * 'valid', 'expired' or 'invalid'
+ */
+function verifyImageSignature(secret, { receiptId, uid, expires, signature }, now = Date.now()) {
+  if (!secret || !receiptId || !uid || !/^\d+$/.test(expires || '') || typeof signature !== 'string') {
+    return 'invalid';
+  }
+
+  const expected = Buffer.from(sign(secret, receiptId, uid, expires));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return 'invalid';
+  }
+
+  return Number(expires) * 1000 < now ? 'expired' : 'valid';
+}
+
+module.exports = {
+  signImageUrl,
+  verifyImageSignature
+};
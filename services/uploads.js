@@ -0,0 +1,113 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+/**
+ * Whether an uploaded file is a zip archive, from its first bytes or declared type
+ */
+function isZipArchive(file) {
+  const signature = file.buffer && file.buffer.subarray(0, 4).toString('latin1');
+  return signature === 'PK\u0003\u0004' || ZIP_TYPES.includes(file.mimetype);
+}
+
+// Folders and metadata files that archivers add next to the receipts
+function isArchiveNoise(entryName) {
+  return entryName.startsWith('__MACOSX/') || path.basename(entryName).startsWith('.');
+}
+
+/**
+ * Expand uploaded files and zip archives into the list of receipts to process.
+ * Each item is { filename, archive, file } or, when it cannot be processed,
+ * { filename, archive, error: { code, message } }; one bad entry never fails the others.
+ *
+ * Archives are listed before anything is inflated: the batch is rejected when
+ * it holds more than maxFiles receipts or its entries declare more than
+ * maxInflatedSize bytes in all (the inflater never writes past a declared size).
+ */
+function expandUploads(files, { maxFiles, maxFileSize, maxInflatedSize = Infinity }) {
+  const items = [];
+  let inflatedSize = 0;
+
+  for (const file of files) {
+    if (!isZipArchive(file)) {
+      items.push(file.size > maxFileSize
+        ? { filename: file.originalname, archive: null, error: { code: 'FILE_TOO_LARGE', message: 'File too large' } }
+        : { filename: file.originalname, archive: null, file });
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries();
+    } catch (error) {
+      items.push({
+        filename: file.originalname,
+        archive: null,
+        error: { code: 'INVALID_ARCHIVE', message: 'Invalid zip archive' }
+      });
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory || isArchiveNoise(entry.entryName)) continue;
+
+      const filename = path.basename(entry.entryName);
+      if (entry.header.size > maxFileSize) {
+        items.push({ filename, archive: file.originalname, error: { code: 'FILE_TOO_LARGE', message: 'File too large' } });
+        continue;
+      }
+
+      inflatedSize += entry.header.size;
+      items.push({ filename, archive: file.originalname, entry });
+    }
+  }
+
+  if (items.length > maxFiles) {
+    throw new Error(`Invalid batch: at most ${maxFiles} receipts per upload`);
+  }
+  if (inflatedSize > maxInflatedSize) {
+    throw new Error(`Invalid batch size: archives may hold at most ${Math.floor(maxInflatedSize / (1024 * 1024))}MB of receipts`);
+  }
+
+  return items.map(({ entry, ...item }) => {
+    if (!entry) return item;
+
+    try {
+      const buffer = entry.getData();
+      return {
+        ...item,
+        file: { originalname: item.filename, buffer, size: buffer.length, mimetype: 'application/octet-stream' }
+      };
+    } catch (error) {
+      // Corrupt entries fail on their own
+      return { ...item, error: { code: 'INVALID_FILE', message: 'Invalid file: the archive entry is corrupt' } };
+    }
+  });
+}
+
+/**
+ * Map items through an async worker, running at most `limit` at a time.
+ * Results keep the input order.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+
+  return results;
+}
+
+module.exports = {
+  isZipArchive,
+  expandUploads,
+  mapWithConcurrency
+};
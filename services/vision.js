@@ -1,51 +1,231 @@
-const vision = require('@google-cloud/vision');
-const { Storage } = require('@google-cloud/storage');
+const { parseLineItems } = require('./parsers/lineItems');
+const { reconstructLines, hasLayout } = require('./parsers/layout');
+const { parseTaxes, validateTaxes } = require('./parsers/taxes');
+const {
+  LEGAL_SUFFIX,
+  extractTaxId,
+  extractAddress,
+  isVendorNoise,
+  buildVendorKey
+} = require('./parsers/vendor');
+const {
+  roundScore,
+  lineOcrConfidence,
+  scoreItems,
+  combineConfidence
+} = require('./parsers/confidence');
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY, buildKeywordTable } = require('./parsers/categories');
+const { CURRENCY_SOURCE, detectCurrency } = require('./parsers/currency');
+const { NUMBER_SOURCE, parseNumber } = require('./parsers/amounts');
+const { DEFAULT_LOCALE, resolveLocale } = require('./parsers/locale');
+const { findDate } = require('./parsers/dates');
+const {
+  normalizeContentType,
+  detectContentType,
+  convertHeic,
+  readPdfPages
+} = require('./documents');
+const { createOcrProvider } = require('./ocr');
+const { createStorageDriver } = require('./storage');
+const config = require('../config');
 
 class VisionService {
-  constructor() {
-    this.client = new vision.ImageAnnotatorClient();
-    this.storage = new Storage();
-    this.bucketName = `${process.env.PROJECT_ID}-receipts`;
+  /**
+   * options.ocrProvider / options.storageDriver: used instead of the configured
+   * ones (see services/ocr and services/storage)
+   */
+  constructor(options = {}) {
+    this.ocr = options.ocrProvider || createOcrProvider(config.ocr);
+    this.storage = options.storageDriver || createStorageDriver({ ...config.storage, baseUrl: config.api.baseUrl });
+    this.signedUrlTtlMs = config.storage.signedUrlTtlMs;
+    this.confidenceThreshold = config.ocr.confidenceThreshold;
   }
 
   /**
-   * Extract text from receipt image using Cloud Vision API
+   * Extract text from receipt image with the configured OCR provider
    */
   async extractText(imageBuffer) {
     try {
-      const [result] = await this.client.textDetection({
-        image: { content: imageBuffer }
-      });
-      
-      const detections = result.textAnnotations;
-      const fullText = detections.length > 0 ? detections[0].description : '';
-      
+      const result = await this.ocr.recognizeImage(imageBuffer);
+
       return {
-        fullText,
-        blocks: detections.slice(1), // Individual text blocks
+        ...result,
+        provider: this.ocr.name,
         success: true
       };
     } catch (error) {
-      console.error('Vision API error:', error);
+      console.error('OCR error:', error);
       throw new Error('Failed to extract text from image');
     }
   }
 
   /**
-   * Parse receipt data from extracted text
+   * Check an upload's real format and normalise it for OCR and storage.
+   * HEIC photos are converted to JPEG; PDFs are kept as they are.
+   */
+  async prepareDocument(buffer, declaredType, fileName) {
+    const contentType = detectContentType(buffer);
+    if (!contentType) {
+      throw new Error('Invalid document: unsupported file type');
+    }
+
+    if (contentType === 'image/heic') {
+      return {
+        buffer: await convertHeic(buffer),
+        contentType: 'image/jpeg',
+        originalContentType: contentType,
+        fileName: fileName.replace(/\.(heic|heif)$/i, '') + '.jpg'
+      };
+    }
+
+    return {
+      buffer,
+      contentType,
+      originalContentType: normalizeContentType(declaredType) || contentType,
+      fileName
+    };
+  }
+
+  /**
+   * Extract text from a prepared document: images go through OCR, PDFs use
+   * their embedded text and fall back to OCR for scanned pages
+   */
+  async extractDocumentText(document) {
+    if (document.contentType === 'application/pdf') {
+      return this.extractPdfText(document.buffer);
+    }
+
+    return this.extractText(document.buffer);
+  }
+
+  /**
+   * Extract text from a (possibly multi-page) PDF, reporting how each page was read
+   */
+  async extractPdfText(pdfBuffer) {
+    const pages = await readPdfPages(pdfBuffer, config.ocr.maxPdfPages);
+    const scanned = pages.filter(page => !page.hasText).map(page => page.page);
+    const ocrPages = scanned.length > 0 ? await this.ocrPdfPages(pdfBuffer, scanned) : {};
+
+    const wordConfidences = {};
+    const confidences = [];
+    const texts = [];
+
+    for (const page of pages) {
+      const ocr = ocrPages[page.page];
+      if (ocr) {
+        texts.push(ocr.text);
+        if (ocr.confidence !== null) confidences.push(ocr.confidence);
+        for (const [word, confidence] of Object.entries(ocr.words)) {
+          wordConfidences[word] = wordConfidences[word] === undefined ? confidence : Math.min(wordConfidences[word], confidence);
+        }
+      } else {
+        texts.push(page.text);
+      }
+    }
+
+    return {
+      fullText: texts.filter(text => text.length > 0).join('\n'),
+      blocks: [],
+      // Embedded text is exact; only OCR'd pages carry a confidence
+      confidence: confidences.length > 0
+        ? roundScore(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+        : null,
+      wordConfidences,
+      pages: pages.map(page => ({ page: page.page, source: ocrPages[page.page] ? 'ocr' : 'text' })),
+      provider: scanned.length > 0 ? this.ocr.name : null,
+      success: true
+    };
+  }
+
+  /**
+   * OCR the given PDF pages with the configured provider ({ [page]: { text, confidence, words } })
+   */
+  async ocrPdfPages(pdfBuffer, pageNumbers) {
+    try {
+      return await this.ocr.recognizePdfPages(pdfBuffer, pageNumbers);
+    } catch (error) {
+      console.error('OCR error:', error);
+      throw new Error('Failed to extract text from PDF');
+    }
+  }
+
+  /**
+   * Parse receipt data from extracted text.
+   * options.layout: 'auto' (default) rebuilds lines from word bounding boxes
+   * when available, 'blocks' forces it, 'text' uses fullText line order.
+   * options.categories: the user's categories (defaults to the built-in taxonomy).
+   * options.defaultCurrency: currency assumed when none is printed (default EUR).
+   * options.locale: locale or language used to read numbers and numeric dates (default es-ES).
    */
-  parseReceiptData(textResult) {
-    const { fullText } = textResult;
-    const lines = fullText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  parseReceiptData(textResult, options = {}) {
+    const { fullText, blocks = [] } = textResult;
+    const { layout = 'auto', categories = DEFAULT_CATEGORIES, defaultCurrency = 'EUR' } = options;
+    const locale = resolveLocale(options.locale);
+
+    const useBlocks = layout !== 'text' && hasLayout(blocks);
+    const lines = useBlocks
+      ? reconstructLines(blocks)
+      : fullText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
     
+    const { taxes, subtotal } = parseTaxes(lines);
+    const ocrConfidence = typeof textResult.confidence === 'number' ? textResult.confidence : null;
+    const wordConfidences = textResult.wordConfidences || {};
+
+    const vendor = this.detectVendor(lines);
+    const vendorDetails = this.extractVendorDetails(lines, vendor.value);
+    const date = this.detectDate(lines, locale);
+    const total = this.detectTotal(lines, locale);
+    const items = this.extractItems(lines);
+    const currency = detectCurrency(lines, total.line) ||
+      { value: defaultCurrency, score: 0.5, source: 'default', line: null };
+    const category = this.detectCategory(lines, vendor.value, categories);
+    const taxValidation = validateTaxes(taxes, total.value);
+
+    // A checksum-valid tax ID confirms the vendor
+    if (vendorDetails.vendorTaxId) {
+      vendor.score = Math.max(vendor.score, 0.95);
+    }
+
+    // Totals confirmed by the IVA breakdown are reliable; contradicted ones are not
+    if (taxValidation) {
+      total.score = taxValidation.valid ? Math.max(total.score, 0.97) : total.score * 0.8;
+    }
+
+    const fields = { vendor, date, total, category };
+    for (const field of Object.values(fields)) {
+      field.score = roundScore(field.score * lineOcrConfidence(field.line, wordConfidences, ocrConfidence ?? 1));
+    }
+    fields.items = scoreItems(items, total.value);
+
+    const fieldConfidence = {};
+    for (const [name, field] of Object.entries(fields)) {
+      fieldConfidence[name] = { score: field.score, source: field.source };
+      if (field.ambiguous) {
+        fieldConfidence[name].ambiguous = true;
+      }
+    }
+    fieldConfidence.currency = { score: currency.score, source: currency.source };
+
+    const confidence = combineConfidence(fieldConfidence, ocrConfidence);
+
     // Extract basic information
     const receiptData = {
-      vendor: this.extractVendor(lines),
-      date: this.extractDate(lines),
-      total: this.extractTotal(lines),
-      items: this.extractItems(lines),
-      category: this.categorizeExpense(lines),
-      confidence: 0.85, // Base confidence score
+      vendor: vendor.value,
+      ...vendorDetails,
+      date: date.value,
+      total: total.value,
+      currency: currency.value,
+      locale,
+      subtotal,
+      taxes,
+      taxValidation,
+      items,
+      category: category.value,
+      confidence,
+      fieldConfidence,
+      ocrConfidence,
+      needsReview: confidence < this.confidenceThreshold,
+      layout: useBlocks ? 'blocks' : 'text',
       rawText: fullText
     };
 
@@ -56,83 +236,112 @@ class VisionService {
    * Extract vendor name from receipt lines
    */
   extractVendor(lines) {
-    // Look for vendor in first few lines
-    const vendorPatterns = [
-      /^[A-Z\s&]+$/,  // All caps company names
-      /S\.?L\.?/i,     // Spanish company suffixes
-      /S\.?A\.?/i,
-      /LTDA/i
-    ];
+    return this.detectVendor(lines).value;
+  }
 
-    for (let i = 0; i < Math.min(5, lines.length); i++) {
-      const line = lines[i];
-      if (line.length > 3 && line.length < 50) {
-        for (const pattern of vendorPatterns) {
-          if (pattern.test(line)) {
-            return line;
-          }
-        }
-      }
+  /**
+   * Find the vendor name, reporting how it was found ({ value, score, source, line })
+   */
+  detectVendor(lines) {
+    // Look for vendor in first few lines, skipping addresses, tax IDs, phones and amounts
+    const header = lines.slice(0, 8)
+      .filter(line => line.length > 3 && line.length < 50 && !isVendorNoise(line));
+
+    // Registered company names (S.A., S.L., ...) are the most reliable
+    const legalName = header.find(line => LEGAL_SUFFIX.test(line));
+    if (legalName) {
+      return { value: legalName, score: 0.9, source: 'legal_name', line: legalName };
+    }
+
+    // All caps company names
+    const capsName = header.find(line => /^[A-ZÁÉÍÓÚÑÜ0-9\s&'.,-]+$/.test(line) && /[A-ZÁÉÍÓÚÑÜ]{2}/.test(line));
+    if (capsName) {
+      return { value: capsName, score: 0.75, source: 'caps_line', line: capsName };
     }
 
     // Fallback: return first substantial line
-    return lines.find(line => line.length > 3 && line.length < 50) || 'Comercio desconocido';
+    const fallback = header[0] || lines.find(line => line.length > 3 && line.length < 50);
+    if (fallback) {
+      return { value: fallback, score: 0.4, source: 'fallback', line: fallback };
+    }
+
+    return { value: 'Comercio desconocido', score: 0, source: 'none', line: null };
+  }
+
+  /**
+   * Extract vendor tax ID, address and grouping key
+   */
+  extractVendorDetails(lines, vendor) {
+    const taxId = extractTaxId(lines);
+
+    return {
+      vendorTaxId: taxId ? taxId.taxId : null,
+      vendorTaxIdType: taxId ? taxId.type : null,
+      vendorAddress: extractAddress(lines),
+      vendorKey: buildVendorKey(vendor, taxId ? taxId.taxId : null)
+    };
   }
 
   /**
    * Extract date from receipt lines
    */
   extractDate(lines) {
-    const datePatterns = [
-      /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/,  // DD/MM/YYYY or DD-MM-YYYY
-      /(\d{1,2})\.(\d{1,2})\.(\d{2,4})/,          // DD.MM.YYYY
-      /(\d{2,4})[\/\-](\d{1,2})[\/\-](\d{1,2})/   // YYYY/MM/DD
-    ];
+    return this.detectDate(lines).value;
+  }
 
-    for (const line of lines) {
-      for (const pattern of datePatterns) {
-        const match = line.match(pattern);
-        if (match) {
-          // Convert to ISO date format
-          const [, day, month, year] = match;
-          const fullYear = year.length === 2 ? `20${year}` : year;
-          const date = new Date(`${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
-          
-          if (!isNaN(date.getTime())) {
-            return date.toISOString().split('T')[0];
-          }
-        }
-      }
+  /**
+   * Find the receipt date, reporting how it was found ({ value, score, source, line, ambiguous }).
+   * Numeric dates are read in the locale's day/month order.
+   */
+  detectDate(lines, locale = DEFAULT_LOCALE) {
+    const date = findDate(lines, locale);
+    if (date) {
+      return date;
     }
 
     // Fallback to current date
-    return new Date().toISOString().split('T')[0];
+    return {
+      value: new Date().toISOString().split('T')[0],
+      score: 0.1,
+      source: 'fallback',
+      line: null
+    };
   }
 
   /**
    * Extract total amount from receipt lines
    */
   extractTotal(lines) {
+    return this.detectTotal(lines).value;
+  }
+
+  /**
+   * Find the receipt total, reporting how it was found ({ value, score, source, line, ambiguous }).
+   * Separators are read for the locale ("1.234,56" in es-ES, "1,234.56" in en-GB).
+   */
+  detectTotal(lines, locale = DEFAULT_LOCALE) {
+    // Labels may be followed by a currency marker ("TOTAL EUR 12,50", "TOTAL £4.20")
+    const currency = `(?:${CURRENCY_SOURCE}\\s*)?`;
+    const number = `(${NUMBER_SOURCE})`;
     const totalPatterns = [
-      /TOTAL[:\s]*([0-9]+[,.]?[0-9]*)/i,
-      /SUMA[:\s]*([0-9]+[,.]?[0-9]*)/i,
-      /IMPORTE[:\s]*([0-9]+[,.]?[0-9]*)/i,
-      /([0-9]+[,.]?[0-9]*)\s*€/,
-      /€\s*([0-9]+[,.]?[0-9]*)/,
-      /([0-9]+[,.]?[0-9]*)\s*EUR/i
+      { pattern: new RegExp(`TOTAL[:\\s]*${currency}${number}`, 'i'), score: 0.9, source: 'label' },
+      { pattern: new RegExp(`SUMA[:\\s]*${currency}${number}`, 'i'), score: 0.85, source: 'label' },
+      { pattern: new RegExp(`IMPORTE[:\\s]*${currency}${number}`, 'i'), score: 0.85, source: 'label' },
+      { pattern: new RegExp(`${number}\\s*${CURRENCY_SOURCE}`, 'i'), score: 0.6, source: 'currency' },
+      { pattern: new RegExp(`${CURRENCY_SOURCE}\\s*${number}`, 'i'), score: 0.6, source: 'currency' }
     ];
 
     // Look for total in reverse (bottom up)
     const reversedLines = [...lines].reverse();
     
     for (const line of reversedLines) {
-      for (const pattern of totalPatterns) {
+      for (const { pattern, score, source } of totalPatterns) {
         const match = line.match(pattern);
         if (match) {
-          const amount = match[1].replace(',', '.');
-          const total = parseFloat(amount);
-          if (!isNaN(total) && total > 0) {
-            return total;
+          const { value, ambiguous } = parseNumber(match[1], locale);
+          if (!isNaN(value) && value > 0) {
+            // "1.234" could be either reading; the locale decided it
+            return { value, score: ambiguous ? score * 0.8 : score, source, line, ambiguous };
           }
         }
       }
@@ -140,58 +349,27 @@ class VisionService {
 
     // Fallback: look for any number with currency
     for (const line of reversedLines) {
-      const amounts = line.match(/([0-9]+[,.]?[0-9]*)/g);
+      const amounts = line.match(new RegExp(NUMBER_SOURCE, 'g'));
       if (amounts) {
         for (const amount of amounts.reverse()) {
-          const value = parseFloat(amount.replace(',', '.'));
+          const { value, ambiguous } = parseNumber(amount, locale);
           if (!isNaN(value) && value > 0) {
-            return value;
+            return { value, score: 0.25, source: 'fallback', line, ambiguous };
           }
         }
       }
     }
 
-    return 0;
+    return { value: 0, score: 0, source: 'none', line: null, ambiguous: false };
   }
 
   /**
    * Extract individual items from receipt
    */
   extractItems(lines) {
-    const items = [];
-    const itemPatterns = [
-      /(.+?)\s+([0-9]+[,.]?[0-9]*)\s*€?$/,  // Item name + price
-      /(.+?)\s+([0-9]+[,.]?[0-9]*)\s*EUR$/i,
-      /([0-9]+[,.]?[0-9]*)\s*€?\s+(.+)$/    // Price + item name
-    ];
-
-    for (const line of lines) {
-      // Skip obvious header/footer lines
-      if (this.isHeaderOrFooter(line)) continue;
-
-      for (const pattern of itemPatterns) {
-        const match = line.match(pattern);
-        if (match) {
-          let name, price;
-          
-          if (pattern.source.includes('(.+?).*([0-9]')) {
-            [, name, price] = match;
-          } else {
-            [, price, name] = match;
-          }
-
-          const itemPrice = parseFloat(price.replace(',', '.'));
-          
-          if (!isNaN(itemPrice) && itemPrice > 0 && name.trim().length > 1) {
-            items.push({
-              name: name.trim(),
-              price: itemPrice,
-              quantity: 1
-            });
-          }
-        }
-      }
-    }
+    const items = parseLineItems(lines, {
+      skipLine: line => this.isHeaderOrFooter(line)
+    });
 
     return items.slice(0, 20); // Limit to 20 items max
   }
@@ -217,7 +395,14 @@ class VisionService {
       /n[úu]mero/i,
       /ticket/i,
       /factura/i,
-      /invoice/i
+      /invoice/i,
+      /efectivo/i,
+      /entregado/i,
+      /cambio/i,
+      /tarjeta/i,
+      /a devolver/i,
+      /base\s*imp/i,
+      /cuota/i
     ];
 
     return skipPatterns.some(pattern => pattern.test(line));
@@ -227,52 +412,52 @@ class VisionService {
    * Categorize expense based on vendor and items
    */
   categorizeExpense(lines) {
+    return this.detectCategory(lines).value;
+  }
+
+  /**
+   * Find the category, reporting how it was found ({ value, score, source, line })
+   */
+  detectCategory(lines, vendor = null, categories = DEFAULT_CATEGORIES) {
     const fullText = lines.join(' ').toLowerCase();
-    
-    const categories = {
-      'Alimentación': ['supermercado', 'mercado', 'carrefour', 'mercadona', 'lidl', 'aldi', 'dia', 'eroski', 'alcampo', 'hipercor', 'el corte inglés', 'panadería', 'charcutería', 'frutería'],
-      'Transporte': ['gasolinera', 'shell', 'repsol', 'cepsa', 'bp', 'galp', 'taxi', 'uber', 'cabify', 'metro', 'bus', 'tren', 'parking', 'aparcamiento'],
-      'Restaurantes': ['restaurante', 'bar', 'café', 'cafetería', 'pizzería', 'hamburguesa', 'mcdonald', 'burger', 'kfc', 'telepizza', 'dominos'],
-      'Farmacia': ['farmacia', 'parafarmacia', 'medicina', 'medicamento'],
-      'Ropa': ['zara', 'h&m', 'mango', 'primark', 'decathlon', 'nike', 'adidas', 'el corte inglés', 'moda'],
-      'Hogar': ['ikea', 'leroy merlin', 'bricomart', 'aki', 'ferretería', 'electrodomésticos', 'mediamarkt', 'carrefour'],
-      'Entretenimiento': ['cine', 'teatro', 'concierto', 'spotify', 'netflix', 'amazon prime', 'juego'],
-      'Servicios': ['electricidad', 'agua', 'gas', 'telefono', 'internet', 'seguro', 'banco']
-    };
+    const vendorText = (vendor || '').toLowerCase();
+    const keywordTable = buildKeywordTable(categories);
+
+    // A keyword in the vendor name is stronger evidence than one anywhere on the receipt
+    if (vendorText) {
+      for (const [category, keywords] of keywordTable) {
+        if (keywords.some(keyword => vendorText.includes(keyword))) {
+          return { value: category, score: 0.85, source: 'vendor', line: vendor };
+        }
+      }
+    }
 
-    for (const [category, keywords] of Object.entries(categories)) {
-      if (keywords.some(keyword => fullText.includes(keyword))) {
-        return category;
+    for (const [category, keywords] of keywordTable) {
+      const keyword = keywords.find(candidate => fullText.includes(candidate));
+      if (keyword) {
+        const line = lines.find(candidate => candidate.toLowerCase().includes(keyword)) || null;
+        return { value: category, score: 0.65, source: 'keyword', line };
       }
     }
 
-    return 'Otros';
+    return { value: FALLBACK_CATEGORY, score: 0.3, source: 'default', line: null };
   }
 
   /**
-   * Save receipt image to Cloud Storage
+   * Save a receipt image or PDF with its content type. Links to it expire, so
+   * they are signed when the receipt is read (getReceiptImageUrl), not stored.
    */
-  async saveReceiptImage(imageBuffer, fileName) {
+  async saveReceiptImage(imageBuffer, fileName, contentType = 'image/jpeg') {
     try {
-      const bucket = this.storage.bucket(this.bucketName);
-      const file = bucket.file(`receipts/${Date.now()}-${fileName}`);
-      
-      await file.save(imageBuffer, {
-        metadata: {
-          contentType: 'image/jpeg',
-          cacheControl: 'public, max-age=31536000'
-        }
-      });
-
-      const [url] = await file.getSignedUrl({
-        action: 'read',
-        expires: Date.now() + 365 * 24 * 60 * 60 * 1000 // 1 year
+      const { key } = await this.storage.put(`receipts/${Date.now()}-${fileName}`, imageBuffer, {
+        contentType,
+        cacheControl: 'private, max-age=3600'
       });
 
       return {
-        fileName: file.name,
-        url,
-        bucket: this.bucketName
+        fileName: key,
+        storage: this.storage.name,
+        ...(this.storage.bucketName && { bucket: this.storage.bucketName })
       };
     } catch (error) {
       console.error('Storage error:', error);
@@ -281,20 +466,50 @@ class VisionService {
   }
 
   /**
-   * Initialize storage bucket if it doesn't exist
+   * Link to the stored image of a receipt ({ id, userId, imagePath }), readable
+   * without credentials for signedUrlTtlMs
    */
-  async initializeBucket() {
+  async getReceiptImageUrl(receipt) {
+    return this.storage.getSignedUrl(receipt.imagePath, {
+      receiptId: receipt.id,
+      userId: receipt.userId,
+      expiresAt: Date.now() + this.signedUrlTtlMs
+    });
+  }
+
+  /**
+   * Read a stored receipt image ({ buffer, contentType })
+   */
+  async getReceiptImage(fileName) {
     try {
-      const bucket = this.storage.bucket(this.bucketName);
-      const [exists] = await bucket.exists();
-      
-      if (!exists) {
-        await bucket.create({
-          location: 'US-CENTRAL1',
-          storageClass: 'STANDARD'
-        });
-        console.log(`Bucket ${this.bucketName} created`);
+      return await this.storage.get(fileName);
+    } catch (error) {
+      if (error.message === 'Stored file not found') {
+        throw new Error('Receipt image not found');
       }
+      console.error('Storage error:', error);
+      throw new Error('Failed to read receipt image');
+    }
+  }
+
+  /**
+   * Delete a stored receipt image, e.g. after its processing failed
+   */
+  async deleteReceiptImage(fileName) {
+    try {
+      await this.storage.delete(fileName);
+    } catch (error) {
+      console.error('Storage error:', error);
+      throw new Error('Failed to delete receipt image');
+    }
+  }
+
+  /**
+   * Prepare the configured storage (create the bucket or directory) if needed
+   */
+  async initializeBucket() {
+    try {
+      await this.storage.initialize();
     } catch (error) {
       console.error('Bucket initialization error:', error);
     }
@@ -4,6 +4,13 @@ const path = require('path');
 
 // Import the server setup but not the listen part
 const app = require('../../server');
+const admin = require('firebase-admin');
+const { Firestore } = require('@google-cloud/firestore');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+// Mocks created while the server loaded, before jest resets mock state between tests
+const auth = admin.auth.mock.results[0].value;
+const db = Firestore.mock.results[0].value;
 
 describe('Receipts API', () => {
   const mockAuthToken = 'Bearer mock-token';
@@ -14,18 +21,20 @@ describe('Receipts API', () => {
   });
 
   describe('POST /api/receipts/upload', () => {
-    it('should upload and process receipt successfully', async () => {
+    it('should accept the receipt and queue its processing', async () => {
+      const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from('fake-image-data')]);
+
       const response = await request(app)
         .post('/api/receipts/upload')
         .set('Authorization', mockAuthToken)
-        .attach('receipt', Buffer.from('fake-image-data'), 'test-receipt.jpg')
-        .expect(200);
+        .attach('receipt', jpeg, 'test-receipt.jpg')
+        .expect(202);
 
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('receipt');
-      expect(response.body.receipt).toHaveProperty('vendor');
-      expect(response.body.receipt).toHaveProperty('total');
-      expect(response.body.receipt).toHaveProperty('category');
+      expect(response.body.receipt).toHaveProperty('status', 'pending');
+      expect(response.body).toHaveProperty('job');
+      expect(response.body.job).toHaveProperty('status', 'queued');
     });
 
     it('should reject requests without file', async () => {
@@ -146,6 +155,27 @@ describe('Receipts API', () => {
       expect(response.body.receipt).toHaveProperty('id', 'test-doc-id');
     });
 
+    it('should refuse edits of receipts still processing or failed', async () => {
+      auth.verifyIdToken.mockResolvedValue({ uid: 'test-user-123' });
+      Object.assign(db, createMemoryFirestore({
+        receipts: {
+          uploading: { userId: 'test-user-123', status: 'processing', verified: false, createdAt: new Date() },
+          unreadable: { userId: 'test-user-123', status: 'failed', verified: false, createdAt: new Date() }
+        }
+      }));
+
+      for (const id of ['uploading', 'unreadable']) {
+        const response = await request(app)
+          .put(`/api/receipts/${id}`)
+          .set('Authorization', mockAuthToken)
+          .send({ vendor: 'DIA', verified: true })
+          .expect(409);
+
+        expect(response.body).toHaveProperty('code', 'INVALID_STATUS');
+      }
+      expect(db.dump('receipts').uploading).toMatchObject({ status: 'processing', verified: false });
+    });
+
     it('should validate update data types', async () => {
       const updateData = {
         total: 'invalid-number'
@@ -0,0 +1,216 @@
+// In-memory Firestore replacement for service tests.
+// Supports the subset of the API used by the services: collections, documents,
+// where/orderBy/limit/offset queries, batches and transactions. Queries Firestore
+// rejects (range filters on two fields, a range field that is not the first
+// sort, two array-contains filters) throw like they would there.
+
+let autoId = 0;
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function toComparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toDate === 'function') return value.toDate().getTime();
+  return value;
+}
+
+function compare(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+const operators = {
+  '==': (value, expected) => compare(value, expected) === 0,
+  '!=': (value, expected) => compare(value, expected) !== 0,
+  '<': (value, expected) => value !== undefined && compare(value, expected) < 0,
+  '<=': (value, expected) => value !== undefined && compare(value, expected) <= 0,
+  '>': (value, expected) => value !== undefined && compare(value, expected) > 0,
+  '>=': (value, expected) => value !== undefined && compare(value, expected) >= 0,
+  'in': (value, expected) => expected.some(item => compare(value, item) === 0),
+  'array-contains': (value, expected) => Array.isArray(value) && value.some(item => compare(item, expected) === 0),
+  'array-contains-any': (value, expected) => Array.isArray(value) && value.some(item => expected.some(e => compare(item, e) === 0))
+};
+
+function clone(data) {
+  if (data === undefined) return undefined;
+  return JSON.parse(JSON.stringify(data), (key, value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value)) {
+      return new Date(value);
+    }
+    return value;
+  });
+}
+
+function createDocSnapshot(store, name, id) {
+  const data = store[name] && store[name].get(id);
+  return {
+    id,
+    exists: data !== undefined,
+    ref: createDocRef(store, name, id),
+    data: () => clone(data)
+  };
+}
+
+function createQuerySnapshot(docs) {
+  return {
+    empty: docs.length === 0,
+    size: docs.length,
+    docs,
+    forEach: callback => docs.forEach(callback)
+  };
+}
+
+function createDocRef(store, name, id) {
+  const collection = () => {
+    if (!store[name]) store[name] = new Map();
+    return store[name];
+  };
+
+  return {
+    id,
+    path: `${name}/${id}`,
+    get: async () => createDocSnapshot(store, name, id),
+    set: async (data, options = {}) => {
+      const existing = collection().get(id);
+      collection().set(id, clone(options.merge && existing ? { ...existing, ...data } : data));
+    },
+    update: async data => {
+      const existing = collection().get(id);
+      if (existing === undefined) throw new Error(`No document to update: ${name}/${id}`);
+      collection().set(id, clone({ ...existing, ...data }));
+    },
+    delete: async () => {
+      collection().delete(id);
+    }
+  };
+}
+
+const RANGE_OPERATORS = ['<', '<=', '>', '>=', '!='];
+
+function validateQuery({ filters, orders }) {
+  const rangeFields = Array.from(new Set(filters.filter(({ op }) => RANGE_OPERATORS.includes(op)).map(({ field }) => field)));
+  if (rangeFields.length > 1) {
+    throw new Error(`Invalid query: range filters on ${rangeFields.join(' and ')}`);
+  }
+  if (rangeFields.length === 1 && orders.length > 0 && orders[0].field !== rangeFields[0]) {
+    throw new Error(`Invalid query: first orderBy must be on the range field ${rangeFields[0]}`);
+  }
+  if (filters.filter(({ op }) => op.startsWith('array-contains')).length > 1) {
+    throw new Error('Invalid query: more than one array-contains filter');
+  }
+}
+
+function createQuery(store, name, state = { filters: [], orders: [], limit: null, offset: 0, startAfter: null }) {
+  const next = changes => createQuery(store, name, { ...state, ...changes });
+
+  const run = () => {
+    validateQuery(state);
+
+    const entries = store[name] ? Array.from(store[name].entries()) : [];
+    let docs = entries
+      .filter(([, data]) => state.filters.every(({ field, op, value }) => {
+        const actual = field === '__name__' ? undefined : getField(data, field);
+        return operators[op](actual, value);
+      }))
+      .map(([id]) => createDocSnapshot(store, name, id));
+
+    if (state.orders.length > 0) {
+      docs.sort((a, b) => {
+        for (const { field, direction } of state.orders) {
+          const result = field === '__name__'
+            ? compare(a.id, b.id)
+            : compare(getField(a.data(), field), getField(b.data(), field));
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    if (state.startAfter) {
+      const values = state.startAfter;
+      const index = docs.findIndex(doc => {
+        for (let i = 0; i < state.orders.length && i < values.length; i++) {
+          const { field, direction } = state.orders[i];
+          const actual = field === '__name__' ? doc.id : getField(doc.data(), field);
+          const result = compare(actual, values[i]);
+          if (result !== 0) return direction === 'desc' ? result < 0 : result > 0;
+        }
+        return false;
+      });
+      docs = index === -1 ? [] : docs.slice(index);
+    }
+
+    docs = docs.slice(state.offset);
+    if (state.limit !== null) docs = docs.slice(0, state.limit);
+    return docs;
+  };
+
+  return {
+    where: (field, op, value) => next({ filters: [...state.filters, { field, op, value }] }),
+    orderBy: (field, direction = 'asc') => next({ orders: [...state.orders, { field, direction }] }),
+    limit: limit => next({ limit }),
+    offset: offset => next({ offset }),
+    startAfter: (...values) => next({ startAfter: values }),
+    get: async () => createQuerySnapshot(run()),
+    count: () => ({
+      get: async () => {
+        const count = run().length;
+        return { data: () => ({ count }) };
+      }
+    })
+  };
+}
+
+function createCollection(store, name) {
+  return {
+    ...createQuery(store, name),
+    doc: id => createDocRef(store, name, id || `doc-${++autoId}`),
+    add: async data => {
+      const ref = createDocRef(store, name, `doc-${++autoId}`);
+      await ref.set(data);
+      return ref;
+    }
+  };
+}
+
+function createMemoryFirestore(initialData = {}) {
+  const store = {};
+
+  for (const [name, docs] of Object.entries(initialData)) {
+    store[name] = new Map(Object.entries(docs).map(([id, data]) => [id, clone(data)]));
+  }
+
+  const db = {
+    store,
+    collection: name => createCollection(store, name),
+    batch: () => {
+      const operations = [];
+      return {
+        set: (ref, data, options) => operations.push(() => ref.set(data, options)),
+        update: (ref, data) => operations.push(() => ref.update(data)),
+        delete: ref => operations.push(() => ref.delete()),
+        commit: async () => {
+          for (const operation of operations) await operation();
+        }
+      };
+    },
+    runTransaction: async callback => callback({
+      get: ref => ref.get(),
+      set: (ref, data, options) => ref.set(data, options),
+      update: (ref, data) => ref.update(data),
+      delete: ref => ref.delete()
+    }),
+    // Snapshot of a collection's raw documents, keyed by id
+    dump: name => Object.fromEntries(store[name] ? Array.from(store[name].entries()).map(([id, data]) => [id, clone(data)]) : [])
+  };
+
+  return db;
+}
+
+module.exports = { createMemoryFirestore };
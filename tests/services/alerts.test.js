@@ -0,0 +1,216 @@
+const FirestoreService = require('../../services/firestore');
+const AlertService = require('../../services/alerts');
+const { LogNotifier, WebhookNotifier, EventNotifier } = require('../../services/notifiers');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('AlertService', () => {
+  const userId = 'test-user-123';
+  const today = new Date().toISOString().split('T')[0];
+  let firestoreService;
+  let alertService;
+  let notifier;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore();
+    notifier = { notify: jest.fn().mockResolvedValue() };
+    alertService = new AlertService(firestoreService, [notifier]);
+    firestoreService.onReceiptChange(change => alertService.evaluateReceiptChange(change));
+  });
+
+  describe('rules', () => {
+    it('should validate rule type and threshold', async () => {
+      await expect(alertService.createRule({ type: 'weekly', threshold: 10 }, userId))
+        .rejects.toThrow('Invalid alert rule type');
+      await expect(alertService.createRule({ type: 'budget', threshold: 0 }, userId))
+        .rejects.toThrow('Invalid alert rule threshold');
+    });
+
+    it('should enforce ownership', async () => {
+      const rule = await alertService.createRule({ type: 'budget', threshold: 80 }, userId);
+
+      await expect(alertService.deleteRule(rule.id, 'other-user')).rejects.toThrow('Access denied');
+      await expect(alertService.updateRule('missing', { threshold: 90 }, userId))
+        .rejects.toThrow('Alert rule not found');
+    });
+
+    it('should accept budgetId and category only on the rule types that read them', async () => {
+      const budgetRule = await alertService.createRule({ type: 'budget', threshold: 80 }, userId);
+      const amountRule = await alertService.createRule({ type: 'receipt_amount', threshold: 100 }, userId);
+
+      await expect(alertService.createRule({ type: 'budget', threshold: 80, category: 'Hogar' }, userId))
+        .rejects.toThrow('Invalid alert rule category');
+      await expect(alertService.updateRule(budgetRule.id, { category: 'Hogar' }, userId))
+        .rejects.toThrow('Invalid alert rule category');
+      await expect(alertService.updateRule(amountRule.id, { budgetId: 'b1' }, userId))
+        .rejects.toThrow('Invalid alert rule budgetId');
+      await expect(alertService.updateRule(amountRule.id, { category: 42 }, userId))
+        .rejects.toThrow('Invalid alert rule category');
+
+      expect(await alertService.updateRule(budgetRule.id, { budgetId: 'b1' }, userId)).toMatchObject({ budgetId: 'b1' });
+      expect(await alertService.updateRule(amountRule.id, { category: null }, userId)).toMatchObject({ category: null });
+    });
+  });
+
+  describe('evaluateReceiptChange', () => {
+    it('should alert once when a single receipt exceeds the amount', async () => {
+      await alertService.createRule({ type: 'receipt_amount', threshold: 100 }, userId);
+
+      const receipt = await firestoreService.saveReceipt(
+        { vendor: 'MEDIAMARKT', total: 250, date: today, category: 'Hogar' },
+        userId
+      );
+      await firestoreService.saveReceipt({ vendor: 'DIA', total: 20, date: today }, userId);
+
+      let alerts = await alertService.getAlerts(userId);
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({ type: 'receipt_amount', receiptId: receipt.id, read: false });
+      expect(notifier.notify).toHaveBeenCalledTimes(1);
+
+      // Re-evaluating the same receipt does not duplicate the alert
+      await firestoreService.updateReceipt(receipt.id, { verified: true }, userId);
+      alerts = await alertService.getAlerts(userId);
+      expect(alerts).toHaveLength(1);
+    });
+
+    it('should write amounts in the base currency of the user', async () => {
+      alertService = new AlertService(firestoreService, [notifier], {
+        getUserSettings: async () => ({ baseCurrency: 'GBP' })
+      });
+      await alertService.createRule({ type: 'receipt_amount', threshold: 100 }, userId);
+      const receipt = { id: 'r1', vendor: 'Harrods', total: 150, date: today };
+
+      const [alert] = await alertService.evaluateReceiptChange({ type: 'created', userId, receipt });
+
+      expect(alert.message).toBe('Ticket de Harrods por 150.00 £ supera el límite de 100.00 £');
+    });
+
+    it('should respect the category filter of amount rules', async () => {
+      await alertService.createRule({ type: 'receipt_amount', threshold: 10, category: 'Restaurantes' }, userId);
+
+      await firestoreService.saveReceipt({ vendor: 'DIA', total: 50, date: today, category: 'Alimentación' }, userId);
+
+      expect(await alertService.getAlerts(userId)).toHaveLength(0);
+    });
+
+    it('should alert at each configured budget threshold', async () => {
+      const budget = await firestoreService.createBudget({ category: 'Alimentación', period: 'month', amount: 100 }, userId);
+      await alertService.createRule({ type: 'budget', threshold: 80 }, userId);
+      await alertService.createRule({ type: 'budget', threshold: 100, budgetId: budget.id }, userId);
+
+      await firestoreService.saveReceipt({ vendor: 'DIA', total: 50, date: today, category: 'Alimentación' }, userId);
+      expect(await alertService.getAlerts(userId)).toHaveLength(0);
+
+      await firestoreService.saveReceipt({ vendor: 'DIA', total: 35, date: today, category: 'Alimentación' }, userId);
+      let alerts = await alertService.getAlerts(userId);
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({ type: 'budget', budgetId: budget.id, threshold: 80, value: 85 });
+
+      await firestoreService.saveReceipt({ vendor: 'DIA', total: 20, date: today, category: 'Alimentación' }, userId);
+      alerts = await alertService.getAlerts(userId);
+      expect(alerts).toHaveLength(2);
+    });
+
+    it('should not fail the receipt save when a notifier fails', async () => {
+      notifier.notify.mockRejectedValue(new Error('network down'));
+      await alertService.createRule({ type: 'receipt_amount', threshold: 1 }, userId);
+
+      const receipt = await firestoreService.saveReceipt({ vendor: 'DIA', total: 5, date: today }, userId);
+
+      expect(receipt).toHaveProperty('id');
+      expect(await alertService.getAlerts(userId)).toHaveLength(1);
+    });
+  });
+
+  describe('read state', () => {
+    beforeEach(async () => {
+      await alertService.createRule({ type: 'receipt_amount', threshold: 1 }, userId);
+      await firestoreService.saveReceipt({ vendor: 'A', total: 5, date: today }, userId);
+      await firestoreService.saveReceipt({ vendor: 'B', total: 6, date: today }, userId);
+    });
+
+    it('should mark a single alert as read', async () => {
+      const [alert] = await alertService.getAlerts(userId);
+
+      const updated = await alertService.markAlertRead(alert.id, userId);
+
+      expect(updated.read).toBe(true);
+      expect(await alertService.getAlerts(userId, { unreadOnly: true })).toHaveLength(1);
+      await expect(alertService.markAlertRead(alert.id, 'other-user')).rejects.toThrow('Access denied');
+    });
+
+    it('should mark all alerts as read', async () => {
+      const result = await alertService.markAllAlertsRead(userId);
+
+      expect(result).toEqual({ updated: 2 });
+      expect(await alertService.getAlerts(userId, { unreadOnly: true })).toHaveLength(0);
+    });
+
+    it('should page alerts and mark many as read in several batches', async () => {
+      const alerts = {};
+      for (let i = 0; i < 450; i++) {
+        alerts[`a${i}`] = { userId, type: 'budget', read: false, createdAt: new Date(Date.UTC(2024, 0, 1, 0, i)) };
+      }
+      firestoreService.db = createMemoryFirestore({ alerts });
+      alertService = new AlertService(firestoreService, [notifier]);
+      const batch = firestoreService.db.batch;
+      const batchSizes = [];
+      firestoreService.db.batch = () => {
+        const wrapped = batch();
+        const update = wrapped.update;
+        batchSizes.push(0);
+        wrapped.update = (...args) => {
+          batchSizes[batchSizes.length - 1]++;
+          return update(...args);
+        };
+        return wrapped;
+      };
+
+      expect(await alertService.getAlerts(userId, { limit: 1000 })).toHaveLength(100);
+      expect(await alertService.getAlerts(userId, { limit: 0 })).toHaveLength(50);
+      expect(await alertService.markAllAlertsRead(userId)).toEqual({ updated: 450 });
+      expect(batchSizes).toEqual([400, 50]);
+      expect(await alertService.getAlerts(userId, { unreadOnly: true })).toHaveLength(0);
+    });
+  });
+});
+
+describe('Notifiers', () => {
+  const alert = { id: 'a1', userId: 'u1', type: 'budget', message: 'Presupuesto superado' };
+
+  it('should log alerts with LogNotifier', async () => {
+    const logger = { info: jest.fn() };
+
+    await new LogNotifier(logger).notify(alert);
+
+    expect(logger.info).toHaveBeenCalledWith('Spending alert', expect.objectContaining({ alertId: 'a1' }));
+  });
+
+  it('should POST alerts with WebhookNotifier', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+
+    try {
+      await new WebhookNotifier('https://hooks.example.com/alerts').notify(alert);
+
+      expect(global.fetch).toHaveBeenCalledWith('https://hooks.example.com/alerts', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ event: 'alert.created', alert })
+      }));
+
+      global.fetch.mockResolvedValue({ ok: false, status: 500 });
+      await expect(new WebhookNotifier('https://hooks.example.com/alerts').notify(alert))
+        .rejects.toThrow('Webhook responded with status 500');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should publish alerts to the user stream with EventNotifier', async () => {
+    const broker = { publish: jest.fn() };
+
+    await new EventNotifier(broker).notify(alert);
+
+    expect(broker.publish).toHaveBeenCalledWith('u1', 'alert.created', alert);
+  });
+});
@@ -0,0 +1,210 @@
+const FirestoreService = require('../../services/firestore');
+const CategoryService = require('../../services/categories');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('CategoryService', () => {
+  const userId = 'test-user-123';
+  let firestoreService;
+  let categoryService;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      receipts: {
+        r1: { userId, vendor: 'Farmacia Sol', category: 'Farmacia', total: 12, date: '2024-03-02', createdAt: new Date('2024-03-02') },
+        r2: { userId, vendor: 'Clínica Dental', category: 'Salud', total: 60, date: '2024-03-04', createdAt: new Date('2024-03-04') },
+        r3: { userId, vendor: 'Iberdrola', category: 'Suministros', total: 80, date: '2024-03-05', createdAt: new Date('2024-03-05') },
+        r4: { userId: 'other-user', vendor: 'Farmacia Luna', category: 'Farmacia', total: 5, date: '2024-03-02', createdAt: new Date('2024-03-02') }
+      },
+      budgets: {
+        b1: { userId, category: 'Farmacia', period: 'month', amount: 50 }
+      }
+    });
+    categoryService = new CategoryService(firestoreService);
+  });
+
+  describe('getCategories', () => {
+    it('should seed the built-in taxonomy with subcategories on first use', async () => {
+      const categories = await categoryService.getCategories(userId);
+
+      const farmacia = categories.find(category => category.name === 'Farmacia');
+      expect(farmacia.parentId).toBe(`${userId}_salud`);
+      expect(Object.keys(firestoreService.db.dump('categories'))).toHaveLength(categories.length);
+
+      const tree = categoryService.buildTree(categories);
+      expect(tree.find(category => category.name === 'Salud').children.map(child => child.name)).toEqual(['Farmacia']);
+      expect(tree.find(category => category.name === 'Hogar').children.map(child => child.name)).toEqual(['Suministros']);
+    });
+
+    it('should map subcategories to their parent', async () => {
+      expect(await categoryService.getParentMap(userId)).toEqual({
+        Farmacia: 'Salud',
+        Suministros: 'Hogar'
+      });
+    });
+  });
+
+  describe('createCategory', () => {
+    it('should add custom categories after the built-in ones', async () => {
+      const category = await categoryService.createCategory(
+        { name: 'Mascotas', icon: '🐶', color: '#A3E635', keywords: ['Tiendanimal'] },
+        userId
+      );
+
+      expect(category).toMatchObject({ name: 'Mascotas', parentId: null, keywords: ['tiendanimal'], archived: false });
+
+      const categories = await categoryService.getCategories(userId);
+      expect(categories[categories.length - 1].name).toBe('Mascotas');
+    });
+
+    it('should only allow two levels and unique names', async () => {
+      await expect(categoryService.createCategory({ name: 'salud' }, userId))
+        .rejects.toThrow('Invalid category name: already in use');
+      await expect(categoryService.createCategory({ name: 'Vacunas', parentId: `${userId}_farmacia` }, userId))
+        .rejects.toThrow('Invalid category parent');
+      await expect(categoryService.createCategory({ name: 'Gas', color: 'red' }, userId))
+        .rejects.toThrow('Invalid category color');
+    });
+  });
+
+  describe('updateCategory', () => {
+    it('should edit icon and colour', async () => {
+      const { category } = await categoryService.updateCategory(`${userId}_hogar`, { icon: '🏡', color: '#000000' }, userId);
+
+      expect(category).toMatchObject({ name: 'Hogar', icon: '🏡', color: '#000000' });
+    });
+
+    it('should reassign receipts and budgets on rename', async () => {
+      const { reassigned } = await categoryService.updateCategory(`${userId}_farmacia`, { name: 'Parafarmacia' }, userId);
+
+      expect(reassigned).toMatchObject({ receipts: 1, budgets: 1 });
+      expect(firestoreService.db.dump('receipts').r1.category).toBe('Parafarmacia');
+      expect(firestoreService.db.dump('receipts').r4.category).toBe('Farmacia');
+      expect(firestoreService.db.dump('budgets').b1.category).toBe('Parafarmacia');
+    });
+
+    it('should finish a rename that failed partway when it is retried', async () => {
+      await categoryService.getCategories(userId);
+      for (let index = 0; index < 450; index++) {
+        firestoreService.db.store.receipts.set(`bulk${index}`, { userId, vendor: 'Farmacia', category: 'Farmacia', total: 1, date: '2024-03-02' });
+      }
+      const { batch } = firestoreService.db;
+      let commits = 0;
+      firestoreService.db.batch = () => {
+        const writes = batch();
+        return { ...writes, commit: () => (++commits === 2 ? Promise.reject(new Error('unavailable')) : writes.commit()) };
+      };
+      const updateReceipt = jest.spyOn(firestoreService, 'updateReceipt');
+
+      await expect(categoryService.updateCategory(`${userId}_farmacia`, { name: 'Parafarmacia' }, userId))
+        .rejects.toThrow('Failed to update category');
+      const moved = Object.values(firestoreService.db.dump('receipts')).filter(receipt => receipt.category === 'Parafarmacia');
+      expect(moved).toHaveLength(400);
+      expect((await categoryService.getCategory(`${userId}_farmacia`, userId)).name).toBe('Farmacia');
+
+      firestoreService.db.batch = batch;
+      const { category, reassigned } = await categoryService.updateCategory(`${userId}_farmacia`, { name: 'Parafarmacia' }, userId);
+
+      expect(category.name).toBe('Parafarmacia');
+      expect(reassigned).toMatchObject({ receipts: 51, budgets: 1 });
+      const receipts = Object.values(firestoreService.db.dump('receipts')).filter(receipt => receipt.userId === userId);
+      expect(receipts.filter(receipt => receipt.category === 'Farmacia')).toHaveLength(0);
+      expect(updateReceipt).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to rename the fallback category', async () => {
+      await categoryService.getCategories(userId);
+
+      await expect(categoryService.updateCategory(`${userId}_otros`, { name: 'Varios' }, userId))
+        .rejects.toThrow('fallback category cannot be renamed');
+
+      const { category } = await categoryService.updateCategory(`${userId}_otros`, { name: 'Otros', icon: '📦' }, userId);
+      expect(category).toMatchObject({ name: 'Otros', icon: '📦' });
+    });
+
+    it('should not nest a category that has subcategories', async () => {
+      await categoryService.getCategories(userId);
+
+      await expect(categoryService.updateCategory(`${userId}_salud`, { parentId: `${userId}_hogar` }, userId))
+        .rejects.toThrow('category has subcategories');
+      await expect(categoryService.updateCategory(`${userId}_salud`, { icon: '🩺' }, 'other-user'))
+        .rejects.toThrow('Access denied');
+    });
+  });
+
+  describe('archiveCategory', () => {
+    it('should archive a subcategory and move its receipts to the parent', async () => {
+      await categoryService.getCategories(userId);
+
+      const result = await categoryService.archiveCategory(`${userId}_farmacia`, userId);
+
+      expect(result.reassignedTo).toBe(`${userId}_salud`);
+      expect(result.reassigned.receipts).toBe(1);
+      expect(firestoreService.db.dump('receipts').r1.category).toBe('Salud');
+
+      const names = (await categoryService.getCategories(userId)).map(category => category.name);
+      expect(names).not.toContain('Farmacia');
+    });
+
+    it('should archive subcategories with their parent', async () => {
+      await categoryService.getCategories(userId);
+
+      const result = await categoryService.archiveCategory(`${userId}_salud`, userId);
+
+      expect(result.archived).toEqual([`${userId}_salud`, `${userId}_farmacia`]);
+      expect(firestoreService.db.dump('receipts').r1.category).toBe('Otros');
+      expect(firestoreService.db.dump('receipts').r2.category).toBe('Otros');
+    });
+
+    it('should refuse to archive the fallback category', async () => {
+      await categoryService.getCategories(userId);
+
+      await expect(categoryService.archiveCategory(`${userId}_otros`, userId))
+        .rejects.toThrow('fallback category cannot be archived');
+    });
+  });
+
+  describe('mergeCategories', () => {
+    it('should reassign receipts, move subcategories and delete the source', async () => {
+      await categoryService.getCategories(userId);
+      const custom = await categoryService.createCategory({ name: 'Bienestar' }, userId);
+
+      const result = await categoryService.mergeCategories(`${userId}_salud`, custom.id, userId);
+
+      expect(result).toMatchObject({ mergedInto: custom.id, movedSubcategories: 1 });
+      expect(firestoreService.db.dump('receipts').r2.category).toBe('Bienestar');
+      expect(firestoreService.db.dump('categories')[`${userId}_salud`]).toBeUndefined();
+      expect(firestoreService.db.dump('categories')[`${userId}_farmacia`].parentId).toBe(custom.id);
+    });
+
+    it('should not merge a category into its own subcategory', async () => {
+      await categoryService.getCategories(userId);
+
+      await expect(categoryService.mergeCategories(`${userId}_salud`, `${userId}_farmacia`, userId))
+        .rejects.toThrow('Invalid category merge target');
+    });
+  });
+
+  describe('analytics rollup', () => {
+    it('should roll subcategory spending up into the parent', async () => {
+      const categoryParents = await categoryService.getParentMap(userId);
+
+      const { categoryTotals } = firestoreService.calculateSpending(
+        Object.values(firestoreService.db.dump('receipts')).filter(receipt => receipt.userId === userId),
+        categoryParents
+      );
+
+      expect(categoryTotals).toEqual({ Salud: 72, Hogar: 80 });
+    });
+
+    it('should count subcategory spending against the budget of its parent', async () => {
+      await firestoreService.createBudget({ category: 'Salud', period: 'month', amount: 100 }, userId);
+      const categoryParents = await categoryService.getParentMap(userId);
+
+      const statuses = await firestoreService.getBudgetStatus(userId, new Date('2024-03-20T12:00:00Z'), categoryParents);
+
+      expect(statuses.find(status => status.category === 'Salud').spent).toBe(72);
+      expect(statuses.find(status => status.category === 'Farmacia').spent).toBe(12);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  normalizeContentType,
+  isAcceptedUpload,
+  detectContentType,
+  readPdfPages
+} = require('../../services/documents');
+
+// pdf.js loads its worker with a dynamic import, which jest does not support
+jest.mock('pdf-parse', () => ({
+  PDFParse: class {
+    constructor({ data }) {
+      this.data = Buffer.from(data).toString('latin1').replace('%PDF-1.4\n', '');
+    }
+
+    async getText({ first } = {}) {
+      const all = JSON.parse(this.data);
+      const pages = first ? all.slice(0, first) : all;
+      return { pages: pages.map((lines, index) => ({ num: index + 1, text: lines.join('\n') })) };
+    }
+
+    async destroy() {}
+  }
+}));
+
+// Stand-in PDF: the header followed by the text lines of each page
+function buildPdf(pages) {
+  return Buffer.from(`%PDF-1.4\n${JSON.stringify(pages)}`, 'latin1');
+}
+
+function heicHeader(brand) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(8)]);
+}
+
+describe('documents', () => {
+  describe('detectContentType', () => {
+    it('should detect formats from their first bytes', () => {
+      expect(detectContentType(buildPdf([['TOTAL 1,00']]))).toBe('application/pdf');
+      expect(detectContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0]))).toBe('image/jpeg');
+      expect(detectContentType(heicHeader('heic'))).toBe('image/heic');
+      expect(detectContentType(heicHeader('mif1'))).toBe('image/heic');
+    });
+
+    it('should reject other files whatever their name says', () => {
+      expect(detectContentType(Buffer.from('fake-text-data'))).toBeNull();
+      expect(detectContentType(heicHeader('mp42'))).toBeNull();
+    });
+  });
+
+  describe('isAcceptedUpload', () => {
+    it('should accept supported types and HEIC photos sent without a type', () => {
+      expect(normalizeContentType('image/jpg')).toBe('image/jpeg');
+      expect(isAcceptedUpload('image/heif', 'IMG_0001.HEIF')).toBe(true);
+      expect(isAcceptedUpload('application/octet-stream', 'IMG_0001.HEIC')).toBe(true);
+      expect(isAcceptedUpload('application/octet-stream', 'notes.txt')).toBe(false);
+      expect(isAcceptedUpload('text/plain', 'factura.pdf')).toBe(false);
+    });
+  });
+
+  describe('readPdfPages', () => {
+    it('should read embedded text per page and flag scanned pages', async () => {
+      const pdf = buildPdf([
+        ['IBERDROLA CLIENTES S.A.U.', 'Fecha: 15/01/2024', 'TOTAL 45,67'],
+        []
+      ]);
+
+      const pages = await readPdfPages(pdf);
+
+      expect(pages).toEqual([
+        { page: 1, text: 'IBERDROLA CLIENTES S.A.U.\nFecha: 15/01/2024\nTOTAL 45,67', hasText: true },
+        { page: 2, text: '', hasText: false }
+      ]);
+    });
+
+    it('should stop at the page limit', async () => {
+      const pdf = buildPdf([['PAGINA UNO DE LA FACTURA'], ['PAGINA DOS DE LA FACTURA'], ['PAGINA TRES']]);
+
+      expect(await readPdfPages(pdf, 2)).toHaveLength(2);
+    });
+
+    it('should reject unreadable PDFs', async () => {
+      await expect(readPdfPages(Buffer.from('%PDF-1.4\nbroken')))
+        .rejects.toThrow('Invalid document: unreadable PDF');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const FirestoreService = require('../../services/firestore');
+const { DuplicateService, compareReceipts } = require('../../services/duplicates');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('DuplicateService', () => {
+  const userId = 'test-user-123';
+  const items = [{ name: 'Leche entera', lineTotal: 1.2 }, { name: 'Pan', lineTotal: 0.8 }];
+  const original = {
+    userId, status: 'processed', vendor: 'MERCADONA S.A.', vendorKey: 'name:mercadona', date: '2024-01-15',
+    total: 2, currency: 'EUR', items, category: 'Alimentación', contentHash: 'aaa', perceptualHash: '00ff00ff00ff00ff',
+    imagePath: 'receipts/1-ticket.jpg', createdAt: new Date('2024-01-15T10:00:00Z')
+  };
+  let firestoreService;
+  let visionService;
+  let duplicateService;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      users: { [userId]: { totalSpent: 2, totalReceipts: 1 } },
+      receipts: {
+        original,
+        copy: {
+          ...original, contentHash: 'bbb', perceptualHash: '00ff00ff00ff00fe', items: [], category: null,
+          vendorTaxId: 'A46103834', imagePath: 'receipts/2-ticket.jpg', imageUrl: 'https://example.com/2.jpg',
+          possibleDuplicateOf: { receiptId: 'original', score: 0.9, reasons: ['same_data', 'similar_image'] },
+          createdAt: new Date('2024-01-15T10:05:00Z')
+        },
+        other: {
+          ...original, contentHash: 'ccc', perceptualHash: 'ff00ff00ff00ff00', date: '2024-01-16',
+          items: [{ name: 'Agua', lineTotal: 2 }], createdAt: new Date('2024-01-16T10:00:00Z')
+        },
+        pending: { userId, status: 'pending', createdAt: new Date('2024-01-17T10:00:00Z') },
+        foreign: { ...original, userId: 'other-user' }
+      }
+    });
+    visionService = { deleteReceiptImage: jest.fn().mockResolvedValue() };
+    duplicateService = new DuplicateService(firestoreService, visionService);
+  });
+
+  describe('compareReceipts', () => {
+    it('should match byte-identical files whatever their data', () => {
+      expect(compareReceipts({ contentHash: 'x', total: 1 }, { contentHash: 'x', total: 2 }))
+        .toEqual({ score: 1, reasons: ['same_file'] });
+    });
+
+    it('should match vendor, date and total, reinforced by image and items', () => {
+      expect(compareReceipts({ ...original, contentHash: 'x', perceptualHash: null, items: [] }, original))
+        .toEqual({ score: 0.8, reasons: ['same_data'] });
+      expect(compareReceipts({ ...original, contentHash: 'x', perceptualHash: '00ff00ff00ff00fe' }, original))
+        .toEqual({ score: 0.95, reasons: ['same_data', 'similar_image', 'same_items'] });
+    });
+
+    it('should not match on a similar image alone, nor with different items', () => {
+      const photo = { contentHash: 'x', perceptualHash: original.perceptualHash };
+
+      expect(compareReceipts({ ...photo, total: 9 }, original).score).toBeLessThan(0.8);
+      expect(compareReceipts({ ...photo, total: 2, currency: 'EUR' }, original).score).toBe(0.8);
+      expect(compareReceipts({ ...original, contentHash: 'x', items: [{ name: 'Agua' }] }, original)).toBeNull();
+    });
+  });
+
+  describe('findDuplicate', () => {
+    it('should point a new upload at the original receipt', async () => {
+      const match = await duplicateService.findDuplicate(userId, {
+        id: 'new', vendor: 'Mercadona', vendorKey: 'name:mercadona', date: '2024-01-15', total: 2, currency: 'EUR',
+        items: [{ name: 'LECHE ENTERA' }, { name: 'Pan' }]
+      });
+
+      expect(match).toEqual({ receiptId: 'original', score: 0.85, reasons: ['same_data', 'same_items'] });
+    });
+
+    it('should ignore other users and unrelated receipts', async () => {
+      expect(await duplicateService.findDuplicate('other-user', { id: 'new', contentHash: 'ccc' })).toBeNull();
+      expect(await duplicateService.findDuplicate(userId, { id: 'new', date: '2024-01-15', total: 7 })).toBeNull();
+    });
+  });
+
+  describe('scanDuplicates', () => {
+    it('should group existing receipts that look like the same ticket', async () => {
+      const { groups, scanned } = await duplicateService.scanDuplicates(userId);
+
+      expect(scanned).toBe(3);
+      expect(groups).toHaveLength(1);
+      expect(groups[0].receipts.map(receipt => receipt.id)).toEqual(['original', 'copy']);
+      expect(groups[0].reasons).toEqual(['same_data', 'similar_image']);
+    });
+  });
+
+  describe('resolveDuplicate', () => {
+    it('should count a kept duplicate as a receipt of its own', async () => {
+      const { receipt } = await duplicateService.resolveDuplicate(userId, 'copy', 'keep');
+
+      expect(receipt).toMatchObject({ possibleDuplicateOf: null, duplicateResolution: 'kept' });
+      expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalSpent: 4, totalReceipts: 2 });
+    });
+
+    it('should merge a duplicate into the original', async () => {
+      const result = await duplicateService.resolveDuplicate(userId, 'copy', 'merge');
+
+      expect(result.deletedId).toBe('copy');
+      expect(result.receipt).toMatchObject({
+        id: 'original',
+        vendorTaxId: 'A46103834',
+        items,
+        mergedFrom: ['copy'],
+        additionalImages: [{ imagePath: 'receipts/2-ticket.jpg', mimeType: null }]
+      });
+      expect(firestoreService.db.dump('receipts').copy).toBeUndefined();
+      expect(visionService.deleteReceiptImage).not.toHaveBeenCalled();
+      expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalSpent: 2, totalReceipts: 1 });
+    });
+
+    it('should discard a duplicate with its image', async () => {
+      await duplicateService.resolveDuplicate(userId, 'copy', 'discard');
+
+      expect(firestoreService.db.dump('receipts').copy).toBeUndefined();
+      expect(visionService.deleteReceiptImage).toHaveBeenCalledWith('receipts/2-ticket.jpg');
+      expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalSpent: 2, totalReceipts: 1 });
+    });
+
+    it('should validate the action, target and ownership', async () => {
+      await expect(duplicateService.resolveDuplicate(userId, 'copy', 'ignore'))
+        .rejects.toThrow('Invalid duplicate action');
+      await expect(duplicateService.resolveDuplicate(userId, 'other', 'merge'))
+        .rejects.toThrow('Invalid duplicate target');
+      await expect(duplicateService.resolveDuplicate(userId, 'foreign', 'keep'))
+        .rejects.toThrow('Access denied');
+    });
+  });
+
+  it('should leave unresolved duplicates out of spending', () => {
+    const { totalSpent } = firestoreService.calculateSpending([original, { ...original, possibleDuplicateOf: { receiptId: 'x' } }]);
+
+    expect(totalSpent).toBe(2);
+  });
+});
@@ -0,0 +1,124 @@
+const { EventBroker } = require('../../services/events');
+
+// Minimal stand-in for an HTTP response: records status, headers and written chunks
+function createResponse() {
+  const res = {
+    chunks: [],
+    writeHead: jest.fn((status, headers) => {
+      res.status = status;
+      res.headers = headers;
+    }),
+    write: jest.fn(chunk => res.chunks.push(chunk))
+  };
+  return res;
+}
+
+function eventsOf(res) {
+  return res.chunks
+    .filter(chunk => chunk.startsWith('id: '))
+    .map(chunk => {
+      const [id, type, data] = chunk.trim().split('\n').map(line => line.slice(line.indexOf(': ') + 2));
+      return { id: Number(id), type, data: JSON.parse(data) };
+    });
+}
+
+describe('EventBroker', () => {
+  let broker;
+
+  beforeEach(() => {
+    broker = new EventBroker({ historySize: 3, heartbeatMs: 1000, retryMs: 2000 });
+  });
+
+  afterEach(() => {
+    broker.stopHeartbeat();
+  });
+
+  it('should open an event stream and deliver events to the owner only', () => {
+    const own = createResponse();
+    const other = createResponse();
+    broker.subscribe('u1', own);
+    broker.subscribe('u2', other);
+
+    broker.publish('u1', 'receipt.processed', { id: 'r1' });
+
+    expect(own.status).toBe(200);
+    expect(own.headers['Content-Type']).toBe('text/event-stream');
+    expect(own.chunks[0]).toBe('retry: 2000\n\n');
+    expect(own.chunks[1]).toBe('id: 1\nevent: receipt.processed\ndata: {"id":"r1"}\n\n');
+    expect(eventsOf(other)).toEqual([]);
+    expect(broker.connectionCount()).toBe(2);
+  });
+
+  it('should replay events missed since Last-Event-ID', () => {
+    broker.publish('u1', 'receipt.processed', { id: 'r1' });
+    broker.publish('u2', 'receipt.processed', { id: 'x' });
+    broker.publish('u1', 'receipt.updated', { id: 'r1' });
+    broker.publish('u1', 'receipt.deleted', { id: 'r1' });
+
+    const res = createResponse();
+    broker.subscribe('u1', res, '1');
+
+    expect(eventsOf(res)).toEqual([
+      { id: 3, type: 'receipt.updated', data: { id: 'r1' } },
+      { id: 4, type: 'receipt.deleted', data: { id: 'r1' } }
+    ]);
+  });
+
+  it('should ask for a resync when missed events are no longer kept', () => {
+    for (let i = 1; i <= 5; i++) {
+      broker.publish('u1', 'receipt.updated', { id: `r${i}` });
+    }
+
+    const expired = createResponse();
+    broker.subscribe('u1', expired, '1');
+    expect(eventsOf(expired)).toEqual([{ id: 5, type: 'resync', data: { reason: 'history_expired' } }]);
+
+    // Ids from before a restart are ahead of the broker
+    const restarted = createResponse();
+    broker.subscribe('u1', restarted, '99');
+    expect(eventsOf(restarted)[0].type).toBe('resync');
+
+    const upToDate = createResponse();
+    broker.subscribe('u1', upToDate, '2');
+    expect(eventsOf(upToDate).map(event => event.id)).toEqual([3, 4, 5]);
+  });
+
+  it('should send heartbeats while clients are connected', () => {
+    jest.useFakeTimers();
+    try {
+      const res = createResponse();
+      const unsubscribe = broker.subscribe('u1', res);
+
+      jest.advanceTimersByTime(2500);
+      expect(res.chunks.filter(chunk => chunk === ': heartbeat\n\n')).toHaveLength(2);
+
+      unsubscribe();
+      jest.advanceTimersByTime(2500);
+      expect(res.chunks.filter(chunk => chunk === ': heartbeat\n\n')).toHaveLength(2);
+      expect(broker.heartbeat).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should stop delivering events after unsubscribing', () => {
+    const res = createResponse();
+    const unsubscribe = broker.subscribe('u1', res);
+
+    unsubscribe();
+    broker.publish('u1', 'alert.created', { id: 'a1' });
+
+    expect(eventsOf(res)).toEqual([]);
+    expect(broker.connectionCount('u1')).toBe(0);
+  });
+
+  it('should flush compressed responses after each write', () => {
+    const res = createResponse();
+    res.flush = jest.fn();
+
+    broker.subscribe('u1', res);
+    broker.publish('u1', 'receipt.failed', { id: 'r1' });
+
+    expect(res.flush).toHaveBeenCalledTimes(2);
+  });
+});
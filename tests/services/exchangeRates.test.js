@@ -0,0 +1,69 @@
+const { LocalRatesProvider, ExchangeRateService } = require('../../services/exchangeRates');
+
+describe('ExchangeRateService', () => {
+  const table = {
+    base: 'EUR',
+    rates: {
+      '2024-01-02': { USD: 1.1, GBP: 0.8 },
+      '2024-07-01': { USD: 1.25, GBP: 0.85 }
+    }
+  };
+  let exchangeRateService;
+
+  beforeEach(() => {
+    exchangeRateService = new ExchangeRateService(new LocalRatesProvider(table));
+  });
+
+  describe('LocalRatesProvider', () => {
+    it('should use the latest table on or before the date', async () => {
+      const provider = new LocalRatesProvider(table);
+
+      expect(await provider.getRate('EUR', 'USD', '2024-03-15')).toEqual({ rate: 1.1, date: '2024-01-02' });
+      expect(await provider.getRate('USD', 'EUR', '2024-08-01')).toEqual({ rate: 0.8, date: '2024-07-01' });
+      expect(await provider.getRate('EUR', 'USD', '2023-12-01')).toEqual({ rate: 1.1, date: '2024-01-02' });
+    });
+
+    it('should compute cross rates through the base currency', async () => {
+      const { rate } = await new LocalRatesProvider(table).getRate('GBP', 'USD', '2024-01-10');
+      expect(rate).toBeCloseTo(1.375);
+    });
+
+    it('should read the bundled rates file', async () => {
+      const provider = new LocalRatesProvider(require('path').join(__dirname, '../../config/exchange-rates.json'));
+      const result = await provider.getRate('GBP', 'EUR', '2024-02-01');
+
+      expect(result.date).toBe('2024-01-02');
+      expect(result.rate).toBeGreaterThan(1);
+    });
+  });
+
+  describe('convertReceipt', () => {
+    it('should store the rate and base-currency total', async () => {
+      const receipt = await exchangeRateService.convertReceipt(
+        { total: 20, currency: 'GBP', date: '2024-07-10' },
+        'EUR'
+      );
+
+      expect(receipt).toMatchObject({
+        currency: 'GBP',
+        baseCurrency: 'EUR',
+        exchangeRate: 1.176471,
+        exchangeRateDate: '2024-07-01',
+        exchangeRateProvider: 'local',
+        baseTotal: 23.53
+      });
+    });
+
+    it('should leave base-currency receipts unchanged in value', async () => {
+      const receipt = await exchangeRateService.convertReceipt({ total: 12.5, date: '2024-07-10' }, 'EUR');
+
+      expect(receipt).toMatchObject({ currency: 'EUR', exchangeRate: 1, baseTotal: 12.5 });
+    });
+
+    it('should send receipts without a known rate to review', async () => {
+      const receipt = await exchangeRateService.convertReceipt({ total: 1000, currency: 'JPY', date: '2024-07-10' }, 'EUR');
+
+      expect(receipt).toMatchObject({ exchangeRate: null, baseTotal: null, needsReview: true });
+    });
+  });
+});
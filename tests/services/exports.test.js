@@ -0,0 +1,132 @@
+const { PassThrough, Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const FirestoreService = require('../../services/firestore');
+const { ExportService } = require('../../services/exports');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('ExportService', () => {
+  const userId = 'test-user-123';
+  let firestoreService;
+  let exportService;
+
+  beforeEach(async () => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      receipts: {
+        r1: {
+          userId, vendor: 'Mercadona, S.A.', vendorTaxId: 'A46103834', date: '2024-01-15', total: 12.5, currency: 'EUR',
+          category: 'Alimentación', tags: ['casa'], taxes: [{ rate: 10, base: 11.36, amount: 1.14 }],
+          items: [{ name: 'Leche "entera"', quantity: 2, unitPrice: 1.2, lineTotal: 2.4 }, { name: 'Pan', lineTotal: 10.1 }],
+          createdAt: new Date('2024-01-15T10:00:00Z')
+        },
+        r2: {
+          userId, vendor: '=HYPERLINK("http://evil")', date: '2024-02-01', total: 30, currency: 'EUR',
+          category: 'Ocio', items: [], createdAt: new Date('2024-02-01T10:00:00Z')
+        },
+        r3: {
+          userId, vendor: 'Mercadona', date: '2024-02-03', total: 12.5, currency: 'EUR', category: 'Alimentación',
+          possibleDuplicateOf: { receiptId: 'r1' }, items: [], createdAt: new Date('2024-02-03T10:00:00Z')
+        },
+        foreign: { userId: 'other-user', vendor: 'Lidl', total: 5, createdAt: new Date() }
+      }
+    });
+    exportService = new ExportService(firestoreService);
+    await firestoreService.reindexSearchTerms();
+  });
+
+  async function exportToBuffer(filters, options) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise(resolve => output.on('end', resolve));
+
+    const count = await exportService.exportReceipts(userId, filters, options, output);
+    await finished;
+    return { count, body: Buffer.concat(chunks) };
+  }
+
+  it('should write one CSV row per receipt, quoting text and defusing formulas', async () => {
+    const { count, body } = await exportToBuffer({ sort: 'date', order: 'asc' }, { format: 'csv' });
+    const lines = body.toString('utf8').split('\r\n');
+
+    expect(count).toBe(3);
+    expect(lines[0]).toBe('\uFEFFid,date,vendor,vendorTaxId,category,subtotal,tax,total,currency,baseTotal,baseCurrency,' +
+      'items,tags,notes,status,verified,possibleDuplicateOf,createdAt');
+    expect(lines[1]).toBe('r1,2024-01-15,"Mercadona, S.A.",A46103834,Alimentación,,1.14,12.5,EUR,,,2,casa,,,false,,' +
+      '2024-01-15T10:00:00.000Z');
+    expect(lines[2]).toContain('"\'=HYPERLINK(""http://evil"")"');
+    expect(lines[3]).toContain(',r1,');
+  });
+
+  it('should write one CSV row per line item, honouring the listing filters', async () => {
+    const { count, body } = await exportToBuffer({ search: 'leche' }, { format: 'csv', rows: 'items', delimiter: ';' });
+
+    expect(count).toBe(1);
+    expect(body.toString('utf8').split('\r\n')).toEqual([
+      '\uFEFFreceiptId;date;vendor;category;name;quantity;unit;unitPrice;lineTotal;currency',
+      'r1;2024-01-15;Mercadona, S.A.;Alimentación;"Leche ""entera""";2;;1.2;2.4;EUR',
+      'r1;2024-01-15;Mercadona, S.A.;Alimentación;Pan;;;;10.1;EUR',
+      ''
+    ]);
+  });
+
+  it('should dump complete receipts as JSON', async () => {
+    const { body } = await exportToBuffer({ category: 'Alimentación' }, { format: 'json' });
+    const dump = JSON.parse(body.toString('utf8'));
+
+    expect(dump.filters).toEqual({ category: 'Alimentación' });
+    expect(dump.receipts.map(receipt => receipt.id)).toEqual(['r3', 'r1']);
+    expect(dump.receipts[1]).toMatchObject({ vendorTaxId: 'A46103834', items: expect.any(Array) });
+    expect(dump.receipts[1].searchTerms).toBeUndefined();
+  });
+
+  it('should build a workbook with receipts and a category summary', async () => {
+    const { count, body } = await exportToBuffer({}, { format: 'xlsx' });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+
+    expect(count).toBe(3);
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Receipts', 'Categories']);
+    expect(workbook.getWorksheet('Receipts').rowCount).toBe(4);
+    expect(workbook.getWorksheet('Categories').getSheetValues().slice(2).map(row => row.slice(1))).toEqual([
+      ['Ocio', 1, 30],
+      ['Alimentación', 1, 12.5],
+      ['Total', 2, 42.5]
+    ]);
+  });
+
+  it('should read large exports a page at a time', async () => {
+    const receipts = {};
+    for (let i = 0; i < 250; i++) {
+      receipts[`r${String(i).padStart(3, '0')}`] = { userId, vendor: 'Tienda', total: i, createdAt: new Date(Date.UTC(2024, 0, 1, 0, i)) };
+    }
+    firestoreService.db = createMemoryFirestore({ receipts });
+    const getReceipts = jest.spyOn(firestoreService, 'getReceipts');
+
+    const { count, body } = await exportToBuffer({}, { format: 'csv' });
+
+    expect(count).toBe(250);
+    expect(body.toString('utf8').trim().split('\r\n')).toHaveLength(251);
+    expect(getReceipts).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop reading when the client goes away', async () => {
+    const output = new Writable({ highWaterMark: 1, write: (chunk, encoding, callback) => setImmediate(callback) });
+    const getReceipts = jest.spyOn(firestoreService, 'getReceipts');
+    output.destroy();
+
+    await expect(exportService.exportReceipts(userId, {}, { format: 'csv' }, output)).rejects.toThrow('Export aborted');
+    expect(getReceipts).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject invalid options before writing anything', async () => {
+    const output = new PassThrough();
+
+    await expect(exportService.exportReceipts(userId, {}, { format: 'pdf' }, output)).rejects.toThrow('Invalid export format');
+    await expect(exportService.exportReceipts(userId, {}, { rows: 'vendors' }, output)).rejects.toThrow('Invalid export rows');
+    await expect(exportService.exportReceipts(userId, { sort: 'category' }, {}, output)).rejects.toThrow('Invalid sort');
+    expect(output.readableLength).toBe(0);
+    expect(exportService.describeExport({ format: 'csv', rows: 'items' }, new Date('2024-04-01T00:00:00Z')))
+      .toEqual({ contentType: 'text/csv; charset=utf-8', fileName: 'nubemdom-items-2024-04-01.csv' });
+  });
+});
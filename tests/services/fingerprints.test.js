@@ -0,0 +1,68 @@
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { contentHash, perceptualHash, hammingDistance } = require('../../services/fingerprints');
+
+// Grayscale test image drawn by a (x, y) -> 0..255 function, scaled to the given size
+function createImage(width, height, shade) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = shade(x / width, y / height);
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Blocks of pseudo-random brightness, the same for a seed at any size
+const blocks = seed => (x, y) => {
+  const cell = Math.floor(y * 16) * 16 + Math.floor(x * 16);
+  return Math.floor(Math.abs(Math.sin(cell * 12.9898 + seed) * 43758.5453) % 1 * 255);
+};
+const receipt = blocks(1);
+const other = blocks(2);
+
+describe('fingerprints', () => {
+  it('should hash identical files identically', () => {
+    const buffer = Buffer.from('same receipt');
+
+    expect(contentHash(buffer)).toBe(contentHash(Buffer.from('same receipt')));
+    expect(contentHash(buffer)).not.toBe(contentHash(Buffer.from('other receipt')));
+  });
+
+  it('should give near hashes to re-encoded and resized copies of an image', () => {
+    const original = PNG.sync.write(createImage(160, 320, receipt));
+    const resized = jpeg.encode(createImage(80, 160, receipt), 60).data;
+    const different = PNG.sync.write(createImage(160, 320, other));
+
+    const hash = perceptualHash(original, 'image/png');
+
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(hash, perceptualHash(resized, 'image/jpeg'))).toBeLessThanOrEqual(4);
+    expect(hammingDistance(hash, perceptualHash(different, 'image/png'))).toBeGreaterThan(16);
+  });
+
+  it('should not hash PDFs or unreadable images', () => {
+    expect(perceptualHash(Buffer.from('%PDF-1.7'), 'application/pdf')).toBeNull();
+    expect(perceptualHash(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]), 'image/jpeg')).toBeNull();
+  });
+
+  it('should not decode PNGs declaring more pixels than the limit', () => {
+    const huge = PNG.sync.write(createImage(16, 16, receipt));
+    huge.writeUInt32BE(100000, 16);
+    huge.writeUInt32BE(100000, 20);
+    const read = jest.spyOn(PNG.sync, 'read');
+
+    expect(perceptualHash(huge, 'image/png')).toBeNull();
+    expect(read).not.toHaveBeenCalled();
+    read.mockRestore();
+  });
+
+  it('should count differing bits', () => {
+    expect(hammingDistance('00ff', '00ff')).toBe(0);
+    expect(hammingDistance('00ff', '01fe')).toBe(2);
+    expect(hammingDistance('00ff', null)).toBeNull();
+  });
+});
@@ -1,4 +1,6 @@
 const FirestoreService = require('../../services/firestore');
+const { ExchangeRateService, LocalRatesProvider } = require('../../services/exchangeRates');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
 
 describe('FirestoreService', () => {
   let firestoreService;
@@ -85,6 +87,207 @@ describe('FirestoreService', () => {
     });
   });
 
+  describe('receipt pagination', () => {
+    const userId = 'test-user-123';
+
+    beforeEach(async () => {
+      const receipts = {};
+      for (let i = 1; i <= 7; i++) {
+        receipts[`r${i}`] = {
+          userId,
+          vendor: i % 2 ? 'Mercadona' : 'Lidl',
+          date: `2024-03-0${8 - i}`,
+          total: i === 3 ? 10 : i * 5,
+          items: i === 6 ? [{ name: 'Leche' }] : [],
+          rawText: i > 2 ? 'PAGO CON TARJETA' : 'EFECTIVO',
+          createdAt: new Date(Date.UTC(2024, 2, i))
+        };
+      }
+      receipts.foreign = { userId: 'other-user', vendor: 'Lidl', total: 1, createdAt: new Date() };
+      firestoreService.db = createMemoryFirestore({ receipts });
+      await firestoreService.reindexSearchTerms();
+    });
+
+    async function walk(options, cursorField = 'nextCursor') {
+      const pages = [];
+      let result = await firestoreService.getReceipts(userId, options);
+      pages.push(result);
+      while (result[cursorField]) {
+        result = await firestoreService.getReceipts(userId, { ...options, cursor: result[cursorField] });
+        pages.push(result);
+      }
+      return pages;
+    }
+
+    it('should walk every receipt once, newest first, with an exact total', async () => {
+      const pages = await walk({ limit: 3 });
+
+      expect(pages.map(page => page.receipts.map(receipt => receipt.id))).toEqual([
+        ['r7', 'r6', 'r5'],
+        ['r4', 'r3', 'r2'],
+        ['r1']
+      ]);
+      expect(pages.map(page => page.total)).toEqual([7, 7, 7]);
+      expect(pages.map(page => page.hasMore)).toEqual([true, true, false]);
+      expect(pages[0].prevCursor).toBeNull();
+    });
+
+    it('should page back with prevCursor', async () => {
+      const second = (await walk({ limit: 3 }))[1];
+
+      const first = await firestoreService.getReceipts(userId, { limit: 3, cursor: second.prevCursor });
+      expect(first.receipts.map(receipt => receipt.id)).toEqual(['r7', 'r6', 'r5']);
+      expect(first.prevCursor).toBeNull();
+
+      const again = await firestoreService.getReceipts(userId, { limit: 3, cursor: first.nextCursor });
+      expect(again.receipts.map(receipt => receipt.id)).toEqual(['r4', 'r3', 'r2']);
+    });
+
+    it('should sort by total with ties in a stable order', async () => {
+      const pages = await walk({ limit: 2, sort: 'total', order: 'asc' });
+
+      expect(pages.flatMap(page => page.receipts.map(receipt => receipt.id)))
+        .toEqual(['r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7']);
+    });
+
+    it('should page through search results', async () => {
+      const pages = await walk({ limit: 2, search: 'mercadona' });
+
+      expect(pages.map(page => page.receipts.map(receipt => receipt.id))).toEqual([['r7', 'r5'], ['r3', 'r1']]);
+      expect(pages.map(page => page.hasMore)).toEqual([true, false]);
+      expect(pages[0].total).toBe(4);
+    });
+
+    it('should fill pages and report hasMore when search terms are checked per receipt', async () => {
+      const pages = await walk({ limit: 2, search: 'mercadona tarjeta' });
+
+      expect(pages.map(page => page.receipts.map(receipt => receipt.id))).toEqual([['r7', 'r5'], ['r3']]);
+      expect(pages.map(page => page.hasMore)).toEqual([true, false]);
+      expect(pages[0].total).toBeNull();
+    });
+
+    it('should combine date and amount filters with any sort', async () => {
+      const filters = { startDate: '2024-03-02', minAmount: 10 };
+      const ids = pages => pages.flatMap(page => page.receipts.map(receipt => receipt.id));
+
+      const byCreation = await walk({ ...filters, limit: 2 });
+      expect(ids(byCreation)).toEqual(['r6', 'r5', 'r4', 'r3', 'r2']);
+      expect(byCreation[0].total).toBeNull();
+
+      expect(ids(await walk({ ...filters, limit: 2, sort: 'date', order: 'asc' })))
+        .toEqual(['r6', 'r5', 'r4', 'r3', 'r2']);
+      expect(ids(await walk({ ...filters, limit: 2, sort: 'total', order: 'asc' })))
+        .toEqual(['r2', 'r3', 'r4', 'r5', 'r6']);
+
+      const byDate = await firestoreService.getReceipts(userId, { sort: 'date', startDate: '2024-03-05' });
+      expect(byDate).toMatchObject({ total: 3, hasMore: false });
+    });
+
+    it('should reject unknown sorts and foreign cursors', async () => {
+      const { nextCursor } = await firestoreService.getReceipts(userId, { limit: 2 });
+
+      await expect(firestoreService.getReceipts(userId, { sort: 'category' })).rejects.toThrow('Invalid sort');
+      await expect(firestoreService.getReceipts(userId, { order: 'up' })).rejects.toThrow('Invalid sort order');
+      await expect(firestoreService.getReceipts(userId, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+      await expect(firestoreService.getReceipts(userId, { sort: 'total', cursor: nextCursor }))
+        .rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('receipt search', () => {
+    const userId = 'test-user-123';
+
+    beforeEach(() => {
+      firestoreService.db = createMemoryFirestore();
+    });
+
+    async function search(query, filters = {}) {
+      const { receipts } = await firestoreService.getReceipts(userId, { search: query, ...filters });
+      return receipts.map(receipt => receipt.vendor);
+    }
+
+    it('should find receipts by accent-folded words and prefixes of vendor, items and OCR text', async () => {
+      await firestoreService.saveReceipt({
+        vendor: 'Panadería Jesús', items: [{ name: 'Barra de pan' }], rawText: 'PANADERIA JESUS\nGRACIAS POR SU VISITA',
+        category: 'Alimentación', date: '2024-03-01', total: 3
+      }, userId);
+      await firestoreService.saveReceipt({
+        vendor: 'Mercadona', items: [{ name: 'Leche semidesnatada' }, { name: 'Pan de molde' }],
+        category: 'Alimentación', date: '2024-03-05', total: 12
+      }, userId);
+
+      expect(await search('panaderia')).toEqual(['Panadería Jesús']);
+      expect(await search('LECHE')).toEqual(['Mercadona']);
+      expect(await search('semi')).toEqual(['Mercadona']);
+      expect(await search('visita')).toEqual(['Panadería Jesús']);
+      expect((await search('pan')).sort()).toEqual(['Mercadona', 'Panadería Jesús']);
+      expect(await search('pan molde')).toEqual(['Mercadona']);
+      expect(await search('pan', { minAmount: 10 })).toEqual(['Mercadona']);
+      expect(await search('pan', { endDate: '2024-03-02' })).toEqual(['Panadería Jesús']);
+      expect(await firestoreService.getReceipts('other-user', { search: 'pan' })).toMatchObject({ receipts: [], total: 0 });
+    });
+
+    it('should keep search terms in step with corrections and deletes', async () => {
+      const saved = await firestoreService.saveReceipt({ vendor: 'Lidl', items: [{ name: 'Naranjas' }], total: 4 }, userId);
+
+      expect(saved.searchTerms).toBeUndefined();
+
+      await firestoreService.updateReceipt(saved.id, { vendor: 'Aldi' }, userId);
+      expect(await search('lidl')).toEqual([]);
+      expect(await search('aldi naranjas')).toEqual(['Aldi']);
+
+      await firestoreService.deleteReceipt(saved.id, userId);
+      expect(await search('aldi')).toEqual([]);
+    });
+
+    it('should index receipts saved before search existed', async () => {
+      firestoreService.db = createMemoryFirestore({
+        receipts: { old: { userId, vendor: 'Eroski', createdAt: new Date() } }
+      });
+
+      expect(await search('eroski')).toEqual([]);
+      expect(await firestoreService.reindexSearchTerms(userId)).toBe(1);
+      expect(await search('eroski')).toEqual(['Eroski']);
+    });
+
+    it('should reject searches without a usable word', async () => {
+      await expect(firestoreService.getReceipts(userId, { search: 'a ¿?' })).rejects.toThrow('Invalid search');
+    });
+  });
+
+  describe('initializeDatabase', () => {
+    const { requiredIndexes } = require('../../services/queryPlanner');
+
+    function adminClient(indexes) {
+      return {
+        listIndexes: jest.fn().mockResolvedValue([indexes.map(({ collectionGroup, fields }, i) => ({
+          name: `projects/nubemdom/databases/(default)/collectionGroups/${collectionGroup}/indexes/i${i}`,
+          queryScope: 'COLLECTION',
+          fields: [
+            ...fields.map(([fieldPath, mode]) => (mode === 'CONTAINS' ? { fieldPath, arrayConfig: 'CONTAINS' } : { fieldPath, order: mode })),
+            { fieldPath: '__name__', order: 'ASCENDING' }
+          ],
+          state: i === 0 ? 'CREATING' : 'READY'
+        }))])
+      };
+    }
+
+    it('should report ready and building indexes', async () => {
+      const indexes = requiredIndexes();
+
+      const report = await firestoreService.initializeDatabase(adminClient(indexes));
+
+      expect(report.ready).toHaveLength(indexes.length - 1);
+      expect(report.building).toEqual(['receipts:userId:ASCENDING,createdAt:ASCENDING']);
+      expect(report.missing).toEqual([]);
+    });
+
+    it('should fail when an index is missing', async () => {
+      await expect(firestoreService.initializeDatabase(adminClient(requiredIndexes().slice(2))))
+        .rejects.toThrow('Missing 2 Firestore indexes');
+    });
+  });
+
   describe('getReceipt', () => {
     it('should retrieve a single receipt by ID', async () => {
       const receiptId = 'test-doc-id';
@@ -226,4 +429,214 @@ describe('FirestoreService', () => {
       expect(result[0]).toHaveProperty('color');
     });
   });
-});
\ No newline at end of file
+
+  describe('budgets', () => {
+    const userId = 'test-user-123';
+
+    beforeEach(() => {
+      firestoreService.db = createMemoryFirestore({
+        receipts: {
+          r1: { userId, date: '2024-03-02', total: 40, category: 'Alimentación' },
+          r2: { userId, date: '2024-03-08', total: 20, category: 'Alimentación' },
+          r3: { userId, date: '2024-03-09', total: 15, category: 'Transporte' },
+          r4: { userId, date: '2024-02-28', total: 99, category: 'Alimentación' },
+          r5: { userId: 'other-user', date: '2024-03-05', total: 500, category: 'Alimentación' }
+        }
+      });
+    });
+
+    it('should create and list budgets', async () => {
+      const budget = await firestoreService.createBudget(
+        { category: 'Alimentación', period: 'month', amount: '300' },
+        userId
+      );
+
+      expect(budget).toHaveProperty('id');
+      expect(budget).toHaveProperty('amount', 300);
+      expect(budget).toHaveProperty('name', 'Alimentación');
+
+      const budgets = await firestoreService.getBudgets(userId);
+      expect(budgets).toHaveLength(1);
+      expect(await firestoreService.getBudgets('other-user')).toHaveLength(0);
+    });
+
+    it('should reject invalid budgets', async () => {
+      await expect(firestoreService.createBudget({ period: 'month', amount: -5 }, userId))
+        .rejects.toThrow('Invalid budget amount');
+      await expect(firestoreService.createBudget({ period: 'daily', amount: 5 }, userId))
+        .rejects.toThrow('Invalid budget period');
+    });
+
+    it('should enforce ownership on update and delete', async () => {
+      const budget = await firestoreService.createBudget({ period: 'month', amount: 100 }, userId);
+
+      await expect(firestoreService.updateBudget(budget.id, { amount: 50 }, 'other-user'))
+        .rejects.toThrow('Access denied');
+      await expect(firestoreService.deleteBudget('missing', userId))
+        .rejects.toThrow('Budget not found');
+
+      const updated = await firestoreService.updateBudget(budget.id, { amount: '150' }, userId);
+      expect(updated.amount).toBe(150);
+    });
+
+    it('should compute calendar budget periods', () => {
+      const now = new Date('2024-03-13T10:00:00Z'); // Wednesday
+
+      expect(firestoreService.getBudgetPeriod('week', now)).toEqual({
+        start: '2024-03-11', end: '2024-03-17', daysInPeriod: 7, daysElapsed: 3
+      });
+      expect(firestoreService.getBudgetPeriod('month', now)).toMatchObject({
+        start: '2024-03-01', end: '2024-03-31', daysInPeriod: 31, daysElapsed: 13
+      });
+      expect(firestoreService.getBudgetPeriod('year', now)).toMatchObject({
+        start: '2024-01-01', end: '2024-12-31', daysInPeriod: 366
+      });
+    });
+
+    it('should report remaining amount, percentage and projection', async () => {
+      await firestoreService.createBudget({ category: 'Alimentación', period: 'month', amount: 100 }, userId);
+      await firestoreService.createBudget({ period: 'month', amount: 50 }, userId);
+
+      const statuses = await firestoreService.getBudgetStatus(userId, new Date('2024-03-10T12:00:00Z'));
+      const food = statuses.find(s => s.category === 'Alimentación');
+      const overall = statuses.find(s => s.category === null);
+
+      expect(food).toMatchObject({
+        spent: 60,
+        remaining: 40,
+        percentUsed: 60,
+        projected: 186,
+        projectedOverrun: true,
+        periodStart: '2024-03-01',
+        periodEnd: '2024-03-31'
+      });
+      expect(overall).toMatchObject({ spent: 75, remaining: -25, percentUsed: 150 });
+    });
+  });
+
+  describe('multi-currency spending', () => {
+    it('should total in base currency and report original amounts per currency', () => {
+      const { totalSpent, categoryTotals, currencyTotals } = firestoreService.calculateSpending([
+        { total: 10, category: 'Alimentación' },
+        { total: 20, currency: 'GBP', baseCurrency: 'EUR', exchangeRate: 1.17, baseTotal: 23.4, category: 'Restaurantes' },
+        { total: 5, currency: 'USD', baseCurrency: 'EUR', exchangeRate: null, baseTotal: null, category: 'Restaurantes' }
+      ]);
+
+      expect(totalSpent).toBe(33.4);
+      expect(categoryTotals).toEqual({ 'Alimentación': 10, Restaurantes: 23.4 });
+      expect(currencyTotals).toEqual({
+        EUR: { total: 10, baseTotal: 10, receipts: 1, unconverted: 0 },
+        GBP: { total: 20, baseTotal: 23.4, receipts: 1, unconverted: 0 },
+        USD: { total: 5, baseTotal: 0, receipts: 1, unconverted: 1 }
+      });
+    });
+
+    it('should reconvert corrected totals at the stored rate', async () => {
+      firestoreService.db = createMemoryFirestore({
+        receipts: { r1: { userId: 'test-user-123', total: 20, currency: 'GBP', exchangeRate: 1.2, baseTotal: 24 } }
+      });
+
+      const receipt = await firestoreService.updateReceipt('r1', { total: 25 }, 'test-user-123');
+
+      expect(receipt.baseTotal).toBe(30);
+    });
+
+    it('should re-base receipts on a new base currency, once', async () => {
+      const userId = 'test-user-123';
+      const date = '2024-01-10';
+      firestoreService.db = createMemoryFirestore({
+        users: { [userId]: { totalSpent: 25, totalReceipts: 3 } },
+        receipts: {
+          euros: { userId, date, total: 10, currency: 'EUR', baseCurrency: 'EUR', baseTotal: 10 },
+          dollars: { userId, date, total: 11, currency: 'USD', baseCurrency: 'EUR', exchangeRate: 0.909091, baseTotal: 10 },
+          legacy: { userId, date, total: 5 },
+          pending: { userId, status: 'pending' }
+        }
+      });
+      const rates = new ExchangeRateService(new LocalRatesProvider({ base: 'EUR', rates: { '2024-01-02': { USD: 1.1 } } }));
+      const convert = (receipt, baseCurrency) => rates.convertReceipt(receipt, baseCurrency);
+
+      expect(await firestoreService.rebaseReceipts(userId, 'USD', 'EUR', convert)).toBe(3);
+
+      const receipts = firestoreService.db.dump('receipts');
+      expect(receipts.euros).toMatchObject({ currency: 'EUR', baseCurrency: 'USD', baseTotal: 11 });
+      expect(receipts.dollars).toMatchObject({ currency: 'USD', baseCurrency: 'USD', exchangeRate: 1, baseTotal: 11 });
+      expect(receipts.legacy).toMatchObject({ currency: 'EUR', baseCurrency: 'USD', baseTotal: 5.5 });
+      expect(receipts.pending).not.toHaveProperty('baseCurrency');
+      expect(firestoreService.db.dump('users')[userId].totalSpent).toBeCloseTo(27.5);
+
+      expect(await firestoreService.rebaseReceipts(userId, 'USD', 'EUR', convert)).toBe(0);
+    });
+
+    it('should validate the preferred currency', async () => {
+      firestoreService.db = createMemoryFirestore();
+
+      const profile = await firestoreService.updatePreferences('test-user-123', { currency: 'gbp' });
+      expect(profile.preferences).toMatchObject({ currency: 'GBP', language: 'es' });
+
+      await expect(firestoreService.updatePreferences('test-user-123', { currency: 'XXX' }))
+        .rejects.toThrow('Invalid preference currency');
+    });
+
+    it('should only accept supported languages and locales', async () => {
+      firestoreService.db = createMemoryFirestore();
+
+      const profile = await firestoreService.updatePreferences('test-user-123', { locale: 'en-US' });
+      expect(profile.preferences).toMatchObject({ language: 'es', locale: 'en-US' });
+
+      await expect(firestoreService.updatePreferences('test-user-123', { language: 'fr' }))
+        .rejects.toThrow('Invalid preference language');
+    });
+  });
+
+  describe('getVendors', () => {
+    const userId = 'test-user-123';
+
+    it('should group receipts by tax ID across OCR name variations', async () => {
+      firestoreService.db = createMemoryFirestore({
+        receipts: {
+          r1: { userId, vendor: 'MERCADONA S.A.', vendorTaxId: 'A46103834', vendorKey: 'taxid:A46103834', total: 10, date: '2024-01-02' },
+          r2: { userId, vendor: 'MERCAD0NA', vendorTaxId: 'A46103834', vendorKey: 'taxid:A46103834', total: 5.5, date: '2024-01-09' },
+          r3: { userId, vendor: 'Bar Pepe', total: 3, date: '2024-01-05' }
+        }
+      });
+
+      const vendors = await firestoreService.getVendors(userId);
+
+      expect(vendors).toHaveLength(2);
+      expect(vendors[0]).toMatchObject({
+        vendorKey: 'taxid:A46103834',
+        names: ['MERCADONA S.A.', 'MERCAD0NA'],
+        receiptCount: 2,
+        totalSpent: 15.5,
+        lastDate: '2024-01-09'
+      });
+      expect(vendors[1].vendorKey).toBe('name:bar-pepe');
+    });
+  });
+
+  describe('saveReceipt status', () => {
+    it('should store low-confidence receipts as needs_review', async () => {
+      firestoreService.db = createMemoryFirestore();
+
+      const receipt = await firestoreService.saveReceipt(
+        { vendor: 'Test', total: 10, confidence: 0.4, needsReview: true },
+        'test-user-123'
+      );
+
+      expect(receipt.status).toBe('needs_review');
+      expect(receipt).not.toHaveProperty('needsReview');
+    });
+
+    it('should count receipts without an amount in the user statistics', async () => {
+      const userId = 'test-user-123';
+      firestoreService.db = createMemoryFirestore({ users: { [userId]: { totalSpent: 0, totalReceipts: 0 } } });
+
+      const receipt = await firestoreService.saveReceipt({ vendor: 'Test', total: 0 }, userId);
+      expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalSpent: 0, totalReceipts: 1 });
+
+      await firestoreService.deleteReceipt(receipt.id, userId);
+      expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalSpent: 0, totalReceipts: 0 });
+    });
+  });
+});
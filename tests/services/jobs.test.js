@@ -0,0 +1,100 @@
+const { MemoryJobBackend, JobQueue } = require('../../services/jobs');
+
+describe('JobQueue', () => {
+  const userId = 'test-user-123';
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue(new MemoryJobBackend(), { concurrency: 2, maxAttempts: 3, backoffMs: 5 });
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  it('should run jobs in the background and report their result', async () => {
+    queue.register('echo', async payload => ({ echoed: payload.value }));
+
+    const queued = await queue.enqueue('echo', { value: 42 }, { userId });
+    expect(queued).toMatchObject({ type: 'echo', userId, status: 'queued', attempts: 0 });
+    expect(queued).not.toHaveProperty('payload');
+
+    await queue.onIdle();
+
+    expect(await queue.getJob(queued.id, userId)).toMatchObject({
+      status: 'completed',
+      attempts: 1,
+      result: { echoed: 42 },
+      error: null
+    });
+  });
+
+  it('should retry failures with backoff until they succeed', async () => {
+    const attempts = [];
+    queue.register('flaky', async (payload, job) => {
+      attempts.push(Date.now());
+      if (job.attempts < 3) throw new Error('Vision API timeout');
+      return 'ok';
+    });
+
+    const { id } = await queue.enqueue('flaky', {}, { userId });
+    await queue.onIdle();
+
+    expect(await queue.getJob(id, userId)).toMatchObject({ status: 'completed', attempts: 3, result: 'ok' });
+    // 5ms then 10ms between attempts
+    expect(attempts[2] - attempts[1]).toBeGreaterThanOrEqual(attempts[1] - attempts[0]);
+  });
+
+  it('should give up after maxAttempts and run the failure handler once', async () => {
+    const onFailed = jest.fn().mockResolvedValue({ cleaned: true });
+    queue.register('broken', async () => { throw new Error('Vision API down'); }, { onFailed });
+
+    const { id } = await queue.enqueue('broken', { receiptId: 'r1' }, { userId });
+    await queue.onIdle();
+
+    expect(await queue.getJob(id, userId)).toMatchObject({
+      status: 'failed',
+      attempts: 3,
+      result: { cleaned: true },
+      error: { message: 'Vision API down', attempt: 3 }
+    });
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(onFailed).toHaveBeenCalledWith({ receiptId: 'r1' }, expect.any(Error), expect.objectContaining({ id }));
+  });
+
+  it('should not retry errors that cannot succeed', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('Invalid document: unsupported file type'));
+    queue.register('strict', handler, { isRetryable: error => !error.message.startsWith('Invalid') });
+
+    const { id } = await queue.enqueue('strict', {}, { userId });
+    await queue.onIdle();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect((await queue.getJob(id, userId)).status).toBe('failed');
+  });
+
+  it('should never run more jobs at once than its concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    queue.register('slow', async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+    });
+
+    await Promise.all(Array.from({ length: 5 }, () => queue.enqueue('slow', {}, { userId })));
+    await queue.onIdle();
+
+    expect(peak).toBe(2);
+  });
+
+  it('should only show jobs to their owner', async () => {
+    queue.register('echo', async () => null);
+    const { id } = await queue.enqueue('echo', {}, { userId });
+
+    await expect(queue.getJob(id, 'other-user')).rejects.toThrow('Access denied');
+    await expect(queue.getJob('missing', userId)).rejects.toThrow('Job not found');
+    await expect(queue.enqueue('unknown', {})).rejects.toThrow('Invalid job type: unknown');
+  });
+});
@@ -0,0 +1,129 @@
+const FirestoreService = require('../../services/firestore');
+const LearningService = require('../../services/learning');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('LearningService', () => {
+  const userId = 'test-user-123';
+  let firestoreService;
+  let learningService;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      receipts: {
+        r1: {
+          userId, vendor: 'MERCAD0NA', vendorKey: 'name:mercad0na', category: 'Otros',
+          total: 12.5, verified: false, createdAt: new Date('2024-01-01')
+        },
+        r2: {
+          userId, vendor: 'FARMACIA LOPEZ', vendorTaxId: 'B12345674', vendorKey: 'taxid:B12345674',
+          category: 'Otros', total: 8, verified: false, createdAt: new Date('2024-01-02')
+        }
+      }
+    });
+    learningService = new LearningService(firestoreService);
+    firestoreService.onReceiptChange(change => learningService.learnFromCorrection(change));
+  });
+
+  describe('learnFromCorrection', () => {
+    it('should learn vendor and category mappings from user edits', async () => {
+      await firestoreService.updateReceipt('r1', { vendor: 'Mercadona', category: 'Alimentación' }, userId, { source: 'user' });
+
+      const mappings = await learningService.getMappings(userId);
+      const vendor = mappings.find(mapping => mapping.type === 'vendor');
+      const category = mappings.find(mapping => mapping.type === 'category');
+
+      expect(vendor).toMatchObject({ match: 'name:mercad0na', value: 'Mercadona', hits: 1, source: 'correction' });
+      expect(category).toMatchObject({ match: 'name:mercadona', value: 'Alimentación', hits: 1 });
+    });
+
+    it('should key category mappings by tax ID when known', async () => {
+      await firestoreService.updateReceipt('r2', { category: 'Salud' }, userId, { source: 'user' });
+
+      const mappings = await learningService.getMappings(userId, 'category');
+      expect(mappings).toHaveLength(1);
+      expect(mappings[0]).toMatchObject({ match: 'taxid:B12345674', value: 'Salud' });
+    });
+
+    it('should ignore system updates', async () => {
+      await firestoreService.updateReceipt('r1', { category: 'Alimentación' }, userId);
+
+      expect(await learningService.getMappings(userId)).toEqual([]);
+    });
+
+    it('should reinforce a repeated correction and replace a conflicting one', async () => {
+      await learningService.learn(userId, 'category', 'name:dia', 'Alimentación');
+      let mapping = await learningService.learn(userId, 'category', 'name:dia', 'Alimentación');
+      expect(mapping.hits).toBe(2);
+
+      mapping = await learningService.learn(userId, 'category', 'name:dia', 'Hogar');
+      expect(mapping).toMatchObject({ value: 'Hogar', hits: 1 });
+    });
+  });
+
+  describe('applyMappings', () => {
+    it('should canonicalise the vendor and override the keyword category', async () => {
+      await learningService.learn(userId, 'vendor', 'name:mercad0na', 'Mercadona');
+      await learningService.learn(userId, 'category', 'name:mercadona', 'Alimentación');
+
+      const result = await learningService.applyMappings(userId, {
+        vendor: 'MERCAD0NA',
+        vendorKey: 'name:mercad0na',
+        category: 'Otros',
+        fieldConfidence: { vendor: { score: 0.5, source: 'first_line' }, category: { score: 0.3, source: 'default' } }
+      });
+
+      expect(result.vendor).toBe('Mercadona');
+      expect(result.vendorKey).toBe('name:mercadona');
+      expect(result.category).toBe('Alimentación');
+      expect(result.fieldConfidence.category).toEqual({ score: 0.95, source: 'learned' });
+    });
+
+    it('should leave data untouched without mappings', async () => {
+      const data = { vendor: 'DIA', vendorKey: 'name:dia', category: 'Alimentación' };
+      expect(await learningService.applyMappings(userId, data)).toBe(data);
+    });
+  });
+
+  describe('mapping management', () => {
+    it('should create mappings from names or tax IDs', async () => {
+      const byName = await learningService.createMapping({ type: 'category', match: 'Bar Pepe S.L.', value: 'Restaurantes' }, userId);
+      const byTaxId = await learningService.createMapping({ type: 'category', match: 'b-12345674', value: 'Salud' }, userId);
+
+      expect(byName).toMatchObject({ match: 'name:bar-pepe', source: 'manual' });
+      expect(byTaxId.match).toBe('taxid:B12345674');
+    });
+
+    it('should keep one mapping per match, whatever characters it holds', async () => {
+      const first = await learningService.createMapping({ type: 'vendor', match: 'name:c/ mayor', value: 'Bar Mayor' }, userId);
+      const second = await learningService.createMapping({ type: 'vendor', match: 'name:c/ mayor', value: 'Bar Mayor' }, userId);
+
+      expect(first.id).not.toContain('/');
+      expect(second).toMatchObject({ id: first.id, match: 'name:c/ mayor', hits: 2 });
+      expect(await learningService.getMappings(userId)).toHaveLength(1);
+    });
+
+    it('should reject invalid mappings', async () => {
+      await expect(learningService.createMapping({ type: 'colour', match: 'x', value: 'y' }, userId))
+        .rejects.toThrow('Invalid mapping type');
+      await expect(learningService.createMapping({ type: 'vendor', match: 'x', value: '' }, userId))
+        .rejects.toThrow('Invalid mapping value');
+      await expect(learningService.createMapping({ type: 'category', match: 'S.L.', value: 'Salud' }, userId))
+        .rejects.toThrow('Invalid mapping match');
+      await expect(learningService.createMapping({ type: 'category', match: 'name:', value: 'Salud' }, userId))
+        .rejects.toThrow('Invalid mapping match');
+      expect(await learningService.getMappings(userId)).toHaveLength(0);
+    });
+
+    it('should update and delete only own mappings', async () => {
+      const mapping = await learningService.createMapping({ type: 'vendor', match: 'lidl sup', value: 'Lidl' }, userId);
+
+      const updated = await learningService.updateMapping(mapping.id, { value: 'LIDL' }, userId);
+      expect(updated.value).toBe('LIDL');
+
+      await expect(learningService.deleteMapping(mapping.id, 'other-user')).rejects.toThrow('Access denied');
+      await learningService.deleteMapping(mapping.id, userId);
+      await expect(learningService.updateMapping(mapping.id, { value: 'x' }, userId)).rejects.toThrow('Mapping not found');
+    });
+  });
+});
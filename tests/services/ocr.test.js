@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VisionService = require('../../services/vision');
+const { createOcrProvider } = require('../../services/ocr');
+const TesseractOcrProvider = require('../../services/ocr/tesseractProvider');
+const FixtureOcrProvider = require('../../services/ocr/fixtureProvider');
+
+// The Tesseract WebAssembly worker is not started in tests
+jest.mock('tesseract.js', () => ({
+  createWorker: jest.fn()
+}));
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'ocr');
+const receiptPhoto = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'receipts', 'mercadona.jpg'));
+
+describe('OCR providers', () => {
+  describe('createOcrProvider', () => {
+    it('should create the configured provider', () => {
+      expect(createOcrProvider({ provider: 'vision' }).name).toBe('vision');
+      expect(createOcrProvider({ provider: 'tesseract', tesseract: { lang: 'spa' } })).toMatchObject({ name: 'tesseract', lang: 'spa' });
+      expect(createOcrProvider({ provider: 'fixtures', fixtures: { dir: fixturesDir, recordFrom: 'tesseract' } }))
+        .toMatchObject({ name: 'fixtures', recordFrom: { name: 'tesseract' } });
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createOcrProvider({ provider: 'abbyy' })).toThrow('Invalid OCR provider: abbyy');
+      expect(() => createOcrProvider({ provider: 'fixtures', fixtures: { dir: fixturesDir, recordFrom: 'fixtures' } }))
+        .toThrow('Invalid OCR provider');
+    });
+  });
+
+  describe('TesseractOcrProvider', () => {
+    it('should report words as Vision-shaped boxes with 0-1 confidences', async () => {
+      const { createWorker } = require('tesseract.js');
+      const worker = {
+        recognize: jest.fn().mockResolvedValue({
+          data: {
+            text: 'PAN 0,80\n',
+            confidence: 91,
+            blocks: [{
+              paragraphs: [{
+                lines: [{
+                  words: [
+                    { text: 'PAN', confidence: 95, bbox: { x0: 10, y0: 70, x1: 50, y1: 82 } },
+                    { text: '0,80', confidence: 87.5, bbox: { x0: 200, y0: 70, x1: 240, y1: 82 } }
+                  ]
+                }]
+              }]
+            }]
+          }
+        }),
+        terminate: jest.fn().mockResolvedValue()
+      };
+      createWorker.mockResolvedValue(worker);
+
+      const provider = new TesseractOcrProvider({ lang: 'spa+eng' });
+      const result = await provider.recognizeImage(Buffer.from('image'));
+      await provider.recognizeImage(Buffer.from('image'));
+      await provider.terminate();
+
+      expect(createWorker).toHaveBeenCalledTimes(1);
+      expect(createWorker).toHaveBeenCalledWith(['spa', 'eng'], undefined, { errorHandler: expect.any(Function) });
+      expect(worker.terminate).toHaveBeenCalled();
+      expect(result).toEqual({
+        fullText: 'PAN 0,80',
+        blocks: [
+          { description: 'PAN', boundingPoly: { vertices: [{ x: 10, y: 70 }, { x: 50, y: 70 }, { x: 50, y: 82 }, { x: 10, y: 82 }] } },
+          { description: '0,80', boundingPoly: { vertices: [{ x: 200, y: 70 }, { x: 240, y: 70 }, { x: 240, y: 82 }, { x: 200, y: 82 }] } }
+        ],
+        confidence: 0.91,
+        wordConfidences: { PAN: 0.95, '0,80': 0.88 }
+      });
+    });
+
+    it('should fail when the language data cannot be loaded', async () => {
+      const { createWorker } = require('tesseract.js');
+      // tesseract.js reports the failure to the handler and leaves createWorker pending
+      createWorker.mockImplementation((langs, oem, options) => {
+        setImmediate(() => options.errorHandler('TypeError: fetch failed'));
+        return new Promise(() => {});
+      });
+
+      const provider = new TesseractOcrProvider();
+
+      await expect(provider.recognizeImage(Buffer.from('image'))).rejects.toThrow('Tesseract error: TypeError: fetch failed');
+      expect(provider.worker).toBeNull();
+    });
+
+    it('should not read scanned PDFs', async () => {
+      await expect(new TesseractOcrProvider().recognizePdfPages(Buffer.from('%PDF-1.4'), [1]))
+        .rejects.toThrow('Tesseract cannot read scanned PDF pages');
+    });
+  });
+
+  describe('FixtureOcrProvider', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should replay a recorded receipt through the regular parser', async () => {
+      const visionService = new VisionService({ ocrProvider: new FixtureOcrProvider({ dir: fixturesDir }) });
+
+      const textResult = await visionService.extractText(receiptPhoto);
+      const receipt = visionService.parseReceiptData(textResult);
+
+      expect(textResult.provider).toBe('fixtures');
+      expect(receipt).toMatchObject({
+        vendor: 'MERCADONA S.A.',
+        date: '2024-01-15',
+        total: 2,
+        layout: 'blocks'
+      });
+      expect(receipt.items.map(item => [item.name, item.lineTotal])).toEqual([['LECHE ENTERA', 1.2], ['PAN', 0.8]]);
+    });
+
+    it('should fail on documents without a fixture', async () => {
+      const visionService = new VisionService({ ocrProvider: new FixtureOcrProvider({ dir }) });
+
+      await expect(visionService.extractText(Buffer.from('unknown'))).rejects.toThrow('Failed to extract text from image');
+    });
+
+    it('should record missing fixtures from another provider and replay them', async () => {
+      const recordFrom = {
+        name: 'vision',
+        recognizeImage: jest.fn().mockResolvedValue({ fullText: 'DIA', blocks: [], confidence: 0.9, wordConfidences: { DIA: 0.9 } }),
+        recognizePdfPages: jest.fn().mockResolvedValue({ 2: { text: 'TOTAL 3,00', confidence: 0.8, words: {} } })
+      };
+      const provider = new FixtureOcrProvider({ dir, recordFrom });
+
+      await provider.recognizeImage(Buffer.from('photo'));
+      const replayed = await provider.recognizeImage(Buffer.from('photo'));
+      const pages = await provider.recognizePdfPages(Buffer.from('%PDF-1.4'), [2]);
+
+      expect(recordFrom.recognizeImage).toHaveBeenCalledTimes(1);
+      expect(replayed.fullText).toBe('DIA');
+      expect(pages).toEqual({ 2: { text: 'TOTAL 3,00', confidence: 0.8, words: {} } });
+      expect(fs.readdirSync(dir)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const { parseNumber, parseAmount } = require('../../../services/parsers/amounts');
+
+describe('parseNumber', () => {
+  it('should read thousands and decimal separators', () => {
+    expect(parseNumber('1.234,56', 'es-ES')).toEqual({ value: 1234.56, ambiguous: false });
+    expect(parseNumber('1,234.56', 'es-ES')).toEqual({ value: 1234.56, ambiguous: false });
+    expect(parseNumber('1.234.567', 'en-GB')).toEqual({ value: 1234567, ambiguous: false });
+  });
+
+  it('should let the locale decide three-digit groups and report it', () => {
+    expect(parseNumber('1.234', 'es-ES')).toEqual({ value: 1234, ambiguous: true });
+    expect(parseNumber('1.234', 'en-GB')).toEqual({ value: 1.234, ambiguous: true });
+    expect(parseNumber('1,234', 'en-US')).toEqual({ value: 1234, ambiguous: true });
+  });
+
+  it('should read a separator not followed by three digits as decimal', () => {
+    expect(parseNumber('12,5', 'en-US')).toEqual({ value: 12.5, ambiguous: false });
+    expect(parseNumber('0,456', 'en-US')).toEqual({ value: 0.456, ambiguous: false });
+  });
+});
+
+describe('parseAmount', () => {
+  it('should read signs and currency markers', () => {
+    expect(parseAmount('0,50-')).toBe(-0.5);
+    expect(parseAmount('-1,35')).toBe(-1.35);
+    expect(parseAmount('4.30€')).toBe(4.3);
+    expect(parseAmount('EUR 1.234,56')).toBe(1234.56);
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  readOcrConfidence,
+  lineOcrConfidence,
+  scoreItems,
+  combineConfidence
+} = require('../../../services/parsers/confidence');
+
+describe('confidence scoring', () => {
+  describe('readOcrConfidence', () => {
+    it('should average symbol confidences and keep per-word minimums', () => {
+      const symbols = (text, confidence) => text.split('').map(char => ({ text: char, confidence }));
+      const annotation = {
+        pages: [{
+          blocks: [{
+            paragraphs: [{
+              words: [
+                { symbols: symbols('TOTAL', 0.99) },
+                { symbols: symbols('4,30', 0.5), confidence: 0.6 },
+                { symbols: symbols('TOTAL', 0.9) }
+              ]
+            }]
+          }]
+        }]
+      };
+
+      const result = readOcrConfidence(annotation);
+
+      expect(result.words).toEqual({ TOTAL: 0.9, '4,30': 0.6 });
+      expect(result.confidence).toBeCloseTo((5 * 0.99 + 4 * 0.5 + 5 * 0.9) / 14, 2);
+    });
+
+    it('should report null when Vision returns no confidences', () => {
+      expect(readOcrConfidence(undefined)).toEqual({ confidence: null, words: {} });
+    });
+  });
+
+  it('should average word confidences on a line', () => {
+    expect(lineOcrConfidence('TOTAL 4,30', { TOTAL: 1, '4,30': 0.5 })).toBe(0.75);
+    expect(lineOcrConfidence('TOTAL 4,30', {}, 0.9)).toBe(0.9);
+    expect(lineOcrConfidence(null, {}, 0.8)).toBe(0.8);
+  });
+
+  it('should score items by how well they add up to the total', () => {
+    const items = [{ lineTotal: 2.5 }, { lineTotal: 1.8 }];
+
+    expect(scoreItems(items, 4.3)).toEqual({ score: 0.9, source: 'sum_matches_total' });
+    expect(scoreItems(items, 8.6)).toEqual({ score: 0.4, source: 'sum_mismatch' });
+    expect(scoreItems([], 4.3)).toEqual({ score: 0.2, source: 'none' });
+  });
+
+  it('should combine weighted field scores with OCR confidence', () => {
+    const fields = {
+      total: { score: 1 },
+      date: { score: 1 },
+      vendor: { score: 1 },
+      items: { score: 0 },
+      category: { score: 0 }
+    };
+
+    expect(combineConfidence(fields)).toBe(0.75);
+    expect(combineConfidence(fields, 0.5)).toBe(0.7);
+  });
+});
@@ -0,0 +1,38 @@
+const { toCurrencyCode, isCurrencyCode, detectCurrency } = require('../../../services/parsers/currency');
+
+describe('toCurrencyCode', () => {
+  it('should map symbols and codes to ISO codes', () => {
+    expect(toCurrencyCode('€')).toBe('EUR');
+    expect(toCurrencyCode('£')).toBe('GBP');
+    expect(toCurrencyCode('$')).toBe('USD');
+    expect(toCurrencyCode('Fr.')).toBe('CHF');
+    expect(toCurrencyCode('chf')).toBe('CHF');
+    expect(toCurrencyCode('XYZ')).toBeNull();
+  });
+
+  it('should validate ISO codes', () => {
+    expect(isCurrencyCode('usd')).toBe(true);
+    expect(isCurrencyCode('ABC')).toBe(false);
+    expect(isCurrencyCode(undefined)).toBe(false);
+  });
+});
+
+describe('detectCurrency', () => {
+  it('should prefer the marker on the total line', () => {
+    const lines = ['BOOTS UK', 'Meal deal £3.99', 'TOTAL GBP 3.99'];
+
+    expect(detectCurrency(lines, 'TOTAL GBP 3.99')).toEqual({
+      value: 'GBP', score: 0.95, source: 'total_line', line: 'TOTAL GBP 3.99'
+    });
+  });
+
+  it('should fall back to the most frequent marker', () => {
+    const lines = ['MIGROS', 'Brot CHF 3.20', 'Milch CHF 1.60', 'Summe 4.80'];
+
+    expect(detectCurrency(lines, 'Summe 4.80')).toMatchObject({ value: 'CHF', score: 0.8, source: 'marker' });
+  });
+
+  it('should not mistake words for currency codes', () => {
+    expect(detectCurrency(['EUROPA SUPERMERCADO', 'TOTAL 12,50'], 'TOTAL 12,50')).toBeNull();
+  });
+});
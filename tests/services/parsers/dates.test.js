@@ -0,0 +1,63 @@
+const { expandYear, toIsoDate, findDate } = require('../../../services/parsers/dates');
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+describe('expandYear', () => {
+  it('should read two-digit years within a century ending next year', () => {
+    expect(expandYear('24', NOW)).toBe(2024);
+    expect(expandYear('26', NOW)).toBe(2026);
+    expect(expandYear('99', NOW)).toBe(1999);
+    expect(expandYear('2003', NOW)).toBe(2003);
+  });
+});
+
+describe('toIsoDate', () => {
+  it('should reject days that do not exist', () => {
+    expect(toIsoDate(2024, 2, 29)).toBe('2024-02-29');
+    expect(toIsoDate(2023, 2, 29)).toBeNull();
+    expect(toIsoDate(2024, 13, 1)).toBeNull();
+  });
+});
+
+describe('findDate', () => {
+  it('should read year-first dates without swapping fields', () => {
+    expect(findDate(['2024/01/15 10:32'], 'es-ES', NOW)).toMatchObject({ value: '2024-01-15', ambiguous: false });
+    expect(findDate(['2024-12-03'], 'en-US', NOW).value).toBe('2024-12-03');
+  });
+
+  it('should read month names in every supported language', () => {
+    expect(findDate(['15 ENE 2024'], 'es-ES', NOW).value).toBe('2024-01-15');
+    expect(findDate(['15 de enero de 2024'], 'es-ES', NOW).value).toBe('2024-01-15');
+    expect(findDate(['Jan 15, 2024'], 'en-US', NOW).value).toBe('2024-01-15');
+    expect(findDate(['15. März 2024'], 'de-DE', NOW).value).toBe('2024-03-15');
+    expect(findDate(['Data: 3 OUT 24'], 'pt-PT', NOW)).toMatchObject({ value: '2024-10-03', score: 0.85, source: 'label' });
+  });
+
+  it('should not read words that start like a month as dates', () => {
+    expect(findDate(['2 MAYONESA 12,50'], 'es-ES', NOW)).toBeNull();
+  });
+
+  it('should read numeric dates in the locale order and report ambiguity', () => {
+    const spanish = findDate(['03/04/2024'], 'es-ES', NOW);
+    const american = findDate(['03/04/2024'], 'en-US', NOW);
+
+    expect(spanish).toMatchObject({ value: '2024-04-03', ambiguous: true });
+    expect(american).toMatchObject({ value: '2024-03-04', ambiguous: true });
+    expect(spanish.score).toBe(0.63);
+  });
+
+  it('should fall back to the other order when only it is valid', () => {
+    const date = findDate(['15/01/2024'], 'en-US', NOW);
+
+    expect(date).toMatchObject({ value: '2024-01-15', ambiguous: false });
+    expect(date.score).toBe(0.81);
+  });
+
+  it('should lower the score of two-digit years', () => {
+    expect(findDate(['15-01-99'], 'es-ES', NOW)).toMatchObject({ value: '1999-01-15', score: 0.8 });
+  });
+
+  it('should return null when no valid date is printed', () => {
+    expect(findDate(['31/02/2024', 'TOTAL 12,50'], 'es-ES', NOW)).toBeNull();
+  });
+});
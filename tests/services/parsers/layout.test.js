@@ -0,0 +1,87 @@
+const { reconstructLines, reconstructRows, hasLayout } = require('../../../services/parsers/layout');
+const VisionService = require('../../../services/vision');
+
+// Build a Vision word annotation; angle in degrees rotates it around the origin
+function word(description, x, y, angle = 0) {
+  const width = description.length * 10;
+  const height = 20;
+  const rad = angle * Math.PI / 180;
+  const rotate = ([px, py]) => ({
+    x: Math.round(px * Math.cos(rad) - py * Math.sin(rad)),
+    y: Math.round(px * Math.sin(rad) + py * Math.cos(rad))
+  });
+
+  return {
+    description,
+    boundingPoly: {
+      vertices: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].map(rotate)
+    }
+  };
+}
+
+function receiptWords(angle = 0) {
+  // Emitted column by column, as Vision often does on narrow receipts
+  return [
+    word('MERCADONA', 100, 10, angle),
+    word('LECHE', 10, 100, angle),
+    word('ENTERA', 70, 100, angle),
+    word('PAN', 10, 140, angle),
+    word('BARRA', 50, 140, angle),
+    word('TOTAL', 10, 180, angle),
+    word('1,78', 300, 102, angle),
+    word('0,95', 300, 138, angle),
+    word('2,73', 300, 181, angle)
+  ];
+}
+
+describe('layout parsing', () => {
+  it('should rebuild rows pairing descriptions with prices', () => {
+    expect(reconstructLines(receiptWords())).toEqual([
+      'MERCADONA',
+      'LECHE ENTERA  1,78',
+      'PAN BARRA  0,95',
+      'TOTAL  2,73'
+    ]);
+  });
+
+  it('should expose the column cells of each row', () => {
+    const rows = reconstructRows(receiptWords());
+
+    expect(rows[1].cells).toEqual(['LECHE ENTERA', '1,78']);
+  });
+
+  it('should correct for a skewed photo', () => {
+    expect(reconstructLines(receiptWords(4))).toEqual([
+      'MERCADONA',
+      'LECHE ENTERA  1,78',
+      'PAN BARRA  0,95',
+      'TOTAL  2,73'
+    ]);
+  });
+
+  it('should detect whether annotations carry geometry', () => {
+    expect(hasLayout(receiptWords())).toBe(true);
+    expect(hasLayout([{ description: 'TOTAL' }])).toBe(false);
+    expect(hasLayout([])).toBe(false);
+  });
+
+  it('should be used by parseReceiptData when blocks have geometry', () => {
+    const visionService = new VisionService();
+    const textResult = {
+      fullText: 'MERCADONA\nLECHE ENTERA\nPAN BARRA\nTOTAL\n1,78\n0,95\n2,73',
+      blocks: receiptWords()
+    };
+
+    const result = visionService.parseReceiptData(textResult);
+
+    expect(result.layout).toBe('blocks');
+    expect(result.total).toBe(2.73);
+    expect(result.items).toEqual([
+      expect.objectContaining({ name: 'LECHE ENTERA', lineTotal: 1.78 }),
+      expect.objectContaining({ name: 'PAN BARRA', lineTotal: 0.95 })
+    ]);
+
+    const textOnly = visionService.parseReceiptData(textResult, { layout: 'text' });
+    expect(textOnly.layout).toBe('text');
+  });
+});
@@ -0,0 +1,76 @@
+const { parseLineItems } = require('../../../services/parsers/lineItems');
+
+describe('parseLineItems', () => {
+  it('should parse simple name and price lines', () => {
+    const items = parseLineItems(['Pan integral 2.50€', 'Producto 1: 3,80 €']);
+
+    expect(items).toEqual([
+      { name: 'Pan integral', quantity: 1, unit: 'unit', unitPrice: 2.5, lineTotal: 2.5, price: 2.5 },
+      { name: 'Producto 1', quantity: 1, unit: 'unit', unitPrice: 3.8, lineTotal: 3.8, price: 3.8 }
+    ]);
+  });
+
+  it('should attach a quantity-multiplier line to the name above it', () => {
+    const items = parseLineItems(['COCA COLA 33CL', '2 x 1,35  2,70']);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ name: 'COCA COLA 33CL', quantity: 2, unitPrice: 1.35, lineTotal: 2.70 });
+  });
+
+  it('should refine the previous item instead of duplicating it', () => {
+    const items = parseLineItems(['COCA COLA 2,70', '2 x 1,35']);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ name: 'COCA COLA', quantity: 2, unitPrice: 1.35, lineTotal: 2.70 });
+  });
+
+  it('should parse quantity-prefixed lines with unit price', () => {
+    const items = parseLineItems(['2 LECHE ENTERA 0,89 1,78', '1 PAN BARRA 0,95', '6 HUEVOS 2,10']);
+
+    expect(items).toEqual([
+      expect.objectContaining({ name: 'LECHE ENTERA', quantity: 2, unitPrice: 0.89, lineTotal: 1.78 }),
+      expect.objectContaining({ name: 'PAN BARRA', quantity: 1, unitPrice: 0.95, lineTotal: 0.95 }),
+      expect.objectContaining({ name: '6 HUEVOS', quantity: 1, lineTotal: 2.10 })
+    ]);
+  });
+
+  it('should parse weighed items', () => {
+    const items = parseLineItems([
+      'PLATANO CANARIAS',
+      '0,456 kg x 3,99 €/kg  1,82',
+      'TOMATE RAMA 850 g 2,40 €/kg 2,04'
+    ]);
+
+    expect(items).toEqual([
+      expect.objectContaining({ name: 'PLATANO CANARIAS', quantity: 0.456, unit: 'kg', unitPrice: 3.99, lineTotal: 1.82 }),
+      expect.objectContaining({ name: 'TOMATE RAMA', quantity: 0.85, unit: 'kg', unitPrice: 2.40, lineTotal: 2.04 })
+    ]);
+  });
+
+  it('should apply discount lines to the previous item', () => {
+    const items = parseLineItems(['ACEITE OLIVA 8,95', 'DTO 10% -0,90', 'DESCUENTO 1,00-']);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ name: 'ACEITE OLIVA', lineTotal: 7.05, price: 7.05, discount: 1.90 });
+  });
+
+  it('should join an item name with a price wrapped onto the next line', () => {
+    const items = parseLineItems(['CHOCOLATE NEGRO 70% CACAO', '1,99']);
+
+    expect(items).toEqual([
+      expect.objectContaining({ name: 'CHOCOLATE NEGRO 70% CACAO', quantity: 1, lineTotal: 1.99 })
+    ]);
+  });
+
+  it('should skip lines rejected by skipLine and not reuse their text as names', () => {
+    const items = parseLineItems(['TOTAL COMPRA', '4,30', 'Leche 1,80'], {
+      skipLine: line => /total/i.test(line)
+    });
+
+    expect(items).toEqual([expect.objectContaining({ name: 'Leche', lineTotal: 1.80 })]);
+  });
+
+  it('should ignore lines with amounts but no item name', () => {
+    expect(parseLineItems(['12,50', '15/01/2024 10:32', '0,456 kg x 3,99 €/kg'])).toEqual([]);
+  });
+});
@@ -0,0 +1,38 @@
+const { resolveLocale, isSupportedLocale, monthNumber } = require('../../../services/parsers/locale');
+
+describe('resolveLocale', () => {
+  it('should prefer the locale over the language in preferences', () => {
+    expect(resolveLocale({ language: 'es', locale: 'en-US' })).toBe('en-US');
+    expect(resolveLocale({ language: 'de' })).toBe('de-DE');
+    expect(resolveLocale({})).toBe('es-ES');
+  });
+
+  it('should normalise locale strings', () => {
+    expect(resolveLocale('pt_PT')).toBe('pt-PT');
+    expect(resolveLocale('EN-us')).toBe('en-US');
+    expect(resolveLocale('en-AU')).toBe('en-GB');
+    expect(resolveLocale('fr')).toBe('es-ES');
+  });
+
+  it('should only support known languages and locales', () => {
+    expect(isSupportedLocale('en')).toBe(true);
+    expect(isSupportedLocale('de_DE')).toBe(true);
+    expect(isSupportedLocale('fr-FR')).toBe(false);
+    expect(isSupportedLocale(null)).toBe(false);
+  });
+});
+
+describe('monthNumber', () => {
+  it('should read abbreviations and full names', () => {
+    expect(monthNumber('ENE')).toBe(1);
+    expect(monthNumber('Sept.')).toBe(9);
+    expect(monthNumber('März')).toBe(3);
+    expect(monthNumber('dezembro')).toBe(12);
+    expect(monthNumber('outubro')).toBe(10);
+  });
+
+  it('should reject words that only start like a month', () => {
+    expect(monthNumber('MAYONESA')).toBeNull();
+    expect(monthNumber('MARCA')).toBeNull();
+  });
+});
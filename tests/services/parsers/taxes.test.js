@@ -0,0 +1,68 @@
+const { parseTaxes, validateTaxes } = require('../../../services/parsers/taxes');
+
+describe('parseTaxes', () => {
+  it('should parse a supermarket IVA summary table', () => {
+    const lines = [
+      'TOTAL (€)  38,97',
+      'IVA  BASE IMPONIBLE (€)  CUOTA (€)',
+      '4%  10,50  0,42',
+      '10%  20,00  2,00',
+      '21%  5,00  1,05'
+    ];
+
+    const { taxes, subtotal } = parseTaxes(lines);
+
+    expect(taxes).toEqual([
+      { rate: 4, base: 10.5, amount: 0.42 },
+      { rate: 10, base: 20, amount: 2 },
+      { rate: 21, base: 5, amount: 1.05 }
+    ]);
+    expect(subtotal).toBe(35.5);
+  });
+
+  it('should parse inline rows with cuota first and a trailing total', () => {
+    const { taxes } = parseTaxes(['IVA 21,00% 1,05 5,00 6,05', 'B.I. 10%: 20,00 CUOTA: 2,00']);
+
+    expect(taxes).toEqual([
+      { rate: 10, base: 20, amount: 2 },
+      { rate: 21, base: 5, amount: 1.05 }
+    ]);
+  });
+
+  it('should pair base and cuota printed on separate lines', () => {
+    const lines = [
+      'Subtotal 100,00 €',
+      'Base imponible 100,00 €',
+      'IVA (21%) 21,00 €',
+      'Total 121,00 €'
+    ];
+
+    const { taxes, subtotal } = parseTaxes(lines);
+
+    expect(taxes).toEqual([{ rate: 21, base: 100, amount: 21 }]);
+    expect(subtotal).toBe(100);
+  });
+
+  it('should return an empty breakdown when no tax summary is printed', () => {
+    expect(parseTaxes(['PAN 1,20', 'TOTAL 1,20'])).toEqual({ taxes: [], subtotal: null });
+  });
+});
+
+describe('validateTaxes', () => {
+  const taxes = [{ rate: 10, base: 20, amount: 2 }, { rate: 21, base: 5, amount: 1.05 }];
+
+  it('should accept totals matching base plus cuota', () => {
+    expect(validateTaxes(taxes, 28.05)).toEqual({
+      baseTotal: 25,
+      taxTotal: 3.05,
+      expectedTotal: 28.05,
+      difference: 0,
+      valid: true
+    });
+  });
+
+  it('should flag totals that do not match', () => {
+    expect(validateTaxes(taxes, 30)).toMatchObject({ difference: 1.95, valid: false });
+    expect(validateTaxes([], 30)).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const {
+  validateTaxId,
+  extractTaxId,
+  extractAddress,
+  normalizeVendorName,
+  buildVendorKey
+} = require('../../../services/parsers/vendor');
+
+describe('vendor parsing', () => {
+  describe('validateTaxId', () => {
+    it('should validate NIF, NIE and CIF control characters', () => {
+      expect(validateTaxId('12345678Z')).toEqual({ taxId: '12345678Z', type: 'NIF', valid: true });
+      expect(validateTaxId('X1234567L')).toEqual({ taxId: 'X1234567L', type: 'NIE', valid: true });
+      expect(validateTaxId('A-46.103.834')).toEqual({ taxId: 'A46103834', type: 'CIF', valid: true });
+      expect(validateTaxId('Q2826000H')).toMatchObject({ type: 'CIF', valid: true });
+    });
+
+    it('should reject wrong control characters', () => {
+      expect(validateTaxId('12345678A').valid).toBe(false);
+      expect(validateTaxId('A46103835').valid).toBe(false);
+      // Organisation types P/Q/S require a control letter
+      expect(validateTaxId('Q28260008').valid).toBe(false);
+    });
+
+    it('should strip the ES VAT prefix', () => {
+      expect(validateTaxId('ESA46103834')).toMatchObject({ taxId: 'A46103834', valid: true });
+    });
+  });
+
+  describe('extractTaxId', () => {
+    it('should prefer labelled tax IDs with a valid checksum', () => {
+      const lines = [
+        'MERCADONA S.A.',
+        'REF A46103835',
+        'C.I.F. A-46103834',
+        'CLIENTE NIF 12345678Z'
+      ];
+
+      expect(extractTaxId(lines)).toEqual({ taxId: 'A46103834', type: 'CIF', valid: true, line: 2 });
+    });
+
+    it('should return null when no valid tax ID is printed', () => {
+      expect(extractTaxId(['TICKET 12345678', 'NIF 12345678A'])).toBeNull();
+    });
+  });
+
+  describe('extractAddress', () => {
+    it('should extract street, postcode and city', () => {
+      const lines = ['ESTAMOS AQUI PARA TI', 'MERCADONA S.A.', 'C/ EJEMPLO 123', '28001 MADRID', 'TEL 915555555'];
+
+      expect(extractAddress(lines)).toEqual({ street: 'C/ EJEMPLO 123', postcode: '28001', city: 'MADRID' });
+    });
+
+    it('should ignore amounts and dates that look like postcodes', () => {
+      expect(extractAddress(['TOTAL 12345,00', '15/01/2024 28001'])).toBeNull();
+    });
+  });
+
+  describe('vendor keys', () => {
+    it('should normalise vendor names', () => {
+      expect(normalizeVendorName('Panadería García, S.L.')).toBe('panaderia garcia');
+    });
+
+    it('should key by tax ID when available and by name otherwise', () => {
+      expect(buildVendorKey('MERCAD0NA', 'a-46103834')).toBe('taxid:A46103834');
+      expect(buildVendorKey('Mercadona S.A.')).toBe('name:mercadona');
+      expect(buildVendorKey('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const FirestoreService = require('../../services/firestore');
+const VisionService = require('../../services/vision');
+const CategoryService = require('../../services/categories');
+const LearningService = require('../../services/learning');
+const RulesService = require('../../services/rules');
+const { LocalRatesProvider, ExchangeRateService } = require('../../services/exchangeRates');
+const { ReceiptProcessor, isRetryableProcessingError } = require('../../services/processing');
+const { DuplicateService } = require('../../services/duplicates');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('ReceiptProcessor', () => {
+  const userId = 'test-user-123';
+  const file = {
+    originalname: 'ticket.jpg',
+    mimetype: 'image/jpeg',
+    size: 4,
+    buffer: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0])
+  };
+  let firestoreService;
+  let visionService;
+  let processor;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      users: { [userId]: { totalSpent: 0, totalReceipts: 0 } }
+    });
+
+    visionService = new VisionService();
+    visionService.initializeBucket = jest.fn().mockResolvedValue();
+    visionService.saveReceiptImage = jest.fn().mockResolvedValue({
+      fileName: 'receipts/1-ticket.jpg',
+      url: 'https://example.com/ticket.jpg'
+    });
+    visionService.deleteReceiptImage = jest.fn().mockResolvedValue();
+    visionService.extractDocumentText = jest.fn().mockResolvedValue({
+      fullText: 'MERCADONA S.A.\n15/01/2024\nLECHE 1,20\nTOTAL 1,20',
+      blocks: [],
+      confidence: 0.98
+    });
+
+    processor = new ReceiptProcessor({
+      visionService,
+      firestoreService,
+      categoryService: new CategoryService(firestoreService),
+      learningService: new LearningService(firestoreService),
+      rulesService: new RulesService(firestoreService),
+      exchangeRateService: new ExchangeRateService(new LocalRatesProvider({ base: 'EUR', rates: [] })),
+      duplicateService: new DuplicateService(firestoreService, visionService),
+      getUserSettings: async () => ({ baseCurrency: 'EUR', locale: 'es-ES' })
+    });
+  });
+
+  it('should move a pending receipt to processed and notify listeners once', async () => {
+    const changes = [];
+    firestoreService.onReceiptChange(change => changes.push(change));
+    const pending = await firestoreService.createPendingReceipt({ filename: 'ticket.jpg' }, userId);
+
+    expect(pending.status).toBe('pending');
+    expect(changes).toHaveLength(0);
+
+    const receipt = await processor.process({ receiptId: pending.id, userId, file }, { id: 'job-1' });
+
+    expect(receipt).toMatchObject({
+      status: 'processed',
+      jobId: 'job-1',
+      vendor: 'MERCADONA S.A.',
+      total: 1.2,
+      imagePath: 'receipts/1-ticket.jpg',
+      mimeType: 'image/jpeg'
+    });
+    expect(changes.map(change => change.type)).toEqual(['saved']);
+    expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalReceipts: 1, totalSpent: 1.2 });
+  });
+
+  it('should store the image only once across retries', async () => {
+    const pending = await firestoreService.createPendingReceipt({ filename: 'ticket.jpg' }, userId);
+    visionService.extractDocumentText.mockRejectedValueOnce(new Error('Failed to extract text from image'));
+
+    await expect(processor.process({ receiptId: pending.id, userId, file })).rejects.toThrow('extract text');
+    expect(firestoreService.db.dump('receipts')[pending.id]).toMatchObject({
+      status: 'processing',
+      imagePath: 'receipts/1-ticket.jpg'
+    });
+
+    await processor.process({ receiptId: pending.id, userId, file });
+
+    expect(visionService.saveReceiptImage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mark failed receipts and delete their orphan image', async () => {
+    const pending = await firestoreService.createPendingReceipt({ filename: 'ticket.jpg' }, userId);
+    visionService.extractDocumentText.mockRejectedValue(new Error('Failed to extract text from image'));
+    await processor.process({ receiptId: pending.id, userId, file }).catch(() => {});
+
+    const failed = await processor.fail({ receiptId: pending.id, userId }, new Error('Failed to extract text from image'));
+
+    expect(visionService.deleteReceiptImage).toHaveBeenCalledWith('receipts/1-ticket.jpg');
+    expect(failed).toMatchObject({
+      status: 'failed',
+      imagePath: null,
+      processingError: { code: 'OCR_ERROR', message: 'Failed to extract text from image' }
+    });
+
+    // Failed uploads were never counted, so deleting them leaves statistics alone
+    await firestoreService.deleteReceipt(pending.id, userId);
+    expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalSpent: 0, totalReceipts: 0 });
+  });
+
+  it('should flag a second upload of the same receipt and leave it out of statistics', async () => {
+    const first = await firestoreService.createPendingReceipt({ filename: 'ticket.jpg' }, userId);
+    await processor.process({ receiptId: first.id, userId, file });
+
+    const second = await firestoreService.createPendingReceipt({ filename: 'ticket.jpg' }, userId);
+    const copy = await processor.process({ receiptId: second.id, userId, file });
+
+    expect(copy.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(copy.possibleDuplicateOf).toEqual({ receiptId: first.id, score: 1, reasons: ['same_file'] });
+    expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalReceipts: 1, totalSpent: 1.2 });
+
+    // Discarding the copy leaves the statistics as they were
+    await firestoreService.deleteReceipt(second.id, userId);
+    expect(firestoreService.db.dump('users')[userId]).toMatchObject({ totalReceipts: 1, totalSpent: 1.2 });
+  });
+
+  it('should not retry unreadable files or receipts deleted meanwhile', () => {
+    expect(isRetryableProcessingError(new Error('Invalid document: unsupported file type'))).toBe(false);
+    expect(isRetryableProcessingError(new Error('Receipt not found'))).toBe(false);
+    expect(isRetryableProcessingError(new Error('Failed to extract text from image'))).toBe(true);
+  });
+});
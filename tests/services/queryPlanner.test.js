@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { planReceiptsQuery, requiredIndexes, indexesFile, indexKey } = require('../../services/queryPlanner');
+
+describe('Receipt query planner', () => {
+  const filters = {
+    category: 'Alimentación',
+    vendorKey: 'name:mercadona',
+    tag: 'casa',
+    startDate: '2024-01-01',
+    endDate: '2024-01-31',
+    minAmount: 10,
+    maxAmount: 100
+  };
+
+  it('should only apply range filters on the sort field', () => {
+    const plan = planReceiptsQuery({ startDate: '2024-01-01', minAmount: 10 }, [], 'date', 'desc');
+
+    expect(plan.where).toEqual([['date', '>=', '2024-01-01']]);
+    expect(plan.residual).toEqual([['total', '>=', 10]]);
+    expect(planReceiptsQuery({ startDate: '2024-01-01', minAmount: 10 }).residual).toHaveLength(2);
+  });
+
+  it('should apply equality filters unless an array-contains filter is used', () => {
+    expect(planReceiptsQuery({ category: 'Ocio', vendorKey: 'name:cine' }).where)
+      .toEqual([['category', '==', 'Ocio'], ['vendorKey', '==', 'name:cine']]);
+
+    const plan = planReceiptsQuery(filters, ['mercadona', 'leche'], 'total', 'asc');
+    expect(plan.where).toEqual([
+      ['searchTerms', 'array-contains', 'mercadona'],
+      ['total', '>=', 10],
+      ['total', '<=', 100]
+    ]);
+    expect(plan.residual).toEqual([
+      ['tags', 'array-contains', 'casa'],
+      ['category', '==', 'Alimentación'],
+      ['vendorKey', '==', 'name:mercadona'],
+      ['date', '>=', '2024-01-01'],
+      ['date', '<=', '2024-01-31']
+    ]);
+    expect(plan.checkedTerms).toEqual(['leche']);
+    expect(plan.index.fields).toEqual([['userId', 'ASCENDING'], ['searchTerms', 'CONTAINS'], ['total', 'ASCENDING']]);
+  });
+
+  it('should declare an index for every plan, in both directions', () => {
+    const declared = new Set(requiredIndexes().map(indexKey));
+    const filterSets = [{}, filters, { tag: 'casa', endDate: '2024-01-31' }, { category: 'Ocio', maxAmount: 5 }];
+
+    for (const sort of ['createdAt', 'date', 'total', 'vendor']) {
+      for (const order of ['asc', 'desc']) {
+        for (const filterSet of filterSets) {
+          for (const terms of [[], ['leche']]) {
+            expect(declared).toContain(indexKey(planReceiptsQuery(filterSet, terms, sort, order).index));
+          }
+        }
+      }
+    }
+  });
+
+  it('should keep firestore.indexes.json in step with the planner', () => {
+    const file = JSON.parse(fs.readFileSync(path.join(__dirname, '../../firestore.indexes.json'), 'utf8'));
+
+    expect(file).toEqual(indexesFile());
+  });
+});
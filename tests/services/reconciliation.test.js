@@ -0,0 +1,182 @@
+const FirestoreService = require('../../services/firestore');
+const { ReconciliationService, scoreMatch, vendorSimilarity } = require('../../services/reconciliation');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('ReconciliationService', () => {
+  const userId = 'test-user-123';
+  const receipt = { userId, status: 'processed', currency: 'EUR', createdAt: new Date('2024-01-20T10:00:00Z') };
+  const statement = {
+    originalname: 'movimientos.csv',
+    buffer: Buffer.from([
+      'Fecha operación;Fecha valor;Concepto;Importe;Saldo',
+      '10/01/2024;10/01/2024;PAGO MOVIL BAR 123;-3,50;996,50',
+      '15/01/2024;16/01/2024;COMPRA TARJ. 5540XXXXXXXX1234 MERCADONA VALENCIA;-23,45;973,05',
+      '18/01/2024;19/01/2024;AMAZON.COM LUXEMBOURG;-18,70;954,35',
+      '20/01/2024;20/01/2024;GASOLINERA REPSOL;-40,00;914,35',
+      '31/01/2024;31/01/2024;NOMINA ENERO;1.500,00;2.414,35'
+    ].join('\n'), 'latin1')
+  };
+  let firestoreService;
+  let reconciliationService;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      receipts: {
+        mercadona: { ...receipt, vendor: 'MERCADONA S.A.', date: '2024-01-13', total: 23.45 },
+        cafe: { ...receipt, vendor: 'Cafetería Sol', date: '2024-01-10', total: 3.5 },
+        amazon: { ...receipt, vendor: 'Amazon', date: '2024-01-18', total: 20, currency: 'USD', baseTotal: 18.5, baseCurrency: 'EUR' },
+        forgotten: { ...receipt, vendor: 'Farmacia López', date: '2024-01-12', total: 8.2 },
+        late: { ...receipt, vendor: 'Panadería', date: '2024-01-29', total: 2.1 },
+        pending: { userId, status: 'pending', createdAt: new Date('2024-01-20T10:00:00Z') },
+        foreign: { ...receipt, userId: 'other-user', vendor: 'Farmacia', date: '2024-01-20', total: 40 }
+      }
+    });
+    reconciliationService = new ReconciliationService(firestoreService);
+    firestoreService.onReceiptChange(change => reconciliationService.handleReceiptChange(change));
+  });
+
+  async function transactionsByWord() {
+    const transactions = await reconciliationService.getTransactions(userId);
+    return Object.fromEntries(transactions.map(transaction => [transaction.description.split(/\W/)[0], transaction]));
+  }
+
+  describe('scoreMatch', () => {
+    it('should compare vendors with the merchant words of bank descriptions', () => {
+      expect(vendorSimilarity('MERCADONA S.A.', 'COMPRA TARJ. 5540XXXXXXXX1234 MERCADONA VALENCIA')).toBe(1);
+      expect(vendorSimilarity('El Corte Inglés', 'CORTE INGLES MADRID')).toBe(1);
+      expect(vendorSimilarity('Farmacia López', 'GASOLINERA REPSOL')).toBeLessThan(0.5);
+    });
+
+    it('should score amount, date and vendor, ruling out other amounts and distant dates', () => {
+      const charge = { date: '2024-01-15', amount: -23.45, currency: 'EUR', description: 'MERCADONA VALENCIA' };
+      const mercadona = { vendor: 'Mercadona', date: '2024-01-15', total: 23.45, currency: 'EUR' };
+
+      expect(scoreMatch(charge, mercadona)).toEqual({ score: 1, reasons: ['same_amount', 'same_day', 'similar_vendor'] });
+      expect(scoreMatch(charge, { ...mercadona, vendor: 'Otro' })).toEqual({ score: 0.7, reasons: ['same_amount', 'same_day'] });
+      expect(scoreMatch(charge, { ...mercadona, total: 23.5 })).toBeNull();
+      expect(scoreMatch(charge, { ...mercadona, date: '2024-01-10' })).toBeNull();
+      expect(scoreMatch(charge, { ...mercadona, date: '2024-01-17' })).toBeNull();
+    });
+  });
+
+  describe('importStatement', () => {
+    it('should match, suggest and list charges without receipt', async () => {
+      const result = await reconciliationService.importStatement(userId, statement, { baseCurrency: 'EUR' });
+
+      expect(result.statement).toMatchObject({ format: 'csv', fileName: 'movimientos.csv', periodStart: '2024-01-10', periodEnd: '2024-01-31' });
+      expect(result.summary).toEqual({
+        transactions: 5, alreadyImported: 0, matched: 2, suggested: 1, missingReceipts: 1, credits: 1, unmatchedReceipts: 1
+      });
+
+      const transactions = await transactionsByWord();
+      expect(transactions.COMPRA).toMatchObject({ status: 'matched', receiptId: 'mercadona', matchedBy: 'auto', currency: 'EUR' });
+      expect(transactions.AMAZON).toMatchObject({ status: 'matched', receiptId: 'amazon', matchReasons: ['converted_amount', 'same_day', 'similar_vendor'] });
+      expect(transactions.PAGO).toMatchObject({ status: 'suggested', receiptId: 'cafe', matchScore: 0.7 });
+      expect(transactions.GASOLINERA).toMatchObject({ status: 'missing_receipt', receiptId: null });
+      expect(transactions.NOMINA).toMatchObject({ status: 'credit', receiptId: null });
+
+      const mercadona = await firestoreService.getReceipt('mercadona', userId);
+      expect(mercadona).toMatchObject({ bankTransactionId: transactions.COMPRA.id, reconciliationStatus: 'matched' });
+
+      // Receipts dated in the last days of the period may be charged in the next statement
+      const unmatched = await reconciliationService.getUnmatchedReceipts(userId);
+      expect(unmatched.map(item => item.id)).toEqual(['forgotten']);
+    });
+
+    it('should add nothing when the same transactions are imported again', async () => {
+      const first = await reconciliationService.importStatement(userId, statement, { baseCurrency: 'EUR' });
+      const second = await reconciliationService.importStatement(userId, statement, { baseCurrency: 'EUR' });
+
+      expect(second.summary).toMatchObject({ transactions: 5, alreadyImported: 5, matched: 0, suggested: 0, unmatchedReceipts: 1 });
+      expect(await reconciliationService.getTransactions(userId)).toHaveLength(5);
+      expect((await reconciliationService.getStatements(userId)).map(item => item.id))
+        .toEqual(expect.arrayContaining([first.statement.id, second.statement.id]));
+    });
+
+    it('should leave no charge matched to an unlinked receipt when linking fails', async () => {
+      const { batch } = firestoreService.db;
+      firestoreService.db.batch = () => ({ ...batch(), commit: () => Promise.reject(new Error('unavailable')) });
+      const updateReceipt = jest.spyOn(firestoreService, 'updateReceipt');
+
+      await expect(reconciliationService.importStatement(userId, statement, { baseCurrency: 'EUR' }))
+        .rejects.toThrow('Failed to import statement');
+      expect(await reconciliationService.getTransactions(userId)).toHaveLength(0);
+      expect(await reconciliationService.getStatements(userId)).toHaveLength(0);
+      expect((await firestoreService.getReceipt('mercadona', userId)).bankTransactionId).toBeUndefined();
+
+      // The next import matches the charge and links its receipt
+      firestoreService.db.batch = batch;
+      const result = await reconciliationService.importStatement(userId, statement, { baseCurrency: 'EUR' });
+      expect(result.summary).toMatchObject({ alreadyImported: 0, matched: 2 });
+
+      const transactions = await transactionsByWord();
+      expect(await firestoreService.getReceipt('mercadona', userId))
+        .toMatchObject({ bankTransactionId: transactions.COMPRA.id, reconciliationStatus: 'matched' });
+      expect(updateReceipt).not.toHaveBeenCalled();
+    });
+
+    it('should reject files that are not statements', async () => {
+      await expect(reconciliationService.importStatement(userId, { buffer: Buffer.from('hola') }))
+        .rejects.toThrow('Invalid statement');
+    });
+  });
+
+  describe('confirming and rejecting matches', () => {
+    beforeEach(async () => {
+      await reconciliationService.importStatement(userId, statement, { baseCurrency: 'EUR' });
+    });
+
+    it('should confirm a suggested receipt', async () => {
+      const { PAGO } = await transactionsByWord();
+
+      const result = await reconciliationService.confirmMatch(userId, PAGO.id);
+
+      expect(result.transaction).toMatchObject({ status: 'matched', receiptId: 'cafe', matchedBy: 'user' });
+      expect(result.receipt).toMatchObject({ id: 'cafe', bankTransactionId: PAGO.id, reconciliationStatus: 'matched' });
+    });
+
+    it('should match a charge to a receipt given by the user', async () => {
+      const { GASOLINERA } = await transactionsByWord();
+
+      await reconciliationService.confirmMatch(userId, GASOLINERA.id, 'forgotten');
+
+      expect((await transactionsByWord()).GASOLINERA).toMatchObject({ status: 'matched', receiptId: 'forgotten' });
+      expect(await reconciliationService.getUnmatchedReceipts(userId)).toEqual([]);
+    });
+
+    it('should reject a match, freeing the receipt', async () => {
+      const { COMPRA } = await transactionsByWord();
+
+      const { transaction } = await reconciliationService.rejectMatch(userId, COMPRA.id);
+
+      expect(transaction).toMatchObject({ status: 'missing_receipt', receiptId: null, rejectedReceiptIds: ['mercadona'] });
+      expect(await firestoreService.getReceipt('mercadona', userId))
+        .toMatchObject({ bankTransactionId: null, reconciliationStatus: 'unmatched' });
+    });
+
+    it('should refuse invalid matches', async () => {
+      const { COMPRA, NOMINA, GASOLINERA } = await transactionsByWord();
+
+      await expect(reconciliationService.confirmMatch(userId, NOMINA.id, 'forgotten')).rejects.toThrow('Invalid match: credits have no receipt');
+      await expect(reconciliationService.confirmMatch(userId, GASOLINERA.id)).rejects.toThrow('Invalid match: give the receipt of the transaction');
+      await expect(reconciliationService.confirmMatch(userId, GASOLINERA.id, 'mercadona')).rejects.toThrow('Invalid match: the receipt is matched to another transaction');
+      await expect(reconciliationService.rejectMatch(userId, GASOLINERA.id)).rejects.toThrow('Invalid match: the transaction has no match to reject');
+      await expect(reconciliationService.confirmMatch('other-user', COMPRA.id)).rejects.toThrow('Access denied');
+      await expect(reconciliationService.rejectMatch(userId, 'missing')).rejects.toThrow('Transaction not found');
+    });
+
+    it('should list the charge of a deleted receipt as missing its receipt', async () => {
+      await firestoreService.deleteReceipt('mercadona', userId);
+
+      expect((await transactionsByWord()).COMPRA).toMatchObject({ status: 'missing_receipt', receiptId: null });
+      expect((await reconciliationService.getTransactions(userId, { status: 'missing_receipt' })).map(item => item.description))
+        .toEqual(['GASOLINERA REPSOL', 'COMPRA TARJ. 5540XXXXXXXX1234 MERCADONA VALENCIA']);
+    });
+
+    it('should refuse unknown transaction statuses', async () => {
+      await expect(reconciliationService.getTransactions(userId, { status: 'pending' }))
+        .rejects.toThrow('Invalid transaction status: use matched, suggested, missing_receipt, credit');
+    });
+  });
+});
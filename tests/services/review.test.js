@@ -0,0 +1,151 @@
+const FirestoreService = require('../../services/firestore');
+const ReviewService = require('../../services/review');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('ReviewService', () => {
+  const userId = 'test-user-123';
+  let firestoreService;
+  let reviewService;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      receipts: {
+        clean: {
+          userId, verified: false, total: 4.3, confidence: 0.9, createdAt: new Date('2024-01-03'),
+          items: [{ name: 'Pan', lineTotal: 2.5 }, { name: 'Leche', lineTotal: 1.8 }]
+        },
+        messy: {
+          userId, verified: false, total: 0, confidence: 0.3, status: 'needs_review', createdAt: new Date('2024-01-02'),
+          fieldConfidence: { date: { score: 0.1, source: 'fallback' } }
+        },
+        mismatch: {
+          userId, verified: false, total: 10, confidence: 0.85, vendor: 'DIA', category: 'Otros', createdAt: new Date('2024-01-01'),
+          items: [{ name: 'Agua', price: 2 }]
+        },
+        done: { userId, verified: true, total: 5, createdAt: new Date('2024-01-04') },
+        uploading: { userId, verified: false, status: 'processing', createdAt: new Date('2024-01-06') },
+        unreadable: { userId, verified: false, status: 'failed', createdAt: new Date('2024-01-07') },
+        foreign: { userId: 'other-user', verified: false, total: 1, createdAt: new Date('2024-01-05') }
+      }
+    });
+    reviewService = new ReviewService(firestoreService, { confidenceThreshold: 0.8 });
+  });
+
+  describe('getReviewReasons', () => {
+    it('should explain why a receipt needs review', () => {
+      expect(reviewService.getReviewReasons({
+        verified: false,
+        total: 0,
+        confidence: 0.3,
+        fieldConfidence: { date: { source: 'fallback' } }
+      })).toEqual(['unverified', 'low_confidence', 'fallback_date', 'zero_total']);
+
+      expect(reviewService.getReviewReasons({
+        verified: true,
+        total: 10,
+        items: [{ lineTotal: 4 }]
+      })).toEqual(['items_mismatch']);
+    });
+  });
+
+  describe('getReviewQueue', () => {
+    it('should list unverified receipts with the most problematic first', async () => {
+      const result = await reviewService.getReviewQueue(userId);
+
+      expect(result.receipts.map(receipt => receipt.id)).toEqual(['messy', 'mismatch', 'clean']);
+      expect(result.receipts[0].reviewReasons).toEqual(['unverified', 'low_confidence', 'fallback_date', 'zero_total']);
+      expect(result.total).toBe(3);
+      expect(result.counts).toEqual({
+        unverified: 3,
+        low_confidence: 1,
+        fallback_date: 1,
+        zero_total: 1,
+        items_mismatch: 1
+      });
+    });
+
+    it('should filter by reason', async () => {
+      const result = await reviewService.getReviewQueue(userId, { reason: 'items_mismatch' });
+
+      expect(result.receipts.map(receipt => receipt.id)).toEqual(['mismatch']);
+    });
+
+    it('should say when older unverified receipts were left out of the scan', async () => {
+      expect((await reviewService.getReviewQueue(userId)).truncated).toBe(false);
+
+      for (let index = 0; index < 500; index++) {
+        firestoreService.db.store.receipts.set(`bulk${index}`, {
+          userId, verified: false, total: 1, confidence: 0.9, createdAt: new Date(Date.UTC(2024, 1, 1, 0, index))
+        });
+      }
+
+      const result = await reviewService.getReviewQueue(userId);
+      expect(result.truncated).toBe(true);
+      expect(result.total).toBe(500);
+      expect(result.receipts.map(receipt => receipt.id)).not.toContain('clean');
+    });
+  });
+
+  describe('confirmReceipts', () => {
+    it('should verify receipts and record corrected fields', async () => {
+      const results = await reviewService.confirmReceipts(userId, [
+        { id: 'mismatch', corrections: { total: '2', vendor: 'DIA', category: 'Alimentación' } },
+        { id: 'messy' },
+        { id: 'foreign' },
+        { id: 'missing' }
+      ]);
+
+      expect(results).toEqual([
+        { id: 'mismatch', success: true, correctedFields: ['total', 'category'] },
+        { id: 'messy', success: true, correctedFields: [] },
+        { id: 'foreign', success: false, code: 'ACCESS_DENIED' },
+        { id: 'missing', success: false, code: 'NOT_FOUND' }
+      ]);
+
+      const stored = firestoreService.db.dump('receipts');
+      expect(stored.mismatch).toMatchObject({
+        verified: true,
+        status: 'processed',
+        total: 2,
+        category: 'Alimentación',
+        correctedFields: ['total', 'category'],
+        corrections: {
+          total: { from: 10, to: 2 },
+          category: { from: 'Otros', to: 'Alimentación' }
+        }
+      });
+      expect(stored.messy).toMatchObject({ verified: true, status: 'processed' });
+
+      const queue = await reviewService.getReviewQueue(userId);
+      expect(queue.receipts.map(receipt => receipt.id)).toEqual(['clean']);
+    });
+
+    it('should reject invalid corrections before confirming anything', async () => {
+      const confirm = corrections => reviewService.confirmReceipts(userId, [{ id: 'clean' }, { id: 'mismatch', corrections }]);
+
+      await expect(confirm({ total: 'abc' })).rejects.toThrow('Invalid corrections: total must be a non-negative number');
+      await expect(confirm({ total: -3 })).rejects.toThrow('Invalid corrections: total');
+      await expect(confirm({ total: '' })).rejects.toThrow('Invalid corrections: total');
+      await expect(confirm({ date: '2024-02-30' })).rejects.toThrow('Invalid corrections: date must be an ISO date (YYYY-MM-DD)');
+      await expect(confirm({ date: '01/02/2024' })).rejects.toThrow('Invalid corrections: date');
+      await expect(confirm({ vendor: '' })).rejects.toThrow('Invalid corrections: vendor must be a non-empty string');
+      await expect(confirm({ items: 'Pan' })).rejects.toThrow('Invalid corrections: items must be an array');
+
+      expect(firestoreService.db.dump('receipts').clean).toMatchObject({ verified: false });
+    });
+
+    it('should refuse receipts that are still processing or failed', async () => {
+      const results = await reviewService.confirmReceipts(userId, [{ id: 'uploading' }, { id: 'unreadable' }]);
+
+      expect(results).toEqual([
+        { id: 'uploading', success: false, code: 'INVALID_STATUS' },
+        { id: 'unreadable', success: false, code: 'INVALID_STATUS' }
+      ]);
+
+      // The upload can still finish processing
+      await expect(firestoreService.setReceiptProcessing('uploading', userId)).resolves.toBeDefined();
+      expect(firestoreService.db.dump('receipts').unreadable).toMatchObject({ verified: false, status: 'failed' });
+    });
+  });
+});
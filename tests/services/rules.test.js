@@ -0,0 +1,193 @@
+const FirestoreService = require('../../services/firestore');
+const RulesService = require('../../services/rules');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('RulesService', () => {
+  const userId = 'test-user-123';
+  let firestoreService;
+  let rulesService;
+
+  beforeEach(() => {
+    firestoreService = new FirestoreService();
+    firestoreService.db = createMemoryFirestore({
+      receipts: {
+        eci: {
+          userId, vendor: 'El Corte Inglés', category: 'Alimentación', total: 120, date: '2024-01-13',
+          items: [{ name: 'CAMISA' }], createdAt: new Date('2024-01-13')
+        },
+        carrefour: {
+          userId, vendor: 'CARREFOUR', category: 'Alimentación', total: 45, date: '2024-01-15',
+          items: [{ name: 'BOMBILLA LED' }], createdAt: new Date('2024-01-15')
+        },
+        bar: {
+          userId, vendor: 'Bar Pepe', category: 'Restaurantes', total: 8, date: '2024-01-14',
+          createdAt: new Date('2024-01-14')
+        },
+        foreign: {
+          userId: 'other-user', vendor: 'El Corte Inglés', category: 'Alimentación', total: 60, date: '2024-01-13',
+          createdAt: new Date('2024-01-13')
+        }
+      }
+    });
+    rulesService = new RulesService(firestoreService);
+  });
+
+  describe('matchesRule', () => {
+    const receipt = { vendor: 'El Corte Inglés', total: 120, date: '2024-01-13', items: [{ name: 'Camisa' }] };
+
+    it('should require every condition to hold', () => {
+      expect(rulesService.matchesRule({ conditions: { vendorContains: 'corte ingles' } }, receipt)).toBe(true);
+      expect(rulesService.matchesRule({ conditions: { vendorRegex: '^el corte', minAmount: 100 } }, receipt)).toBe(true);
+      expect(rulesService.matchesRule({ conditions: { vendorContains: 'corte', maxAmount: 100 } }, receipt)).toBe(false);
+      expect(rulesService.matchesRule({ conditions: { itemKeyword: 'camisa' } }, receipt)).toBe(true);
+      expect(rulesService.matchesRule({ conditions: { itemKeyword: 'leche' } }, receipt)).toBe(false);
+    });
+
+    it('should match the weekday of the receipt date', () => {
+      // 2024-01-13 was a Saturday
+      expect(rulesService.matchesRule({ conditions: { weekdays: [6, 0] } }, receipt)).toBe(true);
+      expect(rulesService.matchesRule({ conditions: { weekdays: [1] } }, receipt)).toBe(false);
+    });
+  });
+
+  describe('evaluateRules', () => {
+    it('should take the category of the first matching rule and every matching tag', () => {
+      const rules = [
+        { id: 'r0', conditions: { maxAmount: 10 }, category: 'Caprichos', tags: [] },
+        { id: 'r1', conditions: { vendorContains: 'carrefour' }, category: 'Hogar', tags: ['casa'] },
+        { id: 'r2', conditions: { minAmount: 20 }, category: 'Grandes', tags: ['revisar'] },
+        { id: 'r3', conditions: { vendorContains: 'carrefour' }, category: 'Otros', tags: ['casa'], enabled: false }
+      ];
+
+      expect(rulesService.evaluateRules(rules, { vendor: 'CARREFOUR', total: 45 })).toEqual({
+        category: 'Hogar',
+        ruleId: 'r1',
+        tags: ['casa', 'revisar']
+      });
+    });
+  });
+
+  describe('validateRule', () => {
+    it('should reject rules without conditions or outcome', () => {
+      expect(() => rulesService.validateRule({ conditions: {}, category: 'Hogar' })).toThrow('Invalid rule conditions');
+      expect(() => rulesService.validateRule({ conditions: { vendorContains: 'x' } })).toThrow('category or tags required');
+    });
+
+    it('should reject bad regexes, ranges and weekdays', () => {
+      expect(() => rulesService.validateRule({ conditions: { vendorRegex: '([' }, category: 'Hogar' }))
+        .toThrow('Invalid rule vendorRegex');
+      expect(() => rulesService.validateRule({ conditions: { minAmount: 50, maxAmount: 10 }, category: 'Hogar' }))
+        .toThrow('Invalid rule amount range');
+      expect(() => rulesService.validateRule({ conditions: { weekdays: [7] }, category: 'Hogar' }))
+        .toThrow('Invalid rule weekdays');
+    });
+
+    it('should run patterns that backtrack catastrophically in linear time', () => {
+      const vendor = 'a'.repeat(60);
+      const started = Date.now();
+
+      for (const vendorRegex of ['a*a*a*a*a*a*a*b', '(.*a){12}x', '^(a+)+$b', '(\\w+\\s?)*x', '\\w*\\s*\\w*\\s*\\w*\\s*\\w*\\s*!']) {
+        const rule = { conditions: { vendorRegex }, category: 'Hogar' };
+        expect(() => rulesService.validateRule(rule)).not.toThrow();
+        expect(rulesService.matchesRule(rule, { vendor })).toBe(false);
+        expect(rulesService.matchesRule(rule, { vendor: 'aa aa '.repeat(10) })).toBe(false);
+      }
+
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should match vendors case-insensitively and refuse patterns RE2 cannot run', () => {
+      const rule = { conditions: { vendorRegex: '^(mercadona|dia)\\b' }, category: 'Alimentación' };
+      expect(rulesService.matchesRule(rule, { vendor: 'MERCADONA S.A.' })).toBe(true);
+      expect(rulesService.matchesRule(rule, { vendor: 'Mercadillo' })).toBe(false);
+
+      for (const vendorRegex of ['(a)\\1', 'foo(?=bar)', '[a-']) {
+        expect(() => rulesService.validateRule({ conditions: { vendorRegex }, category: 'Hogar' }))
+          .toThrow('Invalid rule vendorRegex');
+        expect(rulesService.matchesRule({ conditions: { vendorRegex } }, { vendor: 'foobar' })).toBe(false);
+      }
+    });
+  });
+
+  describe('rule storage', () => {
+    it('should append new rules and return them in priority order', async () => {
+      await rulesService.createRule({ conditions: { vendorContains: 'carrefour' }, category: 'Hogar' }, userId);
+      await rulesService.createRule({ conditions: { vendorContains: 'corte' }, category: 'Ropa' }, userId);
+      await rulesService.createRule({ conditions: { maxAmount: 10 }, tags: ['pequeño'], priority: -1 }, userId);
+
+      const rules = await rulesService.getRules(userId);
+      expect(rules.map(rule => rule.priority)).toEqual([-1, 0, 1]);
+      expect(rules[2].category).toBe('Ropa');
+    });
+
+    it('should validate updates against the merged rule', async () => {
+      const rule = await rulesService.createRule({ conditions: { minAmount: 10 }, category: 'Hogar' }, userId);
+
+      await expect(rulesService.updateRule(rule.id, { conditions: { minAmount: 10, maxAmount: 5 } }, userId))
+        .rejects.toThrow('Invalid rule amount range');
+      await expect(rulesService.deleteRule(rule.id, 'other-user')).rejects.toThrow('Access denied');
+    });
+  });
+
+  describe('applyRules', () => {
+    it('should override the keyword category of parsed data', async () => {
+      const rule = await rulesService.createRule({ conditions: { vendorContains: 'corte ingl' }, category: 'Ropa', tags: ['ropa'] }, userId);
+
+      const result = await rulesService.applyRules(userId, {
+        vendor: 'EL CORTE INGLES S.A.',
+        category: 'Alimentación',
+        fieldConfidence: { category: { score: 0.6, source: 'keyword' } }
+      });
+
+      expect(result.category).toBe('Ropa');
+      expect(result.categoryRuleId).toBe(rule.id);
+      expect(result.tags).toEqual(['ropa']);
+      expect(result.fieldConfidence.category).toEqual({ score: 1, source: 'rule' });
+    });
+  });
+
+  describe('dryRun and applyRule', () => {
+    it('should preview changes without writing them', async () => {
+      const result = await rulesService.dryRun({ conditions: { vendorContains: 'corte' }, category: 'Ropa' }, userId);
+
+      expect(result.matched).toBe(1);
+      expect(result.changes).toEqual([{
+        id: 'eci',
+        vendor: 'El Corte Inglés',
+        date: '2024-01-13',
+        total: 120,
+        from: { category: 'Alimentación', tags: [] },
+        to: { category: 'Ropa', tags: [] }
+      }]);
+      expect(firestoreService.db.dump('receipts').eci.category).toBe('Alimentación');
+    });
+
+    it('should cover every receipt of large accounts', async () => {
+      const receipts = {};
+      for (let i = 0; i < 1200; i++) {
+        receipts[`r${String(i).padStart(4, '0')}`] = { userId, vendor: i % 100 === 0 ? 'Ferretería' : 'Bar Pepe', total: 5 };
+      }
+      firestoreService.db = createMemoryFirestore({ receipts });
+      rulesService = new RulesService(firestoreService);
+
+      const result = await rulesService.dryRun({ conditions: { vendorContains: 'ferreteria' }, category: 'Hogar' }, userId);
+
+      expect(result.matched).toBe(12);
+      expect(result.changes.map(change => change.id)).toContain('r1100');
+    });
+
+    it('should reclassify existing receipts retroactively', async () => {
+      const rule = await rulesService.createRule({ conditions: { itemKeyword: 'bombilla' }, category: 'Hogar', tags: ['casa'] }, userId);
+
+      const result = await rulesService.applyRule(rule.id, userId);
+
+      expect(result).toEqual({ updated: 1, receiptIds: ['carrefour'] });
+      expect(firestoreService.db.dump('receipts').carrefour).toMatchObject({
+        category: 'Hogar',
+        categoryRuleId: rule.id,
+        tags: ['casa']
+      });
+      expect(firestoreService.db.dump('receipts').foreign.category).toBe('Alimentación');
+    });
+  });
+});
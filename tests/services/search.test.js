@@ -0,0 +1,51 @@
+const { tokenize, buildSearchTerms, parseSearchQuery, matchesSearch } = require('../../services/search');
+
+describe('Receipt search terms', () => {
+  describe('tokenize', () => {
+    it('should fold case and accents and drop punctuation, short words and short numbers', () => {
+      expect(tokenize('CAFÉ c/leche, 1,20€ Nº 2024-0042 ñandú'))
+        .toEqual(['cafe', 'leche', '2024', '0042', 'nandu']);
+    });
+
+    it('should cut long words', () => {
+      expect(tokenize('Desoxirribonucleico')).toEqual(['desoxirribonucl']);
+    });
+  });
+
+  describe('buildSearchTerms', () => {
+    it('should index every word with its prefixes', () => {
+      const terms = buildSearchTerms({ vendor: 'Día', items: [{ name: 'Pan' }], rawText: 'TOTAL' });
+
+      expect(terms).toEqual(['di', 'dia', 'pa', 'pan', 'to', 'tot', 'tota', 'total']);
+    });
+
+    it('should cap the terms of very long OCR text, keeping vendor and items', () => {
+      const rawText = Array.from({ length: 2000 }, (_, i) => `palabra${i}x`).join(' ');
+      const terms = buildSearchTerms({ vendor: 'Mercadona', items: [{ name: 'Leche' }], rawText });
+
+      expect(terms.length).toBeLessThanOrEqual(1500);
+      expect(terms).toEqual(expect.arrayContaining(['mercadona', 'leche']));
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should return distinct terms, longest first, dropping prefixes of other terms', () => {
+      expect(parseSearchQuery('pan Panadería leche LECHE')).toEqual(['panaderia', 'leche']);
+    });
+
+    it('should reject searches without usable words', () => {
+      expect(() => parseSearchQuery('a 1')).toThrow('Invalid search');
+    });
+  });
+
+  describe('matchesSearch', () => {
+    it('should require every term, reading the fields of receipts without terms', () => {
+      const receipt = { vendor: 'Mercadona', items: [{ name: 'Leche' }] };
+
+      expect(matchesSearch(receipt, ['merca', 'lec'])).toBe(true);
+      expect(matchesSearch(receipt, ['merca', 'pan'])).toBe(false);
+      expect(matchesSearch({ searchTerms: ['pa', 'pan'] }, ['pan'])).toBe(true);
+      expect(matchesSearch(receipt, [])).toBe(true);
+    });
+  });
+});
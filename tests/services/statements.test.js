@@ -0,0 +1,125 @@
+const { parseStatement, detectFormat } = require('../../services/statements');
+const { parseRows, mapColumns } = require('../../services/statements/csv');
+
+// Norma 43 records are fixed-width: text padded right, numbers zero-padded left
+const text = (value, length) => String(value).padEnd(length).slice(0, length);
+const digits = (value, length) => String(value).padStart(length, '0');
+
+function norma43(movements) {
+  return [
+    `11210008130123456789240101240131${digits(100000, 15)}978${text('3JUAN PEREZ', 27)}   `,
+    ...movements.flatMap(({ date, key, cents, reference, concepts = [] }) => [
+      `22    0813${date}${date}12000${key}${digits(cents, 14)}${digits(0, 10)}${text(reference || '', 12)}${text('', 16)}`,
+      ...concepts.map(([first, second]) => `2301${text(first, 38)}${text(second, 38)}`)
+    ]),
+    `88${'9'.repeat(18)}${digits(movements.length + 2, 6)}${' '.repeat(54)}`
+  ].join('\r\n');
+}
+
+describe('statement import', () => {
+  describe('CSV', () => {
+    it('should read Spanish bank exports: header after account details, decimal commas, Latin-1', () => {
+      const csv = [
+        'Cuenta;ES12 2100 0813 6101 2345 6789',
+        '',
+        'Fecha operación;Fecha valor;Concepto;Importe;Saldo',
+        '15/01/2024;16/01/2024;COMPRA TARJ. 5540XXXXXXXX1234 MERCADONA VALENCIA;-1.023,45;1.000,00',
+        '16/01/2024;16/01/2024;NOMINA ENERO;1.500,00;2.500,00',
+        'Saldo final;;;;2.500,00'
+      ].join('\r\n');
+
+      const statement = parseStatement(Buffer.from(csv, 'latin1'));
+
+      expect(statement.format).toBe('csv');
+      expect(statement.transactions).toEqual([
+        { date: '2024-01-15', valueDate: '2024-01-16', amount: -1023.45, currency: null, description: 'COMPRA TARJ. 5540XXXXXXXX1234 MERCADONA VALENCIA', reference: null },
+        { date: '2024-01-16', valueDate: '2024-01-16', amount: 1500, currency: null, description: 'NOMINA ENERO', reference: null }
+      ]);
+    });
+
+    it('should read separate charge and payment columns and quoted cells', () => {
+      const csv = '"F. VALOR","DESCRIPCIÓN","CARGO","ABONO","DIVISA"\n"2024-01-15","Lidl, Valencia","12.50","","EUR"\n"2024-01-16","Devolución ""Zara""","","30.00","EUR"\n';
+
+      expect(parseStatement(Buffer.from(csv)).transactions).toEqual([
+        { date: '2024-01-15', valueDate: '2024-01-15', amount: -12.5, currency: 'EUR', description: 'Lidl, Valencia', reference: null },
+        { date: '2024-01-16', valueDate: '2024-01-16', amount: 30, currency: 'EUR', description: 'Devolución "Zara"', reference: null }
+      ]);
+    });
+
+    it('should find columns by header name', () => {
+      expect(parseRows('a;"b;c"\r\n\r\nd;e', ';')).toEqual([['a', 'b;c'], ['d', 'e']]);
+      expect(mapColumns(['Fecha', 'Fecha valor', 'Concepto', 'Movimiento', 'Importe (EUR)', 'Divisa']))
+        .toEqual({ date: 0, valueDate: 1, description: 2, amount: 4, currency: 5 });
+    });
+
+    it('should reject files without a statement header', () => {
+      expect(() => parseStatement(Buffer.from('nombre,apellido\nJuan,Pérez\n')))
+        .toThrow('Invalid statement: no header with date, description and amount columns');
+      expect(() => parseStatement(Buffer.alloc(0))).toThrow('Invalid statement: the file is empty');
+    });
+  });
+
+  describe('OFX', () => {
+    it('should read SGML statements with their account and currency', () => {
+      const ofx = [
+        'OFXHEADER:100', 'DATA:OFXSGML', '',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>EUR',
+        '<BANKACCTFROM><BANKID>2100<ACCTID>ES7921000813610123456789</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240115120000[+1:CET]<TRNAMT>-23.45<FITID>2024011501<NAME>MERCADONA<MEMO>Compra tarjeta</STMTTRN>',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240120<TRNAMT>1500.00<FITID>2024012001<NAME>NOMINA &amp; EXTRAS</STMTTRN>',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+      ].join('\n');
+
+      const statement = parseStatement(Buffer.from(ofx));
+
+      expect(statement).toMatchObject({ format: 'ofx', account: 'ES7921000813610123456789', currency: 'EUR' });
+      expect(statement.transactions).toEqual([
+        { date: '2024-01-15', valueDate: null, amount: -23.45, currency: 'EUR', description: 'MERCADONA Compra tarjeta', reference: '2024011501' },
+        { date: '2024-01-20', valueDate: null, amount: 1500, currency: 'EUR', description: 'NOMINA & EXTRAS', reference: '2024012001' }
+      ]);
+    });
+
+    it('should detect XML statements', () => {
+      expect(detectFormat('<?xml version="1.0"?>\n<?OFX OFXHEADER="200"?>\n<OFX></OFX>')).toBe('ofx');
+    });
+  });
+
+  describe('QIF', () => {
+    it('should read records, taking month-first dates only when no other reading fits', () => {
+      const qif = '!Type:CCard\nD01/20/2024\nT-9.99\nPNetflix\n^\nD01/05/2024\nT-3,50\nPCafe Central\nMDesayuno\nN42\n^\n';
+
+      expect(parseStatement(Buffer.from(qif)).transactions).toEqual([
+        { date: '2024-01-05', valueDate: null, amount: -3.5, currency: null, description: 'Cafe Central Desayuno', reference: '42' },
+        { date: '2024-01-20', valueDate: null, amount: -9.99, currency: null, description: 'Netflix', reference: null }
+      ]);
+    });
+
+    it('should read dates day first by default', () => {
+      const qif = '!Type:Bank\nD05/01/24\nT-12.00\nPFarmacia\n^\n';
+
+      expect(parseStatement(Buffer.from(qif)).transactions[0].date).toBe('2024-01-05');
+    });
+  });
+
+  describe('Norma 43', () => {
+    it('should read movements with their complementary concepts', () => {
+      const file = norma43([
+        { date: '240115', key: '1', cents: 2345, reference: 'REF1', concepts: [['COMPRA MERCADONA', 'VALENCIA']] },
+        { date: '240120', key: '2', cents: 150000 }
+      ]);
+
+      const statement = parseStatement(Buffer.from(file, 'latin1'));
+
+      expect(statement).toMatchObject({ format: 'norma43', account: '210008130123456789', currency: 'EUR' });
+      expect(statement.transactions).toEqual([
+        { date: '2024-01-15', valueDate: '2024-01-15', amount: -23.45, currency: 'EUR', description: 'COMPRA MERCADONA VALENCIA', reference: 'REF1' },
+        { date: '2024-01-20', valueDate: '2024-01-20', amount: 1500, currency: 'EUR', description: '', reference: null }
+      ]);
+    });
+
+    it('should not take other fixed-width files for Norma 43', () => {
+      expect(detectFormat('11 de enero;compra;-3,50\n22 de enero;compra;-4,00')).toBe('csv');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VisionService = require('../../services/vision');
+const FirestoreService = require('../../services/firestore');
+const { createStorageDriver } = require('../../services/storage');
+const GcsStorageDriver = require('../../services/storage/gcsDriver');
+const LocalStorageDriver = require('../../services/storage/localDriver');
+const { signImageUrl, verifyImageSignature } = require('../../services/storage/signing');
+const { createMemoryFirestore } = require('../helpers/memoryFirestore');
+
+describe('Storage drivers', () => {
+  const secret = 'test-secret';
+
+  describe('createStorageDriver', () => {
+    it('should create the configured driver', () => {
+      expect(createStorageDriver({ driver: 'gcs', bucket: 'receipts', location: 'EUROPE-SOUTHWEST1' }))
+        .toMatchObject({ name: 'gcs', bucketName: 'receipts', location: 'EUROPE-SOUTHWEST1' });
+      expect(createStorageDriver({ driver: 'local', localDir: os.tmpdir(), signingSecret: secret }).name).toBe('local');
+    });
+
+    it('should reject unknown drivers and unsigned local storage', () => {
+      expect(() => createStorageDriver({ driver: 's3' })).toThrow('Invalid storage driver: s3');
+      expect(() => createStorageDriver({ driver: 'local', localDir: os.tmpdir() }))
+        .toThrow('Storage signing secret is required');
+    });
+  });
+
+  describe('image link signatures', () => {
+    const now = new Date('2024-01-15T10:00:00Z').getTime();
+
+    function linkParams(url) {
+      return Object.fromEntries(new URL(url).searchParams);
+    }
+
+    it('should sign links to the receipt image route', () => {
+      const url = signImageUrl({
+        baseUrl: 'https://api.example.com/', secret, receiptId: 'r1', userId: 'u1', expiresAt: now + 60000
+      });
+      const params = linkParams(url);
+
+      expect(url.startsWith('https://api.example.com/api/receipts/r1/image?')).toBe(true);
+      expect(verifyImageSignature(secret, { receiptId: 'r1', ...params }, now)).toBe('valid');
+      expect(verifyImageSignature(secret, { receiptId: 'r1', ...params }, now + 120000)).toBe('expired');
+    });
+
+    it('should reject tampered links', () => {
+      const params = linkParams(signImageUrl({
+        baseUrl: 'http://localhost:8080', secret, receiptId: 'r1', userId: 'u1', expiresAt: now + 60000
+      }));
+
+      expect(verifyImageSignature(secret, { ...params, receiptId: 'r2' }, now)).toBe('invalid');
+      expect(verifyImageSignature(secret, { receiptId: 'r1', ...params, uid: 'u2' }, now)).toBe('invalid');
+      expect(verifyImageSignature(secret, { receiptId: 'r1', ...params, expires: String(Number(params.expires) + 3600) }, now))
+        .toBe('invalid');
+      expect(verifyImageSignature('other-secret', { receiptId: 'r1', ...params }, now)).toBe('invalid');
+      expect(verifyImageSignature(undefined, { receiptId: 'r1', ...params }, now)).toBe('invalid');
+    });
+  });
+
+  describe('LocalStorageDriver', () => {
+    let dir;
+    let driver;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+      driver = new LocalStorageDriver({ dir, baseUrl: 'http://localhost:8080', signingSecret: secret });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should store, read and delete files with their content type', async () => {
+      await driver.put('receipts/1-factura.pdf', Buffer.from('%PDF-1.4'), { contentType: 'application/pdf' });
+
+      expect(await driver.get('receipts/1-factura.pdf')).toEqual({
+        buffer: Buffer.from('%PDF-1.4'),
+        contentType: 'application/pdf'
+      });
+
+      await driver.delete('receipts/1-factura.pdf');
+      await driver.delete('receipts/1-factura.pdf');
+      await expect(driver.get('receipts/1-factura.pdf')).rejects.toThrow('Stored file not found');
+    });
+
+    it('should refuse keys outside its directory', async () => {
+      await expect(driver.put('../escape.jpg', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(driver.get('receipts/../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+
+    it('should give receipts signed links served by the API', async () => {
+      const visionService = new VisionService({ storageDriver: driver });
+
+      const saved = await visionService.saveReceiptImage(Buffer.from([0xff, 0xd8, 0xff]), 'ticket.jpg', 'image/jpeg');
+      const url = new URL(await visionService.getReceiptImageUrl({ id: 'r1', userId: 'u1', imagePath: saved.fileName }));
+
+      expect(saved).toEqual({ fileName: expect.stringMatching(/^receipts\/\d+-ticket\.jpg$/), storage: 'local' });
+      expect(url.pathname).toBe('/api/receipts/r1/image');
+      expect(verifyImageSignature(secret, { receiptId: 'r1', ...Object.fromEntries(url.searchParams) })).toBe('valid');
+      expect((await visionService.getReceiptImage(saved.fileName)).contentType).toBe('image/jpeg');
+      await expect(visionService.getReceiptImage('receipts/missing.jpg')).rejects.toThrow('Receipt image not found');
+    });
+
+    it('should sign a fresh link each time a receipt is read, long after its upload', async () => {
+      const visionService = new VisionService({ storageDriver: driver });
+      const firestoreService = new FirestoreService();
+      firestoreService.db = createMemoryFirestore({
+        receipts: { r1: { userId: 'u1', vendor: 'DIA', imagePath: 'receipts/1-ticket.jpg', imageUrl: 'http://localhost:8080/stale', createdAt: new Date() } }
+      });
+      firestoreService.signImagesWith(receipt => visionService.getReceiptImageUrl(receipt));
+      const later = Date.now() + visionService.signedUrlTtlMs * 24;
+      const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      try {
+        const receipt = await firestoreService.getReceipt('r1', 'u1');
+        const { receipts: [listed] } = await firestoreService.getReceipts('u1');
+
+        for (const { imageUrl } of [receipt, listed]) {
+          const url = new URL(imageUrl);
+          expect(url.pathname).toBe('/api/receipts/r1/image');
+          expect(verifyImageSignature(secret, { receiptId: 'r1', ...Object.fromEntries(url.searchParams) }, later)).toBe('valid');
+        }
+      } finally {
+        now.mockRestore();
+      }
+    });
+  });
+
+  describe('GcsStorageDriver', () => {
+    it('should create a missing bucket in the configured location', async () => {
+      const bucket = { exists: jest.fn().mockResolvedValue([false]), create: jest.fn().mockResolvedValue() };
+      const driver = new GcsStorageDriver({
+        client: { bucket: () => bucket },
+        bucket: 'receipts',
+        location: 'EUROPE-SOUTHWEST1'
+      });
+
+      await driver.initialize();
+
+      expect(bucket.create).toHaveBeenCalledWith({ location: 'EUROPE-SOUTHWEST1', storageClass: 'STANDARD' });
+    });
+
+    it('should report missing objects like the other drivers', async () => {
+      const notFound = Object.assign(new Error('No such object'), { code: 404 });
+      const file = { download: jest.fn().mockRejectedValue(notFound), getMetadata: jest.fn().mockRejectedValue(notFound) };
+      const driver = new GcsStorageDriver({ client: { bucket: () => ({ file: () => file }) }, bucket: 'receipts' });
+
+      await expect(driver.get('receipts/missing.jpg')).rejects.toThrow('Stored file not found');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const AdmZip = require('adm-zip');
+const { isZipArchive, expandUploads, mapWithConcurrency } = require('../../services/uploads');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+function upload(originalname, buffer, mimetype = 'image/jpeg') {
+  return { originalname, buffer, size: buffer.length, mimetype };
+}
+
+function zipOf(entries) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(entries)) {
+    zip.addFile(name, data);
+  }
+  return zip.toBuffer();
+}
+
+describe('uploads', () => {
+  const limits = { maxFiles: 10, maxFileSize: 1000 };
+
+  describe('expandUploads', () => {
+    it('should expand zip archives next to plain files', () => {
+      const archive = zipOf({
+        'recibos/mercadona.jpg': JPEG,
+        'recibos/factura.pdf': Buffer.from('%PDF-1.4'),
+        '__MACOSX/recibos/._mercadona.jpg': Buffer.from('x'),
+        'recibos/.DS_Store': Buffer.from('x')
+      });
+
+      const items = expandUploads([
+        upload('ticket.jpg', JPEG),
+        upload('caja.zip', archive, 'application/octet-stream')
+      ], limits);
+
+      expect(isZipArchive(upload('caja.zip', archive, 'application/octet-stream'))).toBe(true);
+      expect(items.map(item => [item.filename, item.archive])).toEqual([
+        ['ticket.jpg', null],
+        ['factura.pdf', 'caja.zip'],
+        ['mercadona.jpg', 'caja.zip']
+      ]);
+      expect(items[2].file.buffer).toEqual(JPEG);
+    });
+
+    it('should report bad files and archives without dropping the rest', () => {
+      const items = expandUploads([
+        upload('huge.jpg', Buffer.alloc(2000)),
+        upload('roto.zip', Buffer.from('not a zip'), 'application/zip'),
+        upload('grande.zip', zipOf({ 'ok.jpg': JPEG, 'scan.pdf': Buffer.alloc(5000) }), 'application/zip')
+      ], limits);
+
+      expect(items.map(item => item.error?.code || 'ok')).toEqual([
+        'FILE_TOO_LARGE', 'INVALID_ARCHIVE', 'ok', 'FILE_TOO_LARGE'
+      ]);
+    });
+
+    it('should report a corrupt archive entry without failing the batch', () => {
+      const archive = zipOf({ 'a-roto.jpg': Buffer.alloc(5000, 'a'), 'b-ok.jpg': JPEG });
+      // Garble the compressed data of the first entry (archives keep them sorted by name)
+      const dataStart = 30 + archive.readUInt16LE(26) + archive.readUInt16LE(28);
+      archive.fill(0xff, dataStart, dataStart + 4);
+
+      const items = expandUploads([upload('caja.zip', archive, 'application/zip')], { ...limits, maxFileSize: 10000 });
+
+      expect(items.map(item => [item.filename, item.error?.code || 'ok'])).toEqual([
+        ['a-roto.jpg', 'INVALID_FILE'],
+        ['b-ok.jpg', 'ok']
+      ]);
+    });
+
+    it('should reject batches whose archives declare more than the inflated size budget', () => {
+      const archive = zipOf({ 'a.jpg': Buffer.alloc(800), 'b.jpg': Buffer.alloc(800) });
+
+      expect(() => expandUploads([upload('caja.zip', archive, 'application/zip')], { ...limits, maxInflatedSize: 1000 }))
+        .toThrow('Invalid batch size');
+      expect(expandUploads([upload('caja.zip', archive, 'application/zip')], { ...limits, maxInflatedSize: 1600 }))
+        .toHaveLength(2);
+    });
+
+    it('should cap the number of receipts per batch', () => {
+      const archive = zipOf(Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`${i}.jpg`, JPEG])));
+
+      expect(() => expandUploads([upload('caja.zip', archive, 'application/zip')], limits))
+        .toThrow('Invalid batch: at most 10 receipts per upload');
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should keep input order and never exceed the limit', async () => {
+      let running = 0;
+      let peak = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index * 2;
+      });
+
+      expect(results).toEqual([0, 2, 4, 6, 8]);
+      expect(peak).toBe(2);
+    });
+
+    it('should handle empty input', async () => {
+      expect(await mapWithConcurrency([], 3, async () => 1)).toEqual([]);
+    });
+  });
+});
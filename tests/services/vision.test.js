@@ -1,5 +1,15 @@
 const VisionService = require('../../services/vision');
 
+// pdf.js and the HEIC decoder are exercised in the documents tests
+jest.mock('../../services/documents', () => ({
+  ...jest.requireActual('../../services/documents'),
+  readPdfPages: async () => [
+    { page: 1, text: 'IBERDROLA CLIENTES S.A.U.\nFecha: 15/01/2024', hasText: true },
+    { page: 2, text: '', hasText: false }
+  ],
+  convertHeic: async () => Buffer.from([0xff, 0xd8, 0xff, 0xe0])
+}));
+
 describe('VisionService', () => {
   let visionService;
 
@@ -52,6 +62,69 @@ describe('VisionService', () => {
       expect(result.category).toBe('Alimentación');
     });
 
+    it('should include the IVA breakdown and validate it against the total', () => {
+      const textResult = {
+        fullText: 'FERRETERIA PEREZ\n15/01/2024\nTornillos 12,10\nBase imponible 10,00\nIVA 21% 2,10\nTOTAL 12,10 €',
+        blocks: []
+      };
+
+      const result = visionService.parseReceiptData(textResult);
+
+      expect(result.taxes).toEqual([{ rate: 21, base: 10, amount: 2.1 }]);
+      expect(result.subtotal).toBe(10);
+      expect(result.taxValidation).toMatchObject({ valid: true, difference: 0 });
+      expect(result.items).toHaveLength(1);
+    });
+
+    it('should detect the receipt currency, defaulting to the user\'s', () => {
+      const foreign = visionService.parseReceiptData({
+        fullText: 'PRET A MANGER\n12/03/2024\nSandwich £4.50\nCoffee £2.80\nTOTAL £7.30',
+        blocks: []
+      });
+      const unmarked = visionService.parseReceiptData(
+        { fullText: 'KIOSKO\n12/03/2024\nTOTAL 3,00', blocks: [] },
+        { defaultCurrency: 'CHF' }
+      );
+
+      expect(foreign.currency).toBe('GBP');
+      expect(foreign.total).toBe(7.3);
+      expect(foreign.fieldConfidence.currency).toEqual({ score: 0.95, source: 'total_line' });
+      expect(unmarked.currency).toBe('CHF');
+      expect(unmarked.fieldConfidence.currency.source).toBe('default');
+    });
+
+    it('should report per-field confidence and flag weak receipts for review', () => {
+      const strong = visionService.parseReceiptData({
+        fullText: 'SUPERMERCADO TEST\nFecha: 15/01/2024\nPan 2.50€\nLeche 1.80€\nTotal: 4.30€',
+        blocks: []
+      });
+
+      expect(strong.fieldConfidence.date).toEqual({ score: 0.95, source: 'label' });
+      expect(strong.fieldConfidence.total).toEqual({ score: 0.9, source: 'label' });
+      expect(strong.fieldConfidence.items.source).toBe('sum_matches_total');
+      expect(strong.confidence).toBeGreaterThanOrEqual(0.8);
+      expect(strong.needsReview).toBe(false);
+
+      const weak = visionService.parseReceiptData({ fullText: 'gracias por su visita\n12', blocks: [] });
+
+      expect(weak.fieldConfidence.date.source).toBe('fallback');
+      expect(weak.fieldConfidence.total.source).toBe('fallback');
+      expect(weak.confidence).toBeLessThan(0.8);
+      expect(weak.needsReview).toBe(true);
+    });
+
+    it('should scale field confidence by the OCR confidence of the matched line', () => {
+      const result = visionService.parseReceiptData({
+        fullText: 'SUPERMERCADO TEST\nTOTAL 4,30',
+        blocks: [],
+        confidence: 0.9,
+        wordConfidences: { TOTAL: 0.5, '4,30': 0.5 }
+      });
+
+      expect(result.ocrConfidence).toBe(0.9);
+      expect(result.fieldConfidence.total.score).toBe(0.45);
+    });
+
     it('should extract vendor name correctly', () => {
       const lines = ['MERCADONA S.A.', 'C/ EJEMPLO 123', '28001 MADRID'];
       
@@ -60,6 +133,18 @@ describe('VisionService', () => {
       expect(vendor).toBe('MERCADONA S.A.');
     });
 
+    it('should skip slogans and street lines when a legal name is present', () => {
+      const lines = ['TU TIENDA DE CONFIANZA', 'C/ MAYOR 5', 'DISTRIBUCIONES LOPEZ S.L.', 'NIF B65410011'];
+
+      expect(visionService.extractVendor(lines)).toBe('DISTRIBUCIONES LOPEZ S.L.');
+      expect(visionService.extractVendorDetails(lines, 'DISTRIBUCIONES LOPEZ S.L.')).toEqual({
+        vendorTaxId: 'B65410011',
+        vendorTaxIdType: 'CIF',
+        vendorAddress: { street: 'C/ MAYOR 5', postcode: null, city: null },
+        vendorKey: 'taxid:B65410011'
+      });
+    });
+
     it('should extract date correctly', () => {
       const lines = ['MERCADONA', '15/01/2024', 'TICKET: 123'];
       
@@ -76,6 +161,27 @@ describe('VisionService', () => {
       expect(total).toBe(6.30);
     });
 
+    it('should read year-first dates and month names', () => {
+      expect(visionService.extractDate(['LIDL', '2024/01/15 10:32'])).toBe('2024-01-15');
+      expect(visionService.extractDate(['LIDL', '15 ENE 2024'])).toBe('2024-01-15');
+    });
+
+    it('should read totals with thousands separators in the user\'s locale', () => {
+      expect(visionService.extractTotal(['TOTAL 1.234,56'])).toBe(1234.56);
+      expect(visionService.extractTotal(['TOTAL 1,234.56'], 'en-US')).toBe(1234.56);
+
+      const ambiguous = visionService.parseReceiptData(
+        { fullText: 'BEST BUY\n03/04/2024\nTOTAL $1,234', blocks: [] },
+        { locale: 'en-US' }
+      );
+
+      expect(ambiguous.locale).toBe('en-US');
+      expect(ambiguous.total).toBe(1234);
+      expect(ambiguous.date).toBe('2024-03-04');
+      expect(ambiguous.fieldConfidence.total).toMatchObject({ score: 0.72, ambiguous: true });
+      expect(ambiguous.fieldConfidence.date).toMatchObject({ score: 0.63, ambiguous: true });
+    });
+
     it('should categorize expenses correctly', () => {
       const lines = ['mercadona', 'supermercado'];
       
@@ -83,6 +189,74 @@ describe('VisionService', () => {
       
       expect(category).toBe('Alimentación');
     });
+
+    it('should categorise with the user\'s own categories and keywords', () => {
+      const categories = [
+        { name: 'Mascotas', keywords: ['tiendanimal'] },
+        { name: 'Archivada', keywords: ['pienso'], archived: true }
+      ];
+
+      expect(visionService.detectCategory(['TIENDANIMAL', 'PIENSO 12,00'], 'TIENDANIMAL', categories))
+        .toMatchObject({ value: 'Mascotas', source: 'vendor' });
+      expect(visionService.detectCategory(['PIENSO 12,00'], null, categories).value).toBe('Otros');
+    });
+
+    it('should emit categories that exist in the taxonomy', () => {
+      const { DEFAULT_CATEGORIES } = require('../../services/parsers/categories');
+      const names = DEFAULT_CATEGORIES.map(category => category.name);
+
+      expect(names).toContain(visionService.categorizeExpense(['FARMACIA LDO. PEREZ']));
+    });
+  });
+
+  describe('prepareDocument', () => {
+    it('should convert HEIC photos to JPEG', async () => {
+      const heic = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic', 'latin1'), Buffer.alloc(8)]);
+
+      const document = await visionService.prepareDocument(heic, 'application/octet-stream', 'IMG_0042.HEIC');
+
+      expect(document).toMatchObject({
+        contentType: 'image/jpeg',
+        originalContentType: 'image/heic',
+        fileName: 'IMG_0042.jpg'
+      });
+    });
+
+    it('should reject files that are not receipts whatever their declared type', async () => {
+      await expect(visionService.prepareDocument(Buffer.from('fake-text-data'), 'image/jpeg', 'fake.jpg'))
+        .rejects.toThrow('Invalid document: unsupported file type');
+    });
+  });
+
+  describe('extractDocumentText', () => {
+    it('should use embedded PDF text and OCR scanned pages', async () => {
+      visionService.ocr.client = {
+        batchAnnotateFiles: jest.fn().mockResolvedValue([{
+          responses: [{
+            responses: [{
+              context: { pageNumber: 2 },
+              fullTextAnnotation: {
+                text: 'TOTAL 45,67\n',
+                pages: [{ blocks: [{ paragraphs: [{ words: [{ symbols: [{ text: 'TOTAL', confidence: 0.9 }] }] }] }] }]
+              }
+            }]
+          }]
+        }])
+      };
+
+      const result = await visionService.extractDocumentText({
+        buffer: Buffer.from('%PDF-1.4'),
+        contentType: 'application/pdf'
+      });
+
+      expect(visionService.ocr.client.batchAnnotateFiles).toHaveBeenCalledWith({
+        requests: [expect.objectContaining({ pages: [2] })]
+      });
+      expect(result.fullText).toBe('IBERDROLA CLIENTES S.A.U.\nFecha: 15/01/2024\nTOTAL 45,67');
+      expect(result.pages).toEqual([{ page: 1, source: 'text' }, { page: 2, source: 'ocr' }]);
+      expect(result.confidence).toBe(0.9);
+      expect(visionService.parseReceiptData(result).total).toBe(45.67);
+    });
   });
 
   describe('saveReceiptImage', () => {
@@ -93,9 +267,24 @@ describe('VisionService', () => {
       const result = await visionService.saveReceiptImage(mockBuffer, fileName);
 
       expect(result).toHaveProperty('fileName');
-      expect(result).toHaveProperty('url');
       expect(result).toHaveProperty('bucket');
-      expect(result.url).toContain('https://');
+      // Links expire: they are signed when the receipt is read
+      expect(result).not.toHaveProperty('url');
+    });
+
+    it('should store the real content type, cached only privately', async () => {
+      const save = jest.fn().mockResolvedValue();
+      visionService.storage.client = {
+        bucket: () => ({
+          file: name => ({ name, save, getSignedUrl: async () => ['https://example.com/factura.pdf'] })
+        })
+      };
+
+      await visionService.saveReceiptImage(Buffer.from('%PDF-1.4'), 'factura.pdf', 'application/pdf');
+
+      expect(save).toHaveBeenCalledWith(expect.any(Buffer), {
+        metadata: expect.objectContaining({ contentType: 'application/pdf', cacheControl: 'private, max-age=3600' })
+      });
     });
 
     it('should handle storage errors', async () => {
@@ -138,12 +327,18 @@ describe('VisionService', () => {
       expect(items[0]).toEqual({
         name: 'Pan integral',
         price: 2.50,
-        quantity: 1
+        quantity: 1,
+        unit: 'unit',
+        unitPrice: 2.50,
+        lineTotal: 2.50
       });
       expect(items[1]).toEqual({
         name: 'Leche entera',
         price: 1.80,
-        quantity: 1
+        quantity: 1,
+        unit: 'unit',
+        unitPrice: 1.80,
+        lineTotal: 1.80
       });
     });
   });